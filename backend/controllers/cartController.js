@@ -2,6 +2,7 @@
 
 import Cart from '../models/cart.js';
 import Products from '../models/product.js';
+import { quoteCart } from '../services/cartPricingService.js';
 
 // Add item to cart
 export async function addToCart(req, res) {
@@ -264,4 +265,28 @@ export async function clearCart(req, res) {
       message: "Error clearing cart: " + error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Cart totals with tax, shipping to the given city/district and a promo code's discount,
+// as checkout will charge them
+export async function getCartQuote(req, res) {
+  const { city, district, promoCode } = req.query;
+
+  try {
+    const { quote } = await quoteCart(req.user, { city, district, promoCode });
+    res.json({
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      promotion: quote.promotion && { code: quote.promotion.code, title: quote.promotion.title },
+      tax: quote.tax,
+      includedTax: quote.includedTax,
+      shipping: quote.shipping,
+      total: quote.total,
+      breakdown: quote.breakdown,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : `Error pricing cart: ${error.message}`,
+    });
+  }
+}
@@ -0,0 +1,82 @@
+// controllers/disputeController.js
+
+import Dispute from "../models/dispute.js";
+import FarmerLedgerEntry from "../models/farmerLedgerEntry.js";
+import { actorFromUser } from "../services/orderStatusService.js";
+import { addDisputeEvidence, resolveDispute, summarizeDisputes } from "../services/disputeService.js";
+
+// List chargeback disputes, newest first (filterable by status, orderId and source)
+export async function listDisputes(req, res) {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.orderId) query.orderId = req.query.orderId;
+    if (req.query.source) query.source = req.query.source;
+
+    const disputes = await Dispute.find(query).sort({ createdAt: -1 }).limit(200);
+    res.json({ disputes });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching disputes: ${error.message}`,
+    });
+  }
+}
+
+// Dispute counts for the admin dashboard
+export async function getDisputeSummary(req, res) {
+  try {
+    res.json({ summary: await summarizeDisputes() });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching dispute summary: ${error.message}`,
+    });
+  }
+}
+
+// One dispute with the farmer ledger entries it has frozen
+export async function getDispute(req, res) {
+  const { disputeId } = req.params;
+
+  try {
+    const dispute = await Dispute.findOne({ disputeId });
+    if (!dispute) {
+      return res.status(404).json({ message: `Dispute ${disputeId} not found` });
+    }
+
+    const frozenEntries = await FarmerLedgerEntry.find({ disputeId }).sort({ createdAt: 1 });
+    res.json({ dispute, frozenEntries });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching dispute: ${error.message}`,
+    });
+  }
+}
+
+// Attach evidence to an open dispute
+export async function addEvidence(req, res) {
+  const { disputeId } = req.params;
+
+  try {
+    const dispute = await addDisputeEvidence(disputeId, req.body || {}, req.user);
+    res.status(201).json({ message: `Evidence added to dispute ${disputeId}`, dispute });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: `Error adding evidence: ${error.message}`,
+    });
+  }
+}
+
+// Resolve a dispute as won or lost; its frozen earnings are released either way
+export async function resolve(req, res) {
+  const { disputeId } = req.params;
+  const { outcome, note } = req.body || {};
+
+  try {
+    const dispute = await resolveDispute(disputeId, { outcome, note }, actorFromUser(req.user));
+    res.json({ message: `Dispute ${disputeId} resolved as ${dispute.status}`, dispute });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: `Error resolving dispute: ${error.message}`,
+    });
+  }
+}
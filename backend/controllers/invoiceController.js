@@ -0,0 +1,152 @@
+// controllers/invoiceController.js
+
+import mongoose from "mongoose";
+import Invoice from "../models/invoice.js";
+import Order from "../models/order.js";
+import FoodSubscription from "../models/Subscription.js";
+import {
+  findOrderInvoice,
+  listSubscriptionInvoices,
+  farmerCopy,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "../services/invoiceService.js";
+
+// The version of an invoice this user may see: the whole invoice for admins and the
+// customer, only their own lines for a farmer, nothing for anyone else
+function invoiceForUser(invoice, user) {
+  if (user.type === "admin") return invoice;
+
+  const customer = invoice.customer || {};
+  if (customer.email === user.email || customer.userId?.toString() === user.id) return invoice;
+
+  if (user.type === "farmer" && invoice.lines.some(line => line.farmerId?.toString() === user.id)) {
+    return farmerCopy(invoice, user.id);
+  }
+  return null;
+}
+
+// Answer with the invoice as a PDF download (default), an HTML page or JSON
+async function sendInvoice(req, res, invoice) {
+  const format = req.query.format || "pdf";
+
+  if (format === "json") {
+    return res.json({ invoice });
+  }
+  if (format === "html") {
+    return res.type("html").send(renderInvoiceHtml(invoice));
+  }
+  if (format !== "pdf") {
+    return res.status(400).json({ message: "format must be pdf, html or json" });
+  }
+
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+  });
+  res.send(pdf);
+}
+
+// What invoice lists show; the document itself comes from getInvoice
+const invoiceSummary = (invoice) => ({
+  invoiceNumber: invoice.invoiceNumber,
+  subscriptionId: invoice.subscriptionId,
+  description: invoice.lines[0]?.description,
+  total: invoice.total,
+  currency: invoice.currency,
+  paidAt: invoice.paidAt,
+  issuedAt: invoice.issuedAt,
+});
+
+// Invoice of a paid order, issued when its payment was verified
+export async function getOrderInvoice(req, res) {
+  const { orderId } = req.params;
+
+  try {
+    const order = await Order.findOne({ orderId });
+
+    if (!order) {
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
+    }
+
+    const isCustomer = order.customerEmail === req.user.email || order.userId?.toString() === req.user.id;
+    const isFarmer = req.user.type === "farmer" && order.subOrders.some(subOrder => subOrder.farmerId.toString() === req.user.id);
+    if (req.user.type !== "admin" && !isCustomer && !isFarmer) {
+      return res.status(403).json({ message: "You can only view invoices of your own orders" });
+    }
+
+    const invoice = await findOrderInvoice(orderId);
+    if (!invoice) {
+      return res.status(404).json({ message: `No invoice has been issued for order ${orderId}` });
+    }
+
+    await sendInvoice(req, res, invoiceForUser(invoice, req.user));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: `Error fetching invoice: ${error.message}` });
+  }
+}
+
+// One invoice for every paid renewal of a food subscription
+export async function getSubscriptionInvoices(req, res) {
+  const { subscriptionId } = req.params;
+
+  try {
+    const subscription = await FoodSubscription.findById(subscriptionId);
+
+    if (!subscription) {
+      return res.status(404).json({ message: `Subscription ${subscriptionId} not found` });
+    }
+
+    if (req.user.type !== "admin" && subscription.userEmail !== req.user.email) {
+      return res.status(403).json({ message: "You can only view invoices of your own subscription" });
+    }
+
+    const invoices = await listSubscriptionInvoices(subscription);
+    res.json({ invoices: invoices.map(invoiceSummary) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.CastError) {
+      return res.status(404).json({ message: `Subscription ${subscriptionId} not found` });
+    }
+    res.status(500).json({ message: `Error fetching subscription invoices: ${error.message}` });
+  }
+}
+
+// Invoices of all the logged in customer's food subscriptions, newest first
+export async function getMySubscriptionInvoices(req, res) {
+  try {
+    const subscriptions = await FoodSubscription.find({ userEmail: req.user.email?.toLowerCase() });
+
+    const invoices = [];
+    for (const subscription of subscriptions) {
+      invoices.push(...await listSubscriptionInvoices(subscription));
+    }
+    invoices.sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
+    res.json({ invoices: invoices.map(invoiceSummary) });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching subscription invoices: ${error.message}` });
+  }
+}
+
+// One invoice by its number
+export async function getInvoice(req, res) {
+  const { invoiceNumber } = req.params;
+
+  try {
+    const invoice = await Invoice.findOne({ invoiceNumber });
+
+    if (!invoice) {
+      return res.status(404).json({ message: `Invoice ${invoiceNumber} not found` });
+    }
+
+    const visible = invoiceForUser(invoice, req.user);
+    if (!visible) {
+      return res.status(403).json({ message: "You can only view your own invoices" });
+    }
+
+    await sendInvoice(req, res, visible);
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching invoice: ${error.message}` });
+  }
+}
@@ -1,95 +1,164 @@
 // controllers/orderController.js
 
+import mongoose from "mongoose";
 import Order from "../models/order.js";
 import Products from "../models/product.js";
 import Cart from "../models/cart.js";
+import { holdStock, commitReservation, releaseReservation } from "../services/stockReservationService.js";
+import { nextOrderNumber } from "../services/orderNumberService.js";
+import { planSubOrders } from "../services/subOrderService.js";
+import { syncOrderEarnings } from "../services/payoutService.js";
+import { refundOrder, listOrderRefunds } from "../services/refundService.js";
+import { getPaymentProvider } from "../services/paymentProviders.js";
+import { invoicePaidOrder } from "../services/invoiceService.js";
+import {
+  ORDER_TRANSITIONS,
+  FULFILMENT_STATUSES,
+  actorFromUser,
+  statusHistoryEntry,
+  transitionOrder,
+  transitionItem,
+  applyOrderStatusToItems,
+  deriveSubOrderStatus,
+  syncOrderStatusWithItems,
+} from "../services/orderStatusService.js";
+
+// Error raised inside a checkout transaction; aborts it and becomes the HTTP response
+function checkoutError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Run checkout steps in one MongoDB transaction so a failure part-way
+// (e.g. the third product out of stock) leaves stock, orders and cart untouched
+async function runCheckoutTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Take stock, split the order per farmer, save it and commit its reservation inside the given transaction
+async function placeOrder(session, orderData, reservedItems) {
+  await holdStock(orderData.orderId, reservedItems, { orderType: 'order', session });
+  const { items, subOrders, tax, shipping, charges } = await planSubOrders(orderData.orderId, orderData.items, {
+    session,
+    destination: { city: orderData.city || 'Colombo', district: orderData.district },
+  });
+
+  // Orders placed here are not paid online; they are settled on delivery
+  const [savedOrder] = await Order.create([{
+    ...orderData,
+    items,
+    subOrders,
+    tax,
+    shipping,
+    charges,
+    paymentMethod: 'cash_on_delivery',
+    orderStatus: 'confirmed',
+    statusHistory: [
+      statusHistoryEntry(null, 'confirmed', {
+        actor: { userId: orderData.userId, email: orderData.customerEmail, role: 'customer' },
+        reason: 'Order placed',
+      }),
+    ],
+  }], { session });
+  await commitReservation(orderData.orderId, { session });
+
+  return savedOrder;
+}
+
+// Cash on delivery counts as paid once the whole order has been delivered.
+// Returns true when this call marked it paid.
+function collectCashOnDelivery(order) {
+  if (order.paymentMethod === 'cash_on_delivery' && order.orderStatus === 'delivered' && order.paymentStatus === 'pending') {
+    order.paymentStatus = 'completed';
+    return true;
+  }
+  return false;
+}
 
 // Create a new order from cart
 export async function newOrderFromCart(req, res) {
-  const { name, address, phone } = req.body;
+  const { name, address, phone, city, district } = req.body;
   const userId = req.user.id;
 
   try {
-    // Get user's cart
-    const cart = await Cart.findOne({ userId }).populate('items.productId');
-    
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({
-        message: "Cart is empty. Add items to cart before placing an order."
-      });
-    }
-
-    const newProductArray = [];
-    const currentDate = new Date();
+    // Numbered outside the transaction so concurrent checkouts don't conflict on the counter
+    const orderId = await nextOrderNumber('cart');
 
-    // Process each cart item
-    for (let item of cart.items) {
-      const product = item.productId;
-      const quantity = item.quantity;
+    const savedOrder = await runCheckoutTransaction(async (session) => {
+      // Get user's cart
+      const cart = await Cart.findOne({ userId }).populate('items.productId').session(session);
 
-      if (!product) {
-        return res.status(400).json({
-          message: "One or more products in cart no longer exist."
-        });
+      if (!cart || cart.items.length === 0) {
+        throw checkoutError("Cart is empty. Add items to cart before placing an order.");
       }
 
-      // Check if product is expired
-      if (product.expiryDate && new Date(product.expiryDate) < currentDate) {
-        return res.status(400).json({
-          message: `Product "${product.productName}" has expired and cannot be ordered.`
+      const newProductArray = [];
+      const reservedItems = [];
+      const currentDate = new Date();
+
+      // Process each cart item
+      for (let item of cart.items) {
+        const product = item.productId;
+        const quantity = item.quantity;
+
+        if (!product) {
+          throw checkoutError("One or more products in cart no longer exist.");
+        }
+
+        // Check if product is expired
+        if (product.expiryDate && new Date(product.expiryDate) < currentDate) {
+          throw checkoutError(`Product "${product.productName}" has expired and cannot be ordered.`);
+        }
+
+        // Check stock availability (the conditional decrement in holdStock is what enforces it)
+        if (product.quantityInStock < quantity) {
+          throw checkoutError(`Not enough stock for "${product.productName}". Available: ${product.quantityInStock}, Requested: ${quantity}`);
+        }
+
+        reservedItems.push({ productId: product._id, quantity });
+
+        newProductArray.push({
+          productId: product._id,
+          productName: product.productName,
+          price: product.price,
+          quantity,
+          totalPrice: product.price * quantity,
+          image: product.images[0] || "default-image-url"
         });
       }
 
-      // Check stock availability
-      if (product.quantityInStock < quantity) {
-        return res.status(400).json({
-          message: `Not enough stock for "${product.productName}". Available: ${product.quantityInStock}, Requested: ${quantity}`
-        });
-      }
-
-      // Reduce stock
-      product.quantityInStock -= quantity;
-      await product.save();
-
-      newProductArray.push({
-        name: product.productName,
-        price: product.price,
-        quantity,
-        image: product.images[0] || "default-image-url"
-      });
-    }
-
-    // Generate unique order ID
-    const latestOrder = await Order.find().sort({ date: -1 }).limit(1);
-    let orderId;
-    if (latestOrder.length === 0) {
-      orderId = "CBC0001";
-    } else {
-      const currentOrderId = latestOrder[0].orderId;
-      const numberString = currentOrderId.replace("CBC", "");
-      const number = parseInt(numberString);
-      const newNumber = (number + 1).toString().padStart(4, "0");
-      orderId = "CBC" + newNumber;
-    }
-
-    // Create order
-    const newOrderData = {
-      orderId,
-      email: req.user.email,
-      orderedItems: newProductArray,
-      name,
-      address,
-      phone,
-    };
-
-    const order = new Order(newOrderData);
-    const savedOrder = await order.save();
-
-    // Clear cart after successful order
-    await Cart.findOneAndUpdate(
-      { userId },
-      { items: [], updatedAt: new Date() }
-    );
+      const order = await placeOrder(session, {
+        orderId,
+        orderType: "cart",
+        userId,
+        customerEmail: req.user.email,
+        customerName: name,
+        phoneNumber: String(phone),
+        address,
+        city: city || undefined,
+        district,
+        items: newProductArray,
+      }, reservedItems);
+
+      // Clear cart as part of the same transaction
+      await Cart.updateOne(
+        { userId },
+        { items: [], updatedAt: new Date() },
+        { session }
+      );
+
+      return order;
+    });
 
     res.json({
       message: "Order placed successfully from cart.",
@@ -98,84 +167,75 @@ export async function newOrderFromCart(req, res) {
 
   } catch (error) {
     console.error('Order creation error:', error);
-    res.status(500).json({
-      message: `Error placing the order: ${error.message}`,
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : `Error placing the order: ${error.message}`,
     });
   }
 }
 
 // Create a new order (direct order without cart)
 export async function newOrder(req, res) {
-  const { orderedItems, name, address, phone } = req.body;
-
-  try {
-    // Array to store order item details
-    const newProductArray = [];
-
-    // Check the stock and reduce it
-    for (let i = 0; i < orderedItems.length; i++) {
-      const { productId, quantity } = orderedItems[i];
-      const product = await Products.findOne({ productId });
+  const { orderedItems, name, address, phone, city, district } = req.body;
 
-      if (!product) {
-        return res.json({
-          message: `Product with ID ${productId} not found.`,
-        });
-      }
+  if (!Array.isArray(orderedItems) || orderedItems.length === 0) {
+    return res.status(400).json({ message: "Ordered items are required." });
+  }
 
-      // Check if stock is available
-      if (product.quantityInStock < quantity) {
-        return res.json({
-          message: `Not enough stock for ${product.productName}. Available: ${product.quantityInStock}`,
+  try {
+    const orderId = await nextOrderNumber('direct');
+
+    const savedOrder = await runCheckoutTransaction(async (session) => {
+      // Array to store order item details
+      const newProductArray = [];
+      const reservedItems = [];
+
+      // Check the stock for every item before anything is decremented
+      for (let i = 0; i < orderedItems.length; i++) {
+        const { productId, quantity } = orderedItems[i];
+        const product = await Products.findOne({ productId }).session(session);
+
+        if (!product) {
+          throw checkoutError(`Product with ID ${productId} not found.`, 404);
+        }
+
+        // Check if stock is available
+        if (product.quantityInStock < quantity) {
+          throw checkoutError(`Not enough stock for ${product.productName}. Available: ${product.quantityInStock}`);
+        }
+
+        reservedItems.push({ productId: product._id, quantity });
+
+        newProductArray.push({
+          productId: product._id,
+          productName: product.productName,
+          price: product.price,
+          quantity,
+          totalPrice: product.price * quantity,
+          image: product.images[0] || "default-image-url",  // Default image if no product image
         });
       }
 
-      // Reduce stock for the ordered quantity
-      product.quantityInStock -= quantity;
-      await product.save();
-
-      newProductArray.push({
-        name: product.productName,
-        price: product.price,
-        quantity,
-        image: product.images[0] || "default-image-url",  // Default image if no product image
-      });
-    }
-
-    // Generate unique order ID (CBC + 4-digit number)
-    const latestOrder = await Order.find().sort({ date: -1 }).limit(1);
-    let orderId;
-    if (latestOrder.length === 0) {
-      orderId = "CBC0001";
-    } else {
-      const currentOrderId = latestOrder[0].orderId;
-      const numberString = currentOrderId.replace("CBC", "");
-      const number = parseInt(numberString);
-      const newNumber = (number + 1).toString().padStart(4, "0");
-      orderId = "CBC" + newNumber;
-    }
-
-    // Prepare order data
-    const newOrderData = {
-      orderId,
-      email: req.user.email,
-      orderedItems: newProductArray,
-      name,
-      address,
-      phone,
-    };
-
-    // Save order in database
-    const order = new Order(newOrderData);
-    const savedOrder = await order.save();
+      return placeOrder(session, {
+        orderId,
+        orderType: "direct",
+        userId: req.user.id,
+        customerEmail: req.user.email,
+        customerName: name,
+        phoneNumber: String(phone),
+        address,
+        city: city || undefined,
+        district,
+        items: newProductArray,
+      }, reservedItems);
+    });
 
     res.json({
       message: "Order placed successfully.",
       order: savedOrder,
     });
   } catch (error) {
-    res.status(500).json({
-      message: `Error placing the order: ${error.message}`,
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : `Error placing the order: ${error.message}`,
     });
   }
 }
@@ -184,10 +244,10 @@ export async function newOrder(req, res) {
 export async function listOrder(req, res) {
   try {
     if (req.user.type === "customer") {
-      const orderList = await Order.find({ email: req.user.email });
+      const orderList = await Order.find({ customerEmail: req.user.email }).sort({ createdAt: -1 });
       res.json({ list: orderList });
     } else if (req.user.type === "admin") {
-      const orderList = await Order.find();
+      const orderList = await Order.find().sort({ createdAt: -1 });
       res.json({ list: orderList });
     } else {
       res.status(401).json({ message: "Unauthorized" });
@@ -199,77 +259,254 @@ export async function listOrder(req, res) {
   }
 }
 
-// Update order status (admin can update order status)
+// Update order status (admin only; farmers fulfil their own items via updateOrderItemStatus)
 export async function updateOrder(req, res) {
   const { orderId } = req.params;
-  const { status, notes } = req.body;
+  const { status, notes, reason } = req.body;
+
+  if (req.user.type !== "admin") {
+    return res.status(403).json({ message: "Only admins can change the status of a whole order" });
+  }
 
   try {
     const order = await Order.findOne({ orderId });
 
     if (!order) {
-      return res.json({ message: `Order with ID ${orderId} not found` });
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
     }
 
-    order.status = status;
+    transitionOrder(order, status, { actor: actorFromUser(req.user), reason });
+    applyOrderStatusToItems(order, status);
+    const collected = collectCashOnDelivery(order);
     order.notes = notes || order.notes; // Only update notes if provided
 
     await order.save();
+    await syncOrderEarnings(order, reason);
+    if (collected) await invoicePaidOrder(order);
+
+    // Stock goes back on the shelf when an order is called off
+    if (status === "cancelled") {
+      await releaseReservation(orderId, "cancelled");
+    }
 
     res.json({
       message: `Order with ID ${orderId} updated successfully`,
       order,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       message: `Error updating order: ${error.message}`,
     });
   }
 }
 
-// Cancel an order
+// Cancel an order and give its stock back
 export async function cancelOrder(req, res) {
   const { orderId } = req.params;
+  const { reason } = req.body || {};
 
   try {
     const order = await Order.findOne({ orderId });
 
     if (!order) {
-      return res.json({ message: `Order with ID ${orderId} not found` });
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
+    }
+
+    // Customers can only cancel their own orders
+    if (req.user.type === "customer" && order.customerEmail !== req.user.email) {
+      return res.status(403).json({ message: "You can only cancel your own orders" });
+    }
+
+    // A paid box is skipped by pausing the subscription, not by cancelling the delivery
+    if (req.user.type === "customer" && order.orderType === "subscription") {
+      return res.status(400).json({ message: "Subscription boxes cannot be cancelled, pause the subscription instead" });
     }
 
-    if (order.status === "shipped" || order.status === "completed") {
-      return res.json({ message: `Order cannot be cancelled, it's already ${order.status}` });
+    if (!ORDER_TRANSITIONS[order.orderStatus]?.includes("cancelled")) {
+      return res.status(400).json({ message: `Order cannot be cancelled, it's already ${order.orderStatus}` });
     }
 
-    order.status = "cancelled";
+    transitionOrder(order, "cancelled", { actor: actorFromUser(req.user), reason: reason || `Cancelled by ${req.user.type}` });
+    if (order.paymentStatus === "pending") {
+      order.paymentStatus = "cancelled";
+    }
     await order.save();
+    await releaseReservation(orderId, "cancelled");
+    await syncOrderEarnings(order, reason);
 
     res.json({
       message: `Order with ID ${orderId} has been cancelled`,
       order,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       message: `Error cancelling order: ${error.message}`,
     });
   }
 }
 
-// Get revenue stats (optional - for admin)
-export async function getRevenueStats(req, res) {
+// Get the status timeline of an order (its customer, admins, and farmers selling in it)
+export async function getOrderHistory(req, res) {
+  const { orderId } = req.params;
+
   try {
-    const orders = await Order.find();
+    const order = await Order.findOne({ orderId }).select("orderId orderStatus statusHistory customerEmail items.productId");
 
-    let totalRevenue = 0;
-    orders.forEach((order) => {
-      order.orderedItems.forEach((item) => {
-        totalRevenue += item.price * item.quantity;
+    if (!order) {
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
+    }
+
+    if (req.user.type === "customer" && order.customerEmail !== req.user.email) {
+      return res.status(403).json({ message: "You can only view your own orders" });
+    }
+
+    if (req.user.type === "farmer") {
+      const sellsInOrder = await Products.exists({
+        _id: { $in: order.items.map((item) => item.productId).filter(Boolean) },
+        owner: req.user.id,
       });
+      if (!sellsInOrder) {
+        return res.status(403).json({ message: "This order has none of your products" });
+      }
+    }
+
+    res.json({
+      orderId: order.orderId,
+      status: order.orderStatus,
+      nextStatuses: ORDER_TRANSITIONS[order.orderStatus] || [],
+      history: order.statusHistory,
     });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching order history: ${error.message}`,
+    });
+  }
+}
 
+// Record money paid outside the site, i.e. cash collected or a bank transfer received (admin only)
+export async function confirmPayment(req, res) {
+  const { orderId } = req.params;
+  const { reference, note } = req.body || {};
+
+  if (req.user.type !== "admin") {
+    return res.status(403).json({ message: "Only admins can confirm payments" });
+  }
+
+  try {
+    const order = await Order.findOne({ orderId });
+
+    if (!order) {
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
+    }
+
+    const provider = getPaymentProvider(order.paymentMethod);
+    const confirmed = await provider.confirmReceipt(order, {
+      reference: reference?.trim(),
+      note,
+      actor: actorFromUser(req.user),
+    });
+
+    res.status(200).json({ message: `Payment for order ${orderId} confirmed`, order: confirmed });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: `Error confirming payment: ${error.message}` });
+  }
+}
+
+// Refund a paid order in full, or only some of its lines (admin only)
+export async function createRefund(req, res) {
+  const { orderId } = req.params;
+  const { items, reason, restock } = req.body || {};
+
+  if (req.user.type !== "admin") {
+    return res.status(403).json({ message: "Only admins can refund orders" });
+  }
+
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ message: "items must be a list of { productId, quantity }" });
+  }
+
+  try {
+    const { refund, order } = await refundOrder(orderId, {
+      items,
+      reason,
+      restock: restock !== false,
+      actor: actorFromUser(req.user),
+    });
+
+    res.status(201).json({
+      message: `Refund ${refund.refundId} of ${refund.currency} ${refund.amount.toFixed(2)} completed`,
+      refund,
+      order,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      message: `Error refunding order: ${error.message}`,
+      refund: error.refund,
+    });
+  }
+}
+
+// List the refunds of an order (its customer and admins)
+export async function getOrderRefunds(req, res) {
+  const { orderId } = req.params;
+
+  try {
+    const order = await Order.findOne({ orderId }).select("orderId customerEmail paymentStatus totalAmount refundedAmount");
+
+    if (!order) {
+      return res.status(404).json({ message: `Order with ID ${orderId} not found` });
+    }
+
+    if (req.user.type !== "admin" && order.customerEmail !== req.user.email) {
+      return res.status(403).json({ message: "You can only view refunds of your own orders" });
+    }
+
+    res.json({
+      orderId: order.orderId,
+      paymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      refundedAmount: order.refundedAmount,
+      refunds: await listOrderRefunds(orderId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching refunds: ${error.message}`,
+    });
+  }
+}
+
+// Get revenue stats (admin only)
+export async function getRevenueStats(req, res) {
+  if (req.user.type !== "admin") {
+    return res.status(403).json({ message: "Admin access required" });
+  }
+
+  try {
+    // Subscription boxes are paid for by the subscription, not counted again here
+    const breakdown = await Order.aggregate([
+      { $match: { orderStatus: { $ne: "cancelled" }, orderType: { $ne: "subscription" } } },
+      {
+        $group: {
+          _id: "$paymentStatus",
+          revenue: { $sum: { $subtract: ["$totalAmount", { $ifNull: ["$refundedAmount", 0] }] } },
+          orders: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const revenueFor = (statuses) => breakdown
+      .filter((entry) => statuses.includes(entry._id))
+      .reduce((sum, entry) => sum + entry.revenue, 0);
+
+    // Only money actually taken and not refunded; payments still to come are reported apart
     res.json({
-      totalRevenue,
+      totalRevenue: revenueFor(["completed", "partially_refunded"]),
+      pendingRevenue: revenueFor(["pending"]),
+      byPaymentStatus: breakdown.map((entry) => ({
+        paymentStatus: entry._id,
+        revenue: entry.revenue,
+        orders: entry.orders,
+      })),
     });
   } catch (error) {
     res.status(500).json({
@@ -278,6 +515,63 @@ export async function getRevenueStats(req, res) {
   }
 }
 
+// Products owned by a farmer, for items saved before farmerId was recorded
+async function farmerProductIds(farmerId) {
+  const productIds = await Products.find({ owner: farmerId }).distinct('_id');
+  return { productIds, owned: new Set(productIds.map((id) => id.toString())) };
+}
+
+function isFarmerItem(item, farmerId, ownedProductIds) {
+  if (item.farmerId) return item.farmerId.toString() === farmerId;
+  return !!item.productId && ownedProductIds.has(item.productId.toString());
+}
+
+// Shape an order for the farmer views: the farmer's sub-order, or just their items for
+// orders placed before sub-orders existed
+function mapFarmerOrder(order, farmerId, ownedProductIds) {
+  const subOrder = order.subOrders.find((entry) => entry.farmerId.toString() === farmerId);
+  const items = order.items
+    .filter((item) => subOrder
+      ? item.subOrderId === subOrder.subOrderId
+      : isFarmerItem(item, farmerId, ownedProductIds))
+    .map((item) => ({
+      productId: item.productId,
+      name: item.productName,
+      price: item.price,
+      quantity: item.quantity,
+      image: item.image,
+      status: item.status,
+      statusUpdatedAt: item.statusUpdatedAt,
+      substitutedFor: item.substitutedFor,
+    }));
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  return {
+    id: order.orderId,
+    _id: order._id,
+    subOrderId: subOrder?.subOrderId,
+    orderType: order.orderType,
+    // Subscription boxes are due by this date
+    deliveryDate: order.deliveryDate,
+    customer: order.customerName,
+    // The farmer's own progress while the order is being fulfilled, otherwise the order's status
+    status: subOrder ? subOrder.status : deriveSubOrderStatus(order.orderStatus, items),
+    orderStatus: order.orderStatus,
+    paymentStatus: order.paymentStatus,
+    subtotal,
+    deliveryFee: subOrder?.deliveryFee || 0,
+    total: subOrder ? subOrder.total : subtotal,
+    items,
+    createdAt: order.createdAt,
+    shippingAddress: {
+      name: order.customerName,
+      street: order.address,
+      city: order.city,
+      phone: order.phoneNumber,
+    },
+  };
+}
+
 // Get orders containing farmer's products
 export async function getFarmerOrders(req, res) {
   try {
@@ -288,20 +582,18 @@ export async function getFarmerOrders(req, res) {
       });
     }
 
-    // Find all orders that contain products owned by this farmer
-    const orders = await Order.find()
-      .populate({
-        path: 'orderedItems.productId',
-        match: { owner: req.user._id }
-      });
+    const { productIds, owned } = await farmerProductIds(req.user.id);
 
-    // Filter orders that actually contain the farmer's products
-    const farmerOrders = orders.filter(order => 
-      order.orderedItems.some(item => item.productId && item.productId.owner.toString() === req.user._id.toString())
-    );
+    const orders = await Order.find({
+      $or: [
+        { 'subOrders.farmerId': req.user.id },
+        { 'items.farmerId': req.user.id },
+        { 'items.productId': { $in: productIds } },
+      ],
+    }).sort({ createdAt: -1 });
 
     res.json({
-      orders: farmerOrders
+      orders: orders.map((order) => mapFarmerOrder(order, req.user.id, owned))
     });
   } catch (error) {
     res.status(500).json({
@@ -310,49 +602,73 @@ export async function getFarmerOrders(req, res) {
   }
 }
 
-// Update order item status (for farmers to update status of their products in orders)
+// Update the fulfilment status of a farmer's items in an order.
+// Without a productId every item the farmer sells in the order is moved.
 export async function updateOrderItemStatus(req, res) {
-  try {
-    const { orderId, productId, status } = req.body;
+  const { orderId, productId, status } = req.body;
 
-    // Check if user is a farmer
-    if (!req.user || req.user.type !== 'farmer') {
-      return res.status(403).json({
-        message: "Only farmers can update product status in orders"
-      });
-    }
+  // Check if user is a farmer
+  if (!req.user || req.user.type !== 'farmer') {
+    return res.status(403).json({
+      message: "Only farmers can update product status in orders"
+    });
+  }
+
+  if (status === 'cancelled') {
+    return res.status(400).json({
+      message: "Items cannot be cancelled one by one, ask an admin to cancel the order"
+    });
+  }
+
+  try {
+    const order = await Order.findOne({ orderId });
 
-    // Find the order
-    const order = await Order.findById(orderId).populate('orderedItems.productId');
-    
     if (!order) {
       return res.status(404).json({
         message: "Order not found"
       });
     }
 
-    // Find the specific item and verify farmer owns the product
-    const orderItem = order.orderedItems.find(item => 
-      item.productId._id.toString() === productId && 
-      item.productId.owner.toString() === req.user._id.toString()
+    if (!FULFILMENT_STATUSES.includes(order.orderStatus)) {
+      return res.status(400).json({
+        message: order.orderStatus === 'pending'
+          ? "Order is still awaiting payment"
+          : `Order is ${order.orderStatus} and can no longer be fulfilled`
+      });
+    }
+
+    const { owned } = await farmerProductIds(req.user.id);
+    const farmerItems = order.items.filter((item) =>
+      isFarmerItem(item, req.user.id, owned) &&
+      (!productId || (item.productId && item.productId.toString() === productId))
     );
 
-    if (!orderItem) {
+    if (farmerItems.length === 0) {
       return res.status(404).json({
         message: "Product not found in order or you don't own this product"
       });
     }
 
-    // Update the item status
-    orderItem.status = status;
+    farmerItems.forEach((item) => {
+      item.farmerId = item.farmerId || req.user.id;
+      transitionItem(item, status);
+    });
+
+    syncOrderStatusWithItems(order, {
+      actor: actorFromUser(req.user),
+      reason: `Farmer marked items ${status}`,
+    });
+    const collected = collectCashOnDelivery(order);
     await order.save();
+    await syncOrderEarnings(order);
+    if (collected) await invoicePaidOrder(order);
 
     res.json({
       message: "Order item status updated successfully",
-      order
+      order: mapFarmerOrder(order, req.user.id, owned)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       message: `Error updating order item status: ${error.message}`,
     });
   }
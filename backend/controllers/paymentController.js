@@ -1,26 +1,54 @@
-import CartOrder from '../models/cartorder.js';
+import mongoose from 'mongoose';
+import Order from '../models/order.js';
 import FoodSubscription from '../models/Subscription.js';
 import FoodSubscriptionLog from '../models/SubscriptionLog.js';
+import PaymentEvent from '../models/paymentEvent.js';
+import { releaseReservation } from '../services/stockReservationService.js';
+import { transitionOrder, actorFromUser } from '../services/orderStatusService.js';
+import { confirmOrderPayment, failOrderPayment } from '../services/orderPaymentService.js';
+import { PAYHERE_STATUS, verifyPayHereNotification } from '../services/paymentVerificationService.js';
+import { openChargebackDispute } from '../services/disputeService.js';
+import { invoicePaidRenewal } from '../services/invoiceService.js';
+import { addBillingCycle, findPlan, firstPeriod } from '../services/subscriptionPlanService.js';
+import { stopRecurringCharges } from '../services/subscriptionService.js';
+import { orderSubscriptionBox, PLACEHOLDER_CUSTOMER_NAME } from '../services/subscriptionFulfilmentService.js';
+import { getPaymentProvider } from '../services/paymentProviders.js';
 import crypto from 'crypto';
 import CryptoJS from 'crypto-js';
 
 
 
+const payhereMode = process.env.PAYHERE_MODE?.trim() || 'sandbox';
+const isMockMode = payhereMode === 'mock';
+const notifyUrl = process.env.PAYHERE_NOTIFY_URL?.trim() || 'http://localhost:5000/api/payhere-notify';
+
 export const payhereConfig = {
-  merchantId: process.env.PAYHERE_MERCHANT_ID?.trim(),
-  merchantSecret: process.env.PAYHERE_MERCHANT_SECRET?.trim(),
+  // Mock mode runs fully offline against the built-in simulator, so it gets test credentials
+  merchantId: process.env.PAYHERE_MERCHANT_ID?.trim() || (isMockMode ? 'MOCK_MERCHANT' : undefined),
+  merchantSecret: process.env.PAYHERE_MERCHANT_SECRET?.trim() || (isMockMode ? 'MOCK_SECRET' : undefined),
   appId: process.env.PAYHERE_APP_ID?.trim(),
   appSecret: process.env.PAYHERE_APP_SECRET?.trim(),
-  mode: process.env.PAYHERE_MODE?.trim() || 'sandbox',
+  mode: payhereMode,
   returnUrl: process.env.PAYHERE_RETURN_URL?.trim() || 'http://localhost:5173/payment/status',
   cancelUrl: process.env.PAYHERE_CANCEL_URL?.trim() || 'http://localhost:5173/payment/cancelled',
-  notifyUrl: process.env.PAYHERE_NOTIFY_URL?.trim() || 'http://localhost:5000/api/payhere-notify',
+  notifyUrl: notifyUrl,
   
   apiBaseUrl: process.env.PAYHERE_MODE === 'live'
     ? 'https://www.payhere.lk/pay/api'
-    : 'https://sandbox.payhere.lk/pay/api'
+    : 'https://sandbox.payhere.lk/pay/api',
+
+  checkoutUrl: payhereMode === 'live'
+    ? 'https://www.payhere.lk/pay/checkout'
+    : isMockMode
+      ? `${new URL(notifyUrl).origin}/mock-payhere/pay/checkout`
+      : 'https://sandbox.payhere.lk/pay/checkout'
 };
 
+// The simulator may only be mounted outside production
+export const isPayHereMockEnabled = () =>
+  process.env.NODE_ENV !== 'production' &&
+  (payhereConfig.mode === 'mock' || process.env.PAYHERE_MOCK_ENABLED === 'true');
+
 // Validate PayHere Configuration
 export const validatePayHereConfig = () => {
   const issues = [];
@@ -80,12 +108,22 @@ export const verifyPayHereHash = (data, merchantSecret) => {
     md5sig
   } = data;
 
+  const localHash = signPayHereNotification(
+    { merchant_id, order_id, payhere_amount, payhere_currency, status_code },
+    merchantSecret
+  );
+
+  return localHash === md5sig.toUpperCase();
+};
+
+// md5sig PayHere attaches to every notification
+export const signPayHereNotification = (data, merchantSecret) => {
+  const { merchant_id, order_id, payhere_amount, payhere_currency, status_code } = data;
+
   const hashedSecret = crypto.createHash('md5').update(merchantSecret).digest('hex').toUpperCase();
   const amountFormatted = parseFloat(payhere_amount).toFixed(2);
   const hashString = `${merchant_id}${order_id}${amountFormatted}${payhere_currency}${status_code}${hashedSecret}`;
-  const localHash = crypto.createHash('md5').update(hashString).digest('hex').toUpperCase();
-
-  return localHash === md5sig.toUpperCase();
+  return crypto.createHash('md5').update(hashString).digest('hex').toUpperCase();
 };
 
 export const handleCartPaymentNotification = async (notificationData) => {
@@ -104,23 +142,20 @@ export const handleCartPaymentNotification = async (notificationData) => {
       statusCode: status_code
     });
 
-    const order = await CartOrder.findOne({ payhereOrderId: order_id });
+    const order = await Order.findOne({ payhereOrderId: order_id });
 
     if (!order) {
       console.error('Cart order not found:', order_id);
-      return;
+      throw new Error(`Cart order not found: ${order_id}`);
     }
 
-    if (status_code === '2') {
+    const outcome = PAYHERE_STATUS[status_code];
+
+    if (outcome === 'success') {
       console.log('Cart payment successful');
-      
-      order.paymentStatus = 'completed';
-      order.orderStatus = 'confirmed';
-      order.payherePaymentId = payment_id;
-      order.updatedAt = new Date();
-      
-      await order.save();
-      
+
+      await confirmOrderPayment(order, { paymentId: payment_id, reason: `PayHere payment ${payment_id} completed` });
+
       console.log('Cart order updated successfully:', {
         orderId: order.orderId,
         status: order.paymentStatus
@@ -128,19 +163,114 @@ export const handleCartPaymentNotification = async (notificationData) => {
       
     } else {
       console.log('Cart payment failed:', status_message);
-      
-      order.paymentStatus = 'failed';
-      order.orderStatus = 'cancelled';
-      order.updatedAt = new Date();
-      
-      await order.save();
+
+      await failOrderPayment(order, { outcome, reason: status_message || `PayHere status ${status_code}` });
     }
 
   } catch (error) {
     console.error('Failed to handle cart payment notification:', error);
+    throw error;
   }
 };
 
+// First payment of a resume, reactivation or plan change checkout (see services/subscriptionService.js):
+// charges restart under the new recurring token and a new paid period begins
+const applyRestartPayment = async (subscription, notificationData) => {
+  const { payment_id, payhere_amount, recurring_token, next_occurrence_date } = notificationData;
+  const now = new Date();
+  const action = subscription.restartAction || 'reactivated';
+  // A copy, since the pending change is cleared below
+  const planChange = action === 'plan_changed' && subscription.pendingPlanChange?.planId
+    ? subscription.toObject().pendingPlanChange
+    : null;
+  const previousPlanId = subscription.planId;
+
+  // The old recurring payment keeps charging the old price until it is cancelled
+  const charges = planChange ? await stopRecurringCharges(subscription) : {};
+  let periodStart = subscription.endDate > now ? subscription.endDate : now;
+  // A plan changed now gets its first box now; otherwise it comes when the new period starts
+  const deliverFrom = planChange?.timing === 'now' ? now : periodStart;
+
+  if (planChange) {
+    subscription.planId = planChange.planId;
+    subscription.planName = planChange.planName;
+    subscription.amount = planChange.amount;
+    subscription.currency = planChange.currency;
+    subscription.billingCycle = planChange.billingCycle;
+    periodStart = new Date(periodStart.getTime() + (planChange.creditDays || 0) * 24 * 60 * 60 * 1000);
+  }
+
+  subscription.status = 'active';
+  subscription.autoRenew = !!recurring_token;
+  subscription.payhereRecurringToken = recurring_token || subscription.payhereRecurringToken;
+  subscription.payherePaymentId = payment_id;
+  subscription.endDate = addBillingCycle(periodStart, subscription.billingCycle);
+  subscription.nextBillingDate = next_occurrence_date ?
+    new Date(next_occurrence_date) :
+    addBillingCycle(now, subscription.billingCycle);
+  subscription.renewalAttempts = 0;
+  subscription.paymentFailure = false;
+  subscription.cancellationScheduled = false;
+  subscription.cancellationEffectiveDate = undefined;
+  subscription.cancellationReason = undefined;
+  subscription.pausedAt = undefined;
+  subscription.pauseCycles = undefined;
+  subscription.resumeDate = undefined;
+  subscription.restartOrderId = undefined;
+  subscription.restartAction = undefined;
+  subscription.pendingPlanChange = undefined;
+
+  subscription.renewalHistory.push({
+    renewalDate: now,
+    amount: parseFloat(payhere_amount),
+    status: 'success',
+    paymentId: payment_id,
+    attempt: 1,
+    payhereToken: recurring_token,
+    planChange: planChange ? {
+      fromPlanId: previousPlanId,
+      toPlanId: planChange.planId,
+      timing: planChange.timing,
+      prorationCredit: planChange.prorationCredit,
+      prorationCharge: planChange.prorationCharge,
+      creditDays: planChange.creditDays
+    } : undefined
+  });
+
+  await subscription.save();
+  await invoicePaidRenewal(subscription, subscription.renewalHistory[subscription.renewalHistory.length - 1]);
+  await orderSubscriptionBox(subscription, { paymentId: payment_id, deliverFrom });
+
+  await FoodSubscriptionLog.create({
+    subscriptionId: subscription._id,
+    userEmail: subscription.userEmail,
+    action,
+    details: {
+      paymentId: payment_id,
+      planId: subscription.planId,
+      amount: parseFloat(payhere_amount),
+      currency: subscription.currency,
+      autoRenewal: subscription.autoRenew,
+      recurringToken: !!recurring_token,
+      payhereToken: recurring_token,
+      ...(planChange && {
+        reason: `Changed from ${previousPlanId} to ${planChange.planId} (${planChange.timing})`,
+        previousPlanId,
+        prorationCredit: planChange.prorationCredit,
+        prorationCharge: planChange.prorationCharge,
+        creditDays: planChange.creditDays,
+        ...charges
+      })
+    }
+  });
+
+  console.log(`Food subscription ${action}:`, {
+    id: subscription._id,
+    endDate: subscription.endDate,
+    nextBilling: subscription.nextBillingDate
+  });
+};
+
 // Handle initial food subscription payment
 export const handleInitialFoodPaymentWithRecurring = async (notificationData) => {
   try {
@@ -156,7 +286,7 @@ export const handleInitialFoodPaymentWithRecurring = async (notificationData) =>
       next_occurrence_date
     } = notificationData;
 
-    const planId = custom_1?.replace('plan_', '') || 'food_premium';
+    const planId = custom_1?.replace('plan_', '');
     const isRecurring = custom_2 === 'food_monthly_recurring';
 
     console.log('Processing initial food payment:', {
@@ -167,6 +297,12 @@ export const handleInitialFoodPaymentWithRecurring = async (notificationData) =>
       isRecurring
     });
 
+    const restartingSubscription = await FoodSubscription.findOne({ restartOrderId: order_id });
+    if (restartingSubscription) {
+      await applyRestartPayment(restartingSubscription, notificationData);
+      return;
+    }
+
     const existingSubscription = await FoodSubscription.findOne({ payhereOrderId: order_id });
 
     if (existingSubscription) {
@@ -179,34 +315,51 @@ export const handleInitialFoodPaymentWithRecurring = async (notificationData) =>
         existingSubscription.status = 'active';
         existingSubscription.nextBillingDate = next_occurrence_date ?
           new Date(next_occurrence_date) :
-          new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+          addBillingCycle(new Date(), existingSubscription.billingCycle);
         existingSubscription.updatedAt = new Date();
 
         await existingSubscription.save();
         console.log('Existing food subscription updated with auto-renewal');
       }
+
+      // The checkout page records the first payment under the order id before PayHere
+      // tells us the payment id; point it at the real payment and invoice it
+      const firstPayment = existingSubscription.renewalHistory.find(entry => entry.paymentId === order_id) ||
+        existingSubscription.renewalHistory.find(entry => entry.paymentId === payment_id);
+      if (firstPayment) {
+        firstPayment.paymentId = payment_id;
+        firstPayment.status = 'success';
+        existingSubscription.payherePaymentId = payment_id;
+        await existingSubscription.save();
+        await invoicePaidRenewal(existingSubscription, firstPayment);
+      }
+      await orderSubscriptionBox(existingSubscription, { paymentId: payment_id, deliverFrom: existingSubscription.startDate });
       return;
     }
 
-    const startDate = new Date();
-    const endDate = new Date(startDate);
-    endDate.setMonth(endDate.getMonth() + 1);
+    // Retired plans still count; the notification was checked against the plan's price
+    const plan = await findPlan(planId);
+    if (!plan) {
+      throw new Error(`Subscription plan not found for food payment: ${custom_1}`);
+    }
+    const { startDate, trialEndsAt, endDate } = firstPeriod(plan);
 
     const nextBillingDate = isRecurring && recurring_token ?
-      (next_occurrence_date ? new Date(next_occurrence_date) : endDate) :
+      (next_occurrence_date ? new Date(next_occurrence_date) : addBillingCycle(startDate, plan.billingCycle)) :
       null;
 
     const subscription = new FoodSubscription({
       userEmail: email || 'customer@example.com',
-      customerName: 'Food Subscriber',
+      customerName: PLACEHOLDER_CUSTOMER_NAME,
       phoneNumber: '0771234567',
       address: 'Colombo, Sri Lanka',
-      planId: planId,
-      planName: 'Premium Food Subscription',
+      planId: plan.planId,
+      planName: plan.name,
       status: 'active',
       amount: parseFloat(payhere_amount),
       currency: payhere_currency,
-      billingCycle: 'monthly',
+      billingCycle: plan.billingCycle,
+      trialEndsAt: trialEndsAt,
       paymentMethod: 'payhere',
       payhereOrderId: order_id,
       payherePaymentId: payment_id,
@@ -228,6 +381,8 @@ export const handleInitialFoodPaymentWithRecurring = async (notificationData) =>
     });
 
     await subscription.save();
+    await invoicePaidRenewal(subscription, subscription.renewalHistory[0]);
+    await orderSubscriptionBox(subscription, { paymentId: payment_id, deliverFrom: startDate });
 
     await FoodSubscriptionLog.create({
       subscriptionId: subscription._id,
@@ -252,6 +407,7 @@ export const handleInitialFoodPaymentWithRecurring = async (notificationData) =>
 
   } catch (error) {
     console.error('Failed to handle initial food payment with recurring:', error);
+    throw error;
   }
 };
 
@@ -279,6 +435,11 @@ export const handleRecurringFoodPayment = async (notificationData) => {
 
     if (!subscription) {
       console.error('Food subscription not found for recurring payment');
+      throw new Error(`Food subscription not found for recurring payment: ${subscription_id}`);
+    }
+
+    if (payment_id && subscription.renewalHistory.some(entry => entry.paymentId === payment_id)) {
+      console.log('Recurring food payment already recorded, skipping:', payment_id);
       return;
     }
 
@@ -286,8 +447,7 @@ export const handleRecurringFoodPayment = async (notificationData) => {
       console.log('Recurring food payment successful');
 
       const currentEndDate = new Date(subscription.endDate);
-      const newEndDate = new Date(currentEndDate);
-      newEndDate.setMonth(newEndDate.getMonth() + 1);
+      const newEndDate = addBillingCycle(currentEndDate, subscription.billingCycle);
 
       subscription.status = 'active';
       subscription.endDate = newEndDate;
@@ -307,6 +467,9 @@ export const handleRecurringFoodPayment = async (notificationData) => {
       });
 
       await subscription.save();
+      await invoicePaidRenewal(subscription, subscription.renewalHistory[subscription.renewalHistory.length - 1]);
+      // The box for the period just paid for
+      await orderSubscriptionBox(subscription, { paymentId: payment_id, deliverFrom: currentEndDate });
 
       await FoodSubscriptionLog.create({
         subscriptionId: subscription._id,
@@ -366,6 +529,7 @@ export const handleRecurringFoodPayment = async (notificationData) => {
 
   } catch (error) {
     console.error('Failed to handle recurring food payment:', error);
+    throw error;
   }
 };
 
@@ -415,5 +579,398 @@ export const handleFailedFoodPayment = async (notificationData) => {
 
   } catch (error) {
     console.error('Failed to handle failed food payment:', error);
+    throw error;
+  }
+};
+
+// PAYMENT EVENT LEDGER
+
+// Unique key for a notification: PayHere re-sends the exact same
+// payment_id/order_id/status_code when it retries a notify
+export const buildPaymentEventKey = ({ payment_id, order_id, status_code }) =>
+  `${payment_id || 'none'}|${order_id}|${status_code}`;
+
+// Work out which handler a notification belongs to
+export const resolveNotificationType = (notificationData) => {
+  const { custom_1, custom_2, status_code, subscription_id, item_rec_install_paid } = notificationData;
+
+  if (custom_1 === 'cart_order') return 'cart';
+
+  const isFoodPayment = custom_2 === 'food_monthly_recurring' || custom_1?.startsWith('plan_');
+  if (!isFoodPayment && !subscription_id) return 'unknown';
+
+  // Installment counter only goes past 1 on automatic renewals
+  if (subscription_id && parseInt(item_rec_install_paid) > 1) return 'food_recurring';
+
+  return status_code === '2' ? 'food_initial' : 'food_failed';
+};
+
+const notificationHandlers = {
+  cart: handleCartPaymentNotification,
+  food_initial: handleInitialFoodPaymentWithRecurring,
+  food_recurring: handleRecurringFoodPayment,
+  food_failed: handleFailedFoodPayment
+};
+
+// What a signed notification records on its event
+const verifiedEventFields = (notificationData) => ({
+  paymentId: notificationData.payment_id,
+  orderId: notificationData.order_id,
+  statusCode: notificationData.status_code,
+  subscriptionId: notificationData.subscription_id,
+  type: resolveNotificationType(notificationData),
+  status: 'received',
+  signatureValid: true,
+  rawPayload: { ...notificationData }
+});
+
+// Persist the notification, or bump the delivery counter if we have seen it before
+export const recordPaymentEvent = async (notificationData) => {
+  const eventKey = buildPaymentEventKey(notificationData);
+  const signatureValid = getPaymentProvider('payhere').verifyCallback(notificationData);
+
+  const update = {
+    $setOnInsert: {
+      eventKey,
+      ...verifiedEventFields(notificationData),
+      status: signatureValid ? 'received' : 'rejected',
+      signatureValid,
+      createdAt: new Date()
+    },
+    $set: { lastReceivedAt: new Date(), updatedAt: new Date() },
+    $inc: { deliveryCount: 1 }
+  };
+
+  let event;
+  try {
+    event = await PaymentEvent.findOneAndUpdate({ eventKey }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two deliveries raced on the unique key; the other one created the event
+    if (error.code !== 11000) throw error;
+    event = await PaymentEvent.findOneAndUpdate({ eventKey }, { $set: update.$set, $inc: update.$inc }, { new: true });
+  }
+
+  // A forged or unsigned post (or one made while the secret was misconfigured) may have
+  // taken the key first; the genuine notification replaces it instead of being rejected
+  if (signatureValid && !event.signatureValid) {
+    event = await PaymentEvent.findOneAndUpdate(
+      { eventKey, signatureValid: false },
+      { $set: { ...verifiedEventFields(notificationData), updatedAt: new Date() } },
+      { new: true }
+    ) || await PaymentEvent.findOne({ eventKey });
+    console.log('Rejected PayHere event replaced by a signed notification:', eventKey);
+  }
+
+  return event;
+};
+
+// Run the handler for an event that has already been claimed
+const applyPaymentEvent = async (event) => {
+  const handler = notificationHandlers[event.type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for notification type: ${event.type}`);
+    }
+
+    const outcome = PAYHERE_STATUS[event.statusCode];
+
+    // PayHere posts status 0 while the payment is still being authorised; the
+    // final status arrives as a separate notification
+    if (outcome === 'pending') {
+      console.log('PayHere payment pending, nothing to apply yet:', event.eventKey);
+    } else if (outcome === 'chargeback') {
+      // Chargebacks are disputed rather than applied straight away
+      await openChargebackDispute(event.rawPayload, {
+        eventKey: event.eventKey,
+        source: event.type === 'cart' ? 'order' : 'subscription'
+      });
+    } else {
+      await handler(event.rawPayload);
+    }
+
+    event.status = 'processed';
+    event.processedAt = new Date();
+    event.lastError = undefined;
+  } catch (error) {
+    event.status = 'failed';
+    event.lastError = error.message;
+  }
+
+  await event.save();
+  return event;
+};
+
+// How long an event may sit in 'processing' before a replay may assume its handler died
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Atomically move an event into 'processing' so only one caller applies it
+const claimPaymentEvent = (eventId, fromStatuses) =>
+  PaymentEvent.findOneAndUpdate(
+    { _id: eventId, signatureValid: true, status: { $in: fromStatuses } },
+    { $set: { status: 'processing', updatedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+// Take over an event left in 'processing' longer than PROCESSING_TIMEOUT_MS
+const claimStalePaymentEvent = (eventId) =>
+  PaymentEvent.findOneAndUpdate(
+    { _id: eventId, signatureValid: true, status: 'processing', updatedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } },
+    { $set: { updatedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+// Hold the order for review while a suspicious payment is looked at
+const flagOrderForReview = (event) => {
+  if (event.type !== 'cart') return null;
+
+  return Order.updateOne(
+    { payhereOrderId: event.orderId },
+    {
+      $set: {
+        paymentReview: {
+          status: 'pending',
+          eventKey: event.eventKey,
+          issues: event.verificationIssues.map(issue => issue.message),
+          flaggedAt: new Date()
+        },
+        updatedAt: new Date()
+      }
+    }
+  );
+};
+
+// Check a claimed event against our records before applying it.
+// Anything that does not match is parked as 'suspicious' for an admin.
+const verifyAndApplyPaymentEvent = async (event) => {
+  try {
+    const issues = await verifyPayHereNotification(event.rawPayload, {
+      type: event.type,
+      merchantId: payhereConfig.merchantId
+    });
+    event.verificationIssues = issues;
+    event.verifiedAt = new Date();
+
+    if (issues.length === 0) {
+      return applyPaymentEvent(event);
+    }
+
+    event.status = 'suspicious';
+    event.lastError = issues.map(issue => issue.message).join('; ');
+    await event.save();
+    await flagOrderForReview(event);
+
+    console.warn('⚠️ Suspicious PayHere notification held for review:', {
+      eventKey: event.eventKey,
+      issues: issues.map(issue => issue.check)
+    });
+    return event;
+  } catch (error) {
+    event.status = 'failed';
+    event.lastError = `Verification failed: ${error.message}`;
+    await event.save();
+    return event;
+  }
+};
+
+// Entry point for the notify URL: record, deduplicate, verify, apply exactly once
+export const processPayHereNotification = async (notificationData) => {
+  const event = await recordPaymentEvent(notificationData);
+
+  console.log('PayHere notification recorded:', {
+    eventKey: event.eventKey,
+    type: event.type,
+    status: event.status,
+    deliveryCount: event.deliveryCount
+  });
+
+  if (!event.signatureValid) {
+    console.error('PayHere notification rejected - invalid signature:', event.eventKey);
+    return { applied: false, reason: 'invalid_signature', event };
+  }
+
+  // A failed event may be retried by a later delivery; a processed one never is
+  const claimed = await claimPaymentEvent(event._id, ['received', 'failed']);
+  if (!claimed) {
+    console.log('Duplicate PayHere notification ignored:', event.eventKey);
+    return { applied: false, reason: 'duplicate', event };
+  }
+
+  const result = await verifyAndApplyPaymentEvent(claimed);
+  return {
+    applied: result.status === 'processed',
+    reason: result.status === 'suspicious' ? 'suspicious' : result.lastError,
+    event: result
+  };
+};
+
+// ADMIN: PAYMENT EVENT AUDIT
+
+// List recorded notifications
+export const listPaymentEvents = async (req, res) => {
+  try {
+    const { status, type, orderId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (orderId) filter.orderId = orderId;
+
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(filter)
+        .select('-rawPayload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Failed to list payment events:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payment events: ' + error.message });
+  }
+};
+
+// Single notification including the raw PayHere payload
+export const getPaymentEvent = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.eventId)) {
+    return res.status(404).json({ success: false, message: 'Payment event not found' });
+  }
+
+  try {
+    const event = await PaymentEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Payment event not found' });
+    }
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Failed to fetch payment event:', error);
+    res.status(500).json({ success: false, message: 'Error fetching payment event: ' + error.message });
+  }
+};
+
+// Re-run a notification that was never applied successfully
+export const replayPaymentEvent = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.eventId)) {
+    return res.status(404).json({ success: false, message: 'Payment event not found' });
+  }
+
+  try {
+    const event = await PaymentEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Payment event not found' });
+    }
+    if (!event.signatureValid) {
+      return res.status(400).json({ success: false, message: 'Cannot replay a notification with an invalid signature' });
+    }
+
+    // An event still 'processing' may be being applied by its notification right now;
+    // it is only taken over once it has been stuck there for PROCESSING_TIMEOUT_MS
+    const claimed = await claimPaymentEvent(event._id, ['received', 'failed']) ||
+      await claimStalePaymentEvent(event._id);
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: `Payment event is already ${event.status}` });
+    }
+
+    const result = await verifyAndApplyPaymentEvent(claimed);
+    result.replays.push({
+      replayedBy: req.user.email,
+      result: result.status === 'processed' ? 'processed' : 'failed',
+      error: result.lastError
+    });
+    await result.save();
+
+    console.log('Payment event replayed:', { eventKey: result.eventKey, status: result.status, by: req.user.email });
+
+    res.json({
+      success: result.status === 'processed',
+      message: result.status === 'processed' ? 'Payment event replayed successfully' : 'Payment event replay failed',
+      event: result
+    });
+  } catch (error) {
+    console.error('Failed to replay payment event:', error);
+    res.status(500).json({ success: false, message: 'Error replaying payment event: ' + error.message });
+  }
+};
+
+// Close the review on the order; a rejected payment never confirms it
+const closeOrderReview = async (event, user) => {
+  if (event.type !== 'cart') return null;
+
+  const order = await Order.findOne({ payhereOrderId: event.orderId, 'paymentReview.eventKey': event.eventKey });
+  if (!order) return null;
+
+  order.paymentReview.status = event.review.decision;
+  order.paymentReview.reviewedBy = user.email;
+  order.paymentReview.reviewedAt = new Date();
+
+  const releaseStock = event.review.decision === 'rejected' && order.orderStatus === 'pending';
+  if (releaseStock) {
+    order.paymentStatus = 'failed';
+    transitionOrder(order, 'cancelled', {
+      actor: actorFromUser(user),
+      reason: event.review.note ? `Payment rejected after review: ${event.review.note}` : 'Payment rejected after review'
+    });
+  }
+
+  await order.save();
+  if (releaseStock) {
+    await releaseReservation(order.orderId, 'payment_failed');
+  }
+  return order;
+};
+
+// Approve (apply anyway) or reject a payment that failed verification
+export const reviewPaymentEvent = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: "Decision must be 'approve' or 'reject'" });
+    }
+
+    const claimed = await claimPaymentEvent(req.params.eventId, ['suspicious']);
+    if (!claimed) {
+      const event = await PaymentEvent.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, message: 'Payment event not found' });
+      }
+      return res.status(409).json({ success: false, message: `Only suspicious payments can be reviewed, this one is ${event.status}` });
+    }
+
+    claimed.review = {
+      decision: decision === 'approve' ? 'approved' : 'rejected',
+      note,
+      reviewedBy: req.user.email,
+      reviewedAt: new Date()
+    };
+
+    let result;
+    if (decision === 'approve') {
+      result = await applyPaymentEvent(claimed);
+    } else {
+      claimed.status = 'rejected';
+      result = await claimed.save();
+    }
+    await closeOrderReview(result, req.user);
+
+    console.log('Suspicious payment reviewed:', { eventKey: result.eventKey, decision: result.review.decision, status: result.status, by: req.user.email });
+
+    res.json({
+      success: result.status !== 'failed',
+      message: result.status === 'failed'
+        ? 'Payment approved but could not be applied: ' + result.lastError
+        : `Payment ${result.review.decision}`,
+      event: result
+    });
+  } catch (error) {
+    console.error('Failed to review payment event:', error);
+    res.status(500).json({ success: false, message: 'Error reviewing payment event: ' + error.message });
   }
 };
@@ -0,0 +1,237 @@
+// controllers/payoutController.js
+
+import mongoose from "mongoose";
+import FarmerLedgerEntry from "../models/farmerLedgerEntry.js";
+import Settlement from "../models/settlement.js";
+import {
+  PLATFORM_COMMISSION_RATE,
+  summarizeLedger,
+  recordAdjustment,
+  createSettlements,
+  markSettlementPaid,
+} from "../services/payoutService.js";
+
+// Ledger entries of a farmer, newest first, optionally limited to a date range
+function ledgerQuery(farmerId, { from, to } = {}) {
+  const query = { farmerId };
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return FarmerLedgerEntry.find(query).sort({ createdAt: -1 });
+}
+
+// The from/to query parameter that is not a valid date, if any
+const invalidDateParam = (query) =>
+  ["from", "to"].find((name) => query[name] && isNaN(new Date(query[name]).getTime()));
+
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function ledgerToCsv(entries) {
+  const header = ["Date", "Type", "Description", "Order", "Sub-order", "Amount", "Currency", "Settlement"];
+  const rows = entries.map((entry) => [
+    entry.createdAt.toISOString(),
+    entry.type,
+    entry.description,
+    entry.orderId,
+    entry.subOrderId,
+    entry.amount.toFixed(2),
+    entry.currency,
+    entry.settlementId,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvValue).join(",")).join("\n");
+}
+
+function requireFarmer(req, res) {
+  if (req.user.type !== "farmer") {
+    res.status(403).json({ message: "Only farmers have earnings" });
+    return false;
+  }
+  return true;
+}
+
+// Get the logged in farmer's earnings summary, recent ledger entries and settlements
+export async function getMyEarnings(req, res) {
+  if (!requireFarmer(req, res)) return;
+  const badDate = invalidDateParam(req.query);
+  if (badDate) {
+    return res.status(400).json({ message: `Invalid ${badDate} date` });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const [summary, entries, settlements] = await Promise.all([
+      summarizeLedger(req.user.id),
+      ledgerQuery(req.user.id, req.query).limit(limit),
+      Settlement.find({ farmerId: req.user.id }).sort({ createdAt: -1 }).limit(20),
+    ]);
+
+    res.json({
+      commissionRate: PLATFORM_COMMISSION_RATE,
+      summary,
+      entries,
+      settlements,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching earnings: ${error.message}`,
+    });
+  }
+}
+
+// Download the logged in farmer's ledger as CSV
+export async function exportMyEarnings(req, res) {
+  if (!requireFarmer(req, res)) return;
+  const badDate = invalidDateParam(req.query);
+  if (badDate) {
+    return res.status(400).json({ message: `Invalid ${badDate} date` });
+  }
+
+  try {
+    const entries = await ledgerQuery(req.user.id, req.query);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="earnings-${new Date().toISOString().split("T")[0]}.csv"`);
+    res.send(ledgerToCsv(entries));
+  } catch (error) {
+    res.status(500).json({
+      message: `Error exporting earnings: ${error.message}`,
+    });
+  }
+}
+
+// Get one farmer's ledger (admin only)
+export async function getFarmerLedger(req, res) {
+  const { farmerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(farmerId)) {
+    return res.status(400).json({ message: "Invalid farmer ID" });
+  }
+  const badDate = invalidDateParam(req.query);
+  if (badDate) {
+    return res.status(400).json({ message: `Invalid ${badDate} date` });
+  }
+
+  try {
+    const [summary, entries] = await Promise.all([
+      summarizeLedger(farmerId),
+      ledgerQuery(farmerId, req.query).limit(500),
+    ]);
+    res.json({ farmerId, summary, entries });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching farmer ledger: ${error.message}`,
+    });
+  }
+}
+
+// Add a manual credit or debit to a farmer's ledger (admin only)
+export async function createAdjustment(req, res) {
+  const { farmerId, amount, description } = req.body;
+  const value = Number(amount);
+
+  if (!mongoose.Types.ObjectId.isValid(farmerId)) {
+    return res.status(400).json({ message: "Invalid farmer ID" });
+  }
+  if (!Number.isFinite(value) || value === 0) {
+    return res.status(400).json({ message: "Amount must be a non-zero number" });
+  }
+  if (!description?.trim()) {
+    return res.status(400).json({ message: "A description is required for adjustments" });
+  }
+
+  try {
+    const entry = await recordAdjustment({
+      farmerId,
+      amount: value,
+      description: description.trim(),
+      actor: req.user,
+    });
+    res.status(201).json({ message: "Adjustment recorded", entry });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error recording adjustment: ${error.message}`,
+    });
+  }
+}
+
+// List settlements: farmers see their own, admins see all (filterable by farmerId and status)
+export async function listSettlements(req, res) {
+  try {
+    const query = {};
+    if (req.user.type === "farmer") {
+      query.farmerId = req.user.id;
+    } else if (req.user.type === "admin") {
+      if (req.query.farmerId) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.farmerId)) {
+          return res.status(400).json({ message: "Invalid farmer ID" });
+        }
+        query.farmerId = req.query.farmerId;
+      }
+    } else {
+      return res.status(403).json({ message: "Access denied" });
+    }
+    if (req.query.status) query.status = req.query.status;
+
+    const settlements = await Settlement.find(query)
+      .sort({ createdAt: -1 })
+      .populate("farmerId", "firstName lastName email");
+    res.json({ settlements });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error fetching settlements: ${error.message}`,
+    });
+  }
+}
+
+// Settle every farmer's unsettled balance up to periodEnd (admin only)
+export async function createSettlementBatch(req, res) {
+  const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+
+  if (isNaN(periodEnd.getTime())) {
+    return res.status(400).json({ message: "Invalid periodEnd date" });
+  }
+
+  try {
+    const settlements = await createSettlements(periodEnd);
+    console.log(`💰 Created ${settlements.length} farmer settlements up to ${periodEnd.toISOString()}`);
+    res.status(201).json({
+      message: `${settlements.length} settlements created`,
+      settlements,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error creating settlements: ${error.message}`,
+    });
+  }
+}
+
+// Mark a settlement as paid out (admin only)
+export async function paySettlement(req, res) {
+  const { settlementId } = req.params;
+  const { paymentReference } = req.body;
+
+  try {
+    const settlement = await markSettlementPaid(settlementId, {
+      paidBy: req.user.id,
+      paymentReference,
+    });
+
+    if (!settlement) {
+      const existing = await Settlement.exists({ settlementId });
+      return existing
+        ? res.status(409).json({ message: `Settlement ${settlementId} is already paid` })
+        : res.status(404).json({ message: `Settlement ${settlementId} not found` });
+    }
+
+    res.json({ message: `Settlement ${settlementId} marked as paid`, settlement });
+  } catch (error) {
+    res.status(500).json({
+      message: `Error updating settlement: ${error.message}`,
+    });
+  }
+}
@@ -0,0 +1,92 @@
+// controllers/pricingController.js
+
+import mongoose from "mongoose";
+import TaxRule from "../models/taxRule.js";
+import ShippingRule from "../models/shippingRule.js";
+
+const TAX_RULE_FIELDS = ["name", "category", "rate", "inclusive", "active"];
+const SHIPPING_RULE_FIELDS = ["name", "areas", "basis", "baseFee", "tiers", "freeShippingThreshold", "active"];
+
+// Only the rule's own fields, so a request cannot set _id or timestamps
+function pickRuleFields(body, fields) {
+  return Object.fromEntries(fields.filter(field => body?.[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function ruleErrorStatus(error) {
+  return error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError ? 400 : 500;
+}
+
+// Create, update or delete one rule of the given model and answer with it
+async function createRule(Model, fields, req, res) {
+  try {
+    const rule = await Model.create(pickRuleFields(req.body, fields));
+    res.status(201).json({ message: `${rule.name} created`, rule });
+  } catch (error) {
+    res.status(ruleErrorStatus(error)).json({ message: `Error creating rule: ${error.message}` });
+  }
+}
+
+async function updateRule(Model, fields, req, res) {
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await Model.findByIdAndUpdate(ruleId, pickRuleFields(req.body, fields), { new: true, runValidators: true });
+    if (!rule) {
+      return res.status(404).json({ message: `Rule ${ruleId} not found` });
+    }
+    res.json({ message: `${rule.name} updated`, rule });
+  } catch (error) {
+    res.status(ruleErrorStatus(error)).json({ message: `Error updating rule: ${error.message}` });
+  }
+}
+
+async function deleteRule(Model, req, res) {
+  const { ruleId } = req.params;
+
+  try {
+    const rule = await Model.findByIdAndDelete(ruleId);
+    if (!rule) {
+      return res.status(404).json({ message: `Rule ${ruleId} not found` });
+    }
+    res.json({ message: `${rule.name} deleted` });
+  } catch (error) {
+    res.status(ruleErrorStatus(error)).json({ message: `Error deleting rule: ${error.message}` });
+  }
+}
+
+// Every tax and shipping rule, active or not
+export async function listPricingRules(req, res) {
+  try {
+    const [taxRules, shippingRules] = await Promise.all([
+      TaxRule.find().sort({ category: 1, updatedAt: -1 }),
+      ShippingRule.find().sort({ updatedAt: -1 }),
+    ]);
+    res.json({ taxRules, shippingRules });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching pricing rules: ${error.message}` });
+  }
+}
+
+export async function createTaxRule(req, res) {
+  await createRule(TaxRule, TAX_RULE_FIELDS, req, res);
+}
+
+export async function updateTaxRule(req, res) {
+  await updateRule(TaxRule, TAX_RULE_FIELDS, req, res);
+}
+
+export async function deleteTaxRule(req, res) {
+  await deleteRule(TaxRule, req, res);
+}
+
+export async function createShippingRule(req, res) {
+  await createRule(ShippingRule, SHIPPING_RULE_FIELDS, req, res);
+}
+
+export async function updateShippingRule(req, res) {
+  await updateRule(ShippingRule, SHIPPING_RULE_FIELDS, req, res);
+}
+
+export async function deleteShippingRule(req, res) {
+  await deleteRule(ShippingRule, req, res);
+}
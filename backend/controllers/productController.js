@@ -51,7 +51,7 @@ export async function newProducts(req, res) {
   }
 
   // Destructure the product details from the request body
-  const { productName, price, description, quantityInStock, expiryDate, images } = req.body;
+  const { productName, price, description, quantityInStock, expiryDate, images, category, weight } = req.body;
   if (images && Array.isArray(images)) {
     images.forEach((img, idx) => {
       if (typeof img === 'string') {
@@ -78,6 +78,8 @@ export async function newProducts(req, res) {
     description,
     quantityInStock: Number(quantityInStock),
     expiryDate,
+    category: category || undefined,
+    weight: weight ? Number(weight) : undefined,
   images: images && Array.isArray(images) ? images.map(i => typeof i === 'string' ? i.trim() : i) : [],
     owner: req.user.id || req.user._id,  // Link the product to the logged-in farmer (try both id and _id)
   });
@@ -0,0 +1,94 @@
+// controllers/promotionController.js
+
+import mongoose from "mongoose";
+import Promotion from "../models/promotion.js";
+import { listLivePromotions } from "../services/promotionService.js";
+
+const PROMOTION_FIELDS = [
+  "code", "title", "description", "image",
+  "discountType", "discountValue", "maxDiscount", "minOrderAmount", "categories", "firstOrderOnly",
+  "startsAt", "endsAt", "usageLimit", "usageLimitPerCustomer", "active", "listed",
+];
+
+// Only fields an admin sets; usedCount is kept by checkout
+function pickPromotionFields(body) {
+  return Object.fromEntries(PROMOTION_FIELDS.filter(field => body?.[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function promotionErrorStatus(error) {
+  if (error.code === 11000) return 409;
+  return error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError ? 400 : 500;
+}
+
+// What customers see of a promotion
+const publicPromotion = (promotion) => ({
+  code: promotion.code,
+  title: promotion.title,
+  description: promotion.description,
+  image: promotion.image,
+  discountType: promotion.discountType,
+  discountValue: promotion.discountValue,
+  maxDiscount: promotion.maxDiscount,
+  minOrderAmount: promotion.minOrderAmount,
+  categories: promotion.categories,
+  firstOrderOnly: promotion.firstOrderOnly,
+  endsAt: promotion.endsAt,
+});
+
+// Promotions running now, for the Promotions page
+export async function listPromotions(req, res) {
+  try {
+    const promotions = await listLivePromotions();
+    res.json({ promotions: promotions.map(publicPromotion) });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching promotions: ${error.message}` });
+  }
+}
+
+// Every promotion with its usage
+export async function listAllPromotions(req, res) {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 });
+    res.json({ promotions });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching promotions: ${error.message}` });
+  }
+}
+
+export async function createPromotion(req, res) {
+  try {
+    const promotion = await Promotion.create(pickPromotionFields(req.body));
+    res.status(201).json({ message: `Promotion ${promotion.code} created`, promotion });
+  } catch (error) {
+    res.status(promotionErrorStatus(error)).json({ message: `Error creating promotion: ${error.message}` });
+  }
+}
+
+export async function updatePromotion(req, res) {
+  const { promotionId } = req.params;
+
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(promotionId, pickPromotionFields(req.body), { new: true, runValidators: true });
+    if (!promotion) {
+      return res.status(404).json({ message: `Promotion ${promotionId} not found` });
+    }
+    res.json({ message: `Promotion ${promotion.code} updated`, promotion });
+  } catch (error) {
+    res.status(promotionErrorStatus(error)).json({ message: `Error updating promotion: ${error.message}` });
+  }
+}
+
+// Orders keep the code they were placed with, so a used promotion can still be deleted
+export async function deletePromotion(req, res) {
+  const { promotionId } = req.params;
+
+  try {
+    const promotion = await Promotion.findByIdAndDelete(promotionId);
+    if (!promotion) {
+      return res.status(404).json({ message: `Promotion ${promotionId} not found` });
+    }
+    res.json({ message: `Promotion ${promotion.code} deleted` });
+  } catch (error) {
+    res.status(promotionErrorStatus(error)).json({ message: `Error deleting promotion: ${error.message}` });
+  }
+}
@@ -0,0 +1,136 @@
+// controllers/subscriptionController.js
+
+import mongoose from "mongoose";
+import {
+  listCustomerSubscriptions,
+  findCustomerSubscription,
+  customerSubscription,
+  cancelSubscription as cancelCustomerSubscription,
+  pauseSubscription as pauseCustomerSubscription,
+  resumeSubscription as resumeCustomerSubscription,
+  reactivateSubscription as reactivateCustomerSubscription,
+  previewPlanChange as previewCustomerPlanChange,
+  changePlan as changeCustomerPlan,
+  startScheduledPlanChange,
+} from "../services/subscriptionService.js";
+import { runSubscriptionLifecycle } from "../services/subscriptionLifecycleService.js";
+
+function sendSubscriptionError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return res.status(404).json({ message: "Subscription not found" });
+  }
+  res.status(500).json({ message: `Error ${action} subscription: ${error.message}` });
+}
+
+// The logged in customer's food subscriptions, newest first
+export async function getMySubscriptions(req, res) {
+  try {
+    const subscriptions = await listCustomerSubscriptions(req.user);
+    res.json({ subscriptions: subscriptions.map(customerSubscription) });
+  } catch (error) {
+    sendSubscriptionError(res, error, "fetching");
+  }
+}
+
+// body: { immediately, reason }; by default the subscription runs until its paid period ends
+export async function cancelSubscription(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    await cancelCustomerSubscription(subscription, { immediately: !!req.body?.immediately, reason: req.body?.reason });
+    res.json({
+      message: subscription.status === "cancelled"
+        ? "Subscription cancelled"
+        : "Subscription will end when the paid period is over",
+      subscription: customerSubscription(subscription),
+    });
+  } catch (error) {
+    sendSubscriptionError(res, error, "cancelling");
+  }
+}
+
+// body: { cycles }
+export async function pauseSubscription(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    await pauseCustomerSubscription(subscription, req.body?.cycles);
+    res.json({ message: "Subscription paused", subscription: customerSubscription(subscription) });
+  } catch (error) {
+    sendSubscriptionError(res, error, "pausing");
+  }
+}
+
+// Both answer with the PayHere checkout that restarts the charges
+export async function resumeSubscription(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    const checkout = await resumeCustomerSubscription(subscription, req.user);
+    res.json({ message: "Complete the payment to resume your subscription", ...checkout });
+  } catch (error) {
+    sendSubscriptionError(res, error, "resuming");
+  }
+}
+
+export async function reactivateSubscription(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    const checkout = await reactivateCustomerSubscription(subscription, req.user);
+    res.json({ message: "Complete the payment to reactivate your subscription", ...checkout });
+  } catch (error) {
+    sendSubscriptionError(res, error, "reactivating");
+  }
+}
+
+// query: { planId, timing }; what the change would cost, before the customer confirms it
+export async function previewPlanChange(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    const quote = await previewCustomerPlanChange(subscription, req.query.planId, req.query.timing || "renewal");
+    res.json({ quote });
+  } catch (error) {
+    sendSubscriptionError(res, error, "pricing a plan change for");
+  }
+}
+
+// body: { planId, timing }; answers with the PayHere checkout for the new plan, or with
+// the scheduled change when it waits for the current period to end
+export async function changePlan(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    const result = await changeCustomerPlan(subscription, req.body?.planId, {
+      timing: req.body?.timing || "renewal",
+      customer: req.user,
+    });
+    res.json({
+      message: result.scheduled
+        ? `Your plan changes to ${result.quote.planName} when this period ends`
+        : "Complete the payment to change your plan",
+      ...result,
+    });
+  } catch (error) {
+    sendSubscriptionError(res, error, "changing the plan of");
+  }
+}
+
+// The PayHere checkout for a plan change scheduled at renewal, once the period has ended
+export async function payPlanChange(req, res) {
+  try {
+    const subscription = await findCustomerSubscription(req.params.subscriptionId, req.user);
+    const checkout = await startScheduledPlanChange(subscription, req.user);
+    res.json({ message: "Complete the payment to start your new plan", ...checkout });
+  } catch (error) {
+    sendSubscriptionError(res, error, "paying the plan change of");
+  }
+}
+
+// Admin: run the lifecycle scheduler now; body: { dryRun } reports without changing anything
+export async function runLifecycle(req, res) {
+  try {
+    const report = await runSubscriptionLifecycle({ dryRun: !!req.body?.dryRun });
+    res.json({ message: report.dryRun ? "Dry run complete" : "Subscription lifecycle run complete", report });
+  } catch (error) {
+    sendSubscriptionError(res, error, "updating");
+  }
+}
@@ -0,0 +1,93 @@
+// controllers/subscriptionPlanController.js
+
+import mongoose from "mongoose";
+import SubscriptionPlan from "../models/subscriptionPlan.js";
+import FoodSubscription from "../models/Subscription.js";
+import { listActivePlans } from "../services/subscriptionPlanService.js";
+
+// planId is only set on create: subscriptions and PayHere refer to plans by it
+const PLAN_FIELDS = [
+  "name", "description", "price", "currency", "billingCycle", "boxContents", "trialDays", "active", "sortOrder",
+];
+
+function pickPlanFields(body) {
+  return Object.fromEntries(PLAN_FIELDS.filter(field => body?.[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function planErrorStatus(error) {
+  if (error.code === 11000) return 409;
+  return error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError ? 400 : 500;
+}
+
+// Plans on sale, for the subscription page
+export async function listPlans(req, res) {
+  try {
+    const plans = await listActivePlans();
+    res.json({ plans });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching subscription plans: ${error.message}` });
+  }
+}
+
+// Every plan with how many subscriptions are active on it
+export async function listAllPlans(req, res) {
+  try {
+    const [plans, counts] = await Promise.all([
+      SubscriptionPlan.find().sort({ sortOrder: 1, price: 1 }),
+      FoodSubscription.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: '$planId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const subscribers = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      plans: plans.map(plan => ({ ...plan.toObject(), activeSubscriptions: subscribers.get(plan.planId) || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: `Error fetching subscription plans: ${error.message}` });
+  }
+}
+
+export async function createPlan(req, res) {
+  try {
+    const plan = await SubscriptionPlan.create({ ...pickPlanFields(req.body), planId: req.body?.planId });
+    res.status(201).json({ message: `Plan ${plan.name} created`, plan });
+  } catch (error) {
+    res.status(planErrorStatus(error)).json({ message: `Error creating plan: ${error.message}` });
+  }
+}
+
+// Existing subscriptions keep the price and cycle they were bought at
+export async function updatePlan(req, res) {
+  const { planId } = req.params;
+
+  try {
+    const plan = await SubscriptionPlan.findOneAndUpdate({ planId }, pickPlanFields(req.body), { new: true, runValidators: true });
+    if (!plan) {
+      return res.status(404).json({ message: `Plan ${planId} not found` });
+    }
+    res.json({ message: `Plan ${plan.name} updated`, plan });
+  } catch (error) {
+    res.status(planErrorStatus(error)).json({ message: `Error updating plan: ${error.message}` });
+  }
+}
+
+// A plan anyone ever subscribed to is deactivated instead, so its renewals can still be matched
+export async function deletePlan(req, res) {
+  const { planId } = req.params;
+
+  try {
+    if (await FoodSubscription.exists({ planId })) {
+      return res.status(409).json({ message: `Plan ${planId} has subscriptions; deactivate it instead` });
+    }
+
+    const plan = await SubscriptionPlan.findOneAndDelete({ planId });
+    if (!plan) {
+      return res.status(404).json({ message: `Plan ${planId} not found` });
+    }
+    res.json({ message: `Plan ${plan.name} deleted` });
+  } catch (error) {
+    res.status(planErrorStatus(error)).json({ message: `Error deleting plan: ${error.message}` });
+  }
+}
@@ -1,6 +1,7 @@
 // controllers/utilityController.js
 
 import Products from '../models/product.js';
+import { releaseExpiredReservations } from '../services/stockReservationService.js';
 
 // Clean up expired products
 export async function cleanExpiredProducts(req, res) {
@@ -177,4 +178,25 @@ export async function getExpiringWithin5Days(req, res) {
       message: "Error fetching products expiring within 5 days: " + error.message
     });
   }
-}
\ No newline at end of file
+}
+
+// Release stock held by unpaid orders whose reservation has expired
+export async function releaseExpiredStock(req, res) {
+  try {
+    const releasedOrders = await releaseExpiredReservations();
+
+    res.json({
+      message: releasedOrders.length > 0
+        ? `Released stock for ${releasedOrders.length} expired reservations`
+        : "No expired reservations found",
+      released: releasedOrders.length,
+      orderIds: releasedOrders
+    });
+
+  } catch (error) {
+    console.error('Release expired stock error:', error);
+    res.status(500).json({
+      message: "Error releasing expired stock reservations: " + error.message
+    });
+  }
+}
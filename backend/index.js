@@ -17,7 +17,20 @@ import productsRouter from './routes/productRouter.js';
 import orderRouter from './routes/orderRouter.js';
 import cartRouter from './routes/cartRouter.js';
 import utilityRouter from './routes/utilityRouter.js';
+import payoutRouter from './routes/payoutRouter.js';
+import disputeRouter from './routes/disputeRouter.js';
+import invoiceRouter from './routes/invoiceRouter.js';
+import pricingRouter from './routes/pricingRouter.js';
+import promotionRouter from './routes/promotionRouter.js';
+import subscriptionPlanRouter from './routes/subscriptionPlanRouter.js';
+import subscriptionRouter from './routes/subscriptionRouter.js';
 import paymentrouter from './routes/paymentrouter.js'
+import mockPayhereRouter from './routes/mockPayhereRouter.js';
+import { payhereConfig, isPayHereMockEnabled } from './controllers/paymentController.js';
+import { startReservationSweeper } from './services/stockReservationService.js';
+import { startStaleOrderSweeper } from './services/paymentRetryService.js';
+import { startSubscriptionLifecycleScheduler } from './services/subscriptionLifecycleService.js';
+import { startInvoiceSweeper } from './services/invoiceService.js';
 
 dotenv.config({ path: path.join(__dirname, '.env') });
 
@@ -40,6 +53,18 @@ const connectDB = async () => {
 
 connectDB();
 
+// Give back stock held by payments that were never completed
+startReservationSweeper();
+
+// Cancel unpaid orders that were not paid again in time
+startStaleOrderSweeper();
+
+// Expire lapsed subscriptions, apply scheduled cancellations and send reminders
+startSubscriptionLifecycleScheduler();
+
+// Number invoices whose issuing failed after a payment
+startInvoiceSweeper();
+
 // Enhanced CORS configuration
 const allowedOrigins = [
   'http://localhost:5173',
@@ -126,9 +151,22 @@ app.use('/api/products', productsRouter);
 app.use('/api/orders', orderRouter);
 app.use('/api/cart', cartRouter);
 app.use('/api/utility', utilityRouter);
+app.use('/api/payouts', payoutRouter);
+app.use('/api/disputes', disputeRouter);
+app.use('/api/invoices', invoiceRouter);
+app.use('/api/pricing', pricingRouter);
+app.use('/api/promotions', promotionRouter);
+app.use('/api/subscription-plans', subscriptionPlanRouter);
+app.use('/api/subscriptions', subscriptionRouter);
 
 app.use('/api', paymentrouter)
 
+// Offline PayHere simulator (dev/test only)
+if (isPayHereMockEnabled()) {
+  app.use('/mock-payhere', mockPayhereRouter);
+  console.log('🧪 Mock PayHere gateway mounted at /mock-payhere');
+}
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
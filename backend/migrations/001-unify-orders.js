@@ -0,0 +1,167 @@
+// migrations/001-unify-orders.js
+// Moves existing documents onto the unified Order model:
+//  - legacy `orders` documents (email / orderedItems / status) are rewritten in place
+//  - PayHere `cartorders` documents are copied into `orders` (the old collection is left untouched)
+//
+// Usage: node migrations/001-unify-orders.js [--dry-run]
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_STATUS_MAP = {
+  processing: 'processing',
+  shipped: 'shipped',
+  completed: 'delivered',
+  cancelled: 'cancelled'
+};
+
+// Item fulfilment status matching the status the whole order had reached
+const itemStatusFor = (orderStatus) => {
+  if (['processing', 'shipped', 'delivered', 'cancelled'].includes(orderStatus)) return orderStatus;
+  return orderStatus === 'failed' ? 'cancelled' : 'pending';
+};
+
+// Legacy items only stored the product name; link them back when the name is unambiguous
+const findProductIdByName = async (products, name, cache) => {
+  if (cache.has(name)) return cache.get(name);
+
+  const matches = await products.find({ productName: name }).project({ _id: 1 }).limit(2).toArray();
+  const productId = matches.length === 1 ? matches[0]._id : undefined;
+  cache.set(name, productId);
+  return productId;
+};
+
+const toObjectId = (value) =>
+  value && mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : undefined;
+
+const migrateLegacyOrders = async (db) => {
+  const orders = db.collection('orders');
+  const products = db.collection('products');
+  const productCache = new Map();
+
+  const legacyOrders = await orders.find({ orderedItems: { $exists: true } }).toArray();
+  console.log(`📦 Found ${legacyOrders.length} legacy orders`);
+
+  for (const legacy of legacyOrders) {
+    const orderStatus = LEGACY_STATUS_MAP[legacy.status] || 'processing';
+    const items = [];
+    for (const item of legacy.orderedItems || []) {
+      items.push({
+        _id: item._id || new mongoose.Types.ObjectId(),
+        productId: await findProductIdByName(products, item.name, productCache),
+        productName: item.name,
+        image: item.image,
+        quantity: item.quantity,
+        price: item.price,
+        totalPrice: item.price * item.quantity,
+        status: itemStatusFor(orderStatus)
+      });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+    const createdAt = legacy.date || legacy._id.getTimestamp();
+
+    const unified = {
+      _id: legacy._id,
+      orderId: legacy.orderId,
+      orderType: 'cart',
+      customerEmail: legacy.email,
+      customerName: legacy.name,
+      phoneNumber: String(legacy.phone),
+      address: legacy.address,
+      city: 'Colombo',
+      items,
+      subtotal,
+      tax: 0,
+      shipping: 0,
+      totalAmount: subtotal,
+      currency: 'LKR',
+      paymentStatus: orderStatus === 'delivered' ? 'completed' : orderStatus === 'cancelled' ? 'cancelled' : 'pending',
+      orderStatus,
+      notes: legacy.notes,
+      paymentMethod: 'cash_on_delivery',
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    if (!dryRun) {
+      await orders.replaceOne({ _id: legacy._id }, unified);
+    }
+    console.log(`  ✅ ${legacy.orderId}: ${legacy.status} -> ${orderStatus}`);
+  }
+
+  return legacyOrders.length;
+};
+
+const migrateCartOrders = async (db) => {
+  const orders = db.collection('orders');
+  const cartOrders = await db.collection('cartorders').find().toArray();
+  console.log(`💳 Found ${cartOrders.length} PayHere cart orders`);
+
+  let copied = 0;
+  for (const cartOrder of cartOrders) {
+    const existing = await orders.findOne({ orderId: cartOrder.orderId });
+    if (existing) {
+      console.log(`  ⏭️  ${cartOrder.orderId} already migrated`);
+      continue;
+    }
+
+    const unified = {
+      ...cartOrder,
+      orderType: 'cart',
+      paymentMethod: cartOrder.paymentMethod || 'payhere',
+      items: (cartOrder.items || []).map(item => ({
+        ...item,
+        productId: toObjectId(item.productId),
+        status: itemStatusFor(cartOrder.orderStatus)
+      }))
+    };
+    delete unified.__v;
+
+    if (!dryRun) {
+      await orders.insertOne(unified);
+    }
+    copied += 1;
+    console.log(`  ✅ ${cartOrder.orderId} copied`);
+  }
+
+  return copied;
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI || process.env.mongodbURL;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`🔄 Unifying orders${dryRun ? ' (dry run - nothing will be written)' : ''}...`);
+
+  try {
+    const db = mongoose.connection.db;
+    const legacyCount = await migrateLegacyOrders(db);
+    const copiedCount = await migrateCartOrders(db);
+
+    console.log(`\n✅ Done: ${legacyCount} legacy orders rewritten, ${copiedCount} cart orders copied`);
+    if (copiedCount > 0 && !dryRun) {
+      console.log('ℹ️  The old `cartorders` collection was kept; drop it once the migration is verified.');
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
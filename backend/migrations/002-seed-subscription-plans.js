@@ -0,0 +1,63 @@
+// migrations/002-seed-subscription-plans.js
+// Creates the plan every subscription was sold as before the plan catalogue existed
+// (food_premium, LKR 2,500 a month), so existing subscriptions and their renewals
+// match a SubscriptionPlan. A plan that already exists is left as it is.
+//
+// Usage: node migrations/002-seed-subscription-plans.js [--dry-run]
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SubscriptionPlan from '../models/subscriptionPlan.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_PLAN = {
+  planId: 'food_premium',
+  name: 'Premium Food Subscription',
+  description: 'Fresh, healthy meals delivered daily',
+  price: 2500,
+  currency: 'LKR',
+  billingCycle: 'monthly',
+  boxContents: [
+    { item: 'Fresh daily meals', quantity: 30, unit: 'meals' }
+  ],
+  trialDays: 0,
+  active: true
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI || process.env.mongodbURL;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`🔄 Seeding subscription plans${dryRun ? ' (dry run - nothing will be written)' : ''}...`);
+
+  try {
+    if (await SubscriptionPlan.exists({ planId: LEGACY_PLAN.planId })) {
+      console.log(`ℹ️  Plan ${LEGACY_PLAN.planId} already exists`);
+      return;
+    }
+
+    if (!dryRun) {
+      await SubscriptionPlan.create(LEGACY_PLAN);
+    }
+    console.log(`✅ Plan ${LEGACY_PLAN.planId} created`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 // models/order.js
 
 import mongoose from "mongoose";
+import { addBillingCycle } from "../services/subscriptionPlanService.js";
 
 const foodSubscriptionSchema = new mongoose.Schema({
   // Customer details
@@ -9,19 +10,21 @@ const foodSubscriptionSchema = new mongoose.Schema({
   phoneNumber: { type: String, required: true },
   address: { type: String, required: true },
 
-  // Subscription details
-  planId: { type: String, required: true, default: 'food_premium' },
-  planName: { type: String, required: true, default: 'Premium Food Subscription' },
+  // Subscription details: the SubscriptionPlan it was bought from (see models/subscriptionPlan.js)
+  planId: { type: String, required: true },
+  planName: { type: String, required: true },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'cancelled', 'expired', 'pending_renewal', 'payment_failed'],
+    enum: ['active', 'inactive', 'paused', 'cancelled', 'expired', 'pending_renewal', 'payment_failed'],
     default: 'active'
   },
   
-  // Fixed amount - LKR 2,500 per month
-  amount: { type: Number, required: true, default: 2500 },
+  // Price per billing cycle, copied from the plan when subscribing
+  amount: { type: Number, required: true },
   currency: { type: String, default: 'LKR' },
-  billingCycle: { type: String, default: 'monthly' },
+  billingCycle: { type: String, enum: ['weekly', 'monthly', 'quarterly'], default: 'monthly' },
+  // End of the plan's free trial, which the first period includes
+  trialEndsAt: { type: Date },
 
   // Payment details
   paymentMethod: { type: String, default: 'payhere' },
@@ -47,6 +50,41 @@ const foodSubscriptionSchema = new mongoose.Schema({
   autoRenewalCancelledDate: { type: Date },
   autoRenewalCancelledReason: { type: String },
 
+  // Pause (see services/subscriptionService.js): no charges or deliveries after endDate
+  // until resumeDate; PayHere's recurring charges are cancelled meanwhile
+  pausedAt: { type: Date },
+  pauseCycles: { type: Number },
+  resumeDate: { type: Date },
+
+  // Checkout the customer was sent to for restarting charges after a pause or cancellation
+  restartOrderId: { type: String, index: true, sparse: true },
+  restartAction: { type: String, enum: ['resumed', 'reactivated', 'plan_changed'] },
+
+  // Plan the customer is moving to once that checkout is paid. A change at renewal waits
+  // here until endDate, when the lifecycle scheduler asks for the new plan's first payment.
+  pendingPlanChange: {
+    planId: { type: String },
+    planName: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    billingCycle: { type: String, enum: ['weekly', 'monthly', 'quarterly'] },
+    // 'now' prorates the rest of the current period; 'renewal' starts the plan when it ends
+    timing: { type: String, enum: ['now', 'renewal'] },
+    // Unused value of the current period and what the rest of it costs on the new plan.
+    // A higher cost is charged with the first payment, a lower one becomes extra days.
+    prorationCredit: { type: Number },
+    prorationCharge: { type: Number },
+    creditDays: { type: Number },
+    requestedAt: { type: Date }
+  },
+
+  // Reminders already sent by the lifecycle scheduler (services/subscriptionLifecycleService.js):
+  // the billing date a renewal reminder was sent for, when the last failure was reported,
+  // and the resume date a paused subscription was told to resume by
+  renewalReminderSentFor: { type: Date },
+  failureReminderSentAt: { type: Date },
+  resumeReminderSentFor: { type: Date },
+
   // Dates
   startDate: { type: Date, default: Date.now },
   endDate: { type: Date },
@@ -60,7 +98,16 @@ const foodSubscriptionSchema = new mongoose.Schema({
     paymentId: { type: String },
     failureReason: { type: String },
     attempt: { type: Number },
-    payhereToken: { type: String }
+    payhereToken: { type: String },
+    // Set on the payment that moved the subscription to another plan
+    planChange: {
+      fromPlanId: { type: String },
+      toPlanId: { type: String },
+      timing: { type: String },
+      prorationCredit: { type: Number },
+      prorationCharge: { type: Number },
+      creditDays: { type: Number }
+    }
   }],
 
   createdAt: { type: Date, default: Date.now },
@@ -69,8 +116,7 @@ const foodSubscriptionSchema = new mongoose.Schema({
 
 foodSubscriptionSchema.pre('save', function(next) {
   if (this.isNew && !this.endDate) {
-    const endDate = new Date(this.startDate || new Date());
-    endDate.setMonth(endDate.getMonth() + 1);
+    const endDate = addBillingCycle(this.trialEndsAt || this.startDate || new Date(), this.billingCycle);
     this.endDate = endDate;
     
     if (!this.nextBillingDate && this.autoRenew) {
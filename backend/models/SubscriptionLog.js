@@ -7,11 +7,12 @@ const foodSubscriptionLogSchema = new mongoose.Schema({
   userEmail: { type: String, required: true },
   action: {
     type: String,
-    enum: ['created', 'renewed', 'cancelled', 'failed', 'auto_renewal_cancelled', 'reactivated'],
+    enum: ['created', 'renewed', 'cancelled', 'failed', 'auto_renewal_cancelled', 'reactivated', 'paused', 'resumed', 'expired', 'plan_changed'],
     required: true
   },
   details: {
     paymentId: String,
+    planId: String,
     amount: Number,
     currency: String,
     reason: String,
@@ -20,7 +21,11 @@ const foodSubscriptionLogSchema = new mongoose.Schema({
     recurringToken: Boolean,
     payhereCancellationSuccess: Boolean,
     payhereCancellationError: String,
-    requiresManualCancellation: Boolean
+    requiresManualCancellation: Boolean,
+    previousPlanId: String,
+    prorationCredit: Number,
+    prorationCharge: Number,
+    creditDays: Number
   },
   timestamp: { type: Date, default: Date.now }
 });
@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Named sequence counters, incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
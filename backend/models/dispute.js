@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A chargeback PayHere reported against one of our payments (see services/disputeService.js)
+const disputeSchema = new mongoose.Schema({
+  disputeId: { type: String, required: true, unique: true, index: true },
+  // Notification that opened it, so a re-sent chargeback cannot open a second dispute
+  eventKey: { type: String, required: true, unique: true },
+
+  source: { type: String, enum: ['order', 'subscription'], required: true },
+  orderId: { type: String, index: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'FoodSubscription', index: true },
+  payhereOrderId: { type: String },
+  paymentId: { type: String },
+  customerEmail: { type: String },
+
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'LKR' },
+  reason: { type: String },
+  // Payment status before the chargeback, restored when the dispute is won
+  previousPaymentStatus: { type: String },
+
+  status: {
+    type: String,
+    enum: ['open', 'evidence_submitted', 'won', 'lost'],
+    default: 'open',
+    index: true
+  },
+
+  // Farmer ledger entries held back from settlement while the dispute is open
+  frozenEntries: { type: Number, default: 0 },
+  frozenAmount: { type: Number, default: 0 },
+
+  evidence: [{
+    type: { type: String, enum: ['delivery_proof', 'customer_communication', 'invoice', 'other'], default: 'other' },
+    description: { type: String, required: true },
+    url: { type: String },
+    addedBy: { type: String },
+    addedAt: { type: Date, default: Date.now }
+  }],
+
+  resolution: {
+    outcome: { type: String, enum: ['won', 'lost'] },
+    note: { type: String },
+    resolvedBy: { type: String },
+    resolvedAt: { type: Date }
+  }
+}, { timestamps: true });
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
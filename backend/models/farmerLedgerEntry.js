@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// One line of a farmer's earnings ledger. Sales are credits, platform commission
+// and refunds are debits; the balance is the sum of unsettled amounts.
+const farmerLedgerEntrySchema = new mongoose.Schema({
+  // Makes automatic entries idempotent, e.g. "sale:CART0001-1"
+  entryKey: { type: String, unique: true, sparse: true },
+  farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  type: {
+    type: String,
+    enum: ['sale', 'commission', 'refund', 'adjustment'],
+    required: true
+  },
+  // Signed: positive is owed to the farmer, negative is owed to the platform
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'LKR' },
+  description: { type: String },
+
+  orderId: { type: String, index: true },
+  subOrderId: { type: String },
+  commissionRate: { type: Number },
+
+  // Set once the entry is included in a settlement batch
+  settlementId: { type: String, default: null, index: true },
+  // Set while a chargeback on the order is disputed; frozen entries are not settled
+  disputeId: { type: String, default: null, index: true },
+
+  createdBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, default: 'system' }
+  },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const FarmerLedgerEntry = mongoose.model('FarmerLedgerEntry', farmerLedgerEntrySchema);
+
+export default FarmerLedgerEntry;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Invoice for a paid cart order or one paid food subscription renewal
+// (see services/invoiceService.js). Numbers are sequential and never reused; an invoice
+// without one is still being issued.
+const invoiceLineSchema = new mongoose.Schema({
+  // 'item' for a product line, 'delivery' for a farmer's delivery fee
+  kind: { type: String, enum: ['item', 'delivery', 'subscription'], default: 'item' },
+  description: { type: String, required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  subOrderId: { type: String },
+  quantity: { type: Number, default: 1, min: 0 },
+  unitPrice: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  // What was invoiced: 'order:<orderId>' or 'subscription:<subscriptionId>:<renewalId>'
+  sourceKey: { type: String, required: true, unique: true },
+  source: { type: String, enum: ['order', 'subscription'], required: true },
+  orderId: { type: String, index: true },
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'FoodSubscription', index: true },
+  renewalId: { type: mongoose.Schema.Types.ObjectId },
+
+  customer: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    email: { type: String, index: true },
+    phone: { type: String },
+    address: { type: String },
+    city: { type: String }
+  },
+
+  lines: [invoiceLineSchema],
+  subtotal: { type: Number, default: 0, min: 0 },
+  // Promotion discount off the subtotal
+  discount: { type: Number, default: 0, min: 0 },
+  promoCode: { type: String },
+  shipping: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  // Tax already inside the item prices (tax-inclusive rules), shown for information
+  includedTax: { type: Number, default: 0, min: 0 },
+  total: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR' },
+
+  paymentMethod: { type: String },
+  paymentId: { type: String },
+  paidAt: { type: Date },
+  issuedAt: { type: Date, default: Date.now },
+  emailedAt: { type: Date }
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -1,63 +1,285 @@
 // models/order.js
+// Single order model for every checkout path: cart checkout, direct orders and
+// PayHere cart payments (which used to live in a separate CartOrder model).
 
 import mongoose from "mongoose";
+import { deriveSubOrderStatus } from "../services/orderStatusService.js";
 
-const orderSchema = mongoose.Schema({
-  orderId: {
+const orderItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  // Farmer selling the product, filled from Product.owner when the order is saved
+  farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  subOrderId: { type: String },
+  productName: { type: String, required: true },
+  image: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  totalPrice: { type: Number, required: true, min: 0 },
+  // This line's share of the promotion discount
+  discount: { type: Number, default: 0, min: 0 },
+  // Tax on this line from the pricing rules at checkout; inclusive tax is part of the price
+  taxRate: { type: Number, default: 0, min: 0 },
+  taxInclusive: { type: Boolean, default: false },
+  tax: { type: Number, default: 0, min: 0 },
+
+  // Fulfilment of this line by its farmer; the order status is derived from these
+  status: {
     type: String,
-    required: true,
-    unique: true,
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
   },
-  email: {
+  statusUpdatedAt: { type: Date },
+  // Units already refunded (see services/refundService.js)
+  refundedQuantity: { type: Number, default: 0, min: 0 },
+  // Subscription boxes: the box item this product stands in for when that was out of stock
+  substitutedFor: { type: String }
+});
+
+// The part of an order one farmer fulfils (see services/subOrderService.js).
+// Totals and status are recomputed from the farmer's items on every save.
+const subOrderSchema = new mongoose.Schema({
+  subOrderId: { type: String, required: true },
+  farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subtotal: { type: Number, default: 0, min: 0 },
+  deliveryFee: { type: Number, default: 0, min: 0 },
+  total: { type: Number, default: 0, min: 0 },
+  // Platform commission, a percentage of the item subtotal fixed when the order is placed
+  commissionRate: { type: Number, default: 0, min: 0 },
+  commission: { type: Number, default: 0, min: 0 },
+  // What the platform owes the farmer for this sub-order
+  payoutAmount: { type: Number, default: 0, min: 0 },
+  status: {
     type: String,
-    required: true,
-  },
-  orderedItems: [
-    {
-      name: {
-        type: String,
-        required: true,
-      },
-      price: {
-        type: Number,
-        required: true,
-      },
-      quantity: {
-        type: Number,
-        required: true,
-      },
-      image: {
-        type: String,
-        required: true,
-      },
-    },
-  ],
-  date: {
-    type: Date,
-    default: Date.now,
+    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'failed'],
+    default: 'pending'
+  }
+}, { _id: false });
+
+// How tax and shipping were worked out at checkout (see services/pricingRulesService.js)
+const chargesSchema = new mongoose.Schema({
+  city: { type: String },
+  district: { type: String },
+  taxLines: [{
+    _id: false,
+    rule: { type: String },
+    category: { type: String },
+    rate: { type: Number },
+    inclusive: { type: Boolean },
+    taxableAmount: { type: Number },
+    amount: { type: Number }
+  }],
+  // Tax already inside the item prices; not part of the order's tax field
+  includedTax: { type: Number, default: 0 },
+  shippingLines: [{
+    _id: false,
+    subOrderId: { type: String },
+    farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rule: { type: String },
+    basis: { type: String },
+    weight: { type: Number },
+    value: { type: Number },
+    fee: { type: Number }
+  }],
+  freeShipping: { type: Boolean, default: false },
+  freeShippingThreshold: { type: Number, default: 0 }
+}, { _id: false });
+
+// One entry per orderStatus change (see services/orderStatusService.js)
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  changedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String, default: 'system' }
   },
-  status: {
+  reason: { type: String },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true, index: true },
+  orderType: {
     type: String,
-    enum: ["processing", "shipped", "completed", "cancelled"],
-    default: "processing",
+    enum: ['cart', 'direct', 'subscription'],
+    default: 'cart'
   },
-  notes: {
+
+  // Box delivered for one paid billing cycle of a food subscription
+  // (see services/subscriptionFulfilmentService.js); the subscription payment covers it
+  subscription: {
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'FoodSubscription', index: true },
+    planId: { type: String },
+    // PayHere payment the box was ordered for; one box per payment
+    paymentId: { type: String, unique: true, sparse: true },
+    periodEnd: { type: Date },
+    // Box lines no farmer had in stock, not even as a substitute
+    unavailableItems: [{
+      _id: false,
+      item: { type: String },
+      quantity: { type: Number },
+      unit: { type: String }
+    }]
+  },
+  deliveryDate: { type: Date },
+
+  // Customer details
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  customerEmail: { type: String, required: true, index: true },
+  customerName: { type: String, required: true },
+  phoneNumber: { type: String, required: true },
+  address: { type: String, required: true },
+  city: { type: String, default: 'Colombo' },
+  district: { type: String },
+
+  // Items, and the same items split per farmer
+  items: [orderItemSchema],
+  subOrders: [subOrderSchema],
+
+  // Financial details
+  subtotal: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  shipping: { type: Number, default: 0, min: 0 },
+  totalAmount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR' },
+  charges: chargesSchema,
+  // Promo code used at checkout (see services/promotionService.js); its use is given
+  // back when the order is cancelled or its payment fails, and taken again if it is retried
+  promotion: {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    code: { type: String },
+    title: { type: String },
+    released: { type: Boolean, default: false }
+  },
+
+  // Status tracking
+  paymentStatus: {
     type: String,
+    enum: ['pending', 'completed', 'partially_refunded', 'refunded', 'failed', 'cancelled', 'charged_back'],
+    default: 'pending'
   },
-  name: {
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  orderStatus: {
     type: String,
-    required: true,
+    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'failed'],
+    default: 'pending'
   },
-  address: {
+  statusHistory: [statusChangeSchema],
+  notes: { type: String },
+
+  // Payment details
+  paymentMethod: {
     type: String,
-    required: true,
+    enum: ['payhere', 'cash_on_delivery', 'bank_transfer'],
+    default: 'payhere'
+  },
+  payhereOrderId: { type: String, unique: true, sparse: true },
+  payherePaymentId: { type: String, index: true },
+  // Checkouts started for this order; a failed or abandoned payment can be retried
+  paymentAttempts: { type: Number, default: 1 },
+
+  // Set when an admin confirms money that was paid outside the site
+  // (cash collected on delivery, a bank transfer arriving)
+  paymentConfirmation: {
+    reference: { type: String },
+    note: { type: String },
+    confirmedBy: { type: String },
+    confirmedAt: { type: Date }
   },
-  phone: {
-    type: Number,
-    required: true,
+
+  // Set while a PayHere notification for this order failed verification and
+  // waits for an admin; the stock hold is kept until the review is done
+  paymentReview: {
+    status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+    eventKey: { type: String },
+    issues: [{ type: String }],
+    flaggedAt: { type: Date },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date }
   },
+
+  // Timestamps
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Update timestamp on save
+orderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Record the starting status of a new order
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.orderStatus, reason: 'Order placed', changedAt: this.createdAt });
+  }
+  next();
+});
+
+// Stamp each item with the farmer who sells it
+orderSchema.pre('save', async function() {
+  const unassigned = this.items.filter(item => item.productId && !item.farmerId);
+  if (unassigned.length === 0) return;
+
+  const products = await mongoose.model('Product')
+    .find({ _id: { $in: unassigned.map(item => item.productId) } })
+    .select('owner')
+    .session(this.$session());
+  const owners = new Map(products.map(product => [product._id.toString(), product.owner]));
+
+  unassigned.forEach(item => {
+    item.farmerId = owners.get(item.productId.toString());
+  });
+});
+
+// Calculate totals before saving
+orderSchema.pre('save', function(next) {
+  if (this.items && this.items.length > 0) {
+    this.items.forEach(item => {
+      item.totalPrice = item.price * item.quantity;
+    });
+    this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    if (this.subOrders && this.subOrders.length > 0) {
+      this.subOrders.forEach(subOrder => {
+        const items = this.items.filter(item => item.subOrderId === subOrder.subOrderId);
+        subOrder.subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+        subOrder.total = subOrder.subtotal + (subOrder.deliveryFee || 0);
+        subOrder.commission = Math.round(subOrder.subtotal * (subOrder.commissionRate || 0)) / 100;
+        subOrder.payoutAmount = subOrder.total - subOrder.commission;
+        subOrder.status = deriveSubOrderStatus(this.orderStatus, items);
+      });
+      this.shipping = this.subOrders.reduce((sum, subOrder) => sum + (subOrder.deliveryFee || 0), 0);
+    }
+
+    this.totalAmount = this.subtotal - (this.discount || 0) + (this.tax || 0) + (this.shipping || 0);
+  }
+  next();
+});
+
+// A cancelled or failed order no longer counts against its promo code's usage limits
+orderSchema.pre('save', function(next) {
+  if (this.isModified('orderStatus') && ['cancelled', 'failed'].includes(this.orderStatus) &&
+      this.promotion?.promotionId && !this.promotion.released) {
+    this.promotion.released = true;
+    this.$locals.releasePromotion = true;
+  }
+  next();
+});
+
+orderSchema.post('save', async function() {
+  if (!this.$locals.releasePromotion) return;
+  this.$locals.releasePromotion = false;
+
+  await mongoose.model('PromotionUsage').deleteMany({ promotionId: this.promotion.promotionId, orderId: this.orderId });
+  await mongoose.model('Promotion').updateOne(
+    { _id: this.promotion.promotionId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
 });
 
-const Order = mongoose.model("orders", orderSchema);
+const Order = mongoose.model("Order", orderSchema);
 
 export default Order;
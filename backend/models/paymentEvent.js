@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+// Ledger of every inbound PayHere notification. One document per
+// payment_id/order_id/status_code combination so a re-sent notify is
+// recognised and never applied twice.
+const paymentEventSchema = new mongoose.Schema({
+  eventKey: { type: String, required: true, unique: true, index: true },
+  paymentId: { type: String, index: true },
+  orderId: { type: String, required: true, index: true },
+  statusCode: { type: String, required: true },
+  subscriptionId: { type: String },
+
+  type: {
+    type: String,
+    enum: ['cart', 'food_initial', 'food_recurring', 'food_failed', 'unknown'],
+    default: 'unknown'
+  },
+  status: {
+    type: String,
+    // 'suspicious' events passed the signature check but not verification
+    // (services/paymentVerificationService.js) and wait for an admin
+    enum: ['received', 'processing', 'processed', 'failed', 'rejected', 'suspicious'],
+    default: 'received'
+  },
+  signatureValid: { type: Boolean, default: false },
+
+  // Raw notification body exactly as PayHere posted it
+  rawPayload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  // Delivery and processing tracking
+  deliveryCount: { type: Number, default: 1 },
+  lastReceivedAt: { type: Date, default: Date.now },
+  attempts: { type: Number, default: 0 },
+  processedAt: { type: Date },
+  lastError: { type: String },
+
+  // What did not match when the notification was verified
+  verificationIssues: [{
+    check: { type: String, enum: ['status_code', 'merchant', 'order', 'plan', 'amount', 'currency', 'order_state'] },
+    message: { type: String },
+    expected: { type: String },
+    received: { type: String }
+  }],
+  verifiedAt: { type: Date },
+
+  // Admin decision on a suspicious payment
+  review: {
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    note: { type: String },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date }
+  },
+
+  // Manual replays triggered by admins
+  replays: [{
+    replayedAt: { type: Date, default: Date.now },
+    replayedBy: { type: String },
+    result: { type: String, enum: ['processed', 'failed'] },
+    error: { type: String }
+  }],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+paymentEventSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -37,10 +37,24 @@ const productSchema = mongoose.Schema({
   quantityInStock: {
     type: Number,
     required: true,
+    min: 0,
   },
   expiryDate: {
     type: Date,
   },
+  // Used by the tax rules (see services/pricingRulesService.js)
+  category: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'general',
+  },
+  // Weight of one unit in kg, used by weight-based shipping rules
+  weight: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
   // Add the 'owner' field to associate the product with a farmer (user)
   owner: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// A promo code customers enter at checkout (see services/promotionService.js).
+// usedCount counts orders placed with the code that were not cancelled and whose payment
+// did not fail.
+const promotionSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  title: { type: String, required: true },
+  description: { type: String },
+  image: { type: String },
+
+  // 'percentage' takes discountValue % off, 'fixed' takes discountValue off
+  discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+  discountValue: { type: Number, required: true, min: 0 },
+  // Largest discount a percentage code gives; 0 for no cap
+  maxDiscount: { type: Number, default: 0, min: 0 },
+  // Item subtotal the order must reach
+  minOrderAmount: { type: Number, default: 0, min: 0 },
+  // Product categories the discount applies to; empty for every product
+  categories: [{ type: String, lowercase: true, trim: true }],
+  firstOrderOnly: { type: Boolean, default: false },
+
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  // 0 means unlimited
+  usageLimit: { type: Number, default: 0, min: 0 },
+  usageLimitPerCustomer: { type: Number, default: 0, min: 0 },
+  usedCount: { type: Number, default: 0, min: 0 },
+
+  active: { type: Boolean, default: true },
+  // Listed on the Promotions page; private codes still work at checkout
+  listed: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// One use of a promo code with a per-customer limit (see services/promotionService.js).
+// A customer with a limit of N gets slots 1..N; the unique key lets only one order take
+// each slot, so two checkouts at once cannot both squeeze under the limit.
+const promotionUsageSchema = new mongoose.Schema({
+  // `${promotionId}:${customer}:${slot}`
+  key: { type: String, required: true, unique: true },
+  promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion', required: true, index: true },
+  // The customer's user id
+  customer: { type: String, required: true },
+  slot: { type: Number, required: true, min: 1 },
+  orderId: { type: String, required: true, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const PromotionUsage = mongoose.model('PromotionUsage', promotionUsageSchema);
+
+export default PromotionUsage;
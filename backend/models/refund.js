@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Money returned on an order, in full or for some of its lines (see services/refundService.js)
+const refundSchema = new mongoose.Schema({
+  refundId: { type: String, required: true, unique: true, index: true },
+  orderId: { type: String, required: true, index: true },
+  paymentId: { type: String },
+  paymentMethod: { type: String },
+
+  type: { type: String, enum: ['full', 'partial'], required: true },
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    productName: { type: String },
+    farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    subOrderId: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+    // Promotion discount and tax on these units, taken off and added back
+    discount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 }
+  }],
+  // Delivery fees given back with a full refund
+  deliveryFee: { type: Number, default: 0, min: 0 },
+  // Discount and tax on all the refunded lines
+  discount: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR' },
+  reason: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  provider: { type: String },
+  providerRefundId: { type: String },
+  error: { type: String },
+  restocked: { type: Boolean, default: false },
+
+  requestedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String },
+    role: { type: String }
+  },
+  completedAt: { type: Date }
+}, { timestamps: true });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A payout batch: every unsettled ledger entry of one farmer up to periodEnd
+const settlementSchema = new mongoose.Schema({
+  settlementId: { type: String, required: true, unique: true, index: true },
+  farmerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  periodStart: { type: Date },
+  periodEnd: { type: Date, required: true },
+  entryCount: { type: Number, default: 0 },
+
+  // Totals of the entries in the batch, by type
+  sales: { type: Number, default: 0 },
+  commission: { type: Number, default: 0 },
+  refunds: { type: Number, default: 0 },
+  adjustments: { type: Number, default: 0 },
+  netAmount: { type: Number, required: true },
+  currency: { type: String, default: 'LKR' },
+
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending',
+    index: true
+  },
+  paidAt: { type: Date },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  paymentReference: { type: String },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+settlementSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+export default Settlement;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Delivery fee for each farmer's shipment to the listed cities/districts, or to anywhere
+// no other rule covers when none are listed (see services/pricingRulesService.js)
+const shippingTierSchema = new mongoose.Schema({
+  // Up to this weight (kg) or shipment value (LKR), inclusive
+  upTo: { type: Number, required: true, min: 0 },
+  fee: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const shippingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  areas: [{ type: String, lowercase: true, trim: true }],
+  // 'flat' charges baseFee only; 'weight' and 'order_value' add the fee of the matching tier
+  basis: { type: String, enum: ['flat', 'weight', 'order_value'], default: 'flat' },
+  baseFee: { type: Number, default: 0, min: 0 },
+  tiers: [shippingTierSchema],
+  // Orders whose item subtotal reaches this ship free; 0 turns it off
+  freeShippingThreshold: { type: Number, default: 0, min: 0 },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const ShippingRule = mongoose.model('ShippingRule', shippingRuleSchema);
+
+export default ShippingRule;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Stock held for an order. While 'held' the quantities are already taken out of
+// Product.quantityInStock; 'committed' makes that permanent and 'released'
+// puts the stock back.
+const stockReservationSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true, index: true },
+  // 'payment' holds wait for PayHere, 'order' holds are committed straight away
+  orderType: { type: String, enum: ['payment', 'order'], default: 'payment' },
+
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released'],
+    default: 'held',
+    index: true
+  },
+  expiresAt: { type: Date, required: true, index: true },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: {
+    type: String,
+    enum: ['payment_failed', 'cancelled', 'expired', 'order_failed']
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+stockReservationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
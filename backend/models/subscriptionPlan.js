@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A food subscription customers can choose (see services/subscriptionPlanService.js).
+// FoodSubscription.planId refers to planId, and the subscription keeps its own copy of
+// the name, price and cycle it was bought at.
+const subscriptionPlanSchema = new mongoose.Schema({
+  // Stable key sent to PayHere in custom_1 as plan_<planId>, e.g. 'food_premium'
+  planId: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9_-]+$/ },
+  name: { type: String, required: true },
+  description: { type: String },
+
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'LKR', uppercase: true },
+  billingCycle: { type: String, enum: ['weekly', 'monthly', 'quarterly'], default: 'monthly' },
+
+  // What goes in each delivered box. Items are matched to farmers' products by name
+  // (see services/subscriptionFulfilmentService.js); when none is in stock the substitutes
+  // are tried in order, then any product of the category.
+  boxContents: [{
+    item: { type: String, required: true },
+    quantity: { type: Number, default: 1, min: 0 },
+    unit: { type: String },
+    substitutes: [{ type: String }],
+    category: { type: String, lowercase: true, trim: true }
+  }],
+
+  // Free days added to the first period. PayHere cannot defer the first charge,
+  // so the first cycle is still paid at sign-up and the trial extends it.
+  trialDays: { type: Number, default: 0, min: 0 },
+
+  // Inactive plans can no longer be bought; existing subscriptions keep renewing
+  active: { type: Boolean, default: true },
+  // Order on the subscription page, lowest first
+  sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const SubscriptionPlan = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
+
+export default SubscriptionPlan;
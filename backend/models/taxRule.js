@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Tax charged on products of one category, or on every product when no category is set
+// (see services/pricingRulesService.js). Rates are percentages.
+const taxRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Product.category this rule covers; empty for the default rule
+  category: { type: String, lowercase: true, trim: true, default: '' },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  // true when product prices already include the tax, so it is shown but not added
+  inclusive: { type: Boolean, default: false },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
@@ -6,7 +6,8 @@ import {
   getCart, 
   updateCartItem, 
   removeFromCart, 
-  clearCart 
+  clearCart,
+  getCartQuote
 } from '../controllers/cartController.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 
@@ -15,6 +16,9 @@ const router = express.Router();
 // Get user's cart
 router.get('/', authenticate, getCart);
 
+// Cart totals with tax and shipping (?city=&district=)
+router.get('/quote', authenticate, getCartQuote);
+
 // Add item to cart
 router.post('/add', authenticate, addToCart);
 
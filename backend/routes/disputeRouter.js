@@ -0,0 +1,30 @@
+// routes/disputeRouter.js
+
+import express from 'express';
+import {
+  listDisputes,
+  getDisputeSummary,
+  getDispute,
+  addEvidence,
+  resolve,
+} from '../controllers/disputeController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Chargeback disputes
+router.get("/", authenticate, isAdmin, listDisputes);  // Admin only
+
+// Counts per status (declared before "/:disputeId" so it isn't shadowed)
+router.get("/summary", authenticate, isAdmin, getDisputeSummary);  // Admin only
+
+// One dispute and its frozen farmer earnings
+router.get("/:disputeId", authenticate, isAdmin, getDispute);  // Admin only
+
+// Attach evidence
+router.post("/:disputeId/evidence", authenticate, isAdmin, addEvidence);  // Admin only
+
+// Resolve as won or lost
+router.post("/:disputeId/resolve", authenticate, isAdmin, resolve);  // Admin only
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/invoiceRouter.js
+
+import express from 'express';
+import { getOrderInvoice, getSubscriptionInvoices, getMySubscriptionInvoices, getInvoice } from '../controllers/invoiceController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Invoice of a paid order; add ?format=html or ?format=json (default PDF)
+router.get("/orders/:orderId", authenticate, getOrderInvoice);  // Order's customer, its farmers or admins
+
+// Invoices of the logged in customer's food subscriptions
+router.get("/subscriptions", authenticate, getMySubscriptionInvoices);  // Requires authentication
+
+// Invoices of every paid renewal of a food subscription
+router.get("/subscriptions/:subscriptionId", authenticate, getSubscriptionInvoices);  // Subscriber or admins
+
+// One invoice by number; same formats as above
+router.get("/:invoiceNumber", authenticate, getInvoice);  // Invoice's customer, its farmers or admins
+
+export default router;
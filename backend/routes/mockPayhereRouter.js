@@ -0,0 +1,305 @@
+// routes/mockPayhereRouter.js
+// Local stand-in for the PayHere checkout so payments can be tested offline.
+// Only mounted when isPayHereMockEnabled() is true (see index.js).
+
+import express from 'express';
+import axios from 'axios';
+import {
+  payhereConfig,
+  generatePayHereHash,
+  signPayHereNotification
+} from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Checkout sessions keyed by order_id, kept in memory for the life of the process
+const sessions = new Map();
+
+const SCENARIOS = {
+  success: { status_code: '2', status_message: 'Successfully completed the payment.' },
+  pending: { status_code: '0', status_message: 'Payment is pending.' },
+  failure: { status_code: '-2', status_message: 'Payment declined by the issuing bank.' },
+  cancel: { status_code: '-1', status_message: 'Payment cancelled by the customer.' },
+  chargeback: { status_code: '-3', status_message: 'Payment charged back by the customer.' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isRecurringSession = (session) => !!session.paymentData.recurrence;
+
+// One recurrence ('1 Week', '1 Month', '3 Month', ...) after `from`
+const nextOccurrence = (from, recurrence = '1 Month') => {
+  const [count, unit] = recurrence.split(' ');
+  const next = new Date(from);
+  if (unit === 'Week') next.setDate(next.getDate() + 7 * parseInt(count));
+  else if (unit === 'Year') next.setFullYear(next.getFullYear() + parseInt(count));
+  else next.setMonth(next.getMonth() + parseInt(count));
+  return next;
+};
+
+// Build a notification the same shape PayHere posts to notify_url
+const buildNotification = (session, scenario, overrides = {}) => {
+  const { paymentData } = session;
+  const { status_code, status_message } = SCENARIOS[scenario];
+
+  const notification = {
+    merchant_id: paymentData.merchant_id,
+    order_id: paymentData.order_id,
+    payment_id: `MOCK_PAY_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+    // The first payment of a recurring checkout includes its startup fee
+    payhere_amount: (parseFloat(paymentData.amount) + (parseFloat(paymentData.startup_fee) || 0)).toFixed(2),
+    payhere_currency: paymentData.currency,
+    status_code,
+    status_message,
+    method: 'VISA',
+    card_holder_name: `${paymentData.first_name} ${paymentData.last_name}`.trim(),
+    card_no: '************1292',
+    card_expiry: '12/30',
+    email: paymentData.email,
+    custom_1: paymentData.custom_1,
+    custom_2: paymentData.custom_2
+  };
+
+  if (isRecurringSession(session)) {
+    const nextDate = nextOccurrence(new Date(), paymentData.recurrence);
+    notification.recurring = '1';
+    notification.subscription_id = session.subscriptionId;
+    notification.recurring_token = session.subscriptionId;
+    notification.item_rec_status = status_code === '2' ? '0' : '-1';
+    notification.item_rec_install_paid = String(session.installmentsPaid);
+    notification.item_rec_date_next = nextDate.toISOString().split('T')[0];
+    notification.next_occurrence_date = nextDate.toISOString();
+  }
+
+  Object.assign(notification, overrides);
+  notification.md5sig = signPayHereNotification(notification, payhereConfig.merchantSecret);
+  return notification;
+};
+
+// Deliver a notification to the configured notify URL as PayHere would (form encoded)
+const sendNotification = async (session, notification) => {
+  const notifyUrl = session.paymentData.notify_url || payhereConfig.notifyUrl;
+
+  try {
+    const response = await axios.post(notifyUrl, new URLSearchParams(notification).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+
+    if (notification.status_code === '2') {
+      session.paymentId = notification.payment_id;
+    }
+
+    const delivery = {
+      scenario: notification.status_code,
+      paymentId: notification.payment_id,
+      notifyStatus: response.status,
+      sentAt: new Date()
+    };
+    session.notifications.push(delivery);
+
+    console.log('Mock PayHere notification delivered:', {
+      orderId: notification.order_id,
+      statusCode: notification.status_code,
+      notifyStatus: response.status
+    });
+    return delivery;
+  } catch (error) {
+    console.error('Mock PayHere notification delivery failed:', error.message);
+    throw new Error(`Could not reach notify URL ${notifyUrl}: ${error.message}`);
+  }
+};
+
+const renderCheckoutPage = (session) => {
+  const { paymentData } = session;
+  const orderId = escapeHtml(paymentData.order_id);
+  const button = (scenario, label, color) => `
+    <form method="POST" action="/mock-payhere/pay/checkout/${orderId}/${scenario}" style="display:inline">
+      <button type="submit" style="background:${color};color:#fff;border:0;padding:10px 18px;border-radius:6px;margin:4px;cursor:pointer">${label}</button>
+    </form>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock PayHere Checkout</title></head>
+<body style="font-family:sans-serif;background:#f3f4f6;padding:40px">
+  <div style="max-width:480px;margin:auto;background:#fff;padding:24px;border-radius:8px;box-shadow:0 1px 4px rgba(0,0,0,.1)">
+    <h2 style="margin-top:0">Mock PayHere Checkout</h2>
+    <p style="color:#b45309">Local simulator - no real money is charged.</p>
+    <table style="width:100%;border-collapse:collapse">
+      <tr><td>Merchant</td><td>${escapeHtml(paymentData.merchant_id)}</td></tr>
+      <tr><td>Order</td><td>${orderId}</td></tr>
+      <tr><td>Items</td><td>${escapeHtml(paymentData.items)}</td></tr>
+      <tr><td>Amount</td><td><strong>${escapeHtml(paymentData.currency)} ${escapeHtml(paymentData.amount)}</strong></td></tr>
+      <tr><td>Customer</td><td>${escapeHtml(paymentData.first_name)} ${escapeHtml(paymentData.last_name)} (${escapeHtml(paymentData.email)})</td></tr>
+      ${parseFloat(paymentData.startup_fee) > 0 ? `<tr><td>Startup fee</td><td>${escapeHtml(paymentData.currency)} ${escapeHtml(paymentData.startup_fee)} (first payment only)</td></tr>` : ''}
+      ${isRecurringSession(session) ? `<tr><td>Recurrence</td><td>${escapeHtml(paymentData.recurrence)} / ${escapeHtml(paymentData.duration)}</td></tr>` : ''}
+    </table>
+    <div style="margin-top:20px">
+      ${button('success', 'Pay', '#51ac37')}
+      ${button('failure', 'Decline', '#dc2626')}
+      ${button('cancel', 'Cancel', '#6b7280')}
+    </div>
+  </div>
+</body>
+</html>`;
+};
+
+// CHECKOUT: accepts the paymentData produced by the create-*-payment routes
+router.post('/pay/checkout', (req, res) => {
+  const paymentData = { ...req.body };
+  const { merchant_id, order_id, amount, currency, hash } = paymentData;
+
+  if (!merchant_id || !order_id || !amount || !currency || !hash) {
+    return res.status(400).send('Missing required payment fields');
+  }
+
+  if (merchant_id !== payhereConfig.merchantId) {
+    return res.status(400).send('Unknown merchant');
+  }
+
+  const expectedHash = generatePayHereHash(merchant_id, order_id, amount, currency, payhereConfig.merchantSecret);
+  if (expectedHash !== String(hash).toUpperCase()) {
+    return res.status(400).send('Invalid payment hash');
+  }
+
+  const session = {
+    paymentData,
+    status: 'pending',
+    subscriptionId: paymentData.recurrence ? `MOCK_SUB_${order_id}` : null,
+    installmentsPaid: 0,
+    notifications: [],
+    createdAt: new Date()
+  };
+  sessions.set(order_id, session);
+
+  res.send(renderCheckoutPage(session));
+});
+
+// Customer clicked Pay / Decline / Cancel on the mock checkout page
+router.post('/pay/checkout/:orderId/:scenario', async (req, res) => {
+  const { orderId, scenario } = req.params;
+  const session = sessions.get(orderId);
+
+  if (!session) {
+    return res.status(404).send('Checkout session not found');
+  }
+  if (!['success', 'failure', 'cancel'].includes(scenario)) {
+    return res.status(400).send('Unknown scenario');
+  }
+  if (session.status !== 'pending') {
+    return res.status(409).send(`Checkout already ${session.status}`);
+  }
+
+  try {
+    if (scenario === 'success') session.installmentsPaid = 1;
+    await sendNotification(session, buildNotification(session, scenario));
+    session.status = scenario === 'success' ? 'paid' : scenario === 'cancel' ? 'cancelled' : 'failed';
+
+    const { return_url, cancel_url } = session.paymentData;
+    res.redirect(scenario === 'cancel' ? cancel_url : return_url);
+  } catch (error) {
+    res.status(502).send(escapeHtml(error.message));
+  }
+});
+
+// SCENARIO ENDPOINTS (for scripts and manual testing)
+
+// List checkout sessions
+router.get('/sessions', (req, res) => {
+  res.json({
+    success: true,
+    sessions: Array.from(sessions.values()).map(session => ({
+      orderId: session.paymentData.order_id,
+      amount: session.paymentData.amount,
+      currency: session.paymentData.currency,
+      recurring: isRecurringSession(session),
+      status: session.status,
+      installmentsPaid: session.installmentsPaid,
+      notifications: session.notifications
+    }))
+  });
+});
+
+// Complete a checkout without the browser: { orderId, scenario: success|pending|failure|cancel }
+// 'pending' only sends PayHere's status 0 notice and leaves the checkout open
+router.post('/simulate/checkout', async (req, res) => {
+  const { orderId, scenario = 'success' } = req.body;
+  const session = sessions.get(orderId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Checkout session not found' });
+  }
+  if (!['success', 'pending', 'failure', 'cancel'].includes(scenario)) {
+    return res.status(400).json({ success: false, error: 'Unknown scenario' });
+  }
+
+  try {
+    if (scenario === 'success') session.installmentsPaid = Math.max(session.installmentsPaid, 1);
+    const delivery = await sendNotification(session, buildNotification(session, scenario));
+    if (scenario !== 'pending') {
+      session.status = scenario === 'success' ? 'paid' : scenario === 'cancel' ? 'cancelled' : 'failed';
+    }
+    res.json({ success: true, delivery });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Charge back a paid order: { orderId }
+router.post('/simulate/chargeback', async (req, res) => {
+  const { orderId } = req.body;
+  const session = sessions.get(orderId);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Checkout session not found' });
+  }
+  if (session.status !== 'paid') {
+    return res.status(409).json({ success: false, error: 'Only paid orders can be charged back' });
+  }
+
+  try {
+    // A chargeback refers back to the original payment
+    const notification = buildNotification(session, 'chargeback', { payment_id: session.paymentId });
+    const delivery = await sendNotification(session, notification);
+    session.status = 'charged_back';
+    res.json({ success: true, delivery });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Run the next automatic charge of a recurring subscription: { orderId, scenario: success|failure }
+router.post('/simulate/recurring', async (req, res) => {
+  const { orderId, scenario = 'success' } = req.body;
+  const session = sessions.get(orderId);
+
+  if (!session || !isRecurringSession(session)) {
+    return res.status(404).json({ success: false, error: 'Recurring checkout session not found' });
+  }
+  if (session.installmentsPaid < 1) {
+    return res.status(409).json({ success: false, error: 'Initial payment has not been completed' });
+  }
+  if (!['success', 'failure'].includes(scenario)) {
+    return res.status(400).json({ success: false, error: 'Unknown scenario' });
+  }
+
+  try {
+    const installment = session.installmentsPaid + 1;
+    const notification = buildNotification(session, scenario, {
+      payhere_amount: parseFloat(session.paymentData.amount).toFixed(2),
+      item_rec_install_paid: String(installment)
+    });
+    const delivery = await sendNotification(session, notification);
+    if (scenario === 'success') session.installmentsPaid = installment;
+    res.json({ success: true, delivery, installmentsPaid: session.installmentsPaid });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
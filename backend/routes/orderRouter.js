@@ -1,7 +1,7 @@
 // routes/orderRouter.js
 
 import express from 'express';
-import { newOrder, newOrderFromCart, listOrder, updateOrder, cancelOrder, getRevenueStats, getFarmerOrders, updateOrderItemStatus } from '../controllers/orderController.js';  // Import order controller methods
+import { newOrder, newOrderFromCart, listOrder, updateOrder, cancelOrder, getOrderHistory, confirmPayment, createRefund, getOrderRefunds, getRevenueStats, getFarmerOrders, updateOrderItemStatus } from '../controllers/orderController.js';  // Import order controller methods
 import { authenticate } from '../middleware/authMiddleware.js';  // Import authenticate middleware
 
 const router = express.Router();
@@ -18,12 +18,22 @@ router.get("/", authenticate, listOrder);  // Requires authentication
 // Route for farmers to get orders containing their products
 router.get("/farmer", authenticate, getFarmerOrders);  // Farmers only
 
-// Route to update order status (admin only)
-router.put("/:orderId", authenticate, updateOrder);  // Only admins can update order status
+// Route to get an order's status timeline
+router.get("/:orderId/history", authenticate, getOrderHistory);  // Requires authentication
+
+// Route to confirm cash or a bank transfer was received (admin only)
+router.post("/:orderId/confirm-payment", authenticate, confirmPayment);  // Only admins can confirm payments
+
+// Routes to refund an order in full or per line (admin only) and list its refunds
+router.post("/:orderId/refunds", authenticate, createRefund);  // Only admins can refund
+router.get("/:orderId/refunds", authenticate, getOrderRefunds);  // Order's customer or admins
 
-// Route for farmers to update order item status
+// Route for farmers to update order item status (declared before "/:orderId" so it isn't shadowed)
 router.put("/item-status", authenticate, updateOrderItemStatus);  // Farmers only
 
+// Route to update order status (admin only, along allowed transitions)
+router.put("/:orderId", authenticate, updateOrder);  // Only admins can update order status
+
 // Route to cancel an order (admin or customer can cancel pending orders)
 router.delete("/:orderId", authenticate, cancelOrder);  // Requires authentication
 
@@ -1,42 +1,63 @@
 import express from 'express';
 import { 
   payhereConfig,
-  generatePayHereHash, 
-  generateRecurringPayHereHash,
   verifyPayHereHash,
   handleCartPaymentNotification,
   handleInitialFoodPaymentWithRecurring,
   handleRecurringFoodPayment,
-  handleFailedFoodPayment 
+  handleFailedFoodPayment,
+  processPayHereNotification,
+  listPaymentEvents,
+  getPaymentEvent,
+  replayPaymentEvent,
+  reviewPaymentEvent
 } from '../controllers/paymentController.js'; // Added .js extension
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
 import FoodSubscription from '../models/Subscription.js'; // Added .js extension
 import FoodSubscriptionLog from '../models/SubscriptionLog.js'; // Added .js extension
-import CartOrder from '../models/cartorder.js';
+import Order from '../models/order.js';
+import { holdStock, releaseReservation } from '../services/stockReservationService.js';
+import { nextOrderNumber } from '../services/orderNumberService.js';
+import { planSubOrders } from '../services/subOrderService.js';
+import { priceCheckout } from '../services/cartPricingService.js';
+import { claimPromotion, releasePromotion } from '../services/promotionService.js';
+import { BILLING_CYCLES, addBillingCycle, findActivePlan, findPlan, firstPeriod } from '../services/subscriptionPlanService.js';
+import { getPaymentProvider, listPaymentMethods } from '../services/paymentProviders.js';
+import { actorFromUser } from '../services/orderStatusService.js';
+import { describePaymentOutcome, failOrderPayment, restoreOrderToCart } from '../services/orderPaymentService.js';
+import { retryOrderPayment } from '../services/paymentRetryService.js';
+import { PLACEHOLDER_CUSTOMER_NAME, updateBoxDeliveryDetails } from '../services/subscriptionFulfilmentService.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
 
 // REST OF YOUR ROUTER CODE REMAINS THE SAME...
 
-router.post('/create-cart-payment', async (req, res) => {
+router.post('/create-cart-payment', authenticate, async (req, res) => {
   try {
-    console.log('Creating PayHere One-time Cart Payment...');
-
-    const { amount, currency = 'LKR', cartItems, customerData } = req.body;
+    const { amount, currency = 'LKR', cartItems, customerData, paymentMethod = 'payhere', promoCode } = req.body;
+    console.log(`Creating one-time cart payment (${paymentMethod})...`);
+
+    let provider;
+    try {
+      provider = getPaymentProvider(paymentMethod);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
-    if (!payhereConfig.merchantId || !payhereConfig.merchantSecret) {
-      console.error('PayHere configuration missing');
-      return res.status(500).json({
+    if (!provider.isAvailable()) {
+      console.error(`Payment method ${paymentMethod} is not configured`);
+      return res.status(paymentMethod === 'payhere' ? 500 : 400).json({
         success: false,
-        error: 'PayHere configuration invalid'
+        error: paymentMethod === 'payhere' ? 'PayHere configuration invalid' : `${provider.label} is not available`
       });
     }
 
-    const numAmount = parseFloat(amount);
-    if (numAmount <= 0) {
+    // Product prices are in rupees, so that is the only currency we can charge
+    if (currency.toUpperCase() !== 'LKR') {
       return res.status(400).json({
         success: false,
-        error: 'Invalid amount'
+        error: 'Only LKR payments are supported'
       });
     }
 
@@ -55,9 +76,24 @@ router.post('/create-cart-payment', async (req, res) => {
       });
     }
 
-    const timestamp = Date.now();
-    const randomSuffix = Math.floor(Math.random() * 1000);
-    const orderId = `CART_${timestamp}_${randomSuffix}`;
+    // Price the order from the customer's saved cart; the request's amount and
+    // cartItems are only compared against it, never charged
+    const destination = { city: customerData.city || 'Colombo', district: customerData.district };
+    let priced;
+    try {
+      priced = await priceCheckout(req.user, { cartItems, amount }, { ...destination, promoCode });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          mismatches: error.details
+        });
+      }
+      throw error;
+    }
+
+    const orderId = await nextOrderNumber('cart');
 
     let cleanPhone = customerData.phone?.trim() || '0771234567';
     cleanPhone = cleanPhone.replace(/\D/g, '');
@@ -67,89 +103,98 @@ router.post('/create-cart-payment', async (req, res) => {
       cleanPhone = '0' + cleanPhone;
     }
 
-    const subtotal = numAmount;
-    const tax = 0;
-    const shipping = 0;
-    const totalAmount = subtotal + tax + shipping;
-
-    const hash = generatePayHereHash(
-      payhereConfig.merchantId,
-      orderId,
-      totalAmount,
-      currency,
-      payhereConfig.merchantSecret
-    );
-
-    let itemsDescription = 'Cart Items';
-    if (cartItems && cartItems.length > 0) {
-      itemsDescription = cartItems.map(item => 
-        `${item.productName} (x${item.quantity})`
-      ).join(', ');
-      
-      if (itemsDescription.length > 100) {
-        itemsDescription = itemsDescription.substring(0, 97) + '...';
+    // Split the cart per farmer; each farmer's delivery fee makes up the shipping
+    let orderPlan;
+    try {
+      orderPlan = await planSubOrders(orderId, priced.items, { quote: priced.quote });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
       }
+      throw error;
     }
 
-    const paymentData = {
-      sandbox: payhereConfig.mode === 'sandbox',
-      merchant_id: payhereConfig.merchantId,
-      return_url: `${payhereConfig.returnUrl}?order_id=${orderId}`,
-      cancel_url: payhereConfig.cancelUrl,
-      notify_url: payhereConfig.notifyUrl,
-      order_id: orderId,
-      items: itemsDescription,
-      currency: currency.toUpperCase(),
-      amount: totalAmount.toFixed(2),
-      first_name: customerData.firstName,
-      last_name: customerData.lastName,
-      email: customerData.email.trim().toLowerCase(),
-      phone: cleanPhone,
-      address: customerData.address.trim(),
-      city: customerData.city || 'Colombo',
-      country: 'Sri Lanka',
-      hash: hash,
-      custom_1: 'cart_order',
-      custom_2: `customer_${customerData.email.trim().toLowerCase()}`
-    };
+    const subtotal = priced.subtotal;
+    const tax = orderPlan.tax;
+    const shipping = orderPlan.shipping;
+    const totalAmount = priced.quote.total;
 
     const orderData = {
+      userId: req.user.id,
       customerEmail: customerData.email.trim().toLowerCase(),
       customerName: `${customerData.firstName} ${customerData.lastName}`.trim(),
       phoneNumber: cleanPhone,
       address: customerData.address.trim(),
-      city: customerData.city || 'Colombo',
+      city: destination.city,
+      district: destination.district,
       orderId: orderId,
-      items: cartItems ? cartItems.map(item => ({
-        productId: item.productId,
-        productName: item.productName,
-        quantity: item.quantity,
-        price: item.price,
-        totalPrice: item.price * item.quantity
-      })) : [],
+      orderType: 'cart',
+      items: orderPlan.items,
+      subOrders: orderPlan.subOrders,
       subtotal: subtotal,
       tax: tax,
       shipping: shipping,
+      discount: priced.quote.discount,
+      promotion: priced.quote.promotion || undefined,
       totalAmount: totalAmount,
+      charges: orderPlan.charges,
       currency: currency.toUpperCase(),
       paymentStatus: 'pending',
       orderStatus: 'pending',
-      payhereOrderId: orderId
+      paymentMethod: provider.name,
+      payhereOrderId: provider.name === 'payhere' ? orderId : undefined
     };
 
-    const order = new CartOrder(orderData);
-    await order.save();
+    // Count the order against the promo code's limit before anything is held for it
+    const { promotion } = priced.quote;
+    if (promotion) {
+      try {
+        await claimPromotion({ _id: promotion.promotionId, code: promotion.code }, { customer: req.user.id, orderId });
+      } catch (error) {
+        if (error.statusCode === 409) {
+          return res.status(409).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // Hold the stock until the payment outcome is known (or the hold expires)
+    try {
+      await holdStock(orderId, orderData.items, { ttlMinutes: provider.holdMinutes });
+    } catch (error) {
+      if (promotion) await releasePromotion(promotion.promotionId, orderId);
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    const order = new Order(orderData);
+    try {
+      await order.save();
+    } catch (error) {
+      await releaseReservation(orderId, 'order_failed');
+      if (promotion) await releasePromotion(promotion.promotionId, orderId);
+      throw error;
+    }
+
+    const payment = await provider.createPayment(order, {
+      customer: customerData,
+      actor: actorFromUser(req.user)
+    });
 
     console.log('One-time cart payment order created:', {
       orderId,
+      paymentMethod: provider.name,
       amount: totalAmount,
-      itemsCount: cartItems?.length || 0
+      itemsCount: priced.items.length
     });
 
     res.json({
       success: true,
       orderId: orderId,
-      paymentData: paymentData,
+      paymentMethod: provider.name,
+      ...payment,
       amount: totalAmount,
       currency: currency.toUpperCase(),
       message: 'One-time cart payment created successfully'
@@ -165,12 +210,147 @@ router.post('/create-cart-payment', async (req, res) => {
   }
 });
 
+// Payment methods the checkout page can offer
+router.get('/payment-methods', (req, res) => {
+  res.json({ success: true, methods: listPaymentMethods() });
+});
+
+// Find a cart order for its customer (or an admin); PayHere sends back our order id
+const findOwnOrder = async (req, res) => {
+  const { orderId } = req.params;
+  const order = await Order.findOne({ $or: [{ orderId }, { payhereOrderId: orderId }] });
+
+  if (!order) {
+    res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    return null;
+  }
+
+  const ownsOrder = order.userId?.toString() === req.user.id || order.customerEmail === req.user.email;
+  if (!ownsOrder && req.user.type !== 'admin') {
+    res.status(403).json({ success: false, error: 'You can only view your own orders' });
+    return null;
+  }
+
+  return order;
+};
+
+const paymentStatusResponse = (order) => {
+  const outcome = describePaymentOutcome(order);
+  return {
+    success: true,
+    orderId: order.orderId,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    orderStatus: order.orderStatus,
+    outcome,
+    // The page keeps polling until PayHere (or the review) settles the payment
+    settled: !['pending', 'review'].includes(outcome),
+    amount: order.totalAmount,
+    currency: order.currency,
+    items: order.items.map(item => ({
+      productName: item.productName,
+      quantity: item.quantity,
+      price: item.price
+    })),
+    updatedAt: order.updatedAt
+  };
+};
+
+// Payment status of an order, polled by the return page until the notification lands
+router.get('/payments/:orderId/status', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    res.json(paymentStatusResponse(order));
+  } catch (error) {
+    console.error('Payment status lookup failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to load payment status', message: error.message });
+  }
+});
+
+// The customer left PayHere without paying: cancel the order, free its stock
+// and put its products back in the cart
+router.post('/payments/:orderId/cancel', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    if (order.paymentMethod !== 'payhere') {
+      return res.status(400).json({ success: false, error: 'Only PayHere payments can be cancelled here' });
+    }
+
+    const outcome = describePaymentOutcome(order);
+    if (['paid', 'review', 'refunded', 'charged_back'].includes(outcome)) {
+      return res.status(409).json({
+        success: false,
+        error: outcome === 'review' ? 'This payment is being reviewed' : 'This order has already been paid',
+        ...paymentStatusResponse(order)
+      });
+    }
+
+    if (outcome === 'pending') {
+      await failOrderPayment(order, {
+        outcome: 'cancelled',
+        reason: 'Customer cancelled the PayHere payment',
+        actor: actorFromUser(req.user)
+      });
+      console.log('Cart payment cancelled by customer:', order.orderId);
+    }
+
+    // A cancelled or failed notification may have arrived first; the cart is restored either way
+    await restoreOrderToCart(order);
+
+    res.json(paymentStatusResponse(order));
+  } catch (error) {
+    console.error('Payment cancellation failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel payment', message: error.message });
+  }
+});
+
+// Pay again for a failed or abandoned PayHere order: re-checks prices and stock,
+// holds the stock again and returns freshly signed paymentData
+router.post('/payments/:orderId/retry', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req, res);
+    if (!order) return;
+
+    let payment;
+    try {
+      payment = await retryOrderPayment(order, { actor: actorFromUser(req.user) });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+          mismatches: error.details
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      orderId: order.orderId,
+      paymentMethod: order.paymentMethod,
+      ...payment,
+      amount: order.totalAmount,
+      currency: order.currency,
+      attempt: order.paymentAttempts,
+      message: 'Payment re-issued successfully'
+    });
+  } catch (error) {
+    console.error('Payment retry failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry payment', message: error.message });
+  }
+});
+
 // CREATE FOOD SUBSCRIPTION PAYMENT ENDPOINT (Recurring)
 router.post('/create-food-subscription-payment', async (req, res) => {
   try {
     console.log('Creating PayHere Recurring Food Subscription Payment...');
 
-    const { amount, currency = 'LKR', planId, enableAutoRenew = true, customerData } = req.body;
+    const { amount, planId, enableAutoRenew = true, customerData } = req.body;
 
     if (!payhereConfig.merchantId || !payhereConfig.merchantSecret) {
       console.error('PayHere configuration missing');
@@ -180,12 +360,22 @@ router.post('/create-food-subscription-payment', async (req, res) => {
       });
     }
 
-    const fixedAmount = 2500;
-    const numAmount = parseFloat(amount);
-    if (numAmount !== fixedAmount) {
-      return res.status(400).json({
+    // The price is the plan's, whatever the page showed
+    let plan;
+    try {
+      plan = await findActivePlan(planId);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    const cycle = BILLING_CYCLES[plan.billingCycle];
+    if (amount !== undefined && Math.abs(parseFloat(amount) - plan.price) > 0.005) {
+      return res.status(409).json({
         success: false,
-        error: `Invalid amount. Food subscription is fixed at LKR ${fixedAmount} per month`
+        error: `${plan.name} now costs ${plan.currency} ${plan.price.toFixed(2)} per ${cycle.label}. Please review the plan and try again.`
       });
     }
 
@@ -204,67 +394,30 @@ router.post('/create-food-subscription-payment', async (req, res) => {
       });
     }
 
-    const timestamp = Date.now();
-    const randomSuffix = Math.floor(Math.random() * 1000);
-    const orderId = `FOOD_RECURRING_${timestamp}_${randomSuffix}`;
-
-    const nameParts = customerData.name.trim().split(/\s+/);
-    const firstName = nameParts[0] || 'Customer';
-    const lastName = nameParts.slice(1).join(' ') || 'User';
-
-    let cleanPhone = customerData.phoneNumber?.trim() || '0771234567';
-    cleanPhone = cleanPhone.replace(/\D/g, '');
-    if (cleanPhone.startsWith('94')) {
-      cleanPhone = '0' + cleanPhone.substring(2);
-    } else if (!cleanPhone.startsWith('0')) {
-      cleanPhone = '0' + cleanPhone;
-    }
-
-    const hash = generateRecurringPayHereHash(
-      payhereConfig.merchantId,
+    const orderId = await nextOrderNumber('subscription');
+    const { paymentData, checkoutUrl, gatewayMode } = await getPaymentProvider('payhere').createRecurringPayment({
       orderId,
-      fixedAmount,
-      currency,
-      payhereConfig.merchantSecret
-    );
-
-    const paymentData = {
-      sandbox: payhereConfig.mode === 'sandbox',
-      merchant_id: payhereConfig.merchantId,
-      return_url: `${payhereConfig.returnUrl}?order_id=${orderId}`,
-      cancel_url: payhereConfig.cancelUrl,
-      notify_url: payhereConfig.notifyUrl,
-      order_id: orderId,
-      items: 'Premium Food Subscription - Monthly Auto-Renewal',
-      currency: currency.toUpperCase(),
-      amount: fixedAmount.toFixed(2),
-      first_name: firstName,
-      last_name: lastName,
-      email: customerData.email.trim().toLowerCase(),
-      phone: cleanPhone,
-      address: customerData.address.trim(),
-      city: 'Colombo',
-      country: 'Sri Lanka',
-      hash: hash,
-      custom_1: `plan_${planId}`,
-      custom_2: 'food_monthly_recurring',
-      recurrence: '1 Month',
-      duration: 'Forever',
-      startup_fee: '0.00'
-    };
+      plan,
+      customer: customerData
+    });
 
     console.log('PayHere recurring food payment data prepared:', {
       orderId,
-      amount: fixedAmount,
-      recurring: true
+      planId: plan.planId,
+      amount: plan.price,
+      recurrence: cycle.recurrence
     });
 
     res.json({
       success: true,
       orderId: orderId,
       paymentData: paymentData,
-      amount: fixedAmount,
-      currency: currency.toUpperCase(),
+      checkoutUrl: checkoutUrl,
+      gatewayMode: gatewayMode,
+      planId: plan.planId,
+      amount: plan.price,
+      currency: plan.currency,
+      billingCycle: plan.billingCycle,
       recurring: true,
       message: 'Food subscription recurring payment created successfully'
     });
@@ -289,8 +442,7 @@ router.post('/create-food-subscription-record', async (req, res) => {
       customerName,
       phoneNumber,
       address,
-      amount = 2500,
-      currency = 'LKR',
+      planId,
       paymentMethod = 'payhere',
       payhereOrderId,
       payhereRecurringToken,
@@ -306,6 +458,17 @@ router.post('/create-food-subscription-record', async (req, res) => {
 
     const existingSubscription = await FoodSubscription.findOne({ payhereOrderId });
     if (existingSubscription) {
+      // PayHere reported the payment first: the subscription and its first box still
+      // carry placeholder details, which the customer's own replace once
+      if (existingSubscription.customerName === PLACEHOLDER_CUSTOMER_NAME &&
+          existingSubscription.userEmail === userEmail.toLowerCase().trim()) {
+        existingSubscription.customerName = customerName.trim();
+        existingSubscription.phoneNumber = phoneNumber?.trim() || existingSubscription.phoneNumber;
+        existingSubscription.address = address.trim();
+        await existingSubscription.save();
+        await updateBoxDeliveryDetails(existingSubscription);
+      }
+
       return res.json({
         success: true,
         subscriptionId: existingSubscription._id,
@@ -321,22 +484,30 @@ router.post('/create-food-subscription-record', async (req, res) => {
       });
     }
 
-    const startDate = new Date();
-    const endDate = new Date(startDate);
-    endDate.setMonth(endDate.getMonth() + 1);
-    const nextBillingDate = enableAutoRenew ? new Date(endDate) : null;
+    // Priced from the plan that was paid for, not from the request
+    const plan = await findPlan(planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: `Subscription plan ${planId} not found`
+      });
+    }
+
+    const { startDate, trialEndsAt, endDate } = firstPeriod(plan);
+    const nextBillingDate = enableAutoRenew ? addBillingCycle(startDate, plan.billingCycle) : null;
 
     const subscriptionData = {
       userEmail: userEmail.toLowerCase().trim(),
       customerName: customerName.trim(),
       phoneNumber: phoneNumber?.trim() || '0771234567',
       address: address.trim(),
-      planId: 'food_premium',
-      planName: 'Premium Food Subscription',
+      planId: plan.planId,
+      planName: plan.name,
       status: 'active',
-      amount: parseFloat(amount),
-      currency: currency.toUpperCase(),
-      billingCycle: 'monthly',
+      amount: plan.price,
+      currency: plan.currency,
+      billingCycle: plan.billingCycle,
+      trialEndsAt: trialEndsAt,
       paymentMethod: paymentMethod,
       payhereOrderId: payhereOrderId,
       payhereRecurringToken: payhereRecurringToken,
@@ -346,7 +517,7 @@ router.post('/create-food-subscription-record', async (req, res) => {
       nextBillingDate: nextBillingDate,
       renewalHistory: [{
         renewalDate: startDate,
-        amount: parseFloat(amount),
+        amount: plan.price,
         status: 'success',
         paymentId: payhereOrderId,
         attempt: 1,
@@ -363,8 +534,9 @@ router.post('/create-food-subscription-record', async (req, res) => {
       action: 'created',
       details: {
         paymentId: payhereOrderId,
-        amount: parseFloat(amount),
-        currency: currency.toUpperCase(),
+        planId: plan.planId,
+        amount: plan.price,
+        currency: plan.currency,
         autoRenewal: enableAutoRenew,
         recurringToken: !!payhereRecurringToken,
         payhereToken: payhereRecurringToken
@@ -402,6 +574,34 @@ router.post('/create-food-subscription-record', async (req, res) => {
   }
 });
 
+// UNIFIED PAYHERE NOTIFICATION HANDLER
+// Every notify is written to the payment event ledger first and applied at most once
+router.post('/payhere-notify', async (req, res) => {
+  try {
+    if (!req.body?.order_id || !req.body?.status_code) {
+      return res.status(400).send('Invalid notification');
+    }
+
+    const result = await processPayHereNotification(req.body);
+
+    if (result.reason === 'invalid_signature') {
+      return res.status(400).send('Invalid signature');
+    }
+
+    // Acknowledge duplicates too, otherwise PayHere keeps retrying
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('PayHere notification processing failed:', error);
+    res.status(500).send('Notification processing failed');
+  }
+});
+
+// ADMIN PAYMENT EVENT AUDIT ENDPOINTS
+router.get('/admin/payment-events', authenticate, isAdmin, listPaymentEvents);
+router.get('/admin/payment-events/:eventId', authenticate, isAdmin, getPaymentEvent);
+router.post('/admin/payment-events/:eventId/replay', authenticate, isAdmin, replayPaymentEvent);
+router.post('/admin/payment-events/:eventId/review', authenticate, isAdmin, reviewPaymentEvent);
+
 // All your other routes remain the same...
 // [Rest of the routes from your original file]
 
@@ -0,0 +1,38 @@
+// routes/payoutRouter.js
+
+import express from 'express';
+import {
+  getMyEarnings,
+  exportMyEarnings,
+  getFarmerLedger,
+  createAdjustment,
+  listSettlements,
+  createSettlementBatch,
+  paySettlement,
+} from '../controllers/payoutController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Farmer earnings summary and ledger
+router.get("/earnings", authenticate, getMyEarnings);  // Farmers only
+
+// Farmer ledger as CSV
+router.get("/earnings/export", authenticate, exportMyEarnings);  // Farmers only
+
+// Settlements (farmers see their own)
+router.get("/settlements", authenticate, listSettlements);
+
+// Settle all unsettled balances
+router.post("/settlements", authenticate, isAdmin, createSettlementBatch);  // Admin only
+
+// Mark a settlement as paid out
+router.put("/settlements/:settlementId/paid", authenticate, isAdmin, paySettlement);  // Admin only
+
+// Manual ledger adjustment
+router.post("/adjustments", authenticate, isAdmin, createAdjustment);  // Admin only
+
+// One farmer's ledger
+router.get("/farmers/:farmerId", authenticate, isAdmin, getFarmerLedger);  // Admin only
+
+export default router;
@@ -0,0 +1,30 @@
+// routes/pricingRouter.js
+
+import express from 'express';
+import {
+  listPricingRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+  createShippingRule,
+  updateShippingRule,
+  deleteShippingRule,
+} from '../controllers/pricingController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All tax and shipping rules
+router.get("/rules", authenticate, isAdmin, listPricingRules);  // Admin only
+
+// Tax rules (per product category, or the default rule)
+router.post("/tax-rules", authenticate, isAdmin, createTaxRule);  // Admin only
+router.put("/tax-rules/:ruleId", authenticate, isAdmin, updateTaxRule);  // Admin only
+router.delete("/tax-rules/:ruleId", authenticate, isAdmin, deleteTaxRule);  // Admin only
+
+// Shipping rules (per city/district, by weight or order value)
+router.post("/shipping-rules", authenticate, isAdmin, createShippingRule);  // Admin only
+router.put("/shipping-rules/:ruleId", authenticate, isAdmin, updateShippingRule);  // Admin only
+router.delete("/shipping-rules/:ruleId", authenticate, isAdmin, deleteShippingRule);  // Admin only
+
+export default router;
@@ -0,0 +1,25 @@
+// routes/promotionRouter.js
+
+import express from 'express';
+import {
+  listPromotions,
+  listAllPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} from '../controllers/promotionController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Promotions running now (public, for the Promotions page)
+router.get("/", listPromotions);
+
+// Every promotion with its usage
+router.get("/all", authenticate, isAdmin, listAllPromotions);  // Admin only
+
+router.post("/", authenticate, isAdmin, createPromotion);  // Admin only
+router.put("/:promotionId", authenticate, isAdmin, updatePromotion);  // Admin only
+router.delete("/:promotionId", authenticate, isAdmin, deletePromotion);  // Admin only
+
+export default router;
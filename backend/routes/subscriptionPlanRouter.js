@@ -0,0 +1,25 @@
+// routes/subscriptionPlanRouter.js
+
+import express from 'express';
+import {
+  listPlans,
+  listAllPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+} from '../controllers/subscriptionPlanController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Plans on sale (public, for the subscription page)
+router.get("/", listPlans);
+
+// Every plan with its active subscriptions
+router.get("/all", authenticate, isAdmin, listAllPlans);  // Admin only
+
+router.post("/", authenticate, isAdmin, createPlan);  // Admin only
+router.put("/:planId", authenticate, isAdmin, updatePlan);  // Admin only
+router.delete("/:planId", authenticate, isAdmin, deletePlan);  // Admin only
+
+export default router;
@@ -0,0 +1,34 @@
+// routes/subscriptionRouter.js
+
+import express from 'express';
+import {
+  getMySubscriptions,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  reactivateSubscription,
+  previewPlanChange,
+  changePlan,
+  payPlanChange,
+  runLifecycle,
+} from '../controllers/subscriptionController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// The logged in customer's food subscriptions
+router.get("/mine", authenticate, getMySubscriptions);
+
+// Expire, cancel and remind now instead of waiting for the scheduler
+router.post("/lifecycle/run", authenticate, isAdmin, runLifecycle);  // Admin only
+
+// Self-service on one of them (admins may act on any)
+router.post("/:subscriptionId/cancel", authenticate, cancelSubscription);
+router.post("/:subscriptionId/pause", authenticate, pauseSubscription);
+router.post("/:subscriptionId/resume", authenticate, resumeSubscription);
+router.post("/:subscriptionId/reactivate", authenticate, reactivateSubscription);
+router.get("/:subscriptionId/plan-change", authenticate, previewPlanChange);
+router.post("/:subscriptionId/plan-change", authenticate, changePlan);
+router.post("/:subscriptionId/plan-change/checkout", authenticate, payPlanChange);
+
+export default router;
@@ -1,8 +1,8 @@
 // routes/utilityRouter.js
 
 import express from 'express';
-import { cleanExpiredProducts, getExpiringSoon, getExpiringWithin5Days, systemHealth } from '../controllers/utilityController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
+import { cleanExpiredProducts, getExpiringSoon, getExpiringWithin5Days, systemHealth, releaseExpiredStock } from '../controllers/utilityController.js';
+import { authenticate, isAdmin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -18,4 +18,7 @@ router.get('/expiring-5-days', authenticate, getExpiringWithin5Days);
 // Check system health
 router.get('/health', authenticate, systemHealth);
 
+// Release stock held by expired unpaid orders (admin only; also runs on a timer)
+router.post('/release-expired-reservations', authenticate, isAdmin, releaseExpiredStock);
+
 export default router;
\ No newline at end of file
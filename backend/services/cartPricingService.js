@@ -0,0 +1,107 @@
+// services/cartPricingService.js
+// Prices a checkout from the customer's saved Cart and current product prices,
+// so nothing the browser sends decides what is charged.
+
+import Cart from '../models/cart.js';
+import { quoteCharges } from './pricingRulesService.js';
+import { findPromotionForCustomer } from './promotionService.js';
+
+// Amounts closer than this are treated as equal (float noise from the browser)
+const PRICE_TOLERANCE = 0.005;
+
+const pricingError = (message, statusCode = 400, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+// Order line items for a user's cart at today's prices
+export const priceCart = async (userId) => {
+  const cart = await Cart.findOne({ userId }).populate('items.productId');
+
+  if (!cart || cart.items.length === 0) {
+    throw pricingError('Cart is empty. Add items to cart before checking out.');
+  }
+
+  const now = new Date();
+  const items = cart.items.map(({ productId: product, quantity }) => {
+    if (!product) {
+      throw pricingError('One or more products in your cart no longer exist.');
+    }
+    if (product.expiryDate && new Date(product.expiryDate) < now) {
+      throw pricingError(`Product "${product.productName}" has expired and cannot be ordered.`);
+    }
+
+    return {
+      productId: product._id,
+      productName: product.productName,
+      image: product.images?.[0],
+      quantity,
+      price: product.price,
+      totalPrice: product.price * quantity
+    };
+  });
+
+  return {
+    items,
+    subtotal: items.reduce((sum, item) => sum + item.totalPrice, 0)
+  };
+};
+
+// The user's cart priced with tax and shipping to { city, district } and the discount of
+// promoCode, as shown on the cart and checkout pages. An unusable code throws 400/404.
+export const quoteCart = async (user, { city, district, promoCode } = {}) => {
+  const priced = await priceCart(user.id);
+  const promotion = promoCode ? await findPromotionForCustomer(promoCode, user) : null;
+  return { ...priced, quote: await quoteCharges(priced.items, { city, district, promotion }) };
+};
+
+// Compare what the browser showed the customer with the server-side pricing.
+// Every difference is returned so the checkout page can explain what changed.
+export const findPricingMismatches = (priced, { cartItems, amount } = {}) => {
+  const mismatches = [];
+
+  if (Array.isArray(cartItems)) {
+    const clientItems = new Map(cartItems.map(item => [String(item.productId), item]));
+
+    priced.items.forEach(item => {
+      const clientItem = clientItems.get(item.productId.toString());
+      clientItems.delete(item.productId.toString());
+
+      if (!clientItem) {
+        mismatches.push({ productId: item.productId, field: 'missing', expected: item.quantity });
+        return;
+      }
+      if (Number(clientItem.quantity) !== item.quantity) {
+        mismatches.push({ productId: item.productId, field: 'quantity', expected: item.quantity, received: clientItem.quantity });
+      }
+      if (clientItem.price !== undefined && Math.abs(Number(clientItem.price) - item.price) > PRICE_TOLERANCE) {
+        mismatches.push({ productId: item.productId, field: 'price', expected: item.price, received: clientItem.price });
+      }
+    });
+
+    clientItems.forEach(clientItem => {
+      mismatches.push({ productId: clientItem.productId, field: 'unexpected', received: clientItem.quantity });
+    });
+  }
+
+  // The amount is the order total, tax and shipping included
+  const total = priced.quote ? priced.quote.total : priced.subtotal;
+  if (amount !== undefined && Math.abs(parseFloat(amount) - total) > PRICE_TOLERANCE) {
+    mismatches.push({ field: 'amount', expected: total, received: amount });
+  }
+
+  return mismatches;
+};
+
+// Price the cart like quoteCart and refuse (409) if the browser's view of it differs
+export const priceCheckout = async (user, clientView, options = {}) => {
+  const priced = await quoteCart(user, options);
+  const mismatches = findPricingMismatches(priced, clientView);
+
+  if (mismatches.length > 0) {
+    throw pricingError('Your cart has changed since you started checkout. Please review it and try again.', 409, mismatches);
+  }
+  return priced;
+};
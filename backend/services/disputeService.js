@@ -0,0 +1,235 @@
+// services/disputeService.js
+// Chargebacks PayHere reports with status_code -3. Each one opens a dispute against
+// the original order or food subscription and freezes the farmers' earnings from it
+// until an admin resolves the dispute as won or lost.
+
+import Dispute from '../models/dispute.js';
+import Order from '../models/order.js';
+import FoodSubscription from '../models/Subscription.js';
+import FoodSubscriptionLog from '../models/SubscriptionLog.js';
+import Counter from '../models/counter.js';
+import { canTransition, transitionOrder } from './orderStatusService.js';
+import { freezeOrderEarnings, releaseFrozenEarnings, reverseOrderEarnings } from './payoutService.js';
+
+export const OPEN_DISPUTE_STATUSES = ['open', 'evidence_submitted'];
+export const EVIDENCE_TYPES = ['delivery_proof', 'customer_communication', 'invoice', 'other'];
+
+const disputeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const nextDisputeId = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'dispute' },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `DSP${counter.seq.toString().padStart(4, '0')}`;
+};
+
+// The order or subscription the charged back payment belongs to
+const findChargebackTarget = async (source, { order_id, subscription_id }) => {
+  if (source === 'order') {
+    const order = await Order.findOne({ payhereOrderId: order_id });
+    if (!order) throw new Error(`Cart order not found for chargeback: ${order_id}`);
+    return order;
+  }
+
+  const subscription = await FoodSubscription.findOne({
+    $or: [
+      { payhereOrderId: order_id },
+      ...(subscription_id ? [{ payhereRecurringToken: subscription_id }] : [])
+    ]
+  }).sort({ createdAt: -1 });
+  if (!subscription) throw new Error(`Food subscription not found for chargeback: ${order_id}`);
+  return subscription;
+};
+
+// Open a dispute for a chargeback notification; a re-sent notification gets the existing one
+export const openChargebackDispute = async (notificationData, { eventKey, source }) => {
+  const existing = await Dispute.findOne({ eventKey });
+  if (existing) return existing;
+
+  const { order_id, payment_id, payhere_amount, payhere_currency, status_message } = notificationData;
+  const target = await findChargebackTarget(source, notificationData);
+
+  const dispute = await Dispute.create({
+    disputeId: await nextDisputeId(),
+    eventKey,
+    source,
+    orderId: source === 'order' ? target.orderId : undefined,
+    subscriptionId: source === 'subscription' ? target._id : undefined,
+    payhereOrderId: order_id,
+    paymentId: payment_id,
+    customerEmail: source === 'order' ? target.customerEmail : target.userEmail,
+    amount: parseFloat(payhere_amount) || 0,
+    currency: payhere_currency || 'LKR',
+    reason: status_message,
+    previousPaymentStatus: source === 'order' ? target.paymentStatus : target.status
+  });
+
+  if (source === 'order') {
+    target.paymentStatus = 'charged_back';
+    target.updatedAt = new Date();
+    await target.save();
+
+    const frozen = await freezeOrderEarnings(target.orderId, dispute.disputeId);
+    dispute.frozenEntries = frozen.count;
+    dispute.frozenAmount = frozen.amount;
+    await dispute.save();
+  } else {
+    target.paymentFailure = true;
+    target.paymentFailureReason = `Chargeback ${dispute.disputeId}: ${status_message || payment_id}`;
+    target.lastPaymentFailureDate = new Date();
+    await target.save();
+
+    await FoodSubscriptionLog.create({
+      subscriptionId: target._id,
+      userEmail: target.userEmail,
+      action: 'failed',
+      details: {
+        paymentId: payment_id,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        reason: `Chargeback opened as ${dispute.disputeId}`
+      }
+    });
+  }
+
+  console.log('⚠️ Chargeback dispute opened:', {
+    disputeId: dispute.disputeId,
+    source,
+    orderId: order_id,
+    amount: dispute.amount,
+    frozenEntries: dispute.frozenEntries
+  });
+  return dispute;
+};
+
+// Attach something that supports our side of a dispute
+export const addDisputeEvidence = async (disputeId, { type = 'other', description, url }, actor) => {
+  if (!description?.trim()) {
+    throw disputeError('Evidence needs a description');
+  }
+  if (!EVIDENCE_TYPES.includes(type)) {
+    throw disputeError(`Evidence type must be one of: ${EVIDENCE_TYPES.join(', ')}`);
+  }
+
+  const dispute = await Dispute.findOne({ disputeId });
+  if (!dispute) {
+    throw disputeError(`Dispute ${disputeId} not found`, 404);
+  }
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw disputeError(`Dispute ${disputeId} is already ${dispute.status}`);
+  }
+
+  dispute.evidence.push({ type, description: description.trim(), url, addedBy: actor?.email });
+  dispute.status = 'evidence_submitted';
+  await dispute.save();
+  return dispute;
+};
+
+const resolveOrderDispute = async (dispute, actor) => {
+  const order = await Order.findOne({ orderId: dispute.orderId });
+  if (!order) return;
+
+  if (dispute.status === 'won') {
+    // The chargeback was reversed and the payment stands
+    order.paymentStatus = dispute.previousPaymentStatus || 'completed';
+    await order.save();
+    return;
+  }
+
+  // The customer keeps the money: close the order and take back what its farmers earned
+  const reason = `Chargeback ${dispute.disputeId} lost`;
+  if (canTransition(order.orderStatus, 'refunded')) {
+    transitionOrder(order, 'refunded', { actor, reason });
+  }
+  await order.save();
+  await reverseOrderEarnings(order, reason);
+};
+
+const resolveSubscriptionDispute = async (dispute) => {
+  const subscription = await FoodSubscription.findById(dispute.subscriptionId);
+  if (!subscription) return;
+
+  if (dispute.status === 'won') {
+    subscription.paymentFailure = false;
+    subscription.paymentFailureReason = undefined;
+    await subscription.save();
+    return;
+  }
+
+  // No more deliveries for a subscription whose payment was taken back
+  subscription.status = 'cancelled';
+  subscription.autoRenew = false;
+  subscription.cancellationReason = `Chargeback ${dispute.disputeId} lost`;
+  subscription.cancellationEffectiveDate = new Date();
+  await subscription.save();
+
+  await FoodSubscriptionLog.create({
+    subscriptionId: subscription._id,
+    userEmail: subscription.userEmail,
+    action: 'cancelled',
+    details: {
+      paymentId: dispute.paymentId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      reason: subscription.cancellationReason
+    }
+  });
+};
+
+// Close a dispute as 'won' (payment stands) or 'lost' (customer keeps the money)
+export const resolveDispute = async (disputeId, { outcome, note }, actor) => {
+  if (!['won', 'lost'].includes(outcome)) {
+    throw disputeError("Outcome must be 'won' or 'lost'");
+  }
+
+  // Only the first resolver gets the dispute
+  const dispute = await Dispute.findOneAndUpdate(
+    { disputeId, status: { $in: OPEN_DISPUTE_STATUSES } },
+    {
+      $set: {
+        status: outcome,
+        resolution: { outcome, note, resolvedBy: actor?.email, resolvedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+  if (!dispute) {
+    const exists = await Dispute.exists({ disputeId });
+    throw exists
+      ? disputeError(`Dispute ${disputeId} is already resolved`, 409)
+      : disputeError(`Dispute ${disputeId} not found`, 404);
+  }
+
+  if (dispute.source === 'order') {
+    await resolveOrderDispute(dispute, actor);
+  } else {
+    await resolveSubscriptionDispute(dispute);
+  }
+  await releaseFrozenEarnings(dispute.disputeId);
+
+  console.log('Chargeback dispute resolved:', { disputeId, outcome, by: actor?.email });
+  return dispute;
+};
+
+// Counts per status for the admin dashboard
+export const summarizeDisputes = async () => {
+  const byStatus = await Dispute.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' }, frozenAmount: { $sum: '$frozenAmount' } } }
+  ]);
+  const total = (status, field = 'count') => byStatus.find(entry => entry._id === status)?.[field] || 0;
+
+  return {
+    open: total('open'),
+    evidenceSubmitted: total('evidence_submitted'),
+    won: total('won'),
+    lost: total('lost'),
+    openAmount: total('open', 'amount') + total('evidence_submitted', 'amount'),
+    frozenAmount: total('open', 'frozenAmount') + total('evidence_submitted', 'frozenAmount')
+  };
+};
@@ -0,0 +1,448 @@
+// services/invoiceService.js
+// Invoices for paid cart orders and paid food subscription renewals: issued once when the
+// payment is verified, rendered as HTML or PDF on demand and emailed to the customer.
+
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/invoice.js';
+import Counter from '../models/counter.js';
+import User from '../models/user.js';
+import { sendMail } from './mailService.js';
+
+// A paid order keeps its invoice after refunds or a chargeback; those are recorded separately
+export const INVOICED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'charged_back'];
+
+const business = {
+  name: process.env.INVOICE_BUSINESS_NAME?.trim() || 'GreenHarvest',
+  address: process.env.INVOICE_BUSINESS_ADDRESS?.trim() || 'Colombo, Sri Lanka',
+  email: process.env.INVOICE_BUSINESS_EMAIL?.trim()
+};
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+
+const nextInvoiceNumber = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'invoice' },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `INV${counter.seq.toString().padStart(4, '0')}`;
+};
+
+// How long a reserved invoice may wait for its number before another request numbers it
+const RESERVATION_TIMEOUT_MS = 60 * 1000;
+
+// Claim a reservation whose request never got as far as numbering it; null if it is
+// numbered already, not stale yet or claimed by someone else
+const takeOverReservation = (invoice, now = new Date()) => Invoice.findOneAndUpdate(
+  { _id: invoice._id, invoiceNumber: null, issuedAt: { $lt: new Date(now.getTime() - RESERVATION_TIMEOUT_MS) } },
+  { $set: { issuedAt: now } },
+  { new: true }
+);
+
+const numberReservation = async (reserved) => {
+  reserved.invoiceNumber = await nextInvoiceNumber();
+  reserved.issuedAt = new Date();
+  await reserved.save();
+  return reserved;
+};
+
+// Each order or renewal is invoiced once; a second call returns the first invoice.
+// The invoice is saved without a number first, so only the request that reserved its
+// sourceKey takes a number and concurrent requests never burn one.
+const issueOnce = async (sourceKey, build) => {
+  const existing = await Invoice.findOne({ sourceKey });
+  if (existing?.invoiceNumber) return { invoice: existing, created: false };
+
+  let reserved;
+  if (existing) {
+    reserved = await takeOverReservation(existing);
+    if (!reserved) return { invoice: existing, created: false };
+  } else {
+    try {
+      reserved = await Invoice.create({ ...(await build()), sourceKey });
+    } catch (error) {
+      // Reserved by a concurrent request in the meantime
+      if (error.code === 11000) return { invoice: await Invoice.findOne({ sourceKey }), created: false };
+      throw error;
+    }
+  }
+
+  return { invoice: await numberReservation(reserved), created: true };
+};
+
+// Number and email the invoices whose issuing failed after they were reserved, so a
+// paid order or renewal is never left without one. Returns the invoice numbers issued.
+export const finishStuckInvoices = async (now = new Date()) => {
+  const stuck = await Invoice.find({
+    invoiceNumber: null,
+    issuedAt: { $lt: new Date(now.getTime() - RESERVATION_TIMEOUT_MS) }
+  });
+  const issued = [];
+
+  for (const invoice of stuck) {
+    const reserved = await takeOverReservation(invoice, now);
+    if (!reserved) continue;
+
+    const numbered = await numberReservation(reserved);
+    await emailInvoice(numbered);
+    issued.push(numbered.invoiceNumber);
+  }
+
+  return issued;
+};
+
+// Periodically finish stuck invoices
+export const startInvoiceSweeper = (intervalMs = 10 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const issued = await finishStuckInvoices();
+      if (issued.length > 0) {
+        console.log(`🧾 Issued ${issued.length} stuck invoices:`, issued);
+      }
+    } catch (error) {
+      console.error('Stuck invoice sweep failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+const farmerNames = async (farmerIds) => {
+  const farmers = await User.find({ _id: { $in: farmerIds } }).select('firstName lastName farmName');
+  return new Map(farmers.map(farmer => [
+    farmer._id.toString(),
+    farmer.farmName || `${farmer.firstName || ''} ${farmer.lastName || ''}`.trim()
+  ]));
+};
+
+// When the order was paid: confirmed by an admin, or the status change PayHere caused
+const orderPaidAt = (order) =>
+  order.paymentConfirmation?.confirmedAt ||
+  order.statusHistory?.find(change => change.to === 'confirmed')?.changedAt ||
+  order.updatedAt;
+
+// Invoice a paid cart order: one line per product plus each farmer's delivery fee
+export const issueOrderInvoice = async (order, { email = true } = {}) => {
+  if (!INVOICED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw invoiceError(`Order ${order.orderId} is not paid yet`, 409);
+  }
+
+  const { invoice, created } = await issueOnce(`order:${order.orderId}`, async () => {
+    const names = await farmerNames((order.subOrders || []).map(subOrder => subOrder.farmerId));
+
+    const itemLines = order.items.map(item => ({
+      kind: 'item',
+      description: item.productName,
+      productId: item.productId,
+      farmerId: item.farmerId,
+      subOrderId: item.subOrderId,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount: roundAmount(item.price * item.quantity)
+    }));
+    const deliveryLines = (order.subOrders || [])
+      .filter(subOrder => subOrder.deliveryFee > 0)
+      .map(subOrder => ({
+        kind: 'delivery',
+        description: `Delivery by ${names.get(subOrder.farmerId.toString()) || 'farmer'}`,
+        farmerId: subOrder.farmerId,
+        subOrderId: subOrder.subOrderId,
+        quantity: 1,
+        unitPrice: subOrder.deliveryFee,
+        amount: subOrder.deliveryFee
+      }));
+
+    return {
+      source: 'order',
+      orderId: order.orderId,
+      customer: {
+        userId: order.userId,
+        name: order.customerName,
+        email: order.customerEmail,
+        phone: order.phoneNumber,
+        address: order.address,
+        city: order.city
+      },
+      lines: [...itemLines, ...deliveryLines],
+      subtotal: order.subtotal,
+      discount: order.discount || 0,
+      promoCode: order.promotion?.code,
+      shipping: order.shipping,
+      tax: order.tax,
+      includedTax: order.charges?.includedTax || 0,
+      total: order.totalAmount,
+      currency: order.currency,
+      paymentMethod: order.paymentMethod,
+      paymentId: order.payherePaymentId || order.paymentConfirmation?.reference,
+      paidAt: orderPaidAt(order)
+    };
+  });
+
+  if (created && email) await emailInvoice(invoice);
+  return invoice;
+};
+
+// Invoice one successful entry of a food subscription's renewalHistory
+export const issueRenewalInvoice = async (subscription, renewal, { email = true } = {}) => {
+  if (renewal.status !== 'success') {
+    throw invoiceError('Only successful renewals are invoiced', 409);
+  }
+
+  const { invoice, created } = await issueOnce(`subscription:${subscription._id}:${renewal._id}`, async () => ({
+    source: 'subscription',
+    subscriptionId: subscription._id,
+    renewalId: renewal._id,
+    customer: {
+      name: subscription.customerName,
+      email: subscription.userEmail,
+      phone: subscription.phoneNumber,
+      address: subscription.address
+    },
+    lines: [{
+      kind: 'subscription',
+      description: `${subscription.planName} (${subscription.billingCycle}) from ${formatDate(renewal.renewalDate)}`,
+      quantity: 1,
+      unitPrice: renewal.amount,
+      amount: renewal.amount
+    }],
+    subtotal: renewal.amount,
+    shipping: 0,
+    tax: 0,
+    total: renewal.amount,
+    currency: subscription.currency,
+    paymentMethod: subscription.paymentMethod,
+    paymentId: renewal.paymentId,
+    paidAt: renewal.renewalDate
+  }));
+
+  if (created && email) await emailInvoice(invoice);
+  return invoice;
+};
+
+// Issue (and email) an invoice straight after a verified payment lands; this is the only
+// place invoices are issued. Failures are logged; an invoice reserved before the failure
+// is finished by startInvoiceSweeper.
+export const invoicePaidOrder = async (order) => {
+  if (!INVOICED_PAYMENT_STATUSES.includes(order.paymentStatus)) return null;
+  try {
+    return await issueOrderInvoice(order);
+  } catch (error) {
+    console.error('Failed to issue order invoice:', { orderId: order.orderId, error: error.message });
+    return null;
+  }
+};
+
+export const invoicePaidRenewal = async (subscription, renewal) => {
+  try {
+    return await issueRenewalInvoice(subscription, renewal);
+  } catch (error) {
+    console.error('Failed to issue subscription invoice:', { subscriptionId: subscription._id, error: error.message });
+    return null;
+  }
+};
+
+// The issued invoice of an order, if it has one
+export const findOrderInvoice = (orderId) =>
+  Invoice.findOne({ sourceKey: `order:${orderId}`, invoiceNumber: { $ne: null } });
+
+// Issued invoices of a subscription's paid renewals, newest first
+export const listSubscriptionInvoices = (subscription) =>
+  Invoice.find({ subscriptionId: subscription._id, source: 'subscription', invoiceNumber: { $ne: null } })
+    .sort({ paidAt: -1 });
+
+// A farmer sees only their own lines of an order invoice
+export const farmerCopy = (invoice, farmerId) => {
+  const data = invoice.toObject ? invoice.toObject() : { ...invoice };
+  const lines = data.lines.filter(line => line.farmerId?.toString() === farmerId.toString());
+  const sum = (kind) => roundAmount(lines.filter(line => line.kind === kind).reduce((total, line) => total + line.amount, 0));
+
+  return {
+    ...data,
+    copy: 'farmer',
+    lines,
+    subtotal: sum('item'),
+    shipping: sum('delivery'),
+    discount: 0,
+    tax: 0,
+    includedTax: 0,
+    total: roundAmount(sum('item') + sum('delivery'))
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const renderInvoiceHtml = (invoice) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+  const customer = invoice.customer || {};
+  const rows = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; max-width: 720px; margin: 32px auto; }
+    h1 { color: #51ac37; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .total td { font-weight: bold; border-top: 2px solid #1f2937; }
+    .muted { color: #6b7280; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(business.name)}</h1>
+  <div class="muted">${escapeHtml(business.address)}${business.email ? ` &middot; ${escapeHtml(business.email)}` : ''}</div>
+
+  <h2>${invoice.copy === 'farmer' ? 'Invoice (farmer copy)' : 'Invoice'} ${escapeHtml(invoice.invoiceNumber)}</h2>
+  <div class="muted">
+    Issued ${escapeHtml(formatDate(invoice.issuedAt))} &middot; Paid ${escapeHtml(formatDate(invoice.paidAt))}
+    ${invoice.orderId ? `&middot; Order ${escapeHtml(invoice.orderId)}` : ''}
+  </div>
+
+  <p>
+    <strong>Billed to</strong><br>
+    ${escapeHtml(customer.name)}<br>
+    ${escapeHtml(customer.email)}<br>
+    ${escapeHtml([customer.address, customer.city].filter(Boolean).join(', '))}
+  </p>
+
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+
+  <table>
+    <tr class="totals"><td>Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>${invoice.discount ? `
+    <tr class="totals"><td>Discount${invoice.promoCode ? ` (${escapeHtml(invoice.promoCode)})` : ''}</td><td class="num">-${money(invoice.discount)}</td></tr>` : ''}
+    <tr class="totals"><td>Shipping</td><td class="num">${money(invoice.shipping)}</td></tr>
+    <tr class="totals"><td>Tax</td><td class="num">${money(invoice.tax)}</td></tr>${invoice.includedTax ? `
+    <tr class="totals"><td>Tax included in prices</td><td class="num">${money(invoice.includedTax)}</td></tr>` : ''}
+    <tr class="total"><td>Total paid</td><td class="num">${money(invoice.total)}</td></tr>
+  </table>
+
+  <p class="muted">
+    Payment method: ${escapeHtml(invoice.paymentMethod)}${invoice.paymentId ? ` &middot; Reference ${escapeHtml(invoice.paymentId)}` : ''}
+  </p>
+</body>
+</html>`;
+};
+
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (amount) => formatMoney(amount, invoice.currency);
+  const customer = invoice.customer || {};
+  const columns = { description: 50, quantity: 300, unitPrice: 360, amount: 460 };
+
+  doc.fillColor('#51ac37').fontSize(20).text(business.name);
+  doc.fillColor('#6b7280').fontSize(10).text([business.address, business.email].filter(Boolean).join(' · '));
+  doc.moveDown();
+
+  doc.fillColor('#1f2937').fontSize(16)
+    .text(`${invoice.copy === 'farmer' ? 'Invoice (farmer copy)' : 'Invoice'} ${invoice.invoiceNumber}`);
+  doc.fontSize(10).fillColor('#6b7280')
+    .text(`Issued ${formatDate(invoice.issuedAt)}   Paid ${formatDate(invoice.paidAt)}${invoice.orderId ? `   Order ${invoice.orderId}` : ''}`);
+  doc.moveDown();
+
+  doc.fillColor('#1f2937').fontSize(11).text('Billed to', { underline: true });
+  doc.fontSize(10)
+    .text(customer.name || '')
+    .text(customer.email || '')
+    .text([customer.address, customer.city].filter(Boolean).join(', '));
+  doc.moveDown();
+
+  const row = (cells, y, options = {}) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(cells.description, columns.description, y, { width: 240 });
+    doc.text(cells.quantity, columns.quantity, y, { width: 50, align: 'right' });
+    doc.text(cells.unitPrice, columns.unitPrice, y, { width: 90, align: 'right' });
+    doc.text(cells.amount, columns.amount, y, { width: 90, align: 'right' });
+  };
+
+  let y = doc.y;
+  row({ description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', amount: 'Amount' }, y, { bold: true });
+  y += 18;
+  invoice.lines.forEach(line => {
+    row({
+      description: line.description,
+      quantity: String(line.quantity),
+      unitPrice: money(line.unitPrice),
+      amount: money(line.amount)
+    }, y);
+    y = Math.max(doc.y, y + 16) + 2;
+  });
+
+  y += 10;
+  const totals = [['Subtotal', money(invoice.subtotal)]];
+  if (invoice.discount) totals.push([invoice.promoCode ? `Discount ${invoice.promoCode}` : 'Discount', `-${money(invoice.discount)}`]);
+  totals.push(['Shipping', money(invoice.shipping)], ['Tax', money(invoice.tax)]);
+  if (invoice.includedTax) totals.push(['Tax included', money(invoice.includedTax)]);
+  totals.forEach(([label, amount]) => {
+    row({ description: '', quantity: '', unitPrice: label, amount }, y);
+    y += 16;
+  });
+  row({ description: '', quantity: '', unitPrice: 'Total paid', amount: money(invoice.total) }, y + 4, { bold: true });
+
+  doc.font('Helvetica').fillColor('#6b7280').fontSize(9)
+    .text(`Payment method: ${invoice.paymentMethod || ''}${invoice.paymentId ? `   Reference ${invoice.paymentId}` : ''}`, columns.description, y + 40);
+
+  doc.end();
+});
+
+// The confirmation email a customer gets once they have paid, with the invoice attached
+export const emailInvoice = async (invoice) => {
+  try {
+    const subject = invoice.source === 'order'
+      ? `Your ${business.name} order ${invoice.orderId} is confirmed`
+      : `Your ${business.name} subscription payment was received`;
+
+    const sent = await sendMail({
+      to: invoice.customer.email,
+      subject,
+      text: `Thank you for your payment of ${formatMoney(invoice.total, invoice.currency)}. Your invoice ${invoice.invoiceNumber} is attached.`,
+      html: renderInvoiceHtml(invoice),
+      attachments: [{ filename: `${invoice.invoiceNumber}.pdf`, content: await renderInvoicePdf(invoice) }]
+    });
+
+    if (sent) {
+      invoice.emailedAt = new Date();
+      await invoice.save();
+    }
+    return sent;
+  } catch (error) {
+    // A mail problem must never undo a payment; the invoice can still be downloaded
+    console.error('Failed to email invoice:', { invoiceNumber: invoice.invoiceNumber, error: error.message });
+    return false;
+  }
+};
@@ -0,0 +1,45 @@
+// services/mailService.js
+// Outgoing email. Configure SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and MAIL_FROM;
+// without SMTP_HOST messages are only logged, so local setups keep working.
+
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const getTransporter = () => {
+  const host = process.env.SMTP_HOST?.trim();
+  if (!host) return null;
+
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER.trim(), pass: process.env.SMTP_PASS?.trim() }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send one message; returns false when email is not configured
+export const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const mailer = getTransporter();
+  if (!mailer) {
+    console.log('📧 Email not configured, skipped:', { to, subject });
+    return false;
+  }
+
+  await mailer.sendMail({
+    from: process.env.MAIL_FROM?.trim() || process.env.SMTP_USER?.trim(),
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+  console.log('📧 Email sent:', { to, subject });
+  return true;
+};
@@ -0,0 +1,60 @@
+// services/orderNumberService.js
+// Single source of order numbers for every order type, backed by an atomic counter.
+
+import Counter from '../models/counter.js';
+import Order from '../models/order.js';
+import FoodSubscription from '../models/Subscription.js';
+
+// Prefix per order type; each type has its own sequence
+export const ORDER_NUMBER_PREFIXES = {
+  cart: process.env.ORDER_PREFIX_CART?.trim() || 'CART',
+  direct: process.env.ORDER_PREFIX_DIRECT?.trim() || 'CBC',
+  subscription: process.env.ORDER_PREFIX_SUBSCRIPTION?.trim() || 'SUB',
+  box: process.env.ORDER_PREFIX_BOX?.trim() || 'BOX'
+};
+
+// Minimum digits; numbers keep growing past it instead of wrapping
+const ORDER_NUMBER_DIGITS = 4;
+
+const seededCounters = new Set();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// First use of a counter starts it after the highest number already stored,
+// so orders created before the counter existed are never reissued
+const seedCounter = async (counterId, prefix) => {
+  if (seededCounters.has(counterId)) return;
+
+  const pattern = new RegExp(`^${escapeRegex(prefix)}\\d+$`);
+  const [orderIds, subscriptionOrderIds] = await Promise.all([
+    Order.distinct('orderId', { orderId: pattern }),
+    FoodSubscription.distinct('payhereOrderId', { payhereOrderId: pattern })
+  ]);
+
+  const highest = [...orderIds, ...subscriptionOrderIds]
+    .map(id => parseInt(id.slice(prefix.length)))
+    .reduce((max, number) => Math.max(max, number), 0);
+
+  // $max is atomic, so concurrent seeders cannot move the counter backwards
+  await Counter.updateOne({ _id: counterId }, { $max: { seq: highest } }, { upsert: true });
+  seededCounters.add(counterId);
+};
+
+// Next order number for a type: 'cart', 'direct', 'subscription' or 'box'
+export const nextOrderNumber = async (type) => {
+  const prefix = ORDER_NUMBER_PREFIXES[type];
+  if (!prefix) {
+    throw new Error(`Unknown order type: ${type}`);
+  }
+
+  const counterId = `order_${type}`;
+  await seedCounter(counterId, prefix);
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: counterId },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return `${prefix}${counter.seq.toString().padStart(ORDER_NUMBER_DIGITS, '0')}`;
+};
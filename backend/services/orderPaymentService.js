@@ -0,0 +1,86 @@
+// services/orderPaymentService.js
+// What happens to an order once its payment is settled one way or the other,
+// whichever provider took it (PayHere notification or an admin confirming receipt).
+
+import Cart from '../models/cart.js';
+import { commitReservation, releaseReservation } from './stockReservationService.js';
+import { transitionOrder } from './orderStatusService.js';
+import { syncOrderEarnings } from './payoutService.js';
+import { invoicePaidOrder } from './invoiceService.js';
+
+// The bought products leave the customer's cart; anything added since stays
+export const removePurchasedFromCart = (order) => {
+  if (!order.userId) return null;
+
+  return Cart.updateOne(
+    { userId: order.userId },
+    {
+      $pull: { items: { productId: { $in: order.items.map(item => item.productId) } } },
+      $set: { updatedAt: new Date() }
+    }
+  );
+};
+
+// Put an unpaid order's products back in the customer's cart so they can check out
+// again; quantities already in the cart are raised to what was ordered, never lowered
+export const restoreOrderToCart = async (order) => {
+  if (!order.userId) return null;
+
+  const cart = await Cart.findOne({ userId: order.userId }) || new Cart({ userId: order.userId, items: [] });
+
+  for (const item of order.items) {
+    const existing = cart.items.find(cartItem => cartItem.productId.toString() === item.productId.toString());
+    if (!existing) {
+      cart.items.push({ productId: item.productId, quantity: item.quantity });
+    } else if (existing.quantity < item.quantity) {
+      existing.quantity = item.quantity;
+    }
+  }
+
+  return cart.save();
+};
+
+// Where an order's payment stands, as shown on the payment status page:
+// pending and review are still waiting for PayHere or an admin, the rest are settled
+export const describePaymentOutcome = (order) => {
+  if (order.paymentReview?.status === 'pending') return 'review';
+
+  switch (order.paymentStatus) {
+    case 'completed':
+    case 'partially_refunded':
+      return 'paid';
+    case 'pending':
+      // Nothing is posted back for cash or bank transfers; an admin confirms them later
+      return order.paymentMethod === 'payhere' ? 'pending' : 'awaiting_payment';
+    default:
+      return order.paymentStatus;
+  }
+};
+
+// Mark an order paid: confirm it, keep its stock and credit its farmers
+export const confirmOrderPayment = async (order, { paymentId, reason, actor } = {}) => {
+  order.paymentStatus = 'completed';
+  transitionOrder(order, 'confirmed', { actor, reason });
+  if (paymentId && order.paymentMethod === 'payhere') {
+    order.payherePaymentId = paymentId;
+  }
+  order.updatedAt = new Date();
+
+  await order.save();
+  await commitReservation(order.orderId);
+  await syncOrderEarnings(order);
+  await removePurchasedFromCart(order);
+  await invoicePaidOrder(order);
+  return order;
+};
+
+// The payment will not happen: a declined payment fails the order, a cancelled one cancels it
+export const failOrderPayment = async (order, { outcome = 'failed', reason, actor } = {}) => {
+  order.paymentStatus = outcome === 'cancelled' ? 'cancelled' : 'failed';
+  transitionOrder(order, outcome === 'cancelled' ? 'cancelled' : 'failed', { actor, reason });
+  order.updatedAt = new Date();
+
+  await order.save();
+  await releaseReservation(order.orderId, 'payment_failed');
+  return order;
+};
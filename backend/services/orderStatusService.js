@@ -0,0 +1,134 @@
+// services/orderStatusService.js
+// Order state machine: which orderStatus changes are allowed, and the history each change leaves.
+
+// Allowed next statuses for every order status; cancelled and refunded are final.
+// A failed payment can be paid again (back to pending) until the order expires.
+export const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'failed'],
+  confirmed: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+  failed: ['pending', 'cancelled']
+};
+
+// Allowed next statuses for a single order item, moved by the farmer selling it
+export const ITEM_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses an order passes through while its items are being fulfilled
+export const FULFILMENT_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+const ITEM_PROGRESS = ['pending', 'processing', 'shipped', 'delivered'];
+
+export const SYSTEM_ACTOR = { role: 'system' };
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Who made a change, from the authenticated request user
+export const actorFromUser = (user) => {
+  if (!user) return SYSTEM_ACTOR;
+  return { userId: user.id, email: user.email, role: user.type };
+};
+
+export const statusHistoryEntry = (from, to, { actor = SYSTEM_ACTOR, reason } = {}) => ({
+  from,
+  to,
+  changedBy: actor,
+  reason,
+  changedAt: new Date()
+});
+
+// Move an order document to a new status and record it in statusHistory.
+// Returns false when the order is already in that status; throws (400) on an illegal move.
+// The caller saves the order.
+export const transitionOrder = (order, to, options = {}) => {
+  const from = order.orderStatus;
+  if (from === to) return false;
+
+  if (!canTransition(from, to)) {
+    const error = new Error(`Order ${order.orderId} cannot move from ${from} to ${to}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  order.orderStatus = to;
+  order.statusHistory.push(statusHistoryEntry(from, to, options));
+  if (to === 'cancelled') {
+    applyOrderStatusToItems(order, 'cancelled');
+  }
+  return true;
+};
+
+// Move one order item to a new fulfilment status; throws (400) on an illegal move
+export const transitionItem = (item, to) => {
+  const from = item.status;
+  if (from === to) return false;
+
+  if (!(ITEM_TRANSITIONS[from] || []).includes(to)) {
+    const error = new Error(`"${item.productName}" cannot move from ${from} to ${to}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  item.status = to;
+  item.statusUpdatedAt = new Date();
+  return true;
+};
+
+// Carry a whole-order status down to the items still behind it
+export const applyOrderStatusToItems = (order, status) => {
+  order.items.forEach(item => {
+    if (status === 'cancelled') {
+      if (item.status !== 'delivered' && item.status !== 'cancelled') {
+        item.status = 'cancelled';
+        item.statusUpdatedAt = new Date();
+      }
+    } else if (ITEM_PROGRESS.includes(status) && item.status !== 'cancelled' &&
+      ITEM_PROGRESS.indexOf(item.status) < ITEM_PROGRESS.indexOf(status)) {
+      item.status = status;
+      item.statusUpdatedAt = new Date();
+    }
+  });
+};
+
+// Order status implied by its items: delivered/shipped once every live item is,
+// processing as soon as any item has started, confirmed while none have
+export const deriveOrderStatus = (items) => {
+  const active = items.filter(item => item.status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  const slowest = Math.min(...active.map(item => ITEM_PROGRESS.indexOf(item.status)));
+  if (slowest >= ITEM_PROGRESS.indexOf('delivered')) return 'delivered';
+  if (slowest >= ITEM_PROGRESS.indexOf('shipped')) return 'shipped';
+  if (active.some(item => item.status !== 'pending')) return 'processing';
+  return 'confirmed';
+};
+
+// Status of one farmer's sub-order: its items' progress while the order is being
+// fulfilled, otherwise whatever the whole order is (pending, cancelled, refunded...)
+export const deriveSubOrderStatus = (orderStatus, items) =>
+  FULFILMENT_STATUSES.includes(orderStatus) ? deriveOrderStatus(items) : orderStatus;
+
+// Bring orderStatus in line with its items, passing through every intermediate
+// status so the history stays complete. Unpaid and finished orders are left alone.
+export const syncOrderStatusWithItems = (order, options = {}) => {
+  if (!FULFILMENT_STATUSES.includes(order.orderStatus)) return false;
+
+  const target = deriveOrderStatus(order.items);
+  if (target === 'cancelled') return transitionOrder(order, 'cancelled', options);
+
+  let changed = false;
+  while (FULFILMENT_STATUSES.indexOf(order.orderStatus) < FULFILMENT_STATUSES.indexOf(target)) {
+    const next = FULFILMENT_STATUSES[FULFILMENT_STATUSES.indexOf(order.orderStatus) + 1];
+    changed = transitionOrder(order, next, options) || changed;
+  }
+  return changed;
+};
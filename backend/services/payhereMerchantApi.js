@@ -0,0 +1,121 @@
+// services/payhereMerchantApi.js
+// Server-to-server calls to PayHere's Merchant API: refunds and cancelling
+// recurring subscriptions. The live client and the local stub have the same shape:
+//
+//   refund({ paymentId, orderId, amount, currency, reason, partial }) -> { providerRefundId }
+//   cancelSubscription(subscriptionId) -> { cancelled: true }
+//
+// Both resolve once PayHere accepted the request and throw when it refuses.
+// Pick one with getPayhereMerchantApi().
+
+import axios from 'axios';
+
+const payhereMode = process.env.PAYHERE_MODE?.trim() || 'sandbox';
+
+const merchantApiUrl = payhereMode === 'live'
+  ? 'https://www.payhere.lk/merchant/v1'
+  : 'https://sandbox.payhere.lk/merchant/v1';
+
+// PayHere Merchant API (needs an app created under Settings > API Keys)
+export const payhereMerchantApi = {
+  name: 'payhere',
+
+  async getAccessToken() {
+    const appId = process.env.PAYHERE_APP_ID?.trim();
+    const appSecret = process.env.PAYHERE_APP_SECRET?.trim();
+    if (!appId || !appSecret) {
+      throw new Error('The PayHere Merchant API needs PAYHERE_APP_ID and PAYHERE_APP_SECRET');
+    }
+
+    const response = await axios.post(`${merchantApiUrl}/oauth/token`, 'grant_type=client_credentials', {
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${appId}:${appSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+    return response.data.access_token;
+  },
+
+  // POST with a bearer token; PayHere answers { status: 1, msg, data } on success
+  async call(path, body, failure) {
+    const token = await this.getAccessToken();
+    const response = await axios.post(`${merchantApiUrl}${path}`, body, {
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      timeout: 15000,
+      validateStatus: () => true
+    });
+
+    if (response.data?.status !== 1) {
+      throw new Error(`${failure}: ${response.data?.msg || `HTTP ${response.status}`}`);
+    }
+    return response.data;
+  },
+
+  async refund({ paymentId, amount, reason, partial }) {
+    if (!paymentId) {
+      throw new Error('Order has no PayHere payment to refund');
+    }
+
+    const body = { payment_id: paymentId, description: reason };
+    // Leaving the amount out refunds the whole payment
+    if (partial) body.amount = Number(amount).toFixed(2);
+
+    const result = await this.call('/payment/refund', body, 'PayHere refused the refund');
+    return { providerRefundId: String(result.data) };
+  },
+
+  async cancelSubscription(subscriptionId) {
+    if (!subscriptionId) {
+      throw new Error('Subscription has no PayHere recurring token to cancel');
+    }
+
+    await this.call('/subscription/cancel', { subscription_id: subscriptionId }, 'PayHere refused to cancel the subscription');
+    return { cancelled: true };
+  }
+};
+
+// Local stand-in for PayHere, used in mock mode and by test scripts.
+// Set failNext to make the next call be refused.
+export const stubPayhereMerchantApi = {
+  name: 'payhere_stub',
+  refunds: [],
+  cancelledSubscriptions: [],
+  failNext: null,
+
+  takeFailure() {
+    if (!this.failNext) return;
+    const message = this.failNext;
+    this.failNext = null;
+    throw new Error(message);
+  },
+
+  async refund(request) {
+    this.takeFailure();
+
+    const providerRefundId = `STUB_REFUND_${this.refunds.length + 1}`;
+    this.refunds.push({ ...request, providerRefundId, refundedAt: new Date() });
+    console.log('Stub refund issued:', { providerRefundId, orderId: request.orderId, amount: request.amount });
+    return { providerRefundId };
+  },
+
+  async cancelSubscription(subscriptionId) {
+    this.takeFailure();
+
+    this.cancelledSubscriptions.push({ subscriptionId, cancelledAt: new Date() });
+    console.log('Stub subscription cancelled:', subscriptionId);
+    return { cancelled: true };
+  },
+
+  reset() {
+    this.refunds = [];
+    this.cancelledSubscriptions = [];
+    this.failNext = null;
+  }
+};
+
+// The stub stands in when running against the mock checkout or when PAYHERE_MERCHANT_API=stub
+export const getPayhereMerchantApi = () =>
+  payhereMode === 'mock' || process.env.PAYHERE_MERCHANT_API?.trim() === 'stub'
+    ? stubPayhereMerchantApi
+    : payhereMerchantApi;
@@ -0,0 +1,295 @@
+// services/paymentProviders.js
+// Ways a customer can pay for an order. Every provider has the same shape:
+//
+//   name, label, description
+//   isAvailable()                              configured and usable right now
+//   holdMinutes                                how long stock is held waiting for the money
+//   createPayment(order, { customer, actor })  after the order is saved; returns what the
+//                                              checkout page needs next (redirect or instructions)
+//   createRecurringPayment({ orderId, plan, customer, startupFee })
+//                                              checkout that starts automatic charges for a
+//                                              subscription plan ({ planId, name, price, currency, billingCycle });
+//                                              startupFee is added to the first charge only
+//   verifyCallback(payload)                    whether a provider callback is genuine
+//   confirmReceipt(order, { actor, reference, note })
+//                                              an admin saw the money arrive
+//   refund({ paymentId, orderId, amount, currency, reason, partial }) -> { providerRefundId }
+//   cancelRecurring(subscription)              stop automatic charges
+//
+// Anything a provider cannot do throws a 400.
+
+import {
+  payhereConfig,
+  generatePayHereHash,
+  generateRecurringPayHereHash,
+  verifyPayHereHash
+} from '../controllers/paymentController.js';
+import { getPayhereMerchantApi } from './payhereMerchantApi.js';
+import { RESERVATION_TTL_MINUTES, commitReservation } from './stockReservationService.js';
+import { transitionOrder } from './orderStatusService.js';
+import { syncOrderEarnings } from './payoutService.js';
+import { confirmOrderPayment, removePurchasedFromCart } from './orderPaymentService.js';
+import { invoicePaidOrder } from './invoiceService.js';
+import { BILLING_CYCLES } from './subscriptionPlanService.js';
+
+const BANK_TRANSFER_HOLD_HOURS = parseInt(process.env.BANK_TRANSFER_HOLD_HOURS) || 48;
+
+export const bankAccount = {
+  bankName: process.env.BANK_TRANSFER_BANK_NAME?.trim(),
+  branch: process.env.BANK_TRANSFER_BRANCH?.trim(),
+  accountName: process.env.BANK_TRANSFER_ACCOUNT_NAME?.trim(),
+  accountNumber: process.env.BANK_TRANSFER_ACCOUNT_NUMBER?.trim()
+};
+
+const providerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const unsupported = (label, action) => () => {
+  throw providerError(`${label} does not support ${action}`);
+};
+
+const formatAmount = (order) => `${order.currency} ${order.totalAmount.toFixed(2)}`;
+
+// Money that is handed over outside the site must be confirmed by an admin before
+// the order counts as paid; the reference (bank slip, receipt number) is kept with it
+const recordConfirmation = (order, { actor, reference, note }) => {
+  if (order.paymentStatus !== 'pending') {
+    throw providerError(`Payment for order ${order.orderId} is already ${order.paymentStatus}`, 409);
+  }
+  order.paymentConfirmation = {
+    reference,
+    note,
+    confirmedBy: actor?.email,
+    confirmedAt: new Date()
+  };
+};
+
+export const payhereProvider = {
+  name: 'payhere',
+  label: 'Card / online banking (PayHere)',
+  description: 'Pay now with a card, eZ Cash, mCash or online banking.',
+  holdMinutes: RESERVATION_TTL_MINUTES,
+
+  isAvailable: () => !!(payhereConfig.merchantId && payhereConfig.merchantSecret),
+
+  // Signed checkout form the browser posts to PayHere. A retried order has no
+  // checkout form behind it, so the customer's name comes from the order then.
+  async createPayment(order, { customer } = {}) {
+    const [firstName, ...lastNames] = order.customerName.split(' ');
+    let itemsDescription = order.items.map(item => `${item.productName} (x${item.quantity})`).join(', ') || 'Cart Items';
+    if (itemsDescription.length > 100) {
+      itemsDescription = itemsDescription.substring(0, 97) + '...';
+    }
+
+    const paymentData = {
+      sandbox: payhereConfig.mode === 'sandbox',
+      merchant_id: payhereConfig.merchantId,
+      return_url: `${payhereConfig.returnUrl}?order_id=${order.orderId}`,
+      cancel_url: `${payhereConfig.cancelUrl}?order_id=${order.orderId}`,
+      notify_url: payhereConfig.notifyUrl,
+      order_id: order.payhereOrderId,
+      items: itemsDescription,
+      currency: order.currency,
+      amount: order.totalAmount.toFixed(2),
+      first_name: customer?.firstName || firstName,
+      last_name: customer?.lastName || lastNames.join(' '),
+      email: order.customerEmail,
+      phone: order.phoneNumber,
+      address: order.address,
+      city: order.city,
+      country: 'Sri Lanka',
+      hash: generatePayHereHash(
+        payhereConfig.merchantId,
+        order.payhereOrderId,
+        order.totalAmount,
+        order.currency,
+        payhereConfig.merchantSecret
+      ),
+      custom_1: 'cart_order',
+      custom_2: `customer_${order.customerEmail}`
+    };
+
+    return {
+      paymentData,
+      checkoutUrl: payhereConfig.checkoutUrl,
+      gatewayMode: payhereConfig.mode
+    };
+  },
+
+  // Recurring checkout: PayHere charges the plan's price now and then every cycle,
+  // sending a notification for each charge
+  async createRecurringPayment({ orderId, plan, customer, startupFee = 0 }) {
+    const nameParts = customer.name.trim().split(/\s+/);
+
+    let phone = customer.phoneNumber?.trim() || '0771234567';
+    phone = phone.replace(/\D/g, '');
+    if (phone.startsWith('94')) {
+      phone = '0' + phone.substring(2);
+    } else if (!phone.startsWith('0')) {
+      phone = '0' + phone;
+    }
+
+    const paymentData = {
+      sandbox: payhereConfig.mode === 'sandbox',
+      merchant_id: payhereConfig.merchantId,
+      return_url: `${payhereConfig.returnUrl}?order_id=${orderId}`,
+      cancel_url: payhereConfig.cancelUrl,
+      notify_url: payhereConfig.notifyUrl,
+      order_id: orderId,
+      items: `${plan.name} - ${plan.billingCycle} auto-renewal`.substring(0, 100),
+      currency: plan.currency,
+      amount: plan.price.toFixed(2),
+      first_name: nameParts[0] || 'Customer',
+      last_name: nameParts.slice(1).join(' ') || 'User',
+      email: customer.email.trim().toLowerCase(),
+      phone,
+      address: customer.address.trim(),
+      city: 'Colombo',
+      country: 'Sri Lanka',
+      hash: generateRecurringPayHereHash(
+        payhereConfig.merchantId,
+        orderId,
+        plan.price,
+        plan.currency,
+        payhereConfig.merchantSecret
+      ),
+      custom_1: `plan_${plan.planId}`,
+      // Marks every food subscription payment, whatever the plan's cycle
+      custom_2: 'food_monthly_recurring',
+      recurrence: BILLING_CYCLES[plan.billingCycle].recurrence,
+      duration: 'Forever',
+      startup_fee: startupFee.toFixed(2)
+    };
+
+    return {
+      paymentData,
+      checkoutUrl: payhereConfig.checkoutUrl,
+      gatewayMode: payhereConfig.mode
+    };
+  },
+
+  // The md5sig PayHere signs every notification with
+  verifyCallback: (payload) => {
+    if (!payload?.md5sig || !payhereConfig.merchantSecret) return false;
+    try {
+      return verifyPayHereHash(payload, payhereConfig.merchantSecret);
+    } catch (error) {
+      console.error('Signature verification failed:', error);
+      return false;
+    }
+  },
+
+  confirmReceipt: unsupported('PayHere', 'manual confirmation; PayHere confirms its own payments'),
+
+  refund: (request) => getPayhereMerchantApi().refund(request),
+
+  cancelRecurring: (subscription) => getPayhereMerchantApi().cancelSubscription(subscription.payhereRecurringToken)
+};
+
+export const cashOnDeliveryProvider = {
+  name: 'cash_on_delivery',
+  label: 'Cash on delivery',
+  description: 'Pay the delivery rider in cash when your order arrives.',
+  holdMinutes: RESERVATION_TTL_MINUTES,
+
+  isAvailable: () => true,
+
+  // Nothing to wait for: the order goes to the farmers straight away
+  async createPayment(order, { actor } = {}) {
+    transitionOrder(order, 'confirmed', { actor, reason: 'Cash on delivery order placed' });
+    await order.save();
+    await commitReservation(order.orderId);
+    await removePurchasedFromCart(order);
+
+    return {
+      instructions: {
+        message: `Please keep ${formatAmount(order)} ready in cash for the delivery rider.`
+      }
+    };
+  },
+
+  createRecurringPayment: unsupported('Cash on delivery', 'recurring payments'),
+
+  verifyCallback: () => false,
+
+  // Cash handed in by the rider (delivered orders are also collected automatically)
+  async confirmReceipt(order, confirmation) {
+    recordConfirmation(order, confirmation);
+    order.paymentStatus = 'completed';
+    await order.save();
+    await syncOrderEarnings(order);
+    await invoicePaidOrder(order);
+    return order;
+  },
+
+  // Cash goes back to the customer by hand
+  refund: async () => ({ providerRefundId: null }),
+
+  cancelRecurring: unsupported('Cash on delivery', 'recurring payments')
+};
+
+export const bankTransferProvider = {
+  name: 'bank_transfer',
+  label: 'Direct bank transfer',
+  description: 'Transfer the total to our bank account; we confirm the order once the money arrives.',
+  holdMinutes: BANK_TRANSFER_HOLD_HOURS * 60,
+
+  isAvailable: () => !!(bankAccount.bankName && bankAccount.accountNumber),
+
+  async createPayment(order) {
+    return {
+      instructions: {
+        message: `Transfer ${formatAmount(order)} within ${BANK_TRANSFER_HOLD_HOURS} hours and use ${order.orderId} as the reference. Your order is confirmed once we receive it.`,
+        ...bankAccount,
+        reference: order.orderId,
+        amount: order.totalAmount,
+        currency: order.currency
+      }
+    };
+  },
+
+  createRecurringPayment: unsupported('Bank transfer', 'recurring payments'),
+
+  verifyCallback: () => false,
+
+  async confirmReceipt(order, confirmation) {
+    if (order.orderStatus !== 'pending') {
+      throw providerError(`Order ${order.orderId} is ${order.orderStatus}; refund the transfer instead of confirming it`, 409);
+    }
+    recordConfirmation(order, confirmation);
+    return confirmOrderPayment(order, {
+      actor: confirmation.actor,
+      reason: confirmation.reference
+        ? `Bank transfer ${confirmation.reference} received`
+        : 'Bank transfer received'
+    });
+  },
+
+  // The admin transfers the money back and records the refund
+  refund: async () => ({ providerRefundId: null }),
+
+  cancelRecurring: unsupported('Bank transfer', 'recurring payments')
+};
+
+export const paymentProviders = {
+  [payhereProvider.name]: payhereProvider,
+  [cashOnDeliveryProvider.name]: cashOnDeliveryProvider,
+  [bankTransferProvider.name]: bankTransferProvider
+};
+
+export const getPaymentProvider = (paymentMethod) => {
+  const provider = paymentProviders[paymentMethod];
+  if (!provider) {
+    throw providerError(`Unknown payment method: ${paymentMethod}`);
+  }
+  return provider;
+};
+
+// What the checkout page can offer
+export const listPaymentMethods = () =>
+  Object.values(paymentProviders)
+    .filter(provider => provider.isAvailable())
+    .map(({ name, label, description }) => ({ id: name, label, description }));
@@ -0,0 +1,138 @@
+// services/paymentRetryService.js
+// Paying again for a cart order whose PayHere checkout failed or was abandoned,
+// and cancelling the unpaid orders nobody comes back for.
+
+import Order from '../models/order.js';
+import Products from '../models/product.js';
+import { renewHold, hasActiveHold } from './stockReservationService.js';
+import { transitionOrder } from './orderStatusService.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { failOrderPayment, restoreOrderToCart } from './orderPaymentService.js';
+import { claimPromotion, releasePromotion } from './promotionService.js';
+
+// How long an unpaid order can be retried after its last checkout
+export const STALE_ORDER_TTL_HOURS = parseInt(process.env.STALE_ORDER_TTL_HOURS) || 24;
+
+// Order and payment statuses that can still be paid
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+// Amounts closer than this are treated as equal
+const PRICE_TOLERANCE = 0.005;
+
+const retryError = (message, statusCode = 400, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+// Lines whose product changed since the order was placed, in the same shape the checkout reports
+const findOrderPriceChanges = async (order) => {
+  const products = await Products.find({ _id: { $in: order.items.map(item => item.productId) } });
+  const now = new Date();
+
+  return order.items.flatMap(item => {
+    const product = products.find(candidate => candidate._id.equals(item.productId));
+    if (!product) {
+      return [{ productId: item.productId, field: 'missing' }];
+    }
+    if (product.expiryDate && new Date(product.expiryDate) < now) {
+      return [{ productId: item.productId, field: 'expired' }];
+    }
+    if (Math.abs(product.price - item.price) > PRICE_TOLERANCE) {
+      return [{ productId: item.productId, field: 'price', expected: product.price, received: item.price }];
+    }
+    return [];
+  });
+};
+
+// Re-issue the payment for an unpaid order at its original prices. If a price changed the
+// order is cancelled and its items go back in the cart, so the customer checks out afresh.
+export const retryOrderPayment = async (order, { actor } = {}) => {
+  if (order.paymentMethod !== 'payhere') {
+    throw retryError('Only PayHere payments can be retried');
+  }
+  if (order.paymentReview?.status === 'pending') {
+    throw retryError('This payment is being reviewed and cannot be paid again', 409);
+  }
+  if (!UNPAID_STATUSES.includes(order.orderStatus) || !UNPAID_STATUSES.includes(order.paymentStatus)) {
+    throw retryError(`Order ${order.orderId} is ${order.orderStatus} and cannot be paid again`, 409);
+  }
+
+  const changes = await findOrderPriceChanges(order);
+  if (changes.length > 0) {
+    await failOrderPayment(order, { outcome: 'cancelled', actor, reason: 'Products changed before the payment was retried' });
+    await restoreOrderToCart(order);
+    throw retryError('Some products have changed since this order was placed. They are back in your cart, please check out again.', 409, changes);
+  }
+
+  // A failed payment gave its promo code back; the retry takes it again at the same discount
+  const { promotion } = order;
+  const reclaim = Boolean(promotion?.promotionId && promotion.released);
+  if (reclaim) {
+    await claimPromotion({ _id: promotion.promotionId, code: promotion.code }, { customer: order.userId, orderId: order.orderId });
+  }
+
+  const provider = getPaymentProvider(order.paymentMethod);
+  try {
+    await renewHold(order.orderId, order.items, { ttlMinutes: provider.holdMinutes });
+  } catch (error) {
+    if (reclaim) await releasePromotion(promotion.promotionId, order.orderId);
+    throw error;
+  }
+  if (reclaim) promotion.released = false;
+
+  if (order.orderStatus === 'failed') {
+    transitionOrder(order, 'pending', { actor, reason: 'Customer is paying again' });
+  }
+  order.paymentStatus = 'pending';
+  order.paymentAttempts = (order.paymentAttempts || 1) + 1;
+  order.updatedAt = new Date();
+  await order.save();
+
+  console.log('Cart payment retried:', { orderId: order.orderId, attempt: order.paymentAttempts });
+  return provider.createPayment(order, { actor });
+};
+
+// Cancel unpaid cart orders nobody has tried to pay for in STALE_ORDER_TTL_HOURS.
+// Orders still holding stock (a bank transfer's longer hold) or waiting for a review stay open.
+export const expireStaleOrders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - STALE_ORDER_TTL_HOURS * 60 * 60 * 1000);
+  const stale = await Order.find({
+    orderType: 'cart',
+    orderStatus: { $in: UNPAID_STATUSES },
+    paymentStatus: { $in: UNPAID_STATUSES },
+    'paymentReview.status': { $ne: 'pending' },
+    updatedAt: { $lt: cutoff }
+  });
+  const expiredOrderIds = [];
+
+  for (const order of stale) {
+    if (await hasActiveHold(order.orderId)) continue;
+
+    await failOrderPayment(order, {
+      outcome: 'cancelled',
+      reason: `Not paid within ${STALE_ORDER_TTL_HOURS} hours`
+    });
+    expiredOrderIds.push(order.orderId);
+  }
+
+  return expiredOrderIds;
+};
+
+// Periodically cancel stale unpaid orders
+export const startStaleOrderSweeper = (intervalMs = 15 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireStaleOrders();
+      if (expired.length > 0) {
+        console.log(`⏰ Cancelled ${expired.length} unpaid orders:`, expired);
+      }
+    } catch (error) {
+      console.error('Stale order sweep failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,127 @@
+// services/paymentVerificationService.js
+// Checks a signed PayHere notification against what we actually asked to be
+// paid before it is applied. A valid md5sig only proves PayHere sent it; the
+// amount, currency, merchant and order state still have to match our records.
+
+import Order from '../models/order.js';
+import FoodSubscription from '../models/Subscription.js';
+import { findPlan } from './subscriptionPlanService.js';
+
+// Every status_code PayHere posts to notify_url
+export const PAYHERE_STATUS = {
+  '2': 'success',
+  '0': 'pending',
+  '-1': 'cancelled',
+  '-2': 'failed',
+  '-3': 'chargeback'
+};
+
+// Amounts closer than this are treated as equal (PayHere sends two decimals)
+const AMOUNT_TOLERANCE = 0.005;
+
+const issue = (check, message, expected, received) => ({ check, message, expected, received });
+
+const compareAmount = (issues, received, expected) => {
+  const amount = parseFloat(received);
+  if (Number.isNaN(amount) || Math.abs(amount - expected) > AMOUNT_TOLERANCE) {
+    issues.push(issue('amount', 'Paid amount does not match the amount charged', Number(expected).toFixed(2), received));
+  }
+};
+
+const compareCurrency = (issues, received, expected = 'LKR') => {
+  if (String(received || '').toUpperCase() !== expected.toUpperCase()) {
+    issues.push(issue('currency', 'Payment currency does not match', expected, received));
+  }
+};
+
+// Whether the status PayHere reports is a legal next step for the order
+const checkOrderState = (issues, order, { status_code, payment_id }) => {
+  const received = `${order.paymentStatus}/${order.orderStatus}`;
+  const paidWithAnotherPayment = order.payherePaymentId && order.payherePaymentId !== payment_id;
+
+  switch (PAYHERE_STATUS[status_code]) {
+    case 'success':
+      // A re-sent success for the payment we already recorded is harmless
+      if (order.paymentStatus === 'completed' && !paidWithAnotherPayment) return;
+      if (order.paymentStatus !== 'pending' || order.orderStatus !== 'pending') {
+        issues.push(issue('order_state', `Payment received for an order that is ${order.orderStatus}`, 'pending/pending', received));
+      }
+      return;
+    case 'cancelled':
+    case 'failed':
+      if (['completed', 'partially_refunded'].includes(order.paymentStatus)) {
+        issues.push(issue('order_state', 'Payment reported unsuccessful for an order that is already paid', 'pending', received));
+      }
+      return;
+    case 'chargeback':
+      if (!['completed', 'partially_refunded'].includes(order.paymentStatus) || paidWithAnotherPayment) {
+        issues.push(issue('order_state', 'Chargeback for a payment we never recorded', `completed/${payment_id}`, `${received}/${order.payherePaymentId || 'none'}`));
+      }
+      return;
+    default:
+      return;
+  }
+};
+
+const verifyCartPayment = async (issues, notificationData) => {
+  const order = await Order.findOne({ payhereOrderId: notificationData.order_id });
+  if (!order) {
+    issues.push(issue('order', 'No order was created for this order_id', 'existing order', notificationData.order_id));
+    return;
+  }
+
+  compareAmount(issues, notificationData.payhere_amount, order.totalAmount);
+  compareCurrency(issues, notificationData.payhere_currency, order.currency);
+  checkOrderState(issues, order, notificationData);
+};
+
+const verifyFoodPayment = async (issues, notificationData, type) => {
+  const { order_id, subscription_id, email, custom_1 } = notificationData;
+
+  // Same lookup as the handlers; the first payment creates the subscription
+  const subscription = type === 'food_recurring'
+    ? await FoodSubscription.findOne({
+      $or: [{ payhereRecurringToken: subscription_id }, { userEmail: email?.toLowerCase().trim() }],
+      autoRenew: true
+    }).sort({ createdAt: -1 })
+    : await FoodSubscription.findOne({ $or: [{ payhereOrderId: order_id }, { restartOrderId: order_id }] });
+
+  // Before the first payment is applied there is no subscription yet, only the plan it buys
+  const plan = subscription ? null : await findPlan(custom_1?.replace('plan_', ''));
+  if (!subscription && !plan) {
+    issues.push(issue('plan', 'No subscription plan for this payment', 'existing plan', custom_1));
+    return;
+  }
+
+  // A plan change checkout charges the new plan, plus any proration on its first payment
+  const planChange = subscription?.restartOrderId === order_id && subscription.restartAction === 'plan_changed'
+    ? subscription.pendingPlanChange
+    : null;
+  const expected = planChange
+    ? { amount: planChange.amount + (planChange.prorationCharge || 0), currency: planChange.currency }
+    : { amount: subscription?.amount ?? plan.price, currency: subscription?.currency ?? plan.currency };
+
+  compareAmount(issues, notificationData.payhere_amount, expected.amount);
+  compareCurrency(issues, notificationData.payhere_currency, expected.currency);
+};
+
+// Returns the list of problems with a notification; empty means it can be applied
+export const verifyPayHereNotification = async (notificationData, { type, merchantId }) => {
+  const issues = [];
+
+  if (!PAYHERE_STATUS[notificationData.status_code]) {
+    issues.push(issue('status_code', 'Unknown PayHere status_code', Object.keys(PAYHERE_STATUS).join(','), notificationData.status_code));
+  }
+
+  if (notificationData.merchant_id !== merchantId) {
+    issues.push(issue('merchant', 'Notification is for a different merchant', merchantId, notificationData.merchant_id));
+  }
+
+  if (type === 'cart') {
+    await verifyCartPayment(issues, notificationData);
+  } else if (type.startsWith('food_')) {
+    await verifyFoodPayment(issues, notificationData, type);
+  }
+
+  return issues;
+};
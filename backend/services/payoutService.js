@@ -0,0 +1,319 @@
+// services/payoutService.js
+// Farmer earnings ledger: sales and platform commission from paid sub-orders, refunds,
+// manual adjustments, and the settlement batches admins pay out.
+
+import mongoose from 'mongoose';
+import FarmerLedgerEntry from '../models/farmerLedgerEntry.js';
+import Settlement from '../models/settlement.js';
+import Counter from '../models/counter.js';
+
+// Percentage of each farmer's item subtotal kept by the platform; delivery fees go to the farmer in full
+export const PLATFORM_COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE ?? '10');
+
+const TERMINAL_ORDER_STATUSES = ['cancelled', 'refunded', 'failed'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Write an automatic entry once; a second write with the same entryKey is ignored
+const recordEntry = async (entry) => {
+  try {
+    await FarmerLedgerEntry.updateOne(
+      { entryKey: entry.entryKey },
+      { $setOnInsert: { ...entry, amount: roundAmount(entry.amount) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two writers raced on the upsert; the entry exists either way
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// A sub-order is earned once the order is paid; cash orders are paid as each farmer delivers
+const isEarned = (order, subOrder) =>
+  ['completed', 'partially_refunded'].includes(order.paymentStatus) ||
+  (order.paymentMethod === 'cash_on_delivery' && subOrder.status === 'delivered');
+
+// Credit farmers for the earned sub-orders of an order and debit the platform commission
+export const recordOrderEarnings = async (order) => {
+  let recorded = 0;
+
+  for (const subOrder of order.subOrders || []) {
+    if (!isEarned(order, subOrder)) continue;
+
+    const common = {
+      farmerId: subOrder.farmerId,
+      currency: order.currency,
+      orderId: order.orderId,
+      subOrderId: subOrder.subOrderId
+    };
+
+    await recordEntry({
+      ...common,
+      entryKey: `sale:${subOrder.subOrderId}`,
+      type: 'sale',
+      amount: subOrder.total,
+      description: `Sale ${subOrder.subOrderId}`
+    });
+
+    if (subOrder.commission > 0) {
+      await recordEntry({
+        ...common,
+        entryKey: `commission:${subOrder.subOrderId}`,
+        type: 'commission',
+        amount: -subOrder.commission,
+        commissionRate: subOrder.commissionRate,
+        description: `Platform commission (${subOrder.commissionRate}%) on ${subOrder.subOrderId}`
+      });
+    }
+    recorded += 1;
+  }
+
+  return recorded;
+};
+
+const sumAmounts = (entries) => roundAmount(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+// Take back what a cancelled or refunded order earned its farmers; the commission is returned to them.
+// Whatever partial refunds already took back is left out.
+export const reverseOrderEarnings = async (order, reason) => {
+  const sales = await FarmerLedgerEntry.find({ orderId: order.orderId, type: 'sale' });
+
+  for (const sale of sales) {
+    const common = {
+      farmerId: sale.farmerId,
+      currency: sale.currency,
+      orderId: sale.orderId,
+      subOrderId: sale.subOrderId
+    };
+
+    const [refunds, commissionRefunds] = await Promise.all([
+      FarmerLedgerEntry.find({ subOrderId: sale.subOrderId, type: 'refund', entryKey: { $ne: `refund:${sale.subOrderId}` } }),
+      FarmerLedgerEntry.find({ subOrderId: sale.subOrderId, entryKey: /^commission_refund:/ })
+    ]);
+
+    const remaining = roundAmount(sale.amount + sumAmounts(refunds));
+    if (remaining > 0) {
+      await recordEntry({
+        ...common,
+        entryKey: `refund:${sale.subOrderId}`,
+        type: 'refund',
+        amount: -remaining,
+        description: reason || `Refund of ${sale.subOrderId}`
+      });
+    }
+
+    const commission = await FarmerLedgerEntry.findOne({ entryKey: `commission:${sale.subOrderId}` });
+    const commissionLeft = commission
+      ? roundAmount(-commission.amount - sumAmounts(commissionRefunds.filter(entry => entry.entryKey !== `commission_refund:${sale.subOrderId}`)))
+      : 0;
+    if (commissionLeft > 0) {
+      await recordEntry({
+        ...common,
+        entryKey: `commission_refund:${sale.subOrderId}`,
+        type: 'commission',
+        amount: commissionLeft,
+        commissionRate: commission.commissionRate,
+        description: `Commission returned on ${sale.subOrderId}`
+      });
+    }
+  }
+
+  return sales.length;
+};
+
+// Debit farmers for the lines (and delivery fees) a refund gave back, and return the
+// commission charged on those lines. Sub-orders that never earned anything are skipped.
+export const recordRefundEarnings = async (order, refund) => {
+  let recorded = 0;
+
+  for (const subOrder of order.subOrders || []) {
+    const sale = await FarmerLedgerEntry.exists({ entryKey: `sale:${subOrder.subOrderId}` });
+    if (!sale) continue;
+
+    const itemsAmount = refund.items
+      .filter(item => item.subOrderId === subOrder.subOrderId)
+      .reduce((sum, item) => sum + item.amount, 0);
+    const deliveryFee = refund.type === 'full' ? subOrder.deliveryFee || 0 : 0;
+    if (itemsAmount + deliveryFee <= 0) continue;
+
+    const common = {
+      farmerId: subOrder.farmerId,
+      currency: order.currency,
+      orderId: order.orderId,
+      subOrderId: subOrder.subOrderId
+    };
+
+    await recordEntry({
+      ...common,
+      entryKey: `refund:${refund.refundId}:${subOrder.subOrderId}`,
+      type: 'refund',
+      amount: -(itemsAmount + deliveryFee),
+      description: `Refund ${refund.refundId}: ${refund.reason}`
+    });
+
+    const commission = Math.round(itemsAmount * (subOrder.commissionRate || 0)) / 100;
+    if (commission > 0) {
+      await recordEntry({
+        ...common,
+        entryKey: `commission_refund:${refund.refundId}:${subOrder.subOrderId}`,
+        type: 'commission',
+        amount: commission,
+        commissionRate: subOrder.commissionRate,
+        description: `Commission returned on refund ${refund.refundId}`
+      });
+    }
+    recorded += 1;
+  }
+
+  return recorded;
+};
+
+// Bring the ledger in line with an order after its status or payment changed
+export const syncOrderEarnings = async (order, reason) => {
+  if (TERMINAL_ORDER_STATUSES.includes(order.orderStatus)) {
+    return reverseOrderEarnings(order, reason);
+  }
+  return recordOrderEarnings(order);
+};
+
+// Hold an order's unsettled entries out of settlements while a chargeback is disputed.
+// Entries already paid out cannot be held; losing the dispute debits them instead.
+export const freezeOrderEarnings = async (orderId, disputeId) => {
+  const entries = await FarmerLedgerEntry.find({ orderId, settlementId: null, disputeId: null });
+  if (entries.length === 0) return { count: 0, amount: 0 };
+
+  const frozen = await FarmerLedgerEntry.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) }, settlementId: null, disputeId: null },
+    { $set: { disputeId } }
+  );
+  return { count: frozen.modifiedCount, amount: sumAmounts(entries) };
+};
+
+// Let a resolved dispute's entries be settled again
+export const releaseFrozenEarnings = (disputeId) =>
+  FarmerLedgerEntry.updateMany({ disputeId }, { $set: { disputeId: null } });
+
+// Manual correction by an admin, positive or negative
+export const recordAdjustment = ({ farmerId, amount, description, actor }) =>
+  FarmerLedgerEntry.create({
+    farmerId,
+    type: 'adjustment',
+    amount: roundAmount(amount),
+    description,
+    createdBy: { userId: actor?.id, role: actor?.type || 'admin' }
+  });
+
+// Totals of a farmer's ledger and settlements
+export const summarizeLedger = async (id) => {
+  // Aggregations don't cast, so match on a real ObjectId
+  const farmerId = new mongoose.Types.ObjectId(id);
+  const [byType, unsettled, frozen, settlements] = await Promise.all([
+    FarmerLedgerEntry.aggregate([
+      { $match: { farmerId } },
+      { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+    ]),
+    FarmerLedgerEntry.aggregate([
+      { $match: { farmerId, settlementId: null } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    FarmerLedgerEntry.aggregate([
+      { $match: { farmerId, settlementId: null, disputeId: { $ne: null } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { farmerId } },
+      { $group: { _id: '$status', amount: { $sum: '$netAmount' } } }
+    ])
+  ]);
+
+  const typeTotal = (type) => roundAmount(byType.find(entry => entry._id === type)?.amount || 0);
+  const settlementTotal = (status) => roundAmount(settlements.find(entry => entry._id === status)?.amount || 0);
+
+  const summary = {
+    sales: typeTotal('sale'),
+    commission: typeTotal('commission'),
+    refunds: typeTotal('refund'),
+    adjustments: typeTotal('adjustment'),
+    unsettledBalance: roundAmount(unsettled[0]?.amount || 0),
+    // Part of the unsettled balance held back by open chargeback disputes
+    frozenBalance: roundAmount(frozen[0]?.amount || 0),
+    awaitingPayout: settlementTotal('pending'),
+    paidOut: settlementTotal('paid')
+  };
+  summary.netEarnings = roundAmount(summary.sales + summary.commission + summary.refunds + summary.adjustments);
+  return summary;
+};
+
+const nextSettlementId = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'settlement' },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `SET${counter.seq.toString().padStart(4, '0')}`;
+};
+
+const sumOfType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, '$amount', 0] } });
+
+// Batch every farmer's unsettled entries up to periodEnd into one settlement each.
+// Farmers whose balance is not positive carry it into the next period, and
+// entries frozen by a dispute wait until it is resolved.
+export const createSettlements = async (periodEnd = new Date()) => {
+  const balances = await FarmerLedgerEntry.aggregate([
+    { $match: { settlementId: null, disputeId: null, createdAt: { $lte: periodEnd } } },
+    {
+      $group: {
+        _id: '$farmerId',
+        entryIds: { $push: '$_id' },
+        periodStart: { $min: '$createdAt' },
+        netAmount: { $sum: '$amount' },
+        sales: sumOfType('sale'),
+        commission: sumOfType('commission'),
+        refunds: sumOfType('refund'),
+        adjustments: sumOfType('adjustment'),
+        currency: { $first: '$currency' }
+      }
+    }
+  ]);
+
+  const settlements = [];
+  for (const balance of balances) {
+    if (roundAmount(balance.netAmount) <= 0) continue;
+
+    const settlementId = await nextSettlementId();
+
+    // Claim the entries before creating the batch so a concurrent run cannot settle them twice
+    const claimed = await FarmerLedgerEntry.updateMany(
+      { _id: { $in: balance.entryIds }, settlementId: null, disputeId: null },
+      { $set: { settlementId } }
+    );
+    if (claimed.modifiedCount !== balance.entryIds.length) {
+      await FarmerLedgerEntry.updateMany({ settlementId }, { $set: { settlementId: null } });
+      continue;
+    }
+
+    settlements.push(await Settlement.create({
+      settlementId,
+      farmerId: balance._id,
+      periodStart: balance.periodStart,
+      periodEnd,
+      entryCount: balance.entryIds.length,
+      sales: roundAmount(balance.sales),
+      commission: roundAmount(balance.commission),
+      refunds: roundAmount(balance.refunds),
+      adjustments: roundAmount(balance.adjustments),
+      netAmount: roundAmount(balance.netAmount),
+      currency: balance.currency || 'LKR'
+    }));
+  }
+
+  return settlements;
+};
+
+// Record that a settlement was paid to the farmer; null if it is unknown or already paid
+export const markSettlementPaid = (settlementId, { paidBy, paymentReference }) =>
+  Settlement.findOneAndUpdate(
+    { settlementId, status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), paidBy, paymentReference, updatedAt: new Date() } },
+    { new: true }
+  );
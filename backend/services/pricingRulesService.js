@@ -0,0 +1,168 @@
+// services/pricingRulesService.js
+// Tax and shipping from the admin's TaxRule and ShippingRule documents. The cart page,
+// checkout and order creation all quote through here so they always agree.
+
+import Products from '../models/product.js';
+import TaxRule from '../models/taxRule.js';
+import ShippingRule from '../models/shippingRule.js';
+import { calculateDiscount } from './promotionService.js';
+
+// Flat fee each farmer charges to deliver their part of an order when no shipping rule applies
+export const FARMER_DELIVERY_FEE = parseFloat(process.env.FARMER_DELIVERY_FEE) || 0;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const normalizeKey = (value) => value?.toString().trim().toLowerCase() || '';
+
+const chargesError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Active rules, most recently changed first so an edited rule wins a tie
+export const loadPricingRules = async ({ session = null } = {}) => {
+  const [taxRules, shippingRules] = await Promise.all([
+    TaxRule.find({ active: true }).sort({ updatedAt: -1 }).session(session),
+    ShippingRule.find({ active: true }).sort({ updatedAt: -1 }).session(session)
+  ]);
+  return { taxRules, shippingRules };
+};
+
+// The category's own rule, else the default rule (no category), else no tax
+export const findTaxRule = (taxRules, category) =>
+  taxRules.find(rule => rule.category && rule.category === normalizeKey(category)) ||
+  taxRules.find(rule => !rule.category) ||
+  null;
+
+// A rule listing the city or district, else a rule without areas, else none
+export const findShippingRule = (shippingRules, { city, district } = {}) => {
+  const areas = [normalizeKey(city), normalizeKey(district)].filter(Boolean);
+  return shippingRules.find(rule => rule.areas?.some(area => areas.includes(area))) ||
+    shippingRules.find(rule => !rule.areas?.length) ||
+    null;
+};
+
+// Tax on a line amount; for inclusive rules, the part of the amount that is tax
+export const lineTax = (amount, rule) => {
+  if (!rule?.rate) return 0;
+  return rule.inclusive
+    ? roundAmount(amount - amount / (1 + rule.rate / 100))
+    : roundAmount(amount * rule.rate / 100);
+};
+
+// Fee for one shipment ({ weight, value }) under a rule; no rule means the flat farmer fee
+export const shipmentFee = (rule, { weight, value }) => {
+  if (!rule) return FARMER_DELIVERY_FEE;
+  if (rule.basis === 'flat' || !rule.tiers?.length) return rule.baseFee;
+
+  const measure = rule.basis === 'weight' ? weight : value;
+  const tiers = [...rule.tiers].sort((a, b) => a.upTo - b.upTo);
+  // Heavier or bigger than every tier pays the last one
+  const tier = tiers.find(entry => measure <= entry.upTo) || tiers[tiers.length - 1];
+  return roundAmount(rule.baseFee + tier.fee);
+};
+
+// Tax and shipping for order lines ({ productId, price, quantity }) delivered to
+// { city, district }, after the discount of a promotion the customer may use (see
+// findPromotionForCustomer). Each farmer ships their own products, so shipping is one
+// fee per farmer. Returns the lines tagged with farmerId, discount and tax, the totals,
+// one shipment per farmer and the breakdown stored on the order.
+export const quoteCharges = async (items, { city, district, promotion = null, session = null } = {}) => {
+  const products = await Products.find({ _id: { $in: items.map(item => item.productId) } })
+    .select('owner category weight')
+    .session(session);
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const { taxRules, shippingRules } = await loadPricingRules({ session });
+
+  const lines = items.map(item => {
+    const product = productsById.get(item.productId.toString());
+    if (!product?.owner) {
+      throw chargesError('One or more products in your order no longer exist.');
+    }
+    return { item, product, amount: item.price * item.quantity, category: product.category };
+  });
+
+  // Tax is charged on what the customer pays for each line, so after its discount
+  const discount = promotion ? calculateDiscount(promotion, lines) : { amount: 0, shares: lines.map(() => 0) };
+
+  const taxLines = new Map();
+  const shipments = new Map();
+
+  const quotedItems = lines.map(({ item, product, amount }, index) => {
+    const lineDiscount = discount.shares[index];
+    const rule = findTaxRule(taxRules, product.category);
+    const tax = lineTax(amount - lineDiscount, rule);
+
+    if (rule) {
+      const key = rule._id.toString();
+      const taxLine = taxLines.get(key) || {
+        rule: rule.name,
+        category: rule.category || '',
+        rate: rule.rate,
+        inclusive: rule.inclusive,
+        taxableAmount: 0,
+        amount: 0
+      };
+      taxLine.taxableAmount = roundAmount(taxLine.taxableAmount + amount - lineDiscount);
+      taxLine.amount = roundAmount(taxLine.amount + tax);
+      taxLines.set(key, taxLine);
+    }
+
+    const farmerKey = product.owner.toString();
+    const shipment = shipments.get(farmerKey) || { farmerId: product.owner, weight: 0, value: 0 };
+    shipment.weight += (product.weight || 0) * item.quantity;
+    shipment.value += amount;
+    shipments.set(farmerKey, shipment);
+
+    return {
+      ...item,
+      farmerId: product.owner,
+      discount: lineDiscount,
+      taxRate: rule?.rate || 0,
+      taxInclusive: !!rule?.inclusive,
+      tax
+    };
+  });
+
+  const subtotal = roundAmount(quotedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const shippingRule = findShippingRule(shippingRules, { city, district });
+  const freeShipping = !!shippingRule?.freeShippingThreshold && subtotal >= shippingRule.freeShippingThreshold;
+
+  const shippingLines = Array.from(shipments.values(), shipment => ({
+    farmerId: shipment.farmerId,
+    rule: shippingRule?.name || 'Standard delivery',
+    basis: shippingRule?.basis || 'flat',
+    weight: roundAmount(shipment.weight),
+    value: roundAmount(shipment.value),
+    fee: freeShipping ? 0 : shipmentFee(shippingRule, shipment)
+  }));
+
+  const tax = roundAmount(quotedItems.filter(item => !item.taxInclusive).reduce((sum, item) => sum + item.tax, 0));
+  const includedTax = roundAmount(quotedItems.filter(item => item.taxInclusive).reduce((sum, item) => sum + item.tax, 0));
+  const shipping = roundAmount(shippingLines.reduce((sum, line) => sum + line.fee, 0));
+
+  return {
+    items: quotedItems,
+    subtotal,
+    discount: discount.amount,
+    promotion: promotion && {
+      promotionId: promotion._id,
+      code: promotion.code,
+      title: promotion.title
+    },
+    tax,
+    includedTax,
+    shipping,
+    total: roundAmount(subtotal - discount.amount + tax + shipping),
+    breakdown: {
+      city: city?.trim() || '',
+      district: district?.trim() || '',
+      taxLines: Array.from(taxLines.values()),
+      includedTax,
+      shippingLines,
+      freeShipping,
+      freeShippingThreshold: shippingRule?.freeShippingThreshold || 0
+    }
+  };
+};
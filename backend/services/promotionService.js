@@ -0,0 +1,180 @@
+// services/promotionService.js
+// Promo codes: checks a code against the customer, works out its discount on an order's
+// lines and counts every order placed with it (see models/promotion.js and
+// models/promotionUsage.js).
+
+import Order from '../models/order.js';
+import Promotion from '../models/promotion.js';
+import PromotionUsage from '../models/promotionUsage.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const promotionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const normalizeCode = (code) => code?.toString().trim().toUpperCase() || '';
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Orders belonging to the customer, whether placed before or after userId was recorded
+const customerOrders = (user) => ({
+  $or: [{ userId: user.id }, { customerEmail: user.email?.toLowerCase() }]
+});
+
+// Orders that were paid, or are still waiting for a payment that has not failed
+// (cash on delivery stays pending until the order is delivered)
+const placedOrders = {
+  $or: [
+    { paymentStatus: { $in: ['completed', 'partially_refunded', 'refunded'] } },
+    { paymentStatus: 'pending', orderStatus: { $nin: ['cancelled', 'failed'] } }
+  ]
+};
+
+const usageKey = (promotionId, customer, slot) => `${promotionId}:${customer}:${slot}`;
+
+// Active, started, not ended and not used up
+export const isPromotionLive = (promotion, now = new Date()) =>
+  promotion.active &&
+  (!promotion.startsAt || promotion.startsAt <= now) &&
+  (!promotion.endsAt || promotion.endsAt >= now) &&
+  (!promotion.usageLimit || promotion.usedCount < promotion.usageLimit);
+
+// The promotion behind a code if this customer may use it now; throws 404/400 saying why not.
+// What the code is worth on a particular cart is checked by calculateDiscount.
+export const findPromotionForCustomer = async (code, user) => {
+  const promotion = await Promotion.findOne({ code: normalizeCode(code) });
+  if (!promotion || !promotion.active) {
+    throw promotionError(`Promo code ${normalizeCode(code)} is not valid`, 404);
+  }
+
+  const now = new Date();
+  if (promotion.startsAt && promotion.startsAt > now) {
+    throw promotionError(`Promo code ${promotion.code} can be used from ${formatDate(promotion.startsAt)}`);
+  }
+  if (promotion.endsAt && promotion.endsAt < now) {
+    throw promotionError(`Promo code ${promotion.code} has expired`);
+  }
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+    throw promotionError(`Promo code ${promotion.code} has been fully used`);
+  }
+
+  if (promotion.usageLimitPerCustomer) {
+    const used = await PromotionUsage.countDocuments({ promotionId: promotion._id, customer: String(user.id) });
+    if (used >= promotion.usageLimitPerCustomer) {
+      throw promotionError(`You have already used promo code ${promotion.code}`);
+    }
+  }
+
+  if (promotion.firstOrderOnly) {
+    const earlierOrder = await Order.exists({ $and: [customerOrders(user), placedOrders] });
+    if (earlierOrder) {
+      throw promotionError(`Promo code ${promotion.code} is only for your first order`);
+    }
+  }
+
+  return promotion;
+};
+
+// The discount on order lines ({ amount, category }) and each line's share of it.
+// Throws 400 when the order is too small or has nothing the code applies to.
+export const calculateDiscount = (promotion, lines) => {
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (subtotal < (promotion.minOrderAmount || 0)) {
+    throw promotionError(`Promo code ${promotion.code} needs an order of at least Rs ${promotion.minOrderAmount.toFixed(2)}`);
+  }
+
+  const categories = promotion.categories || [];
+  const eligible = lines.map(line => categories.length === 0 || categories.includes(line.category?.toLowerCase()));
+  const eligibleSubtotal = roundAmount(lines.reduce((sum, line, index) => sum + (eligible[index] ? line.amount : 0), 0));
+  if (eligibleSubtotal <= 0) {
+    throw promotionError(`Promo code ${promotion.code} only applies to ${categories.join(', ')}`);
+  }
+
+  let amount = promotion.discountType === 'percentage'
+    ? eligibleSubtotal * promotion.discountValue / 100
+    : promotion.discountValue;
+  if (promotion.discountType === 'percentage' && promotion.maxDiscount) {
+    amount = Math.min(amount, promotion.maxDiscount);
+  }
+  amount = roundAmount(Math.min(amount, eligibleSubtotal));
+
+  // Spread over the eligible lines by value; the last one takes the rounding
+  const lastEligible = eligible.lastIndexOf(true);
+  let left = amount;
+  const shares = lines.map((line, index) => {
+    if (!eligible[index]) return 0;
+    if (index === lastEligible) return roundAmount(left);
+    const share = roundAmount(amount * line.amount / eligibleSubtotal);
+    left = roundAmount(left - share);
+    return share;
+  });
+
+  return { amount, shares };
+};
+
+// Take one of the customer's uses of a code with a per-customer limit; false when all are taken
+const claimCustomerUse = async (promotion, customer, orderId) => {
+  for (let slot = 1; slot <= promotion.usageLimitPerCustomer; slot += 1) {
+    try {
+      await PromotionUsage.create({
+        key: usageKey(promotion._id, customer, slot),
+        promotionId: promotion._id,
+        customer,
+        slot,
+        orderId
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+// Count order `orderId` of customer `customer` (a user id) against the code's overall and
+// per-customer limits; 409 if either was used up in the meantime
+export const claimPromotion = async (promotion, { customer, orderId }) => {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      active: true,
+      $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw promotionError(`Promo code ${promotion.code} has just been used up`, 409);
+  }
+
+  if (claimed.usageLimitPerCustomer && !(await claimCustomerUse(claimed, String(customer), orderId))) {
+    await Promotion.updateOne({ _id: claimed._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    throw promotionError(`You have already used promo code ${claimed.code}`, 409);
+  }
+  return claimed;
+};
+
+// Give back order `orderId`'s use, for an order that was never placed or whose payment
+// failed or was cancelled
+export const releasePromotion = async (promotionId, orderId) => {
+  await PromotionUsage.deleteMany({ promotionId, orderId });
+  await Promotion.updateOne({ _id: promotionId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// What the Promotions page shows
+export const listLivePromotions = async () => {
+  const now = new Date();
+  const promotions = await Promotion.find({
+    active: true,
+    listed: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+    ]
+  }).sort({ endsAt: 1, createdAt: -1 });
+
+  return promotions.filter(promotion => isPromotionLive(promotion, now));
+};
@@ -0,0 +1,208 @@
+// services/refundService.js
+// Full and per-line refunds of paid orders: works out what is owed, sends it back
+// through the payment provider, puts the items back in stock and debits the farmers.
+
+import Order from '../models/order.js';
+import Refund from '../models/refund.js';
+import Counter from '../models/counter.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { transitionOrder } from './orderStatusService.js';
+import { returnReservedStock } from './stockReservationService.js';
+import { recordRefundEarnings, syncOrderEarnings } from './payoutService.js';
+
+export const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Amounts closer than this are treated as equal
+const AMOUNT_TOLERANCE = 0.005;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const nextRefundId = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'refund' },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `REF${counter.seq.toString().padStart(4, '0')}`;
+};
+
+// Share of a per-line amount (its discount or tax) for the refunded units. Worked out from
+// the units refunded before and after, so the shares add up to the whole amount.
+const unitsShare = (item, total, quantity) => {
+  if (!total) return 0;
+  const refunded = item.refundedQuantity || 0;
+  const upTo = (units) => roundAmount(total * units / item.quantity);
+  return roundAmount(upTo(refunded + quantity) - upTo(refunded));
+};
+
+const refundLine = (item, quantity) => ({
+  productId: item.productId,
+  productName: item.productName,
+  farmerId: item.farmerId,
+  subOrderId: item.subOrderId,
+  quantity,
+  price: item.price,
+  amount: roundAmount(item.price * quantity),
+  // The customer paid less by this much, so gets this much less back
+  discount: unitsShare(item, item.discount, quantity),
+  // Inclusive tax is part of the price; only tax charged on top is added
+  tax: item.taxInclusive ? 0 : unitsShare(item, item.tax, quantity)
+});
+
+const refundableQuantity = (item) => item.quantity - (item.refundedQuantity || 0);
+
+// Every unit not refunded yet, or the requested [{ productId, quantity }] lines
+const planRefundItems = (order, lines) => {
+  if (!lines || lines.length === 0) {
+    return order.items
+      .filter(item => refundableQuantity(item) > 0)
+      .map(item => refundLine(item, refundableQuantity(item)));
+  }
+
+  const requested = new Map();
+  lines.forEach(({ productId, quantity }) => {
+    const units = Number(quantity);
+    if (!productId || !Number.isInteger(units) || units < 1) {
+      throw refundError('Each refund line needs a productId and a whole quantity of at least 1');
+    }
+    requested.set(String(productId), (requested.get(String(productId)) || 0) + units);
+  });
+
+  return Array.from(requested, ([productId, quantity]) => {
+    const item = order.items.find(line => line.productId?.toString() === productId);
+    if (!item) {
+      throw refundError(`Product ${productId} is not part of order ${order.orderId}`);
+    }
+    if (quantity > refundableQuantity(item)) {
+      throw refundError(`Only ${refundableQuantity(item)} of "${item.productName}" can still be refunded`);
+    }
+    return refundLine(item, quantity);
+  });
+};
+
+// Refund an order in full (no lines) or only the given lines.
+// Returns { refund, order }; a provider failure throws 502 with the failed refund attached.
+export const refundOrder = async (orderId, { items: lines, reason, restock = true, actor }) => {
+  if (!reason?.trim()) {
+    throw refundError('A reason is required for every refund');
+  }
+
+  const order = await Order.findOne({ orderId });
+  if (!order) {
+    throw refundError(`Order with ID ${orderId} not found`, 404);
+  }
+  // A box was paid for by its subscription payment, not by the order
+  if (order.orderType === 'subscription') {
+    throw refundError(`Order ${orderId} is a subscription box; refund the subscription payment instead`, 409);
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw refundError(`Only paid orders can be refunded, this one is ${order.paymentStatus}`);
+  }
+
+  // A cancelled order gave its stock and farmer earnings back when it was cancelled
+  const cancelled = order.orderStatus === 'cancelled';
+  const type = lines?.length ? 'partial' : 'full';
+  if (cancelled && type === 'partial') {
+    throw refundError('Cancelled orders can only be refunded in full');
+  }
+
+  const items = planRefundItems(order, lines);
+  const deliveryFee = type === 'full' ? order.shipping || 0 : 0;
+  const discount = roundAmount(items.reduce((sum, item) => sum + item.discount, 0));
+  const tax = roundAmount(items.reduce((sum, item) => sum + item.tax, 0));
+  const amount = roundAmount(items.reduce((sum, item) => sum + item.amount, 0) - discount + deliveryFee + tax);
+
+  if (amount <= 0) {
+    throw refundError('Nothing is left to refund on this order');
+  }
+  if (order.refundedAmount + amount > order.totalAmount + AMOUNT_TOLERANCE) {
+    throw refundError(`Refund of ${amount} is more than the ${roundAmount(order.totalAmount - order.refundedAmount)} still paid on this order`);
+  }
+
+  // Book the amount on the order before calling the provider so two refunds cannot pay out the same money
+  const booked = await Order.updateOne(
+    { _id: order._id, refundedAmount: order.refundedAmount },
+    { $inc: { refundedAmount: amount } }
+  );
+  if (booked.modifiedCount === 0) {
+    throw refundError('The order was refunded by someone else in the meantime, reload it and try again', 409);
+  }
+
+  const provider = getPaymentProvider(order.paymentMethod);
+  const refund = new Refund({
+    refundId: await nextRefundId(),
+    orderId,
+    paymentId: order.payherePaymentId,
+    paymentMethod: order.paymentMethod,
+    type,
+    items,
+    deliveryFee,
+    discount,
+    tax,
+    amount,
+    currency: order.currency,
+    reason: reason.trim(),
+    provider: provider.name,
+    requestedBy: actor
+  });
+
+  try {
+    const result = await provider.refund({
+      paymentId: order.payherePaymentId,
+      orderId,
+      amount,
+      currency: order.currency,
+      reason: refund.reason,
+      partial: amount < order.totalAmount - AMOUNT_TOLERANCE
+    });
+    refund.providerRefundId = result.providerRefundId;
+    refund.status = 'completed';
+    refund.completedAt = new Date();
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -amount } });
+    refund.status = 'failed';
+    refund.error = error.message;
+    await refund.save();
+
+    console.error('Refund failed:', { refundId: refund.refundId, orderId, error: error.message });
+    const failure = refundError(`Refund failed: ${error.message}`, 502);
+    failure.refund = refund;
+    throw failure;
+  }
+
+  items.forEach(line => {
+    const item = order.items.find(orderItem => orderItem.productId?.toString() === line.productId.toString());
+    item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+  });
+  order.refundedAmount = roundAmount(order.refundedAmount + amount);
+
+  const fullyRefunded = order.refundedAmount >= order.totalAmount - AMOUNT_TOLERANCE;
+  order.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+  if (fullyRefunded && !cancelled) {
+    transitionOrder(order, 'refunded', { actor, reason: `Refund ${refund.refundId}: ${refund.reason}` });
+  }
+  await order.save();
+
+  if (!cancelled) {
+    await recordRefundEarnings(order, refund);
+    // Picks up rounding left over from per-line commission returns
+    if (fullyRefunded) await syncOrderEarnings(order, refund.reason);
+
+    if (restock) {
+      await returnReservedStock(orderId, items);
+      refund.restocked = true;
+    }
+  }
+  await refund.save();
+
+  console.log('Refund completed:', { refundId: refund.refundId, orderId, type, amount, paymentStatus: order.paymentStatus });
+  return { refund, order };
+};
+
+export const listOrderRefunds = (orderId) => Refund.find({ orderId }).sort({ createdAt: -1 });
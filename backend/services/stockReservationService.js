@@ -0,0 +1,217 @@
+// services/stockReservationService.js
+// Holds product stock while an order is being paid for, then commits or releases it.
+
+import Products from '../models/product.js';
+import StockReservation from '../models/stockReservation.js';
+import Order from '../models/order.js';
+
+export const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+const stockError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Collapse duplicate product lines into one quantity per product
+const normalizeItems = (items) => {
+  const quantities = new Map();
+  items.forEach(({ productId, quantity }) => {
+    const key = productId.toString();
+    quantities.set(key, (quantities.get(key) || 0) + Number(quantity));
+  });
+  return Array.from(quantities, ([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Decrement stock with a conditional $inc so it can never go negative.
+// If any product falls short, everything already taken is put back
+// (inside a transaction the abort takes care of that as well).
+const takeStock = async (items, session = null) => {
+  const taken = [];
+
+  for (const item of items) {
+    const updated = await Products.findOneAndUpdate(
+      { _id: item.productId, quantityInStock: { $gte: item.quantity } },
+      { $inc: { quantityInStock: -item.quantity } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      await restoreStock(taken, session);
+
+      const product = await Products.findById(item.productId).session(session);
+      if (!product) {
+        throw stockError('One or more products in your order no longer exist.');
+      }
+      throw stockError(`Not enough stock for "${product.productName}". Available: ${product.quantityInStock}, Requested: ${item.quantity}`);
+    }
+
+    taken.push(item);
+  }
+};
+
+const restoreStock = async (items, session = null) => {
+  for (const item of items) {
+    await Products.updateOne({ _id: item.productId }, { $inc: { quantityInStock: item.quantity } }, { session });
+  }
+};
+
+// Take stock out of circulation for an order until it is paid or the hold expires
+export const holdStock = async (orderId, items, { orderType = 'payment', ttlMinutes = RESERVATION_TTL_MINUTES, session = null } = {}) => {
+  const normalized = normalizeItems(items);
+  await takeStock(normalized, session);
+
+  try {
+    const [reservation] = await StockReservation.create([{
+      orderId,
+      orderType,
+      items: normalized,
+      status: 'held',
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    }], { session });
+    return reservation;
+  } catch (error) {
+    await restoreStock(normalized, session);
+    throw error;
+  }
+};
+
+// Make a hold permanent once the order is paid. Safe to call more than once.
+export const commitReservation = async (orderId, { session = null } = {}) => {
+  const committed = await StockReservation.findOneAndUpdate(
+    { orderId, status: 'held' },
+    { $set: { status: 'committed', committedAt: new Date(), updatedAt: new Date() } },
+    { new: true, session }
+  );
+  if (committed) return committed;
+
+  const reservation = await StockReservation.findOne({ orderId }).session(session);
+  if (!reservation || reservation.status === 'committed') return reservation;
+
+  // Hold already expired before the payment landed - try to take the stock again
+  try {
+    await takeStock(reservation.items, session);
+  } catch (error) {
+    console.error('Paid order could not be re-reserved, stock is oversold:', { orderId, reason: error.message });
+    return reservation;
+  }
+
+  reservation.status = 'committed';
+  reservation.committedAt = new Date();
+  reservation.releasedAt = undefined;
+  reservation.releaseReason = undefined;
+  await reservation.save({ session });
+  return reservation;
+};
+
+// Hold stock again for an order that is being paid for a second time: a live hold
+// gets a new expiry, a released one takes its stock out again (400 when it is gone)
+export const renewHold = async (orderId, items, { ttlMinutes = RESERVATION_TTL_MINUTES } = {}) => {
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  const extended = await StockReservation.findOneAndUpdate(
+    { orderId, status: 'held' },
+    { $set: { expiresAt, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (extended) return extended;
+
+  const previous = await StockReservation.findOne({ orderId });
+  if (!previous) return holdStock(orderId, items, { ttlMinutes });
+  if (previous.status !== 'released') return previous;
+
+  // Claim the released hold first so two retries cannot both take the stock
+  const claimed = await StockReservation.findOneAndUpdate(
+    { orderId, status: 'released' },
+    { $set: { status: 'held', expiresAt, updatedAt: new Date() }, $unset: { releasedAt: 1, releaseReason: 1 } },
+    { new: true }
+  );
+  if (!claimed) return StockReservation.findOne({ orderId });
+
+  try {
+    await takeStock(claimed.items);
+  } catch (error) {
+    await StockReservation.updateOne(
+      { orderId },
+      { $set: { status: 'released', releasedAt: previous.releasedAt, releaseReason: previous.releaseReason, updatedAt: new Date() } }
+    );
+    throw error;
+  }
+  return claimed;
+};
+
+// Whether an order still has stock taken out for it and waiting for payment
+export const hasActiveHold = (orderId) => StockReservation.exists({ orderId, status: 'held' });
+
+// Put held or committed stock back. Only the first caller restores it.
+export const releaseReservation = async (orderId, reason, { session = null } = {}) => {
+  const released = await StockReservation.findOneAndUpdate(
+    { orderId, status: { $in: ['held', 'committed'] } },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason, updatedAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (released) {
+    await restoreStock(released.items, session);
+    console.log('Stock reservation released:', { orderId, reason });
+  }
+  return released;
+};
+
+// Put part of an order's stock back (refunded items). The quantities also leave
+// its reservation so a later release cannot restore them a second time.
+export const returnReservedStock = async (orderId, items, { session = null } = {}) => {
+  const returned = normalizeItems(items);
+  const reservation = await StockReservation.findOne({ orderId, status: { $in: ['held', 'committed'] } }).session(session);
+
+  if (reservation) {
+    reservation.items = reservation.items
+      .map(({ productId, quantity }) => {
+        const back = returned.find(item => item.productId.toString() === productId.toString());
+        return { productId, quantity: quantity - (back?.quantity || 0) };
+      })
+      .filter(item => item.quantity > 0);
+    await reservation.save({ session });
+  }
+
+  await restoreStock(returned, session);
+  console.log('Stock returned for refunded items:', { orderId, items: returned.length });
+  return returned;
+};
+
+// Release every hold past its expiry. The unpaid orders behind them stay pending
+// so they can still be paid again; expireStaleOrders cancels them later.
+export const releaseExpiredReservations = async (now = new Date()) => {
+  const expired = await StockReservation.find({ status: 'held', expiresAt: { $lt: now } });
+  const releasedOrderIds = [];
+
+  for (const reservation of expired) {
+    // A payment an admin still has to review may yet confirm the order
+    if (reservation.orderType === 'payment' &&
+        await Order.exists({ orderId: reservation.orderId, 'paymentReview.status': 'pending' })) {
+      continue;
+    }
+
+    const released = await releaseReservation(reservation.orderId, 'expired');
+    if (released) releasedOrderIds.push(reservation.orderId);
+  }
+
+  return releasedOrderIds;
+};
+
+// Periodically sweep expired holds
+export const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released.length > 0) {
+        console.log(`⏰ Released ${released.length} expired stock reservations:`, released);
+      }
+    } catch (error) {
+      console.error('Stock reservation sweep failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
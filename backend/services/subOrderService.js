@@ -0,0 +1,52 @@
+// services/subOrderService.js
+// Splits an order into one sub-order per farmer (Product.owner), each with its own delivery fee.
+
+import { PLATFORM_COMMISSION_RATE } from './payoutService.js';
+import { quoteCharges } from './pricingRulesService.js';
+
+// Group order items by farmer and number a sub-order for each (<orderId>-1, <orderId>-2, ...).
+// Tax and each farmer's delivery fee come from the pricing rules for the destination
+// ({ city, district }); pass a quote from quoteCharges to reuse one already made.
+// Returns the items tagged with farmerId/subOrderId, the sub-orders, the order's
+// tax and shipping and the charges breakdown to store on the order.
+export const planSubOrders = async (orderId, items, { session = null, destination = {}, quote = null } = {}) => {
+  const charges = quote || await quoteCharges(items, { ...destination, session });
+
+  const subOrders = [];
+  const subOrdersByFarmer = new Map();
+  const shippingLines = charges.breakdown.shippingLines.map(line => ({ ...line }));
+
+  const plannedItems = charges.items.map(item => {
+    const farmerKey = item.farmerId.toString();
+
+    let subOrder = subOrdersByFarmer.get(farmerKey);
+    if (!subOrder) {
+      const shippingLine = shippingLines.find(line => line.farmerId.toString() === farmerKey);
+      subOrder = {
+        subOrderId: `${orderId}-${subOrders.length + 1}`,
+        farmerId: item.farmerId,
+        subtotal: 0,
+        deliveryFee: shippingLine?.fee || 0,
+        commissionRate: PLATFORM_COMMISSION_RATE
+      };
+      if (shippingLine) shippingLine.subOrderId = subOrder.subOrderId;
+      subOrdersByFarmer.set(farmerKey, subOrder);
+      subOrders.push(subOrder);
+    }
+    subOrder.subtotal += item.price * item.quantity;
+
+    return { ...item, subOrderId: subOrder.subOrderId };
+  });
+
+  subOrders.forEach(subOrder => {
+    subOrder.total = subOrder.subtotal + subOrder.deliveryFee;
+  });
+
+  return {
+    items: plannedItems,
+    subOrders,
+    tax: charges.tax,
+    shipping: charges.shipping,
+    charges: { ...charges.breakdown, shippingLines }
+  };
+};
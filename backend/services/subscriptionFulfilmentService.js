@@ -0,0 +1,230 @@
+// services/subscriptionFulfilmentService.js
+// Turns each paid billing cycle of a food subscription into a delivery order. The plan's
+// box contents are picked from farmers' Product stock, out-of-stock lines fall back to
+// their substitutes and then to any product of their category, and the box is split per
+// farmer like any other order. The subscription payment already covers it, so the order
+// is placed as paid and farmers are credited for what they supply.
+
+import Products from '../models/product.js';
+import Order from '../models/order.js';
+import User from '../models/user.js';
+import { findPlan } from './subscriptionPlanService.js';
+import { nextOrderNumber } from './orderNumberService.js';
+import { holdStock, commitReservation, releaseReservation } from './stockReservationService.js';
+import { planSubOrders } from './subOrderService.js';
+import { syncOrderEarnings } from './payoutService.js';
+import { statusHistoryEntry } from './orderStatusService.js';
+
+// Days between the start of a paid period and the box's delivery date
+export const SUBSCRIPTION_DELIVERY_LEAD_DAYS = parseInt(process.env.SUBSCRIPTION_DELIVERY_LEAD_DAYS ?? '2');
+
+// Customer name a subscription gets when PayHere reports it before the customer's details
+export const PLACEHOLDER_CUSTOMER_NAME = 'Food Subscriber';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const byName = (name) => {
+  const pattern = new RegExp(`^${escapeRegex(name.trim())}$`, 'i');
+  return { $or: [{ productName: pattern }, { altNames: pattern }] };
+};
+
+// Products are sold in whole units, so fractional box quantities round up
+const unitsFor = (line) => Math.max(1, Math.ceil(line.quantity || 1));
+
+// The unexpired product matching `query` with the most stock, if it has enough.
+// Products already in the box are skipped so every line comes from its own product.
+const findStocked = (query, quantity, usedIds, now) => Products.findOne({
+  $and: [
+    query,
+    { _id: { $nin: usedIds } },
+    { quantityInStock: { $gte: quantity } },
+    { $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }] }
+  ]
+}).sort({ quantityInStock: -1 });
+
+// The item itself, else its substitutes in order, else anything of its category
+const pickProduct = async (line, usedIds, now) => {
+  const quantity = unitsFor(line);
+
+  const product = await findStocked(byName(line.item), quantity, usedIds, now);
+  if (product) return { product };
+
+  for (const substitute of line.substitutes || []) {
+    const stocked = await findStocked(byName(substitute), quantity, usedIds, now);
+    if (stocked) return { product: stocked, substitutedFor: line.item };
+  }
+
+  if (line.category) {
+    const stocked = await findStocked({ category: line.category }, quantity, usedIds, now);
+    if (stocked) return { product: stocked, substitutedFor: line.item };
+  }
+
+  return null;
+};
+
+// Order items for the box lines in stock, and the lines nothing could be found for
+const pickBox = async (lines, now) => {
+  const items = [];
+  const unavailableItems = [];
+
+  for (const line of lines) {
+    const picked = await pickProduct(line, items.map(item => item.productId), now);
+    if (!picked) {
+      unavailableItems.push({ item: line.item, quantity: line.quantity, unit: line.unit });
+      continue;
+    }
+
+    const { product, substitutedFor } = picked;
+    items.push({
+      productId: product._id,
+      farmerId: product.owner,
+      productName: product.productName,
+      image: product.images?.[0],
+      quantity: unitsFor(line),
+      price: product.price,
+      totalPrice: product.price * unitsFor(line),
+      substitutedFor
+    });
+  }
+
+  return { items, unavailableItems };
+};
+
+// Pick the box and hold its stock. Another order can take the stock between picking and
+// holding; the box is then picked once more from what is left.
+const reserveBox = async (orderId, lines, now) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const box = await pickBox(lines, now);
+    if (box.items.length === 0) return box;
+
+    try {
+      await holdStock(orderId, box.items, { orderType: 'order' });
+      return box;
+    } catch (error) {
+      if (error.statusCode !== 400 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// Boxes carry no tax or delivery charges of their own; the subscription price covers them
+const boxQuote = (items) => ({
+  items,
+  tax: 0,
+  shipping: 0,
+  breakdown: { taxLines: [], includedTax: 0, shippingLines: [], freeShipping: true }
+});
+
+// Place the box order for one subscription payment. `deliverFrom` is when the paid period
+// starts; the box is delivered SUBSCRIPTION_DELIVERY_LEAD_DAYS later (counted from now if
+// that is later). Returns the order, the one already placed for this payment, or null when
+// the plan has no box or nothing in it is in stock.
+export const createBoxOrder = async (subscription, { paymentId, deliverFrom, now = new Date() } = {}) => {
+  if (!paymentId) {
+    throw new Error('A subscription box needs the payment it was paid by');
+  }
+
+  const existing = await Order.findOne({ 'subscription.paymentId': paymentId });
+  if (existing) return existing;
+
+  const plan = await findPlan(subscription.planId);
+  if (!plan?.boxContents?.length) {
+    console.log(`📦 Plan ${subscription.planId} has no box contents, no box ordered for ${paymentId}`);
+    return null;
+  }
+
+  const orderId = await nextOrderNumber('box');
+  const { items, unavailableItems } = await reserveBox(orderId, plan.boxContents, now);
+  if (items.length === 0) {
+    console.warn(`⚠️ Nothing in box ${plan.planId} is in stock, no box ordered for subscription ${subscription._id}`);
+    return null;
+  }
+
+  try {
+    const planned = await planSubOrders(orderId, items, { quote: boxQuote(items) });
+    const customer = await User.findOne({ email: subscription.userEmail }).select('_id');
+    const start = deliverFrom && new Date(deliverFrom) > now ? new Date(deliverFrom) : now;
+    // What the farmers are paid for the box; the customer paid the subscription price
+    const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    const order = await Order.create({
+      orderId,
+      orderType: 'subscription',
+      userId: customer?._id,
+      customerEmail: subscription.userEmail,
+      customerName: subscription.customerName,
+      phoneNumber: subscription.phoneNumber,
+      address: subscription.address,
+      items: planned.items,
+      subOrders: planned.subOrders,
+      subtotal,
+      tax: planned.tax,
+      shipping: planned.shipping,
+      charges: planned.charges,
+      totalAmount: subtotal,
+      currency: subscription.currency,
+      paymentMethod: 'payhere',
+      paymentStatus: 'completed',
+      payherePaymentId: paymentId,
+      orderStatus: 'confirmed',
+      statusHistory: [statusHistoryEntry(null, 'confirmed', { reason: `${subscription.planName} box` })],
+      subscription: {
+        subscriptionId: subscription._id,
+        planId: subscription.planId,
+        paymentId,
+        periodEnd: subscription.endDate,
+        unavailableItems
+      },
+      deliveryDate: new Date(start.getTime() + SUBSCRIPTION_DELIVERY_LEAD_DAYS * DAY_MS)
+    });
+
+    await commitReservation(orderId);
+    await syncOrderEarnings(order);
+
+    console.log(`📦 Subscription box ${orderId} ordered:`, {
+      subscriptionId: subscription._id,
+      items: order.items.length,
+      substituted: order.items.filter(item => item.substitutedFor).length,
+      unavailable: unavailableItems.length,
+      deliveryDate: order.deliveryDate
+    });
+    return order;
+  } catch (error) {
+    await releaseReservation(orderId, 'order_failed');
+    // The same payment was reported twice at once and the other report placed the box
+    if (error.code === 11000 && error.keyPattern?.['subscription.paymentId']) {
+      const placed = await Order.findOne({ 'subscription.paymentId': paymentId });
+      if (placed) return placed;
+    }
+    throw error;
+  }
+};
+
+// createBoxOrder for the payment handlers: a box that cannot be put together is logged,
+// never allowed to undo the payment that paid for it
+export const orderSubscriptionBox = async (subscription, options) => {
+  try {
+    return await createBoxOrder(subscription, options);
+  } catch (error) {
+    console.error('❌ Subscription box could not be ordered:', {
+      subscriptionId: subscription._id,
+      paymentId: options?.paymentId,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+// Copy the subscription's delivery details onto its boxes that have not left the farm yet
+export const updateBoxDeliveryDetails = (subscription) => Order.updateMany(
+  { 'subscription.subscriptionId': subscription._id, orderStatus: { $in: ['confirmed', 'processing'] } },
+  {
+    $set: {
+      customerName: subscription.customerName,
+      phoneNumber: subscription.phoneNumber,
+      address: subscription.address,
+      updatedAt: new Date()
+    }
+  }
+);
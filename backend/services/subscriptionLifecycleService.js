@@ -0,0 +1,301 @@
+// services/subscriptionLifecycleService.js
+// Background upkeep of food subscriptions: scheduled cancellations and plan changes take
+// effect, renewals that were never paid get a grace period and then expire, renewal attempts
+// are capped at maxRenewalAttempts, paused subscriptions that are not resumed expire, and
+// customers are reminded before a renewal, after a failed one and when a pause ends.
+// Every run takes `now`, so it can be replayed against any date, and a dry run reports
+// what it would change without saving or emailing anything.
+
+import FoodSubscription from '../models/Subscription.js';
+import { sendMail } from './mailService.js';
+import { logSubscription, stopRecurringCharges } from './subscriptionService.js';
+
+// Days an unpaid subscription keeps running before it expires
+export const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS ?? '3');
+
+// Days before a renewal the customer is reminded of it; 0 turns renewal reminders off
+export const RENEWAL_REMINDER_DAYS = parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS ?? '3');
+
+// Statuses of a subscription whose payment did not come through
+const UNPAID_STATUSES = ['pending_renewal', 'payment_failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// A renewal's grace starts when the paid period ends. A failed first payment paid for
+// no period at all, so its grace starts when it failed.
+const graceStartsAt = (subscription) =>
+  subscription.status === 'payment_failed' && subscription.lastPaymentFailureDate
+    ? subscription.lastPaymentFailureDate
+    : subscription.endDate;
+
+export const graceEndsAt = (subscription) => addDays(graceStartsAt(subscription), SUBSCRIPTION_GRACE_DAYS);
+
+// End a subscription for good: no more charges, and a log entry saying why
+const endSubscription = async (subscription, status, reason, now) => {
+  const charges = await stopRecurringCharges(subscription);
+
+  subscription.status = status;
+  subscription.autoRenew = false;
+  subscription.nextBillingDate = null;
+  subscription.cancellationScheduled = false;
+  if (status === 'cancelled') {
+    subscription.cancellationEffectiveDate = now;
+    subscription.cancellationReason = subscription.cancellationReason || reason;
+  }
+
+  await subscription.save();
+  await logSubscription(subscription, status, { reason, ...charges });
+};
+
+// Cancellations customers scheduled for the end of their paid period
+const applyScheduledCancellations = (now) => ({
+  step: 'cancelled',
+  query: { cancellationScheduled: true, cancellationEffectiveDate: { $lte: now } },
+  apply: (subscription) => endSubscription(
+    subscription,
+    'cancelled',
+    subscription.cancellationReason || `Cancellation from ${formatDate(subscription.cancellationEffectiveDate)}`,
+    now
+  )
+});
+
+// Unpaid subscriptions that used up their renewal attempts
+const enforceRenewalAttempts = (now) => ({
+  step: 'cancelled',
+  query: {
+    status: { $in: UNPAID_STATUSES },
+    $expr: { $gte: ['$renewalAttempts', '$maxRenewalAttempts'] }
+  },
+  apply: (subscription) => endSubscription(
+    subscription,
+    'cancelled',
+    `Not paid after ${subscription.renewalAttempts} renewal attempts`,
+    now
+  )
+});
+
+// Plan changes scheduled for the end of the paid period (see changePlan). The old plan's
+// charges were stopped when the change was made, so the customer is asked to pay for the
+// new plan; until they do, the subscription is in its grace period like an unpaid renewal.
+const applyScheduledPlanChanges = (now) => ({
+  step: 'planChanges',
+  query: { status: 'active', 'pendingPlanChange.timing': 'renewal', endDate: { $lte: now } },
+  apply: async (subscription) => {
+    subscription.status = 'pending_renewal';
+    await subscription.save();
+
+    const { planName, currency, amount } = subscription.pendingPlanChange;
+    await sendMail({
+      to: subscription.userEmail,
+      subject: `Your subscription is moving to ${planName}`,
+      text: `Hi ${subscription.customerName}, your ${subscription.planName} period ended on ` +
+        `${formatDate(subscription.endDate)}. Pay ${currency} ${amount} from the subscription page to start ${planName}. ` +
+        `Without a payment the subscription ends on ${formatDate(graceEndsAt(subscription))}.`
+    });
+  }
+});
+
+// Active subscriptions past their paid period: a renewal PayHere has not reported yet
+// enters the grace period, one that will not renew expires
+const applyLapsedPeriods = (now) => ({
+  step: 'lapsed',
+  query: { status: 'active', cancellationScheduled: { $ne: true }, endDate: { $lte: now } },
+  apply: async (subscription) => {
+    if (!subscription.autoRenew) {
+      await endSubscription(subscription, 'expired', `Period ended ${formatDate(subscription.endDate)}`, now);
+      return 'expired';
+    }
+
+    subscription.status = 'pending_renewal';
+    await subscription.save();
+    return 'gracePeriod';
+  },
+  // Without saving, a dry run still knows which way each subscription would go
+  classify: (subscription) => (subscription.autoRenew ? 'gracePeriod' : 'expired')
+});
+
+// Unpaid subscriptions whose grace period is over
+const expireAfterGrace = (now) => {
+  const cutoff = addDays(now, -SUBSCRIPTION_GRACE_DAYS);
+  return {
+    step: 'expired',
+    query: {
+      $or: [
+        { status: 'pending_renewal', endDate: { $lte: cutoff } },
+        { status: 'payment_failed', lastPaymentFailureDate: { $lte: cutoff } },
+        { status: 'payment_failed', lastPaymentFailureDate: null, endDate: { $lte: cutoff } }
+      ]
+    },
+    apply: (subscription) => endSubscription(
+      subscription,
+      'expired',
+      `Not paid within ${SUBSCRIPTION_GRACE_DAYS} days of ${formatDate(graceStartsAt(subscription))}`,
+      now
+    )
+  };
+};
+
+// Paused subscriptions not resumed within SUBSCRIPTION_GRACE_DAYS of their resume date.
+// Resuming needs a new recurring checkout, so a pause cannot end by itself.
+const expireUnresumedPauses = (now) => ({
+  step: 'expired',
+  query: { status: 'paused', resumeDate: { $lte: addDays(now, -SUBSCRIPTION_GRACE_DAYS) } },
+  apply: async (subscription) => {
+    await endSubscription(
+      subscription,
+      'expired',
+      `Not resumed within ${SUBSCRIPTION_GRACE_DAYS} days of ${formatDate(subscription.resumeDate)}`,
+      now
+    );
+    await sendMail({
+      to: subscription.userEmail,
+      subject: `Your ${subscription.planName} has ended`,
+      text: `Hi ${subscription.customerName}, your ${subscription.planName} was paused until ` +
+        `${formatDate(subscription.resumeDate)} and was not resumed, so it has now ended. ` +
+        'You can start it again from the subscription page.'
+    });
+  }
+});
+
+// Paused subscriptions whose resume date has come, once per resume date
+const remindPauseEnded = (now) => ({
+  step: 'resumeReminders',
+  query: { status: 'paused', resumeDate: { $lte: now } },
+  due: (subscription) =>
+    subscription.resumeReminderSentFor?.getTime() !== subscription.resumeDate.getTime(),
+  apply: async (subscription) => {
+    await sendMail({
+      to: subscription.userEmail,
+      subject: `Time to resume your ${subscription.planName}`,
+      text: `Hi ${subscription.customerName}, the pause of your ${subscription.planName} ended on ` +
+        `${formatDate(subscription.resumeDate)}. Resume it from the subscription page to restart ` +
+        `deliveries at ${subscription.currency} ${subscription.amount} per ${subscription.billingCycle} cycle. ` +
+        `Without that it ends on ${formatDate(addDays(subscription.resumeDate, SUBSCRIPTION_GRACE_DAYS))}.`
+    });
+    subscription.resumeReminderSentFor = subscription.resumeDate;
+    await subscription.save();
+  }
+});
+
+// Renewals in the next RENEWAL_REMINDER_DAYS, once per billing date
+const remindUpcomingRenewals = (now) => ({
+  step: 'renewalReminders',
+  query: {
+    status: 'active',
+    autoRenew: true,
+    cancellationScheduled: { $ne: true },
+    nextBillingDate: { $gt: now, $lte: addDays(now, RENEWAL_REMINDER_DAYS) }
+  },
+  due: (subscription) =>
+    subscription.renewalReminderSentFor?.getTime() !== subscription.nextBillingDate.getTime(),
+  apply: async (subscription) => {
+    await sendMail({
+      to: subscription.userEmail,
+      subject: `Your ${subscription.planName} renews on ${formatDate(subscription.nextBillingDate)}`,
+      text: `Hi ${subscription.customerName}, your ${subscription.planName} renews on ` +
+        `${formatDate(subscription.nextBillingDate)} and ${subscription.currency} ${subscription.amount} will be charged to your saved card. ` +
+        'You can pause or cancel it from the subscription page before then.'
+    });
+    // Sent, or skipped because email is not configured; either way it is not tried again
+    subscription.renewalReminderSentFor = subscription.nextBillingDate;
+    await subscription.save();
+  }
+});
+
+// One reminder per failed payment, while the subscription can still be saved
+const remindFailedPayments = (now) => ({
+  step: 'failureReminders',
+  query: { status: { $in: UNPAID_STATUSES }, lastPaymentFailureDate: { $ne: null } },
+  due: (subscription) =>
+    !subscription.failureReminderSentAt || subscription.failureReminderSentAt < subscription.lastPaymentFailureDate,
+  apply: async (subscription) => {
+    const attemptsLeft = Math.max(subscription.maxRenewalAttempts - subscription.renewalAttempts, 0);
+    await sendMail({
+      to: subscription.userEmail,
+      subject: `Payment for your ${subscription.planName} failed`,
+      text: `Hi ${subscription.customerName}, we could not take ${subscription.currency} ${subscription.amount} ` +
+        `for your ${subscription.planName} on ${formatDate(subscription.lastPaymentFailureDate)}. ` +
+        `PayHere will try ${attemptsLeft} more time(s); please check your card. ` +
+        `Without a payment the subscription ends on ${formatDate(graceEndsAt(subscription))}.`
+    });
+    subscription.failureReminderSentAt = now;
+    await subscription.save();
+  }
+});
+
+// Runs every step in order. Each subscription is handled by at most one step per run,
+// so a dry run reports the same outcome a real run would. `match` narrows the run to
+// some subscriptions (e.g. { userEmail }).
+export const runSubscriptionLifecycle = async ({ now = new Date(), dryRun = false, match = {} } = {}) => {
+  const report = {
+    now,
+    dryRun,
+    cancelled: [],
+    expired: [],
+    gracePeriod: [],
+    planChanges: [],
+    renewalReminders: [],
+    failureReminders: [],
+    resumeReminders: [],
+    errors: []
+  };
+  const handled = new Set();
+
+  const steps = [
+    applyScheduledCancellations(now),
+    enforceRenewalAttempts(now),
+    applyScheduledPlanChanges(now),
+    applyLapsedPeriods(now),
+    expireAfterGrace(now),
+    expireUnresumedPauses(now),
+    ...(RENEWAL_REMINDER_DAYS > 0 ? [remindUpcomingRenewals(now)] : []),
+    remindFailedPayments(now),
+    remindPauseEnded(now)
+  ];
+
+  for (const { step, query, due, apply, classify } of steps) {
+    const subscriptions = await FoodSubscription.find({ $and: [query, match] });
+
+    for (const subscription of subscriptions) {
+      const subscriptionId = subscription._id.toString();
+      if (handled.has(subscriptionId) || (due && !due(subscription))) continue;
+      handled.add(subscriptionId);
+
+      try {
+        const outcome = dryRun ? classify?.(subscription) : await apply(subscription);
+        report[outcome || step].push(subscriptionId);
+      } catch (error) {
+        console.error('❌ Subscription lifecycle step failed:', { step, subscriptionId, error: error.message });
+        report.errors.push({ step, subscriptionId, error: error.message });
+      }
+    }
+  }
+
+  return report;
+};
+
+// Periodically run the lifecycle; SUBSCRIPTION_SCHEDULER_DRY_RUN=true only logs what it would do
+export const startSubscriptionLifecycleScheduler = (intervalMs = 60 * 60 * 1000) => {
+  const dryRun = process.env.SUBSCRIPTION_SCHEDULER_DRY_RUN === 'true';
+
+  const timer = setInterval(async () => {
+    try {
+      const report = await runSubscriptionLifecycle({ dryRun });
+      const changed = ['cancelled', 'expired', 'gracePeriod', 'planChanges', 'renewalReminders', 'failureReminders', 'resumeReminders', 'errors']
+        .filter(key => report[key].length > 0);
+      if (changed.length > 0) {
+        console.log(`⏰ Subscription lifecycle${dryRun ? ' (dry run)' : ''}:`,
+          Object.fromEntries(changed.map(key => [key, report[key]])));
+      }
+    } catch (error) {
+      console.error('Subscription lifecycle run failed:', error.message);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,69 @@
+// services/subscriptionPlanService.js
+// The plan catalogue behind food subscriptions: which plan a customer may buy and
+// how long each of its billing periods runs.
+
+import SubscriptionPlan from '../models/subscriptionPlan.js';
+
+// PayHere recurrence for each billing cycle, and the cycle's length in months
+export const BILLING_CYCLES = {
+  weekly: { recurrence: '1 Week', label: 'week' },
+  monthly: { recurrence: '1 Month', months: 1, label: 'month' },
+  quarterly: { recurrence: '3 Month', months: 3, label: 'quarter' }
+};
+
+const planError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// The date `count` billing cycles after `from`; unknown cycles are monthly.
+// Month ends stay month ends (31 Jan + 1 month is 28/29 Feb, not 2/3 Mar).
+export const addBillingCycle = (from, billingCycle = 'monthly', count = 1) => {
+  const date = new Date(from);
+  if (billingCycle === 'weekly') {
+    date.setDate(date.getDate() + 7 * count);
+    return date;
+  }
+
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + (BILLING_CYCLES[billingCycle]?.months || 1) * count);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date;
+};
+
+// The first period of a new subscription: the trial (if any) and then one paid cycle
+export const firstPeriod = (plan, startDate = new Date()) => {
+  const trialEndsAt = new Date(startDate);
+  trialEndsAt.setDate(trialEndsAt.getDate() + (plan.trialDays || 0));
+
+  return {
+    startDate,
+    trialEndsAt: plan.trialDays ? trialEndsAt : undefined,
+    endDate: addBillingCycle(trialEndsAt, plan.billingCycle)
+  };
+};
+
+// Plans customers can buy, in the order the subscription page lists them
+export const listActivePlans = () =>
+  SubscriptionPlan.find({ active: true }).sort({ sortOrder: 1, price: 1 });
+
+const normalizePlanId = (planId) => planId?.toString().trim().toLowerCase() || '';
+
+// A plan by planId, active or not (subscriptions keep renewing on retired plans)
+export const findPlan = (planId) => SubscriptionPlan.findOne({ planId: normalizePlanId(planId) });
+
+// The plan a customer asked for; 400 without a planId, 404 if it is unknown or retired
+export const findActivePlan = async (planId) => {
+  if (!planId) {
+    throw planError('Please choose a subscription plan');
+  }
+
+  const plan = await findPlan(planId);
+  if (!plan || !plan.active) {
+    throw planError(`Subscription plan ${planId} is not available`, 404);
+  }
+  return plan;
+};
@@ -0,0 +1,377 @@
+// services/subscriptionService.js
+// What customers can do with their own food subscriptions: cancel, pause, resume,
+// reactivate and change plan. Charges are stopped through the payment provider's
+// cancelRecurring (the PayHere Merchant API, stubbed locally). PayHere can neither restart
+// a cancelled recurring payment nor change its amount, so resuming, reactivating and
+// changing plan send the customer through a new recurring checkout; the notification for
+// it is applied by handleInitialFoodPaymentWithRecurring.
+
+import FoodSubscription from '../models/Subscription.js';
+import FoodSubscriptionLog from '../models/SubscriptionLog.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { nextOrderNumber } from './orderNumberService.js';
+import { addBillingCycle, findActivePlan } from './subscriptionPlanService.js';
+
+// Longest pause a customer can choose, in billing cycles
+export const MAX_PAUSE_CYCLES = 6;
+
+const subscriptionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const logSubscription = (subscription, action, details) =>
+  FoodSubscriptionLog.create({
+    subscriptionId: subscription._id,
+    userEmail: subscription.userEmail,
+    action,
+    details: {
+      planId: subscription.planId,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      ...details
+    }
+  });
+
+// What the customer sees of a subscription (no PayHere tokens)
+export const customerSubscription = (subscription) => ({
+  id: subscription._id,
+  planId: subscription.planId,
+  planName: subscription.planName,
+  status: subscription.status,
+  amount: subscription.amount,
+  currency: subscription.currency,
+  billingCycle: subscription.billingCycle,
+  autoRenew: subscription.autoRenew,
+  startDate: subscription.startDate,
+  endDate: subscription.endDate,
+  trialEndsAt: subscription.trialEndsAt,
+  nextBillingDate: subscription.nextBillingDate,
+  cancellationScheduled: subscription.cancellationScheduled,
+  cancellationEffectiveDate: subscription.cancellationEffectiveDate,
+  pauseCycles: subscription.pauseCycles,
+  resumeDate: subscription.resumeDate,
+  paymentFailure: subscription.paymentFailure,
+  // A change waiting for the current period to end (timing 'renewal')
+  pendingPlanChange: subscription.pendingPlanChange?.timing === 'renewal' ? {
+    planId: subscription.pendingPlanChange.planId,
+    planName: subscription.pendingPlanChange.planName,
+    amount: subscription.pendingPlanChange.amount,
+    currency: subscription.pendingPlanChange.currency,
+    billingCycle: subscription.pendingPlanChange.billingCycle,
+    startsAt: subscription.endDate
+  } : null
+});
+
+export const listCustomerSubscriptions = (user) =>
+  FoodSubscription.find({ userEmail: user.email?.toLowerCase() }).sort({ createdAt: -1 });
+
+// One of the customer's subscriptions (admins may act on any); 404 otherwise
+export const findCustomerSubscription = async (subscriptionId, user) => {
+  const subscription = await FoodSubscription.findById(subscriptionId);
+  if (!subscription || (user.type !== 'admin' && subscription.userEmail !== user.email?.toLowerCase())) {
+    throw subscriptionError(`Subscription ${subscriptionId} not found`, 404);
+  }
+  return subscription;
+};
+
+// Stop the provider charging the subscription. A refusal does not block the customer:
+// it is logged so an admin can cancel the recurring payment in the PayHere portal.
+export const stopRecurringCharges = async (subscription) => {
+  if (!subscription.autoRenew || !subscription.payhereRecurringToken) return {};
+
+  try {
+    await getPaymentProvider(subscription.paymentMethod).cancelRecurring(subscription);
+    return { payhereCancellationSuccess: true };
+  } catch (error) {
+    console.error('❌ Failed to stop recurring charges:', { subscriptionId: subscription._id, error: error.message });
+    return {
+      payhereCancellationSuccess: false,
+      payhereCancellationError: error.message,
+      requiresManualCancellation: true
+    };
+  }
+};
+
+// Cancel at the end of the paid period, or straight away
+export const cancelSubscription = async (subscription, { immediately = false, reason } = {}) => {
+  if (['cancelled', 'expired'].includes(subscription.status)) {
+    throw subscriptionError(`Subscription is already ${subscription.status}`, 409);
+  }
+  if (!immediately && subscription.cancellationScheduled) {
+    throw subscriptionError(`Subscription is already cancelled from ${formatDate(subscription.cancellationEffectiveDate)}`, 409);
+  }
+
+  const now = new Date();
+  const cancellationReason = reason?.trim() || 'Cancelled by customer';
+  const charges = await stopRecurringCharges(subscription);
+  const endsNow = immediately || subscription.endDate <= now;
+
+  subscription.autoRenew = false;
+  subscription.nextBillingDate = null;
+  subscription.autoRenewalCancelledDate = now;
+  subscription.autoRenewalCancelledReason = cancellationReason;
+  subscription.cancellationReason = cancellationReason;
+  subscription.cancellationScheduledDate = now;
+  subscription.pausedAt = undefined;
+  subscription.pauseCycles = undefined;
+  subscription.resumeDate = undefined;
+  subscription.pendingPlanChange = undefined;
+
+  if (endsNow) {
+    subscription.status = 'cancelled';
+    subscription.cancellationScheduled = false;
+    subscription.cancellationEffectiveDate = now;
+    if (subscription.endDate > now) subscription.endDate = now;
+  } else {
+    // Deliveries continue until the paid period ends
+    subscription.status = 'active';
+    subscription.cancellationScheduled = true;
+    subscription.cancellationEffectiveDate = subscription.endDate;
+  }
+
+  await subscription.save();
+  await logSubscription(subscription, endsNow ? 'cancelled' : 'auto_renewal_cancelled', {
+    reason: endsNow ? cancellationReason : `${cancellationReason} (from ${formatDate(subscription.endDate)})`,
+    ...charges
+  });
+
+  console.log(`🛑 Subscription ${subscription._id} cancelled${endsNow ? '' : ' at period end'}`);
+  return subscription;
+};
+
+// Skip `cycles` billing cycles once the paid period ends
+export const pauseSubscription = async (subscription, cycles) => {
+  const pauseCycles = Number(cycles);
+  if (!Number.isInteger(pauseCycles) || pauseCycles < 1 || pauseCycles > MAX_PAUSE_CYCLES) {
+    throw subscriptionError(`A subscription can be paused for 1 to ${MAX_PAUSE_CYCLES} cycles`);
+  }
+  if (subscription.status !== 'active' || subscription.cancellationScheduled) {
+    throw subscriptionError(
+      subscription.cancellationScheduled ? 'A cancelled subscription cannot be paused' : `A ${subscription.status} subscription cannot be paused`,
+      409
+    );
+  }
+
+  const charges = await stopRecurringCharges(subscription);
+
+  subscription.status = 'paused';
+  subscription.autoRenew = false;
+  subscription.nextBillingDate = null;
+  subscription.pausedAt = new Date();
+  subscription.pauseCycles = pauseCycles;
+  subscription.resumeDate = addBillingCycle(subscription.endDate, subscription.billingCycle, pauseCycles);
+
+  await subscription.save();
+  await logSubscription(subscription, 'paused', {
+    reason: `Paused for ${pauseCycles} ${subscription.billingCycle} cycle(s) until ${formatDate(subscription.resumeDate)}`,
+    ...charges
+  });
+
+  console.log(`⏸️ Subscription ${subscription._id} paused until ${formatDate(subscription.resumeDate)}`);
+  return subscription;
+};
+
+// Send the customer to a recurring checkout, by default at the subscription's own price;
+// charges (and deliveries) restart once PayHere reports the first payment
+const restartCharges = async (subscription, action, customer, { plan, startupFee } = {}) => {
+  const orderId = await nextOrderNumber('subscription');
+  const checkout = await getPaymentProvider(subscription.paymentMethod).createRecurringPayment({
+    orderId,
+    plan: plan || {
+      planId: subscription.planId,
+      name: subscription.planName,
+      price: subscription.amount,
+      currency: subscription.currency,
+      billingCycle: subscription.billingCycle
+    },
+    customer: {
+      name: subscription.customerName,
+      email: customer?.email || subscription.userEmail,
+      phoneNumber: subscription.phoneNumber,
+      address: subscription.address
+    },
+    startupFee
+  });
+
+  subscription.restartOrderId = orderId;
+  subscription.restartAction = action;
+  if (action !== 'plan_changed') subscription.pendingPlanChange = undefined;
+  await subscription.save();
+
+  console.log(`🔄 Subscription ${subscription._id} restart checkout ${orderId} (${action})`);
+  return { orderId, ...checkout };
+};
+
+// Resume a paused subscription, before or after its resume date
+export const resumeSubscription = async (subscription, customer) => {
+  if (subscription.status !== 'paused') {
+    throw subscriptionError(`Only a paused subscription can be resumed; this one is ${subscription.status}`, 409);
+  }
+  return restartCharges(subscription, 'resumed', customer);
+};
+
+// Undo a cancellation, whether it is still scheduled or has taken effect
+export const reactivateSubscription = async (subscription, customer) => {
+  const cancelled = ['cancelled', 'expired'].includes(subscription.status) || subscription.cancellationScheduled;
+  if (!cancelled) {
+    throw subscriptionError(`Only a cancelled subscription can be reactivated; this one is ${subscription.status}`, 409);
+  }
+  return restartCharges(subscription, 'reactivated', customer);
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What moving to `plan` costs. Changing now prorates what is left of the current period
+// (it started one cycle before endDate, or at startDate if that is later): its unused
+// value is credited, the same time on the new plan is charged, and a positive difference
+// is added to the first payment while a negative one becomes extra days on the new plan.
+// Changing at renewal lets the current period run out, so nothing is prorated and nothing
+// is due until it ends.
+export const quotePlanChange = (subscription, plan, timing = 'renewal', now = new Date()) => {
+  const quote = {
+    fromPlanId: subscription.planId,
+    toPlanId: plan.planId,
+    planName: plan.name,
+    timing,
+    direction: plan.price > subscription.amount ? 'upgrade' : 'downgrade',
+    currency: plan.currency,
+    prorationCredit: 0,
+    prorationCharge: 0,
+    creditDays: 0,
+    startsAt: timing === 'now' ? now : subscription.endDate
+  };
+
+  if (timing === 'now') {
+    const endDate = new Date(subscription.endDate);
+    const periodStart = new Date(Math.max(
+      new Date(subscription.startDate).getTime(),
+      addBillingCycle(endDate, subscription.billingCycle, -1).getTime()
+    ));
+    const periodMs = endDate - periodStart;
+    const remainingMs = Math.min(Math.max(endDate - now, 0), periodMs);
+    // Daily rate of the new plan, from the length of its next cycle
+    const newRate = plan.price / (addBillingCycle(now, plan.billingCycle) - now);
+
+    const credit = periodMs > 0 ? roundAmount(subscription.amount * remainingMs / periodMs) : 0;
+    const cost = roundAmount(newRate * remainingMs);
+
+    quote.prorationCredit = credit;
+    quote.prorationCharge = Math.max(roundAmount(cost - credit), 0);
+    quote.creditDays = newRate > 0 && credit > cost ? Math.floor((credit - cost) / newRate / DAY_MS) : 0;
+  }
+
+  quote.dueNow = timing === 'now' ? roundAmount(plan.price + quote.prorationCharge) : 0;
+  return quote;
+};
+
+const validatePlanChange = async (subscription, planId, timing) => {
+  if (!['now', 'renewal'].includes(timing)) {
+    throw subscriptionError("A plan change happens 'now' or at 'renewal'");
+  }
+  if (subscription.status !== 'active' || subscription.cancellationScheduled) {
+    throw subscriptionError(
+      subscription.cancellationScheduled
+        ? 'Reactivate the subscription before changing its plan'
+        : `A ${subscription.status} subscription cannot change plan`,
+      409
+    );
+  }
+
+  const plan = await findActivePlan(planId);
+  if (plan.planId === subscription.planId) {
+    throw subscriptionError(`The subscription is already on ${plan.name}`, 409);
+  }
+  if (plan.currency !== subscription.currency) {
+    throw subscriptionError(`${plan.name} is charged in ${plan.currency}, not ${subscription.currency}`, 409);
+  }
+  return plan;
+};
+
+// The quote the customer sees before confirming a plan change
+export const previewPlanChange = async (subscription, planId, timing = 'renewal') => {
+  const plan = await validatePlanChange(subscription, planId, timing);
+  return quotePlanChange(subscription, plan, timing);
+};
+
+// The checkout for a plan, charging its price from the first payment on
+const planCheckout = (subscription, plan, customer, startupFee) =>
+  restartCharges(subscription, 'plan_changed', customer, {
+    plan: {
+      planId: plan.planId,
+      name: plan.name,
+      price: plan.price,
+      currency: plan.currency,
+      billingCycle: plan.billingCycle
+    },
+    startupFee
+  });
+
+// Change plan now: the checkout charges the new plan's price plus any proration, and the
+// plan switches once PayHere reports that payment. A change at renewal is only recorded:
+// the current plan's charges stop, and when the paid period ends the lifecycle scheduler
+// asks the customer to pay for the new plan (startScheduledPlanChange).
+export const changePlan = async (subscription, planId, { timing = 'renewal', customer } = {}) => {
+  const plan = await validatePlanChange(subscription, planId, timing);
+  const quote = quotePlanChange(subscription, plan, timing);
+
+  subscription.pendingPlanChange = {
+    planId: plan.planId,
+    planName: plan.name,
+    amount: plan.price,
+    currency: plan.currency,
+    billingCycle: plan.billingCycle,
+    timing,
+    prorationCredit: quote.prorationCredit,
+    prorationCharge: quote.prorationCharge,
+    creditDays: quote.creditDays,
+    requestedAt: new Date()
+  };
+
+  if (timing === 'now') {
+    const checkout = await planCheckout(subscription, plan, customer, quote.prorationCharge);
+    return { ...checkout, quote };
+  }
+
+  // The old price must not renew the subscription; the new plan's checkout replaces it
+  const charges = await stopRecurringCharges(subscription);
+  subscription.autoRenew = false;
+  subscription.nextBillingDate = null;
+  subscription.restartOrderId = undefined;
+  subscription.restartAction = undefined;
+  await subscription.save();
+  await logSubscription(subscription, 'plan_changed', {
+    reason: `Change to ${plan.planId} scheduled for ${formatDate(subscription.endDate)}`,
+    ...charges
+  });
+
+  console.log(`🗓️ Subscription ${subscription._id} moves to ${plan.planId} on ${formatDate(subscription.endDate)}`);
+  return { scheduled: true, quote, subscription: customerSubscription(subscription) };
+};
+
+// Checkout for a plan change scheduled at renewal, once the current period has ended
+export const startScheduledPlanChange = async (subscription, customer, now = new Date()) => {
+  const planChange = subscription.pendingPlanChange;
+  if (planChange?.timing !== 'renewal' || !planChange.planId) {
+    throw subscriptionError('No plan change is scheduled for this subscription', 409);
+  }
+  if (!['active', 'pending_renewal'].includes(subscription.status)) {
+    throw subscriptionError(`A ${subscription.status} subscription cannot change plan`, 409);
+  }
+  if (subscription.endDate > now) {
+    throw subscriptionError(`${planChange.planName} starts on ${formatDate(subscription.endDate)}`, 409);
+  }
+
+  return planCheckout(subscription, {
+    planId: planChange.planId,
+    name: planChange.planName,
+    price: planChange.amount,
+    currency: planChange.currency,
+    billingCycle: planChange.billingCycle
+  }, customer, 0);
+};
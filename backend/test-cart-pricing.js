@@ -0,0 +1,148 @@
+// test-cart-pricing.js - PayHere checkout must charge server prices, not what the client sends
+//
+// Usage: node test-cart-pricing.js
+// Needs the server running on port 5000 with PAYHERE_MODE=mock (or sandbox credentials)
+// and an approved farmer account (FARMER_EMAIL / FARMER_PASSWORD, defaults to farmer@test.com / password123).
+
+const BASE_URL = 'http://localhost:5000/api';
+const PRICE = 250;
+const QUANTITY = 2;
+
+// Helper function to make API calls
+async function apiCall(endpoint, method = 'GET', data = null, token = null) {
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    }
+  };
+
+  if (token) {
+    options.headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  if (data) {
+    options.body = JSON.stringify(data);
+  }
+
+  try {
+    const response = await fetch(`${BASE_URL}${endpoint}`, options);
+    const result = await response.json();
+    return { status: response.status, data: result };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+const customerData = {
+  firstName: 'Pricing',
+  lastName: 'Tester',
+  email: 'pricing.tester@test.com',
+  phone: '0771234567',
+  address: 'Test Address',
+  city: 'Colombo'
+};
+
+async function testCartPricing() {
+  console.log('🧪 Testing Server-side Cart Pricing\n');
+
+  try {
+    // Step 1: Farmer creates a product
+    console.log('1️⃣ Logging in as farmer...');
+    const farmerLogin = await apiCall('/users/login', 'POST', {
+      email: process.env.FARMER_EMAIL || 'farmer@test.com',
+      password: process.env.FARMER_PASSWORD || 'password123'
+    });
+
+    if (farmerLogin.status !== 200) {
+      console.log('❌ Farmer login failed. Please create and approve a farmer account first.');
+      return;
+    }
+    const farmerToken = farmerLogin.data.token;
+
+    const expiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+    const productResponse = await apiCall('/products', 'POST', {
+      productName: `Pricing Pumpkins ${Date.now()}`,
+      price: PRICE,
+      description: 'Product for the cart pricing test',
+      quantityInStock: 50,
+      expiryDate: expiry
+    }, farmerToken);
+
+    if (productResponse.status !== 201) {
+      console.log('❌ Failed to create product:', productResponse.data);
+      return;
+    }
+    const product = productResponse.data.product;
+    console.log(`✅ Created "${product.productName}" at LKR ${PRICE}\n`);
+
+    // Step 2: Customer fills a cart
+    console.log('2️⃣ Registering customer and filling cart...');
+    const register = await apiCall('/users/register', 'POST', {
+      email: `pricing${Date.now()}@test.com`,
+      password: 'password123',
+      firstName: 'Pricing',
+      lastName: 'Tester'
+    });
+    const token = register.data.token;
+    await apiCall('/cart/add', 'POST', { productId: product._id, quantity: QUANTITY }, token);
+    console.log('✅ Cart ready\n');
+
+    const honestItems = [{ productId: product._id, productName: product.productName, quantity: QUANTITY, price: PRICE }];
+    const honestAmount = PRICE * QUANTITY;
+
+    // Step 3: Tampered payloads must be refused
+    console.log('3️⃣ Sending tampered checkouts...');
+    const tampered = [
+      { name: 'amount lowered to 1', body: { amount: 1, cartItems: honestItems } },
+      { name: 'unit price lowered', body: { amount: 2, cartItems: [{ ...honestItems[0], price: 1 }] } },
+      { name: 'quantity raised', body: { amount: honestAmount, cartItems: [{ ...honestItems[0], quantity: QUANTITY + 5 }] } },
+      { name: 'extra product added', body: { amount: honestAmount, cartItems: [...honestItems, { productId: '000000000000000000000000', quantity: 1, price: 0 }] } },
+      { name: 'currency switched', body: { amount: honestAmount, currency: 'USD', cartItems: honestItems } }
+    ];
+
+    let failures = 0;
+    for (const attempt of tampered) {
+      const response = await apiCall('/create-cart-payment', 'POST', { ...attempt.body, customerData }, token);
+      if (response.status === 409 || response.status === 400) {
+        console.log(`✅ Refused (${response.status}): ${attempt.name}`);
+      } else {
+        failures++;
+        console.log(`❌ Accepted (${response.status}): ${attempt.name}`, response.data);
+      }
+    }
+
+    const anonymous = await apiCall('/create-cart-payment', 'POST', { amount: honestAmount, cartItems: honestItems, customerData });
+    if (anonymous.status === 401) {
+      console.log('✅ Refused (401): no login');
+    } else {
+      failures++;
+      console.log(`❌ Accepted (${anonymous.status}): no login`);
+    }
+    console.log('');
+
+    // Step 4: The honest checkout is charged the server price
+    console.log('4️⃣ Sending honest checkout...');
+    const honest = await apiCall('/create-cart-payment', 'POST', { amount: honestAmount, cartItems: honestItems, customerData }, token);
+
+    if (honest.status !== 200) {
+      failures++;
+      console.log('❌ Honest checkout failed:', honest.data);
+    } else if (parseFloat(honest.data.paymentData.amount) < honestAmount) {
+      failures++;
+      console.log(`❌ Charged ${honest.data.paymentData.amount}, expected at least ${honestAmount}`);
+    } else {
+      console.log(`✅ Charged LKR ${honest.data.paymentData.amount} for order ${honest.data.orderId}`);
+    }
+
+    console.log(failures === 0 ? '\n✅ All pricing checks passed' : `\n❌ ${failures} pricing checks failed`);
+
+    await apiCall(`/products/${product._id}`, 'DELETE', null, farmerToken);
+
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+}
+
+// Run the test
+testCartPricing();
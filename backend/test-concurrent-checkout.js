@@ -0,0 +1,127 @@
+// test-concurrent-checkout.js - Concurrent buyers must never push stock below zero
+//
+// Usage: node test-concurrent-checkout.js
+// Needs the server running on port 5000 and an approved farmer account
+// (FARMER_EMAIL / FARMER_PASSWORD, defaults to farmer@test.com / password123).
+
+const BASE_URL = 'http://localhost:5000/api';
+const BUYERS = 8;
+const STOCK = 5;
+const QUANTITY_PER_BUYER = 2;
+
+// Helper function to make API calls
+async function apiCall(endpoint, method = 'GET', data = null, token = null) {
+  const options = {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    }
+  };
+
+  if (token) {
+    options.headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  if (data) {
+    options.body = JSON.stringify(data);
+  }
+
+  try {
+    const response = await fetch(`${BASE_URL}${endpoint}`, options);
+    const result = await response.json();
+    return { status: response.status, data: result };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function testConcurrentCheckout() {
+  console.log('🧪 Testing Concurrent Checkout\n');
+
+  try {
+    // Step 1: Login as farmer and create a product with limited stock
+    console.log('1️⃣ Logging in as farmer...');
+    const farmerLogin = await apiCall('/users/login', 'POST', {
+      email: process.env.FARMER_EMAIL || 'farmer@test.com',
+      password: process.env.FARMER_PASSWORD || 'password123'
+    });
+
+    if (farmerLogin.status !== 200) {
+      console.log('❌ Farmer login failed. Please create and approve a farmer account first.');
+      return;
+    }
+    const farmerToken = farmerLogin.data.token;
+
+    const expiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+    const productResponse = await apiCall('/products', 'POST', {
+      productName: `Concurrency Carrots ${Date.now()}`,
+      price: 100,
+      description: 'Limited stock product for the concurrent checkout test',
+      quantityInStock: STOCK,
+      expiryDate: expiry
+    }, farmerToken);
+
+    if (productResponse.status !== 201) {
+      console.log('❌ Failed to create product:', productResponse.data);
+      return;
+    }
+    const product = productResponse.data.product;
+    console.log(`✅ Created "${product.productName}" with ${STOCK} in stock\n`);
+
+    // Step 2: Register buyers and fill their carts
+    console.log(`2️⃣ Preparing ${BUYERS} buyers with ${QUANTITY_PER_BUYER} items each...`);
+    const buyers = [];
+    for (let i = 0; i < BUYERS; i++) {
+      const email = `buyer${i}_${Date.now()}@test.com`;
+      const register = await apiCall('/users/register', 'POST', {
+        email,
+        password: 'password123',
+        firstName: 'Concurrent',
+        lastName: 'Buyer'
+      });
+      const token = register.data.token;
+      await apiCall('/cart/add', 'POST', { productId: product._id, quantity: QUANTITY_PER_BUYER }, token);
+      buyers.push(token);
+    }
+    console.log('✅ Carts ready\n');
+
+    // Step 3: Everyone checks out at the same time
+    console.log('3️⃣ Checking out concurrently...');
+    const results = await Promise.all(buyers.map(token =>
+      apiCall('/orders/from-cart', 'POST', {
+        name: 'Concurrent Buyer',
+        address: 'Test Address',
+        phone: 771234567
+      }, token)
+    ));
+
+    const succeeded = results.filter(r => r.status === 200).length;
+    const rejected = results.filter(r => r.status === 400).length;
+    console.log(`Succeeded: ${succeeded}, rejected for stock: ${rejected}, other: ${BUYERS - succeeded - rejected}\n`);
+
+    // Step 4: Verify stock
+    console.log('4️⃣ Verifying remaining stock...');
+    const after = await apiCall(`/products/${product._id}`);
+    const remaining = after.data.product.stock;
+    const expected = STOCK - succeeded * QUANTITY_PER_BUYER;
+
+    console.log(`Remaining stock: ${remaining} (expected ${expected})`);
+    if (remaining < 0) {
+      console.log('❌ Stock went negative!');
+    } else if (remaining !== expected) {
+      console.log('❌ Stock does not match the orders placed');
+    } else if (succeeded > Math.floor(STOCK / QUANTITY_PER_BUYER)) {
+      console.log('❌ More orders succeeded than stock allows');
+    } else {
+      console.log('✅ Stock never went negative and matches the orders placed');
+    }
+
+    await apiCall(`/products/${product._id}`, 'DELETE', null, farmerToken);
+
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+  }
+}
+
+// Run the test
+testConcurrentCheckout();
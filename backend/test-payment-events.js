@@ -0,0 +1,103 @@
+// test-payment-events.js - Unverifiable or unsigned notifications never block the genuine one
+//
+// Usage: node test-payment-events.js
+// Needs MONGO_URI (a development database). Notifications are signed with PAYHERE_MERCHANT_ID /
+// PAYHERE_MERCHANT_SECRET from .env (mock credentials when they are not set) and are fed straight
+// to processPayHereNotification. Only payment events for EVENTTEST- orders are touched and removed.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+process.env.PAYHERE_MODE = process.env.PAYHERE_MODE || 'mock';
+
+// Read after .env, since the controller takes its PayHere credentials when it is loaded
+const { default: PaymentEvent } = await import('./models/paymentEvent.js');
+const { payhereConfig, processPayHereNotification, signPayHereNotification } = await import('./controllers/paymentController.js');
+
+const ORDER_PREFIX = 'EVENTTEST-';
+
+let failures = 0;
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures += 1;
+};
+
+// A notification as PayHere posts it, for a plan that does not exist
+const notification = (key, fields = {}) => {
+  const data = {
+    merchant_id: payhereConfig.merchantId,
+    order_id: `${ORDER_PREFIX}${key}-${Date.now()}`,
+    payment_id: `${key}-${Date.now()}`,
+    payhere_amount: '2500.00',
+    payhere_currency: 'LKR',
+    status_code: '2',
+    email: 'events.tester@test.com',
+    custom_1: 'plan_no_such_plan',
+    custom_2: 'food_monthly_recurring',
+    ...fields
+  };
+  return { ...data, md5sig: signPayHereNotification(data, payhereConfig.merchantSecret) };
+};
+
+async function testPaymentEvents() {
+  console.log('🧪 Testing the PayHere payment event ledger\n');
+
+  // Step 1: a food payment for an unknown plan is held for review, not left processing
+  console.log('1. Food payment for an unknown plan...');
+  const unknownPlan = await processPayHereNotification(notification('unknown-plan'));
+  const unknownEvent = await PaymentEvent.findOne({ eventKey: unknownPlan.event.eventKey });
+  check(unknownPlan.reason === 'suspicious', `notification held as suspicious (${unknownPlan.reason})`);
+  check(unknownEvent.status === 'suspicious', `event saved as suspicious (${unknownEvent.status})`);
+  check(unknownEvent.verificationIssues.some(issue => issue.check === 'plan'), 'the unknown plan is recorded as the issue');
+
+  // Step 2: a bad signature does not claim the event before the genuine notification
+  console.log('\n2. Bad signature, then the genuine notification...');
+  const genuine = notification('bad-signature');
+  const forged = await processPayHereNotification({ ...genuine, md5sig: 'FORGED', payhere_amount: '1.00' });
+  check(forged.reason === 'invalid_signature', 'forged notification rejected');
+
+  const signed = await processPayHereNotification(genuine);
+  const signedEvent = await PaymentEvent.findOne({ eventKey: signed.event.eventKey });
+  check(signed.reason !== 'invalid_signature', `genuine notification accepted (${signed.reason})`);
+  check(signedEvent.signatureValid && signedEvent.status === 'suspicious', `event verified and held for the unknown plan (${signedEvent.status})`);
+  check(signedEvent.rawPayload.payhere_amount === '2500.00', 'the genuine payload replaced the forged one');
+
+  // Step 3: a later bad signature does not undo it
+  console.log('\n3. Another bad signature for the same payment...');
+  await processPayHereNotification({ ...genuine, md5sig: 'FORGED' });
+  const after = await PaymentEvent.findOne({ eventKey: signed.event.eventKey });
+  check(after.signatureValid && after.status === 'suspicious', 'event keeps its verified state');
+}
+
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI || process.env.mongodbURL;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  const cleanUp = () => PaymentEvent.deleteMany({ orderId: new RegExp(`^${ORDER_PREFIX}`) });
+
+  try {
+    await cleanUp();
+    await testPaymentEvents();
+  } finally {
+    await cleanUp();
+    await mongoose.disconnect();
+  }
+
+  console.log(failures === 0 ? '\n🎉 All payment event checks passed' : `\n❌ ${failures} payment event check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+// test-subscription-lifecycle.js - The lifecycle scheduler expires, cancels and reminds on the right day
+//
+// Usage: node test-subscription-lifecycle.js
+// Needs MONGO_URI (a development database). Runs the scheduler against a fake clock and
+// only touches subscriptions belonging to lifecycle.tester@test.com, which it removes afterwards.
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import FoodSubscription from './models/Subscription.js';
+import FoodSubscriptionLog from './models/SubscriptionLog.js';
+import { runSubscriptionLifecycle, SUBSCRIPTION_GRACE_DAYS } from './services/subscriptionLifecycleService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const TEST_EMAIL = 'lifecycle.tester@test.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The fake clock every run is made against
+const START = new Date('2030-01-15T00:00:00.000Z');
+const at = (days) => new Date(START.getTime() + days * DAY_MS);
+
+let failures = 0;
+const check = (condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) failures += 1;
+};
+
+const createSubscription = (key, fields) => FoodSubscription.create({
+  userEmail: TEST_EMAIL,
+  customerName: 'Lifecycle Tester',
+  phoneNumber: '0771234567',
+  address: 'Test Address',
+  planId: 'food_premium',
+  planName: 'Premium Food Subscription',
+  amount: 2500,
+  billingCycle: 'monthly',
+  payhereOrderId: `LIFECYCLE-${key}-${Date.now()}`,
+  startDate: at(-30),
+  ...fields
+});
+
+const statusOf = async (subscription) => (await FoodSubscription.findById(subscription._id)).status;
+
+async function testSubscriptionLifecycle() {
+  console.log('🧪 Testing the subscription lifecycle scheduler\n');
+  const match = { userEmail: TEST_EMAIL };
+
+  const renewing = await createSubscription('renewing', { autoRenew: true, endDate: at(2), nextBillingDate: at(2) });
+  const scheduled = await createSubscription('scheduled', {
+    autoRenew: false, endDate: at(1), cancellationScheduled: true, cancellationEffectiveDate: at(1)
+  });
+  const unreported = await createSubscription('unreported', { autoRenew: true, endDate: at(0), nextBillingDate: at(0) });
+  const ended = await createSubscription('ended', { autoRenew: false, endDate: at(-1) });
+  const exhausted = await createSubscription('exhausted', {
+    status: 'pending_renewal', autoRenew: true, endDate: at(-1), renewalAttempts: 3, maxRenewalAttempts: 3
+  });
+  const failed = await createSubscription('failed', {
+    status: 'pending_renewal', autoRenew: true, endDate: at(0), renewalAttempts: 1, lastPaymentFailureDate: at(-0.1)
+  });
+  const paused = await createSubscription('paused', {
+    status: 'paused', autoRenew: false, endDate: at(-30), pausedAt: at(-40), pauseCycles: 1, resumeDate: at(0)
+  });
+  const id = (subscription) => subscription._id.toString();
+
+  // Step 1: a dry run reports without changing anything
+  console.log('\n1. Dry run on day 0...');
+  const dryRun = await runSubscriptionLifecycle({ now: START, dryRun: true, match });
+  check(dryRun.gracePeriod.includes(id(unreported)), 'unreported renewal would enter the grace period');
+  check(dryRun.expired.includes(id(ended)), 'subscription that will not renew would expire');
+  check(dryRun.cancelled.includes(id(exhausted)), 'subscription out of renewal attempts would be cancelled');
+  check(dryRun.resumeReminders.includes(id(paused)), 'paused subscription would be reminded to resume');
+  check(await statusOf(unreported) === 'active' && await statusOf(ended) === 'active', 'dry run saved nothing');
+
+  // Step 2: the real run on day 0
+  console.log('\n2. Run on day 0...');
+  const dayZero = await runSubscriptionLifecycle({ now: START, match });
+  check(await statusOf(unreported) === 'pending_renewal', 'unreported renewal is pending_renewal');
+  check(await statusOf(ended) === 'expired', 'subscription that will not renew expired');
+  check(await statusOf(exhausted) === 'cancelled', 'subscription out of renewal attempts cancelled');
+  check(await statusOf(scheduled) === 'active', 'scheduled cancellation not yet due');
+  check(dayZero.renewalReminders.includes(id(renewing)), 'renewal reminder sent 2 days ahead');
+  check(dayZero.failureReminders.includes(id(failed)), 'failed payment reminder sent');
+  check(dayZero.resumeReminders.includes(id(paused)), 'resume reminder sent when the pause ended');
+  check(await statusOf(paused) === 'paused', 'paused subscription waits to be resumed');
+  check(dayZero.errors.length === 0, 'no errors');
+
+  // Step 3: reminders are not repeated
+  console.log('\n3. Second run on day 0...');
+  const again = await runSubscriptionLifecycle({ now: START, match });
+  check(
+    again.renewalReminders.length === 0 && again.failureReminders.length === 0 && again.resumeReminders.length === 0,
+    'no reminder sent twice'
+  );
+
+  // Step 4: the scheduled cancellation takes effect
+  console.log('\n4. Run on day 1...');
+  await runSubscriptionLifecycle({ now: at(1), match });
+  check(await statusOf(scheduled) === 'cancelled', 'scheduled cancellation took effect');
+
+  // Step 5: the grace period ends
+  console.log(`\n5. Run on day ${SUBSCRIPTION_GRACE_DAYS - 1} and ${SUBSCRIPTION_GRACE_DAYS}...`);
+  await runSubscriptionLifecycle({ now: at(SUBSCRIPTION_GRACE_DAYS - 1), match });
+  check(await statusOf(unreported) === 'pending_renewal', 'still in the grace period the day before it ends');
+  check(await statusOf(paused) === 'paused', 'still paused the day before the resume grace ends');
+  await runSubscriptionLifecycle({ now: at(SUBSCRIPTION_GRACE_DAYS), match });
+  check(await statusOf(unreported) === 'expired', 'unpaid renewal expired when the grace period ended');
+  check(await statusOf(failed) === 'expired', 'failed renewal expired when the grace period ended');
+  check(await statusOf(paused) === 'expired', 'pause that was not resumed expired when the grace period ended');
+
+  const logs = await FoodSubscriptionLog.countDocuments({ userEmail: TEST_EMAIL, action: { $in: ['expired', 'cancelled'] } });
+  check(logs === 6, `every cancellation and expiry was logged (${logs}/6)`);
+}
+
+const run = async () => {
+  const mongoURI = process.env.MONGO_URI || process.env.mongodbURL;
+  if (!mongoURI) {
+    console.error('❌ MONGO_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoURI);
+  const cleanUp = async () => {
+    await FoodSubscription.deleteMany({ userEmail: TEST_EMAIL });
+    await FoodSubscriptionLog.deleteMany({ userEmail: TEST_EMAIL });
+  };
+
+  try {
+    await cleanUp();
+    await testSubscriptionLifecycle();
+  } finally {
+    await cleanUp();
+    await mongoose.disconnect();
+  }
+
+  console.log(failures === 0 ? '\n🎉 All lifecycle checks passed' : `\n❌ ${failures} lifecycle check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run().catch(error => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -10,6 +10,8 @@ import ProductDetails from './pages/customer/ProductDetails';
 import Cart from './pages/customer/Cart';
 import Checkout from './pages/customer/Checkout';
 import OrderConfirmation from './pages/customer/OrderConfirmation';
+import PaymentStatus from './pages/customer/PaymentStatus';
+import PaymentCancelled from './pages/customer/PaymentCancelled';
 import Login from './pages/customer/Login';
 import Signup from './pages/customer/Signup';
 import Profile from './pages/customer/Profile';
@@ -52,6 +54,8 @@ const App = () => {
           <Route path="/cart" element={<Cart />} />
           <Route path="/checkout" element={<Checkout />} />
           <Route path="/order/:orderId" element={<OrderConfirmation />} />
+          <Route path="/payment/status" element={<PaymentStatus />} />
+          <Route path="/payment/cancelled" element={<PaymentCancelled />} />
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
           <Route path="/profile" element={<Profile />} />
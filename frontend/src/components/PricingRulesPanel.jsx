@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const emptyTaxRule = { name: '', category: '', rate: '', inclusive: false };
+const emptyShippingRule = { name: '', areas: '', basis: 'flat', baseFee: '', tiers: '', freeShippingThreshold: '' };
+
+// "1:150, 5:300" -> [{ upTo: 1, fee: 150 }, { upTo: 5, fee: 300 }]
+const parseTiers = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [upTo, fee] = entry.split(':').map(Number);
+    return { upTo, fee };
+  });
+
+const formatTiers = (rule) => rule.tiers?.map(tier => `${tier.upTo}:${tier.fee}`).join(', ');
+
+// Admin: the tax and shipping rules checkout prices orders with
+const PricingRulesPanel = () => {
+  const [taxRules, setTaxRules] = useState([]);
+  const [shippingRules, setShippingRules] = useState([]);
+  const [taxForm, setTaxForm] = useState(emptyTaxRule);
+  const [shippingForm, setShippingForm] = useState(emptyShippingRule);
+  const [error, setError] = useState('');
+
+  const loadRules = async () => {
+    try {
+      const data = await api.getPricingRules();
+      setTaxRules(data.taxRules || []);
+      setShippingRules(data.shippingRules || []);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { loadRules(); }, []);
+
+  const saveRule = async (kind, rule) => {
+    setError('');
+    try {
+      await api.savePricingRule(kind, rule);
+      await loadRules();
+      return true;
+    } catch (e) {
+      setError(e.message);
+      return false;
+    }
+  };
+
+  const removeRule = async (kind, rule) => {
+    if (!window.confirm(`Delete "${rule.name}"?`)) return;
+    try {
+      await api.deletePricingRule(kind, rule._id);
+      await loadRules();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const addTaxRule = async (e) => {
+    e.preventDefault();
+    const saved = await saveRule('tax', { ...taxForm, rate: Number(taxForm.rate) });
+    if (saved) setTaxForm(emptyTaxRule);
+  };
+
+  const addShippingRule = async (e) => {
+    e.preventDefault();
+    const saved = await saveRule('shipping', {
+      name: shippingForm.name,
+      areas: shippingForm.areas.split(',').map(area => area.trim()).filter(Boolean),
+      basis: shippingForm.basis,
+      baseFee: Number(shippingForm.baseFee) || 0,
+      tiers: shippingForm.basis === 'flat' ? [] : parseTiers(shippingForm.tiers),
+      freeShippingThreshold: Number(shippingForm.freeShippingThreshold) || 0
+    });
+    if (saved) setShippingForm(emptyShippingRule);
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Tax & Shipping Rules</h3>
+      {error && <div className="text-sm text-red-600 mb-4">{error}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div>
+          <h4 className="font-medium text-gray-800 mb-2">Tax</h4>
+          <p className="text-xs text-gray-500 mb-3">A category's rule wins over the default rule (no category).</p>
+          <div className="space-y-2 mb-4">
+            {taxRules.length === 0 && <div className="text-sm text-gray-500">No tax is charged</div>}
+            {taxRules.map(rule => (
+              <div key={rule._id} className="flex items-center justify-between bg-gray-50 rounded p-2 text-sm">
+                <div className={rule.active ? '' : 'text-gray-400'}>
+                  <span className="font-medium">{rule.name}</span>
+                  {' '}{rule.category || 'all categories'} · {rule.rate}%{rule.inclusive ? ' included' : ''}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => saveRule('tax', { _id: rule._id, active: !rule.active })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-100">
+                    {rule.active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => removeRule('tax', rule)} className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <form onSubmit={addTaxRule} className="flex flex-wrap gap-2 items-center">
+            <input className={inputClass} placeholder="Name" value={taxForm.name} onChange={e => setTaxForm({ ...taxForm, name: e.target.value })} required />
+            <input className={inputClass} placeholder="Category (blank = all)" value={taxForm.category} onChange={e => setTaxForm({ ...taxForm, category: e.target.value })} />
+            <input className={`${inputClass} w-20`} type="number" min="0" max="100" step="0.01" placeholder="Rate %" value={taxForm.rate} onChange={e => setTaxForm({ ...taxForm, rate: e.target.value })} required />
+            <label className="text-sm flex items-center gap-1">
+              <input type="checkbox" checked={taxForm.inclusive} onChange={e => setTaxForm({ ...taxForm, inclusive: e.target.checked })} />
+              Included in prices
+            </label>
+            <button type="submit" className="text-sm px-3 py-1 rounded text-white" style={{backgroundColor: '#51ac37'}}>Add</button>
+          </form>
+        </div>
+
+        <div>
+          <h4 className="font-medium text-gray-800 mb-2">Shipping</h4>
+          <p className="text-xs text-gray-500 mb-3">Charged per farmer shipment. A rule for the city or district wins over a rule without areas.</p>
+          <div className="space-y-2 mb-4">
+            {shippingRules.length === 0 && <div className="text-sm text-gray-500">Each farmer's flat delivery fee is charged</div>}
+            {shippingRules.map(rule => (
+              <div key={rule._id} className="flex items-center justify-between bg-gray-50 rounded p-2 text-sm">
+                <div className={rule.active ? '' : 'text-gray-400'}>
+                  <span className="font-medium">{rule.name}</span>
+                  {' '}{rule.areas?.length ? rule.areas.join(', ') : 'everywhere else'} · {rule.basis} · base Rs {rule.baseFee}
+                  {rule.tiers?.length > 0 && ` · tiers ${formatTiers(rule)}`}
+                  {rule.freeShippingThreshold > 0 && ` · free over Rs ${rule.freeShippingThreshold}`}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button onClick={() => saveRule('shipping', { _id: rule._id, active: !rule.active })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-100">
+                    {rule.active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => removeRule('shipping', rule)} className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <form onSubmit={addShippingRule} className="flex flex-wrap gap-2 items-center">
+            <input className={inputClass} placeholder="Name" value={shippingForm.name} onChange={e => setShippingForm({ ...shippingForm, name: e.target.value })} required />
+            <input className={inputClass} placeholder="Cities/districts (blank = all)" value={shippingForm.areas} onChange={e => setShippingForm({ ...shippingForm, areas: e.target.value })} />
+            <select className={inputClass} value={shippingForm.basis} onChange={e => setShippingForm({ ...shippingForm, basis: e.target.value })}>
+              <option value="flat">Flat</option>
+              <option value="weight">By weight (kg)</option>
+              <option value="order_value">By order value</option>
+            </select>
+            <input className={`${inputClass} w-24`} type="number" min="0" placeholder="Base fee" value={shippingForm.baseFee} onChange={e => setShippingForm({ ...shippingForm, baseFee: e.target.value })} />
+            {shippingForm.basis !== 'flat' && (
+              <input className={inputClass} placeholder="Tiers upTo:fee, ..." value={shippingForm.tiers} onChange={e => setShippingForm({ ...shippingForm, tiers: e.target.value })} />
+            )}
+            <input className={`${inputClass} w-32`} type="number" min="0" placeholder="Free over (Rs)" value={shippingForm.freeShippingThreshold} onChange={e => setShippingForm({ ...shippingForm, freeShippingThreshold: e.target.value })} />
+            <button type="submit" className="text-sm px-3 py-1 rounded text-white" style={{backgroundColor: '#51ac37'}}>Add</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PricingRulesPanel;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const emptyPromotion = {
+  code: '', title: '', description: '', discountType: 'percentage', discountValue: '', maxDiscount: '',
+  minOrderAmount: '', categories: '', firstOrderOnly: false, startsAt: '', endsAt: '',
+  usageLimit: '', usageLimitPerCustomer: '', listed: true
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+const describeDiscount = (promotion) => promotion.discountType === 'percentage'
+  ? `${promotion.discountValue}% off${promotion.maxDiscount ? ` (max Rs ${promotion.maxDiscount})` : ''}`
+  : `Rs ${promotion.discountValue} off`;
+
+// Admin: promo codes customers enter in the cart
+const PromotionsPanel = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [form, setForm] = useState(emptyPromotion);
+  const [error, setError] = useState('');
+
+  const loadPromotions = async () => {
+    try {
+      const data = await api.getAllPromotions();
+      setPromotions(data.promotions || []);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { loadPromotions(); }, []);
+
+  const savePromotion = async (promotion) => {
+    setError('');
+    try {
+      await api.savePromotion(promotion);
+      await loadPromotions();
+      return true;
+    } catch (e) {
+      setError(api.errorMessage(e));
+      return false;
+    }
+  };
+
+  const removePromotion = async (promotion) => {
+    if (!window.confirm(`Delete promo code ${promotion.code}?`)) return;
+    try {
+      await api.deletePromotion(promotion._id);
+      await loadPromotions();
+    } catch (e) {
+      setError(api.errorMessage(e));
+    }
+  };
+
+  const addPromotion = async (e) => {
+    e.preventDefault();
+    const saved = await savePromotion({
+      ...form,
+      discountValue: Number(form.discountValue),
+      maxDiscount: Number(form.maxDiscount) || 0,
+      minOrderAmount: Number(form.minOrderAmount) || 0,
+      categories: form.categories.split(',').map(category => category.trim()).filter(Boolean),
+      startsAt: form.startsAt || undefined,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59` : undefined,
+      usageLimit: Number(form.usageLimit) || 0,
+      usageLimitPerCustomer: Number(form.usageLimitPerCustomer) || 0
+    });
+    if (saved) setForm(emptyPromotion);
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Promotions</h3>
+      {error && <div className="text-sm text-red-600 mb-4">{error}</div>}
+
+      <div className="space-y-2 mb-4">
+        {promotions.length === 0 && <div className="text-sm text-gray-500">No promo codes yet</div>}
+        {promotions.map(promotion => (
+          <div key={promotion._id} className="flex items-center justify-between bg-gray-50 rounded p-2 text-sm">
+            <div className={promotion.active ? '' : 'text-gray-400'}>
+              <span className="font-mono font-bold">{promotion.code}</span>
+              {' '}{promotion.title} · {describeDiscount(promotion)}
+              {promotion.minOrderAmount > 0 && ` · min Rs ${promotion.minOrderAmount}`}
+              {promotion.categories?.length > 0 && ` · ${promotion.categories.join(', ')}`}
+              {promotion.firstOrderOnly && ' · first order only'}
+              {(promotion.startsAt || promotion.endsAt) && ` · ${formatDate(promotion.startsAt) || 'now'} to ${formatDate(promotion.endsAt) || 'open'}`}
+              {' '}· used {promotion.usedCount}{promotion.usageLimit ? `/${promotion.usageLimit}` : ''}
+              {promotion.usageLimitPerCustomer > 0 && ` · ${promotion.usageLimitPerCustomer} per customer`}
+              {!promotion.listed && ' · not listed'}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button onClick={() => savePromotion({ _id: promotion._id, active: !promotion.active })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-100">
+                {promotion.active ? 'Disable' : 'Enable'}
+              </button>
+              <button onClick={() => removePromotion(promotion)} className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700">Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={addPromotion} className="flex flex-wrap gap-2 items-center">
+        <input className={`${inputClass} w-28 uppercase`} placeholder="Code" value={form.code} onChange={e => setForm({ ...form, code: e.target.value })} required />
+        <input className={inputClass} placeholder="Title" value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} required />
+        <input className={inputClass} placeholder="Description" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+        <select className={inputClass} value={form.discountType} onChange={e => setForm({ ...form, discountType: e.target.value })}>
+          <option value="percentage">Percentage</option>
+          <option value="fixed">Fixed amount</option>
+        </select>
+        <input className={`${inputClass} w-24`} type="number" min="0" step="0.01" placeholder={form.discountType === 'percentage' ? '%' : 'Rs'} value={form.discountValue} onChange={e => setForm({ ...form, discountValue: e.target.value })} required />
+        {form.discountType === 'percentage' && (
+          <input className={`${inputClass} w-28`} type="number" min="0" placeholder="Max Rs" value={form.maxDiscount} onChange={e => setForm({ ...form, maxDiscount: e.target.value })} />
+        )}
+        <input className={`${inputClass} w-28`} type="number" min="0" placeholder="Min order Rs" value={form.minOrderAmount} onChange={e => setForm({ ...form, minOrderAmount: e.target.value })} />
+        <input className={inputClass} placeholder="Categories (blank = all)" value={form.categories} onChange={e => setForm({ ...form, categories: e.target.value })} />
+        <label className="text-sm flex items-center gap-1">
+          From <input className={inputClass} type="date" value={form.startsAt} onChange={e => setForm({ ...form, startsAt: e.target.value })} />
+        </label>
+        <label className="text-sm flex items-center gap-1">
+          Until <input className={inputClass} type="date" value={form.endsAt} onChange={e => setForm({ ...form, endsAt: e.target.value })} />
+        </label>
+        <input className={`${inputClass} w-28`} type="number" min="0" placeholder="Total uses" value={form.usageLimit} onChange={e => setForm({ ...form, usageLimit: e.target.value })} />
+        <input className={`${inputClass} w-32`} type="number" min="0" placeholder="Uses / customer" value={form.usageLimitPerCustomer} onChange={e => setForm({ ...form, usageLimitPerCustomer: e.target.value })} />
+        <label className="text-sm flex items-center gap-1">
+          <input type="checkbox" checked={form.firstOrderOnly} onChange={e => setForm({ ...form, firstOrderOnly: e.target.checked })} />
+          First order only
+        </label>
+        <label className="text-sm flex items-center gap-1">
+          <input type="checkbox" checked={form.listed} onChange={e => setForm({ ...form, listed: e.target.checked })} />
+          Show on Promotions page
+        </label>
+        <button type="submit" className="text-sm px-3 py-1 rounded text-white" style={{backgroundColor: '#51ac37'}}>Add</button>
+      </form>
+    </div>
+  );
+};
+
+export default PromotionsPanel;
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+const emptyPlan = {
+  planId: '', name: '', description: '', price: '', currency: 'LKR', billingCycle: 'monthly',
+  boxContents: '', trialDays: '', sortOrder: ''
+};
+
+// "2 kg carrots or beans #vegetables, 6 eggs" -> [
+//   { quantity: 2, unit: 'kg', item: 'carrots', substitutes: ['beans'], category: 'vegetables' },
+//   { quantity: 6, unit: '', item: 'eggs', substitutes: [] }
+// ]
+// Substitutes and the category are what a box gets when the item is out of stock
+const parseBoxContents = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [, line, category] = entry.match(/^(.*?)\s*(?:#(\S+))?$/);
+    const [name, ...substitutes] = line.split(/\s+or\s+/i).map(part => part.trim()).filter(Boolean);
+    const [, quantity, unit, item] = name.match(/^(\d+(?:\.\d+)?)\s+(?:(kg|g|l|ml|pcs|meals|bunches?)\s+)?(.+)$/i) || [];
+    return {
+      ...(quantity ? { quantity: Number(quantity), unit: unit || '', item } : { quantity: 1, unit: '', item: name }),
+      substitutes,
+      ...(category && { category })
+    };
+  });
+
+const formatBoxContents = (plan) => plan.boxContents
+  ?.map(content => [
+    content.quantity, content.unit, content.item,
+    ...(content.substitutes || []).flatMap(substitute => ['or', substitute]),
+    content.category && `#${content.category}`
+  ].filter(Boolean).join(' '))
+  .join(', ');
+
+// Admin: the food subscription plans customers choose from
+const SubscriptionPlansPanel = () => {
+  const [plans, setPlans] = useState([]);
+  const [form, setForm] = useState(emptyPlan);
+  const [error, setError] = useState('');
+
+  const loadPlans = async () => {
+    try {
+      const data = await api.getAllSubscriptionPlans();
+      setPlans(data.plans || []);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { loadPlans(); }, []);
+
+  const savePlan = async (plan) => {
+    setError('');
+    try {
+      await api.saveSubscriptionPlan(plan);
+      await loadPlans();
+      return true;
+    } catch (e) {
+      setError(api.errorMessage(e));
+      return false;
+    }
+  };
+
+  const removePlan = async (plan) => {
+    if (!window.confirm(`Delete plan "${plan.name}"?`)) return;
+    try {
+      await api.deleteSubscriptionPlan(plan.planId);
+      await loadPlans();
+    } catch (e) {
+      setError(api.errorMessage(e));
+    }
+  };
+
+  const addPlan = async (e) => {
+    e.preventDefault();
+    const saved = await savePlan({
+      ...form,
+      price: Number(form.price),
+      boxContents: parseBoxContents(form.boxContents),
+      trialDays: Number(form.trialDays) || 0,
+      sortOrder: Number(form.sortOrder) || 0
+    });
+    if (saved) setForm(emptyPlan);
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h3 className="text-lg font-semibold text-gray-800 mb-4">Subscription Plans</h3>
+      <p className="text-xs text-gray-500 mb-3">Price changes apply to new subscribers; existing subscriptions keep the price they signed up at.</p>
+      {error && <div className="text-sm text-red-600 mb-4">{error}</div>}
+
+      <div className="space-y-2 mb-4">
+        {plans.length === 0 && <div className="text-sm text-gray-500">No plans yet; customers cannot subscribe</div>}
+        {plans.map(plan => (
+          <div key={plan._id} className="flex items-center justify-between bg-gray-50 rounded p-2 text-sm">
+            <div className={plan.active ? '' : 'text-gray-400'}>
+              <span className="font-medium">{plan.name}</span>
+              {' '}<span className="font-mono text-xs">{plan.planId}</span>
+              {' '}· {plan.currency} {plan.price} {plan.billingCycle}
+              {plan.trialDays > 0 && ` · ${plan.trialDays} day trial`}
+              {plan.boxContents?.length > 0 && ` · ${formatBoxContents(plan)}`}
+              {' '}· {plan.activeSubscriptions} active
+            </div>
+            <div className="flex items-center space-x-2">
+              <button onClick={() => savePlan({ _id: plan._id, planId: plan.planId, active: !plan.active })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-100">
+                {plan.active ? 'Disable' : 'Enable'}
+              </button>
+              <button onClick={() => removePlan(plan)} className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700">Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={addPlan} className="flex flex-wrap gap-2 items-center">
+        <input className={`${inputClass} w-32`} placeholder="Plan id (food_basic)" value={form.planId} onChange={e => setForm({ ...form, planId: e.target.value })} pattern="[a-zA-Z0-9_-]+" required />
+        <input className={inputClass} placeholder="Name" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} required />
+        <input className={inputClass} placeholder="Description" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
+        <input className={`${inputClass} w-24`} type="number" min="0" step="0.01" placeholder="Price" value={form.price} onChange={e => setForm({ ...form, price: e.target.value })} required />
+        <input className={`${inputClass} w-16`} placeholder="LKR" value={form.currency} onChange={e => setForm({ ...form, currency: e.target.value })} />
+        <select className={inputClass} value={form.billingCycle} onChange={e => setForm({ ...form, billingCycle: e.target.value })}>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="quarterly">Quarterly</option>
+        </select>
+        <input className={`${inputClass} flex-1`} placeholder="Box contents (2 kg carrots or beans #vegetables, 6 eggs)" value={form.boxContents} onChange={e => setForm({ ...form, boxContents: e.target.value })} />
+        <input className={`${inputClass} w-24`} type="number" min="0" placeholder="Trial days" value={form.trialDays} onChange={e => setForm({ ...form, trialDays: e.target.value })} />
+        <input className={`${inputClass} w-20`} type="number" placeholder="Order" value={form.sortOrder} onChange={e => setForm({ ...form, sortOrder: e.target.value })} />
+        <button type="submit" className="text-sm px-3 py-1 rounded text-white" style={{backgroundColor: '#51ac37'}}>Add</button>
+      </form>
+    </div>
+  );
+};
+
+export default SubscriptionPlansPanel;
@@ -1,77 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+// Shown for promotions without their own image
+const fallbackImages = ['/src/assets/1.jpg', '/src/assets/2.png', '/src/assets/3.png', '/src/assets/4.jpg', '/src/assets/5.jpg', '/src/assets/6.png'];
+
+const NEW_CUSTOMER = 'New Customer';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const discountLabel = (promotion) => promotion.discountType === 'percentage'
+  ? `${promotion.discountValue}% OFF`
+  : `Rs ${promotion.discountValue} OFF`;
+
+// The filter buttons a promotion appears under
+const promotionCategories = (promotion) => [
+  ...(promotion.categories || []).map(capitalize),
+  ...(promotion.firstOrderOnly ? [NEW_CUSTOMER] : [])
+];
 
 const Promotions = () => {
-  const promotions = [
-    {
-      id: 1,
-      title: 'Fresh Vegetables Sale',
-      description: 'Get 30% off on all fresh vegetables from local farms',
-      discount: '30% OFF',
-      validUntil: '2025-10-01',
-      image: '/src/assets/1.jpg',
-      category: 'Vegetables',
-      minOrder: '$25',
-      code: 'VEGGIE30'
-    },
-    {
-      id: 2,
-      title: 'Seasonal Fruits Bundle',
-      description: 'Buy 3 different seasonal fruits and save 25%',
-      discount: '25% OFF',
-      validUntil: '2025-09-30',
-      image: '/src/assets/2.png',
-      category: 'Fruits',
-      minOrder: '$20',
-      code: 'FRUIT25'
-    },
-    {
-      id: 3,
-      title: 'Organic Produce Special',
-      description: 'Premium organic vegetables and fruits at discounted prices',
-      discount: '20% OFF',
-      validUntil: '2025-10-15',
-      image: '/src/assets/3.png',
-      category: 'Organic',
-      minOrder: '$35',
-      code: 'ORGANIC20'
-    },
-    {
-      id: 4,
-      title: 'First Time Buyer Offer',
-      description: 'Special discount for new customers on their first order',
-      discount: '40% OFF',
-      validUntil: '2025-12-31',
-      image: '/src/assets/4.jpg',
-      category: 'New Customer',
-      minOrder: '$15',
-      code: 'WELCOME40'
-    },
-    {
-      id: 5,
-      title: 'Bulk Order Discount',
-      description: 'Order in bulk and save more on farm fresh produce',
-      discount: '35% OFF',
-      validUntil: '2025-11-30',
-      image: '/src/assets/5.jpg',
-      category: 'Bulk Order',
-      minOrder: '$50',
-      code: 'BULK35'
-    },
-    {
-      id: 6,
-      title: 'Weekend Special',
-      description: 'Saturday and Sunday exclusive deals on selected items',
-      discount: '15% OFF',
-      validUntil: 'Every Weekend',
-      image: '/src/assets/6.png',
-      category: 'Weekend',
-      minOrder: '$10',
-      code: 'WEEKEND15'
-    }
-  ];
-
-  const categories = ['All', 'Vegetables', 'Fruits', 'Organic', 'New Customer', 'Bulk Order', 'Weekend'];
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState('All');
+
+  useEffect(() => {
+    api.getPromotions()
+      .then((data) => setPromotions(data.promotions || []))
+      .catch((e) => setError(e.message || 'Failed to load promotions'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const categories = ['All', ...new Set(promotions.flatMap(promotionCategories))];
+  const shownPromotions = selectedCategory === 'All'
+    ? promotions
+    : promotions.filter(promotion => promotionCategories(promotion).includes(selectedCategory));
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -89,10 +53,11 @@ const Promotions = () => {
           {categories.map((category) => (
             <button
               key={category}
+              onClick={() => setSelectedCategory(category)}
               className="px-4 py-2 rounded-full text-sm font-medium transition-colors hover:opacity-90"
               style={{
-                backgroundColor: category === 'All' ? '#51ac37' : 'white',
-                color: category === 'All' ? 'white' : '#51ac37',
+                backgroundColor: category === selectedCategory ? '#51ac37' : 'white',
+                color: category === selectedCategory ? 'white' : '#51ac37',
                 border: `2px solid #51ac37`
               }}
             >
@@ -101,14 +66,20 @@ const Promotions = () => {
           ))}
         </div>
 
+        {loading && <div className="text-center text-gray-600 mb-12">Loading promotions...</div>}
+        {error && <div className="text-center text-red-600 mb-12">{error}</div>}
+        {!loading && !error && shownPromotions.length === 0 && (
+          <div className="text-center text-gray-600 mb-12">There are no promotions running right now. Check back soon!</div>
+        )}
+
         {/* Promotions Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mb-12">
-          {promotions.map((promotion) => (
-            <div key={promotion.id} className="bg-white rounded-lg shadow-lg overflow-hidden hover:shadow-xl transition-shadow">
+          {shownPromotions.map((promotion, index) => (
+            <div key={promotion.code} className="bg-white rounded-lg shadow-lg overflow-hidden hover:shadow-xl transition-shadow">
               {/* Image */}
               <div className="relative h-48 overflow-hidden">
                 <img
-                  src={promotion.image}
+                  src={promotion.image || fallbackImages[index % fallbackImages.length]}
                   alt={promotion.title}
                   className="w-full h-full object-cover"
                 />
@@ -117,12 +88,12 @@ const Promotions = () => {
                     className="px-3 py-1 rounded-full text-white font-bold text-sm"
                     style={{backgroundColor: '#51ac37'}}
                   >
-                    {promotion.discount}
+                    {discountLabel(promotion)}
                   </span>
                 </div>
                 <div className="absolute top-4 left-4">
                   <span className="px-2 py-1 bg-white text-gray-800 rounded-full text-xs font-medium">
-                    {promotion.category}
+                    {promotionCategories(promotion).join(', ') || 'All Products'}
                   </span>
                 </div>
               </div>
@@ -135,12 +106,22 @@ const Promotions = () => {
                 <div className="space-y-2 mb-4">
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-500">Valid Until:</span>
-                    <span className="font-medium text-gray-800">{promotion.validUntil}</span>
+                    <span className="font-medium text-gray-800">
+                      {promotion.endsAt ? new Date(promotion.endsAt).toLocaleDateString() : 'Until further notice'}
+                    </span>
                   </div>
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-500">Min Order:</span>
-                    <span className="font-medium text-gray-800">{promotion.minOrder}</span>
+                    <span className="font-medium text-gray-800">
+                      {promotion.minOrderAmount > 0 ? `Rs ${promotion.minOrderAmount.toFixed(2)}` : 'None'}
+                    </span>
                   </div>
+                  {promotion.discountType === 'percentage' && promotion.maxDiscount > 0 && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-500">Max Discount:</span>
+                      <span className="font-medium text-gray-800">Rs {promotion.maxDiscount.toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-500">Promo Code:</span>
                     <span 
@@ -1,6 +1,9 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import api from '../../services/api';
+import PricingRulesPanel from '../../components/PricingRulesPanel';
+import PromotionsPanel from '../../components/PromotionsPanel';
+import SubscriptionPlansPanel from '../../components/SubscriptionPlansPanel';
 
 const AdminDashboard = () => {
   const navigate = useNavigate();
@@ -8,6 +11,7 @@ const AdminDashboard = () => {
   const [pendingFarmers, setPendingFarmers] = useState([]);
   const [loadingFarmers, setLoadingFarmers] = useState(false);
   const [error, setError] = useState('');
+  const [disputeSummary, setDisputeSummary] = useState(null);
 
   useEffect(() => {
     // Check if admin is logged in
@@ -29,8 +33,17 @@ const AdminDashboard = () => {
         setLoadingFarmers(false);
       }
     };
+    const loadDisputes = async () => {
+      try {
+        const data = await api.getDisputeSummary();
+        setDisputeSummary(data.summary);
+      } catch (e) {
+        console.error('Failed to load dispute summary:', e);
+      }
+    };
     if (storedAdmin) {
       loadPending();
+      loadDisputes();
     }
   }, [navigate]);
 
@@ -278,6 +291,44 @@ const AdminDashboard = () => {
           </div>
         </div>
 
+        {/* Chargeback Disputes */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">Chargeback Disputes</h3>
+            {disputeSummary && disputeSummary.frozenAmount > 0 && (
+              <span className="text-sm text-orange-700">
+                LKR {disputeSummary.frozenAmount.toFixed(2)} of farmer earnings frozen
+              </span>
+            )}
+          </div>
+          {!disputeSummary ? (
+            <div className="text-sm text-gray-500">Dispute counts unavailable</div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { label: 'Open', value: disputeSummary.open, color: 'text-red-600' },
+                { label: 'Evidence Submitted', value: disputeSummary.evidenceSubmitted, color: 'text-yellow-600' },
+                { label: 'Won', value: disputeSummary.won, color: 'text-green-600' },
+                { label: 'Lost', value: disputeSummary.lost, color: 'text-gray-600' }
+              ].map(item => (
+                <div key={item.label} className="border border-gray-200 rounded-lg p-4">
+                  <div className="text-sm text-gray-500">{item.label}</div>
+                  <div className={`text-2xl font-semibold ${item.color}`}>{item.value}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Tax & Shipping Rules */}
+        <PricingRulesPanel />
+
+        {/* Promo Codes */}
+        <PromotionsPanel />
+
+        {/* Food Subscription Plans */}
+        <SubscriptionPlansPanel />
+
         {/* Recent Activity */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           <div className="bg-white rounded-lg shadow-md overflow-hidden">
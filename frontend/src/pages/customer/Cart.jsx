@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import api from '../../services/api';
 
@@ -8,22 +8,67 @@ const Cart = () => {
   const [error, setError] = useState('');
   const [updating, setUpdating] = useState(false);
   const [processingPayment, setProcessingPayment] = useState(false);
+  // Tax and shipping from the server's pricing rules (checkout re-quotes for the delivery city)
+  const [quote, setQuote] = useState(null);
+  // Promo code the quote was made with, and the one being typed
+  const [promoCode, setPromoCode] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [promoError, setPromoError] = useState('');
   const navigate = useNavigate();
 
-  const loadCart = async () => {
+  const loadCart = useCallback(async () => {
     try {
       setLoading(true);
       setError('');
-      const data = await api.getCart();
-      setCart(data);
+      setCart(await api.getCart());
     } catch (e) {
       setError(e.message || 'Failed to load cart');
     } finally {
       setLoading(false);
     }
+  }, []);
+
+  // Quote with the promo code; a code the cart no longer qualifies for is dropped
+  const loadQuote = useCallback(async (code) => {
+    try {
+      return await api.getCartQuote({ city: 'Colombo', promoCode: code });
+    } catch (e) {
+      if (!code) return null;
+      setPromoCode('');
+      setPromoError(api.errorMessage(e));
+      return null;
+    }
+  }, []);
+
+  const applyPromoCode = (e) => {
+    e.preventDefault();
+    const code = promoInput.trim().toUpperCase();
+    if (!code) return;
+
+    setPromoError('');
+    setPromoCode(code);
   };
 
-  useEffect(() => { loadCart(); }, []);
+  const removePromoCode = () => {
+    setPromoCode('');
+    setPromoInput('');
+    setPromoError('');
+  };
+
+  useEffect(() => { loadCart(); }, [loadCart]);
+
+  // Re-quote whenever the cart or the promo code changes; a reply to an older request is ignored
+  const hasItems = !!cart?.cart?.items?.length;
+  useEffect(() => {
+    if (!hasItems) {
+      setQuote(null);
+      return undefined;
+    }
+
+    let current = true;
+    loadQuote(promoCode).then(result => { if (current) setQuote(result); });
+    return () => { current = false; };
+  }, [cart, hasItems, promoCode, loadQuote]);
 
   const items = cart?.cart?.items || [];
 
@@ -53,9 +98,10 @@ const Cart = () => {
       const p = item.productId; if (!p) return total; return total + (p.price * item.quantity);
     }, 0);
   };
-  const getTax = () => 0; // Tax disabled
-  const getShipping = () => 0; // Shipping removed
-  const getTotal = () => getSubtotal() + getTax() + getShipping();
+  const getDiscount = () => quote?.discount || 0;
+  const getTax = () => quote?.tax || 0;
+  const getShipping = () => quote?.shipping || 0;
+  const getTotal = () => getSubtotal() - getDiscount() + getTax() + getShipping();
 
   // New function to handle direct payment
   const proceedToPayment = () => {
@@ -70,6 +116,7 @@ const Cart = () => {
         price: item.productId.price || 0
       })),
       subtotal: getSubtotal(),
+      promoCode: promoCode || undefined,
       total: getTotal()
     };
     
@@ -181,10 +228,47 @@ const Cart = () => {
               <h2 className="text-xl font-semibold text-gray-800 mb-6">Order Summary</h2>
               <div className="space-y-4 mb-6">
                 <div className="flex justify-between"><span className="text-gray-600">Subtotal</span><span className="font-medium">Rs {getSubtotal().toFixed(2)}</span></div>
+                {getDiscount() > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Discount ({quote.promotion?.code})</span>
+                    <span className="font-medium" style={{color:'#51ac37'}}>- Rs {getDiscount().toFixed(2)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between"><span className="text-gray-600">Tax</span><span className="font-medium">Rs {getTax().toFixed(2)}</span></div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Shipping</span>
+                  <span className="font-medium">{quote?.breakdown?.freeShipping ? 'Free' : `Rs ${getShipping().toFixed(2)}`}</span>
+                </div>
+                {quote?.includedTax > 0 && (
+                  <p className="text-xs text-gray-500">Prices include Rs {quote.includedTax.toFixed(2)} tax.</p>
+                )}
+                {quote?.breakdown?.freeShippingThreshold > 0 && !quote.breakdown.freeShipping && (
+                  <p className="text-xs text-gray-500">Free shipping on orders over Rs {quote.breakdown.freeShippingThreshold.toFixed(2)}.</p>
+                )}
+                <p className="text-xs text-gray-500">Shipping is estimated for Colombo; checkout shows it for your city.</p>
                 <div className="border-t pt-4 flex justify-between text-lg font-semibold">
                   <span>Total</span><span style={{color:'#51ac37'}}>Rs {getTotal().toFixed(2)}</span>
                 </div>
               </div>
+              <div className="mb-6">
+                {promoCode ? (
+                  <div className="flex justify-between items-center text-sm bg-green-50 rounded p-2">
+                    <span>Promo code <span className="font-mono font-bold">{promoCode}</span>{quote?.promotion?.title ? ` · ${quote.promotion.title}` : ''}</span>
+                    <button onClick={removePromoCode} className="text-red-600 hover:text-red-800 font-medium">Remove</button>
+                  </div>
+                ) : (
+                  <form onSubmit={applyPromoCode} className="flex gap-2">
+                    <input
+                      value={promoInput}
+                      onChange={e => setPromoInput(e.target.value)}
+                      placeholder="Promo code"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm uppercase"
+                    />
+                    <button type="submit" className="px-4 py-2 rounded-lg text-white text-sm font-medium" style={{backgroundColor:'#51ac37'}} disabled={updating}>Apply</button>
+                  </form>
+                )}
+                {promoError && <p className="text-xs text-red-600 mt-2">{promoError}</p>}
+              </div>
               <div className="space-y-3">
                 <button
                   onClick={proceedToPayment}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../../services/api';
+import { redirectToPayHere } from '../../services/payhere';
 
 const Checkout = () => {
   const navigate = useNavigate();
@@ -13,8 +14,18 @@ const Checkout = () => {
     email: '',
     phone: '',
     address: '',
-    city: 'Colombo'
+    city: 'Colombo',
+    district: ''
   });
+  // Tax and shipping for the delivery city/district, priced by the server
+  const [quote, setQuote] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [paymentMethods, setPaymentMethods] = useState([
+    { id: 'payhere', label: 'Card / online banking (PayHere)' }
+  ]);
+  const [paymentMethod, setPaymentMethod] = useState('payhere');
+  // Set once a cash on delivery or bank transfer order is placed
+  const [placedOrder, setPlacedOrder] = useState(null);
 
   useEffect(() => {
     // Load cart data from sessionStorage
@@ -26,6 +37,45 @@ const Checkout = () => {
     }
   }, [navigate]);
 
+  useEffect(() => {
+    // Only offer the payment methods the server has configured
+    api.getPaymentMethods()
+      .then((response) => {
+        if (response.methods?.length > 0) {
+          setPaymentMethods(response.methods);
+          setPaymentMethod(response.methods[0].id);
+        }
+      })
+      .catch((error) => console.error('Failed to load payment methods:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!cartData) return;
+
+    // Wait for the customer to stop typing before asking for a new quote
+    setQuoting(true);
+    const timer = setTimeout(async () => {
+      try {
+        setQuote(await api.getCartQuote({
+          city: formData.city,
+          district: formData.district,
+          promoCode: cartData.promoCode
+        }));
+      } catch (error) {
+        console.error('Failed to price delivery:', error);
+        setQuote(null);
+        if (cartData.promoCode) {
+          // The promo code stopped applying since the cart page (expired, used up, ...)
+          setError(`${api.errorMessage(error)}. Please go back to your cart to remove it.`);
+        }
+      } finally {
+        setQuoting(false);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [cartData, formData.city, formData.district]);
+
   const handleInputChange = (e) => {
     setFormData({
       ...formData,
@@ -66,13 +116,15 @@ const Checkout = () => {
     try {
       // Create payment request
       const paymentRequest = {
-        amount: cartData.total,
+        amount: quote ? quote.total : cartData.total,
         currency: 'LKR',
         cartItems: cartData.items,
-        customerData: formData
+        customerData: formData,
+        paymentMethod,
+        promoCode: cartData.promoCode
       };
 
-      console.log('Creating PayHere payment...', paymentRequest);
+      console.log('Creating payment...', paymentRequest);
 
       const response = await api.post('/create-cart-payment', paymentRequest);
 
@@ -81,46 +133,67 @@ const Checkout = () => {
         
         // Clear cart data from session
         sessionStorage.removeItem('checkoutCart');
-        
-        // Redirect to PayHere payment page
-        redirectToPayHere(response.paymentData);
+
+        if (response.paymentData) {
+          // Redirect to PayHere payment page
+          redirectToPayHere(response.paymentData, response.checkoutUrl);
+        } else {
+          // Paid outside the site: show what the customer has to do next
+          setPlacedOrder(response);
+        }
       } else {
         throw new Error(response.error || 'Failed to create payment');
       }
 
     } catch (error) {
       console.error('Payment initiation failed:', error);
-      setError(error.message || 'Failed to initiate payment. Please try again.');
+      if (/promo code/i.test(error.message)) {
+        setError(api.errorMessage(error));
+      } else if (error.message?.includes('status: 409')) {
+        // The server prices the cart itself and refused because it no longer matches this page
+        sessionStorage.removeItem('checkoutCart');
+        setError('Prices or quantities in your cart have changed. Please review your cart and check out again.');
+      } else {
+        setError(error.message || 'Failed to initiate payment. Please try again.');
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  const redirectToPayHere = (paymentData) => {
-    console.log('Redirecting to PayHere with data:', paymentData);
-
-    // Create form dynamically
-    const form = document.createElement('form');
-    form.method = 'POST';
-    form.action = paymentData.sandbox 
-      ? 'https://sandbox.payhere.lk/pay/checkout' 
-      : 'https://www.payhere.lk/pay/checkout';
-
-    // Add all payment data as hidden fields
-    Object.keys(paymentData).forEach(key => {
-      if (paymentData[key] !== undefined && paymentData[key] !== null) {
-        const input = document.createElement('input');
-        input.type = 'hidden';
-        input.name = key;
-        input.value = paymentData[key];
-        form.appendChild(input);
-      }
-    });
+  if (placedOrder) {
+    const { instructions } = placedOrder;
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-xl mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h1 className="text-2xl font-bold text-gray-800 mb-2">Order placed</h1>
+            <p className="text-gray-600 mb-4">Order ID: {placedOrder.orderId}</p>
+            <p className="text-gray-800 mb-4">{instructions?.message}</p>
 
-    // Append form to body and submit
-    document.body.appendChild(form);
-    form.submit();
-  };
+            {placedOrder.paymentMethod === 'bank_transfer' && (
+              <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm space-y-1">
+                <p><span className="font-medium">Bank:</span> {instructions.bankName}</p>
+                {instructions.branch && <p><span className="font-medium">Branch:</span> {instructions.branch}</p>}
+                <p><span className="font-medium">Account name:</span> {instructions.accountName}</p>
+                <p><span className="font-medium">Account number:</span> {instructions.accountNumber}</p>
+                <p><span className="font-medium">Reference:</span> {instructions.reference}</p>
+                <p><span className="font-medium">Amount:</span> Rs {Number(instructions.amount).toFixed(2)}</p>
+              </div>
+            )}
+
+            <button
+              onClick={() => navigate('/orders')}
+              className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+              style={{backgroundColor: '#51ac37'}}
+            >
+              View My Orders
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
 
   if (!cartData) {
     return (
@@ -237,6 +310,20 @@ const Checkout = () => {
                   placeholder="Colombo"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  District
+                </label>
+                <input
+                  type="text"
+                  name="district"
+                  value={formData.district}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="Colombo"
+                />
+              </div>
             </div>
           </div>
 
@@ -264,28 +351,72 @@ const Checkout = () => {
                 <span>Subtotal</span>
                 <span>Rs {cartData.subtotal.toFixed(2)}</span>
               </div>
+              {quote?.discount > 0 && (
+                <div className="flex justify-between text-gray-600">
+                  <span>Discount ({quote.promotion?.code})</span>
+                  <span style={{color: '#51ac37'}}>- Rs {quote.discount.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-gray-600">
                 <span>Tax</span>
-                <span>Rs 0.00</span>
+                <span>Rs {(quote?.tax || 0).toFixed(2)}</span>
               </div>
+              {quote?.breakdown?.taxLines?.map((line, index) => (
+                <div key={index} className="flex justify-between text-xs text-gray-500 pl-3">
+                  <span>{line.rule} ({line.rate}%{line.inclusive ? ', included in prices' : ''})</span>
+                  <span>Rs {line.amount.toFixed(2)}</span>
+                </div>
+              ))}
               <div className="flex justify-between text-gray-600">
                 <span>Shipping</span>
-                <span>Rs 0.00</span>
+                <span>{quote?.breakdown?.freeShipping ? 'Free' : `Rs ${(quote?.shipping || 0).toFixed(2)}`}</span>
               </div>
+              {quote?.breakdown?.shippingLines?.length > 1 && (
+                <p className="text-xs text-gray-500 pl-3">
+                  Your items come from {quote.breakdown.shippingLines.length} farms, each delivering separately.
+                </p>
+              )}
               <div className="flex justify-between text-lg font-semibold border-t pt-2">
                 <span>Total</span>
-                <span style={{color: '#51ac37'}}>Rs {cartData.total.toFixed(2)}</span>
+                <span style={{color: '#51ac37'}}>Rs {(quote ? quote.total : cartData.total).toFixed(2)}</span>
+              </div>
+            </div>
+
+            <div className="mt-6">
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Payment Method</h3>
+              <div className="space-y-2">
+                {paymentMethods.map((method) => (
+                  <label
+                    key={method.id}
+                    className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${paymentMethod === method.id ? 'border-green-500 bg-green-50' : 'border-gray-300'}`}
+                  >
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      value={method.id}
+                      checked={paymentMethod === method.id}
+                      onChange={() => setPaymentMethod(method.id)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="block font-medium text-gray-800">{method.label}</span>
+                      {method.description && (
+                        <span className="block text-sm text-gray-600">{method.description}</span>
+                      )}
+                    </span>
+                  </label>
+                ))}
               </div>
             </div>
 
             <div className="mt-8 space-y-3">
               <button
                 onClick={initiatePayment}
-                disabled={loading}
+                disabled={loading || quoting}
                 className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
                 style={{backgroundColor: '#51ac37'}}
               >
-                {loading ? 'Processing...' : 'Proceed to Payment'}
+                {loading ? 'Processing...' : paymentMethod === 'payhere' ? 'Proceed to Payment' : 'Place Order'}
               </button>
               
               <button
@@ -296,9 +427,11 @@ const Checkout = () => {
               </button>
             </div>
 
-            <div className="mt-4 text-center text-sm text-gray-500">
-              <p>Secure payment powered by PayHere</p>
-            </div>
+            {paymentMethod === 'payhere' && (
+              <div className="mt-4 text-center text-sm text-gray-500">
+                <p>Secure payment powered by PayHere</p>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1,4 +1,15 @@
 import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { showInvoice } from '../../services/invoices';
+import { redirectToPayHere } from '../../services/payhere';
+
+// How each billing cycle reads after a price ("LKR 2,500 per month")
+const CYCLE_LABELS = { weekly: 'week', monthly: 'month', quarterly: 'quarter' };
+
+// Longest pause the backend accepts, in billing cycles
+const MAX_PAUSE_CYCLES = 6;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
 
 function FoodSubscriptionPage() {
   const [formData, setFormData] = useState({
@@ -12,26 +23,34 @@ function FoodSubscriptionPage() {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
   const [paymentStatus, setPaymentStatus] = useState('');
+  const [invoices, setInvoices] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  // Cycles chosen in each subscription's pause select, by subscription id
+  const [pauseCycles, setPauseCycles] = useState({});
+  const [subscriptionAction, setSubscriptionAction] = useState('');
+  // Plan change being chosen for each subscription, by subscription id: { planId, timing }
+  const [planChanges, setPlanChanges] = useState({});
+  // Plans on sale; the server charges the chosen plan's own price
+  const [plans, setPlans] = useState([]);
+  const [selectedPlanId, setSelectedPlanId] = useState('');
 
   // Backend API base URL
   const API_BASE_URL = 'http://localhost:5002';
 
-  // Hardcoded food subscription plan - LKR 2,500/month
-  const foodPlan = {
-    id: 'food_premium',
-    name: 'Premium Food Subscription',
-    monthlyPrice: 2500,
-    description: 'Fresh, healthy meals delivered daily',
-    features: [
-      'Daily fresh meal delivery (30 meals/month)',
-      'Customizable meal plans',
-      'Organic ingredients only',
-      'Nutritionist consultation included',
-      'Free delivery within Colombo',
-      'Auto-renewal for convenience',
-      'Cancel anytime'
-    ]
-  };
+  const foodPlan = plans.find(plan => plan.planId === selectedPlanId);
+  const cycleLabel = CYCLE_LABELS[foodPlan?.billingCycle] || 'month';
+
+  useEffect(() => {
+    api.getSubscriptionPlans()
+      .then(response => {
+        setPlans(response.plans || []);
+        setSelectedPlanId(response.plans?.[0]?.planId || '');
+      })
+      .catch(error => {
+        console.error('Failed to load subscription plans:', error);
+        setError('Failed to load subscription plans. Please refresh the page.');
+      });
+  }, []);
 
   useEffect(() => {
     const checkPayHereSDK = () => {
@@ -48,6 +67,135 @@ function FoodSubscriptionPage() {
     setTimeout(checkPayHereSDK, 1000);
   }, []);
 
+  // One invoice per paid month, only for logged in customers
+  useEffect(() => {
+    if (!localStorage.getItem('token')) return;
+
+    api.getMySubscriptionInvoices()
+      .then(response => setInvoices(response.invoices || []))
+      .catch(error => console.error('Failed to load subscription invoices:', error));
+  }, []);
+
+  const loadSubscriptions = () => api.getMySubscriptions()
+    .then(response => setSubscriptions(response.subscriptions || []))
+    .catch(error => console.error('Failed to load subscriptions:', error));
+
+  useEffect(() => {
+    if (!localStorage.getItem('token')) return;
+    loadSubscriptions();
+  }, []);
+
+  // Runs one self-service action; resume and reactivate continue at PayHere
+  const manageSubscription = async (subscription, action) => {
+    if (action === 'cancelNow' && !window.confirm('Cancel now? Deliveries stop straight away and the rest of this period is not refunded.')) return;
+    if (action === 'cancel' && !window.confirm(`Cancel at the end of this period (${formatDate(subscription.endDate)})?`)) return;
+
+    setError('');
+    setSubscriptionAction(`${subscription.id}:${action}`);
+    try {
+      if (action === 'cancel' || action === 'cancelNow') {
+        await api.cancelSubscription(subscription.id, { immediately: action === 'cancelNow' });
+      } else if (action === 'pause') {
+        await api.pauseSubscription(subscription.id, pauseCycles[subscription.id] || 1);
+      } else {
+        const response = action === 'resume'
+          ? await api.resumeSubscription(subscription.id)
+          : await api.reactivateSubscription(subscription.id);
+        redirectToPayHere(response.paymentData, response.checkoutUrl);
+        return;
+      }
+      await loadSubscriptions();
+    } catch (error) {
+      console.error('Subscription action error:', error);
+      setError(api.errorMessage(error));
+    } finally {
+      setSubscriptionAction('');
+    }
+  };
+
+  // Shows the prorated price of a change now and sends the customer to pay for it;
+  // a change at renewal is only scheduled and paid for when the current period ends
+  const changePlan = async (subscription) => {
+    const { planId, timing = 'renewal' } = planChanges[subscription.id] || {};
+    if (!planId) return;
+
+    setError('');
+    setSubscriptionAction(`${subscription.id}:changePlan`);
+    try {
+      const { quote } = await api.previewPlanChange(subscription.id, planId, timing);
+      const money = (amount) => `${quote.currency} ${amount.toLocaleString()}`;
+      const details = timing === 'now'
+        ? [
+          quote.prorationCharge > 0 && `This includes ${money(quote.prorationCharge)} for the rest of your current period on the new plan.`,
+          quote.creditDays > 0 && `Your unused ${money(quote.prorationCredit)} adds ${quote.creditDays} day(s) to the new plan.`
+        ].filter(Boolean).join(' ')
+        : `The new plan starts when your current period ends on ${formatDate(quote.startsAt)}.`;
+
+      const plan = plans.find(entry => entry.planId === planId);
+      const question = timing === 'now'
+        ? `Switch to ${quote.planName}? You pay ${money(quote.dueNow)} now. ${details}`
+        : `Switch to ${quote.planName}? ${details} You pay ${money(plan?.price ?? 0)} then.`;
+      if (!window.confirm(question)) return;
+
+      const response = await api.changeSubscriptionPlan(subscription.id, planId, timing);
+      if (response.scheduled) {
+        setPlanChanges({ ...planChanges, [subscription.id]: {} });
+        await loadSubscriptions();
+        return;
+      }
+      redirectToPayHere(response.paymentData, response.checkoutUrl);
+    } catch (error) {
+      console.error('Plan change error:', error);
+      setError(api.errorMessage(error));
+    } finally {
+      setSubscriptionAction('');
+    }
+  };
+
+  // The new plan of a change scheduled at renewal, once the old period has ended
+  const payPlanChange = async (subscription) => {
+    setError('');
+    setSubscriptionAction(`${subscription.id}:payPlanChange`);
+    try {
+      const response = await api.payPlanChange(subscription.id);
+      redirectToPayHere(response.paymentData, response.checkoutUrl);
+    } catch (error) {
+      console.error('Plan change payment error:', error);
+      setError(api.errorMessage(error));
+    } finally {
+      setSubscriptionAction('');
+    }
+  };
+
+  const describeSubscription = (subscription) => {
+    if (subscription.status === 'paused') {
+      return `Paused for ${subscription.pauseCycles} ${CYCLE_LABELS[subscription.billingCycle] || 'month'}(s), resumes ${formatDate(subscription.resumeDate)}`;
+    }
+    if (subscription.cancellationScheduled) {
+      return `Cancelled, deliveries continue until ${formatDate(subscription.cancellationEffectiveDate)}`;
+    }
+    if (subscription.pendingPlanChange && subscription.status === 'pending_renewal') {
+      return `Pay for ${subscription.pendingPlanChange.planName} to keep your deliveries coming`;
+    }
+    if (subscription.pendingPlanChange && subscription.status === 'active') {
+      return `Moves to ${subscription.pendingPlanChange.planName} on ${formatDate(subscription.pendingPlanChange.startsAt)} · paid until ${formatDate(subscription.endDate)}`;
+    }
+    if (subscription.status === 'active') {
+      return `Next billing ${formatDate(subscription.nextBillingDate)} · paid until ${formatDate(subscription.endDate)}`;
+    }
+    return `Ended ${formatDate(subscription.endDate)}`;
+  };
+
+  const downloadInvoice = async (invoiceNumber) => {
+    try {
+      const invoice = await api.getInvoice(invoiceNumber, 'pdf');
+      showInvoice(invoice, `${invoiceNumber}.pdf`);
+    } catch (error) {
+      console.error('Invoice download error:', error);
+      setError('Failed to download the invoice. Please try again.');
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData({
@@ -59,6 +207,10 @@ function FoodSubscriptionPage() {
   const validateForm = () => {
     const errors = [];
 
+    if (!foodPlan) {
+      errors.push('Please choose a subscription plan');
+    }
+
     if (!formData.name?.trim()) {
       errors.push('Full name is required');
     }
@@ -109,8 +261,7 @@ function FoodSubscriptionPage() {
           customerName: formData.name,
           phoneNumber: formData.phoneNumber,
           address: formData.address,
-          amount: foodPlan.monthlyPrice,
-          currency: 'LKR',
+          planId: foodPlan.planId,
           paymentMethod: 'payhere',
           payhereOrderId: orderId,
           payhereRecurringToken: paymentData.recurring_token || null,
@@ -152,6 +303,25 @@ function FoodSubscriptionPage() {
     }
   };
 
+  const submitToCheckoutPage = (checkoutUrl, paymentData) => {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = checkoutUrl;
+
+    Object.keys(paymentData).forEach(key => {
+      if (paymentData[key] !== undefined && paymentData[key] !== null) {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = key;
+        input.value = paymentData[key];
+        form.appendChild(input);
+      }
+    });
+
+    document.body.appendChild(form);
+    form.submit();
+  };
+
   const createFoodSubscriptionRecord = async (subscriptionData) => {
     try {
       const response = await fetch(`${API_BASE_URL}/api/create-food-subscription-record`, {
@@ -192,9 +362,8 @@ function FoodSubscriptionPage() {
       }
 
       const paymentRequest = {
-        amount: foodPlan.monthlyPrice,
-        currency: 'LKR',
-        planId: foodPlan.id,
+        amount: foodPlan.price,
+        planId: foodPlan.planId,
         enableAutoRenew: true,
         customerData: {
           name: formData.name.trim(),
@@ -225,9 +394,17 @@ function FoodSubscriptionPage() {
         throw new Error(responseData.error || responseData.message || 'Payment creation failed');
       }
 
-      console.log('Payment data received, initializing PayHere SDK...');
       setPaymentStatus('redirecting');
 
+      // The local PayHere simulator has no JS SDK, so post straight to its checkout page
+      if (responseData.gatewayMode === 'mock') {
+        console.log('Payment data received, redirecting to mock PayHere checkout...');
+        submitToCheckoutPage(responseData.checkoutUrl, responseData.paymentData);
+        return;
+      }
+
+      console.log('Payment data received, initializing PayHere SDK...');
+
       setTimeout(() => {
         initiatePayHereSDKPayment(responseData.paymentData);
       }, 500);
@@ -325,6 +502,13 @@ function FoodSubscriptionPage() {
       maxWidth: '1200px',
       margin: '0 auto'
     },
+    plansColumn: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '25px',
+      maxWidth: '400px',
+      width: '100%'
+    },
     planCard: {
       backgroundColor: 'white',
       borderRadius: '12px',
@@ -333,7 +517,12 @@ function FoodSubscriptionPage() {
       border: '2px solid #3b82f6',
       position: 'relative',
       maxWidth: '400px',
-      textAlign: 'center'
+      textAlign: 'center',
+      cursor: 'pointer'
+    },
+    planCardUnselected: {
+      border: '2px solid #e2e8f0',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.05)'
     },
     popularBadge: {
       position: 'absolute',
@@ -453,6 +642,47 @@ function FoodSubscriptionPage() {
       opacity: 0.6,
       cursor: 'not-allowed'
     },
+    invoicesContainer: {
+      backgroundColor: 'white',
+      padding: '30px',
+      borderRadius: '12px',
+      boxShadow: '0 4px 15px rgba(0,0,0,0.1)',
+      maxWidth: '1000px',
+      margin: '40px auto 0 auto'
+    },
+    invoiceRow: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '15px',
+      padding: '12px 0',
+      borderBottom: '1px solid #e2e8f0'
+    },
+    subscriptionActions: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      justifyContent: 'flex-end',
+      gap: '8px'
+    },
+    dangerButton: {
+      padding: '8px 16px',
+      backgroundColor: 'white',
+      color: '#dc2626',
+      border: '1px solid #dc2626',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    },
+    invoiceButton: {
+      padding: '8px 16px',
+      backgroundColor: 'white',
+      color: '#3b82f6',
+      border: '1px solid #3b82f6',
+      borderRadius: '8px',
+      fontSize: '14px',
+      cursor: 'pointer'
+    },
     securityNotice: {
       fontSize: '12px',
       color: '#64748b',
@@ -509,27 +739,46 @@ function FoodSubscriptionPage() {
     <div style={styles.container}>
       <header style={styles.header}>
         <h1 style={styles.title}>Fresh Food Delivery</h1>
-        <p style={styles.subtitle}>Premium meal subscription service</p>
+        <p style={styles.subtitle}>Choose the meal box that suits you</p>
       </header>
 
       {getStatusAlert()}
 
       <div style={styles.mainContent}>
-        <div style={styles.planCard}>
-          <div style={styles.popularBadge}>Premium Plan</div>
-          <div style={styles.planName}>{foodPlan.name}</div>
-          <div style={styles.planDescription}>{foodPlan.description}</div>
-          <div style={styles.planPrice}>LKR {foodPlan.monthlyPrice.toLocaleString()}</div>
-          <div style={styles.planPeriod}>per month (auto-renewal)</div>
-
-          <ul style={styles.featuresList}>
-            {foodPlan.features.map((feature, index) => (
-              <li key={index} style={styles.featureItem}>
-                <span style={styles.checkIcon}>✓</span>
-                {feature}
-              </li>
-            ))}
-          </ul>
+        <div style={styles.plansColumn}>
+          {plans.length === 0 && !error && (
+            <div style={styles.planCard}>Loading plans...</div>
+          )}
+          {plans.map(plan => (
+            <div
+              key={plan.planId}
+              onClick={() => setSelectedPlanId(plan.planId)}
+              style={{
+                ...styles.planCard,
+                ...(plan.planId === selectedPlanId ? {} : styles.planCardUnselected)
+              }}
+            >
+              {plan.planId === selectedPlanId && <div style={styles.popularBadge}>Selected</div>}
+              <div style={styles.planName}>{plan.name}</div>
+              <div style={styles.planDescription}>{plan.description}</div>
+              <div style={styles.planPrice}>{plan.currency} {plan.price.toLocaleString()}</div>
+              <div style={styles.planPeriod}>
+                per {CYCLE_LABELS[plan.billingCycle]} (auto-renewal)
+                {plan.trialDays > 0 && ` · first ${plan.trialDays} days free`}
+              </div>
+
+              {plan.boxContents?.length > 0 && (
+                <ul style={styles.featuresList}>
+                  {plan.boxContents.map((content, index) => (
+                    <li key={index} style={styles.featureItem}>
+                      <span style={styles.checkIcon}>✓</span>
+                      {content.quantity} {content.unit} {content.item}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
         </div>
 
         <div style={styles.formContainer}>
@@ -578,7 +827,7 @@ function FoodSubscriptionPage() {
             <div style={styles.autoRenewNotice}>
               <strong>🔄 Auto-Renewal Included</strong>
               <p style={{ margin: '8px 0 0 0', fontSize: '14px' }}>
-                Your subscription includes automatic monthly renewal for uninterrupted meal delivery. 
+                Your subscription renews automatically every {cycleLabel} for uninterrupted meal delivery. 
                 You can cancel anytime through customer support or your account dashboard.
               </p>
             </div>
@@ -601,9 +850,9 @@ function FoodSubscriptionPage() {
               onClick={handleSubmit}
               style={{
                 ...styles.button,
-                ...(!formData.agreement || isProcessing ? styles.buttonDisabled : {})
+                ...(!foodPlan || !formData.agreement || isProcessing ? styles.buttonDisabled : {})
               }}
-              disabled={!formData.agreement || isProcessing}
+              disabled={!foodPlan || !formData.agreement || isProcessing}
             >
               {isProcessing ? (
                 <>
@@ -611,7 +860,9 @@ function FoodSubscriptionPage() {
                   Processing...
                 </>
               ) : (
-                `Subscribe Now - LKR ${foodPlan.monthlyPrice.toLocaleString()}/month`
+                foodPlan
+                  ? `Subscribe Now - ${foodPlan.currency} ${foodPlan.price.toLocaleString()}/${cycleLabel}`
+                  : 'Choose a plan'
               )}
             </button>
           </div>
@@ -620,11 +871,140 @@ function FoodSubscriptionPage() {
             <strong>🔒 Secure Payment:</strong>
             Your payment is processed securely through PayHere, Sri Lanka's most trusted payment gateway.
             <br />
-            <strong>Auto-Renewal:</strong> Convenient monthly billing with full control to manage or cancel anytime.
+            <strong>Auto-Renewal:</strong> Billed every {cycleLabel} with full control to manage or cancel anytime.
           </div>
         </div>
       </div>
 
+      {subscriptions.length > 0 && (
+        <div style={styles.invoicesContainer}>
+          <h2 style={styles.formTitle}>Your Subscriptions</h2>
+          {subscriptions.map(subscription => {
+            const busy = subscriptionAction.startsWith(`${subscription.id}:`);
+            const canPause = subscription.status === 'active' && !subscription.cancellationScheduled;
+            const canCancel = ['active', 'paused'].includes(subscription.status);
+            const canReactivate = ['cancelled', 'expired'].includes(subscription.status) || subscription.cancellationScheduled;
+            const otherPlans = plans.filter(plan => plan.planId !== subscription.planId && plan.currency === subscription.currency);
+            const planChange = planChanges[subscription.id] || {};
+            const setPlanChange = (change) => setPlanChanges({ ...planChanges, [subscription.id]: { ...planChange, ...change } });
+
+            return (
+              <div key={subscription.id} style={styles.invoiceRow}>
+                <div>
+                  <strong>{subscription.planName}</strong> · {subscription.currency} {subscription.amount.toLocaleString()} per {CYCLE_LABELS[subscription.billingCycle] || 'month'}
+                  <div style={{ fontSize: '14px', color: '#64748b' }}>
+                    {subscription.status.toUpperCase()} · {describeSubscription(subscription)}
+                  </div>
+                </div>
+                <div style={styles.subscriptionActions}>
+                  {canPause && (
+                    <>
+                      <select
+                        value={pauseCycles[subscription.id] || 1}
+                        onChange={(e) => setPauseCycles({ ...pauseCycles, [subscription.id]: Number(e.target.value) })}
+                        disabled={busy}
+                        style={{ padding: '7px', borderRadius: '8px', border: '1px solid #e2e8f0' }}
+                      >
+                        {Array.from({ length: MAX_PAUSE_CYCLES }, (_, index) => index + 1).map(cycles => (
+                          <option key={cycles} value={cycles}>{cycles} {CYCLE_LABELS[subscription.billingCycle] || 'month'}{cycles > 1 ? 's' : ''}</option>
+                        ))}
+                      </select>
+                      <button type="button" onClick={() => manageSubscription(subscription, 'pause')} disabled={busy} style={styles.invoiceButton}>
+                        Pause
+                      </button>
+                    </>
+                  )}
+                  {canPause && otherPlans.length > 0 && (
+                    <>
+                      <select
+                        value={planChange.planId || ''}
+                        onChange={(e) => setPlanChange({ planId: e.target.value })}
+                        disabled={busy}
+                        style={{ padding: '7px', borderRadius: '8px', border: '1px solid #e2e8f0' }}
+                      >
+                        <option value="">Change plan...</option>
+                        {otherPlans.map(plan => (
+                          <option key={plan.planId} value={plan.planId}>
+                            {plan.name} ({plan.currency} {plan.price.toLocaleString()}/{CYCLE_LABELS[plan.billingCycle] || 'month'})
+                          </option>
+                        ))}
+                      </select>
+                      {planChange.planId && (
+                        <>
+                          <select
+                            value={planChange.timing || 'renewal'}
+                            onChange={(e) => setPlanChange({ timing: e.target.value })}
+                            disabled={busy}
+                            style={{ padding: '7px', borderRadius: '8px', border: '1px solid #e2e8f0' }}
+                          >
+                            <option value="renewal">At renewal</option>
+                            <option value="now">Now (prorated)</option>
+                          </select>
+                          <button type="button" onClick={() => changePlan(subscription)} disabled={busy} style={styles.invoiceButton}>
+                            Change plan
+                          </button>
+                        </>
+                      )}
+                    </>
+                  )}
+                  {subscription.pendingPlanChange && subscription.status === 'pending_renewal' && (
+                    <button type="button" onClick={() => payPlanChange(subscription)} disabled={busy} style={styles.invoiceButton}>
+                      Pay for {subscription.pendingPlanChange.planName}
+                    </button>
+                  )}
+                  {subscription.status === 'paused' && (
+                    <button type="button" onClick={() => manageSubscription(subscription, 'resume')} disabled={busy} style={styles.invoiceButton}>
+                      Resume
+                    </button>
+                  )}
+                  {canReactivate && (
+                    <button type="button" onClick={() => manageSubscription(subscription, 'reactivate')} disabled={busy} style={styles.invoiceButton}>
+                      Reactivate
+                    </button>
+                  )}
+                  {canCancel && subscription.status === 'active' && !subscription.cancellationScheduled && (
+                    <button type="button" onClick={() => manageSubscription(subscription, 'cancel')} disabled={busy} style={styles.dangerButton}>
+                      Cancel at period end
+                    </button>
+                  )}
+                  {canCancel && (
+                    <button type="button" onClick={() => manageSubscription(subscription, 'cancelNow')} disabled={busy} style={styles.dangerButton}>
+                      Cancel now
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {invoices.length > 0 && (
+        <div style={styles.invoicesContainer}>
+          <h2 style={styles.formTitle}>Your Invoices</h2>
+          {invoices.map(invoice => (
+            <div key={invoice.invoiceNumber} style={styles.invoiceRow}>
+              <div>
+                <strong>{invoice.invoiceNumber}</strong>
+                <div style={{ fontSize: '14px', color: '#64748b' }}>
+                  {invoice.description} · {new Date(invoice.paidAt || invoice.issuedAt).toLocaleDateString()}
+                </div>
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
+                <span>{invoice.currency} {invoice.total.toLocaleString()}</span>
+                <button
+                  type="button"
+                  onClick={() => downloadInvoice(invoice.invoiceNumber)}
+                  style={styles.invoiceButton}
+                >
+                  Download PDF
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <style>{`
         @keyframes spin {
           0% { transform: rotate(0deg); }
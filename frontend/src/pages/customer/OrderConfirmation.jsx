@@ -1,9 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
+import api from '../../services/api';
+import { showInvoice } from '../../services/invoices';
 
 const OrderConfirmation = () => {
   const { orderId } = useParams();
-  
+  const [invoiceError, setInvoiceError] = useState('');
+
+  // The invoice exists once the order is paid; cash and bank transfer orders get it later
+  const openInvoice = async (format) => {
+    setInvoiceError('');
+    try {
+      const invoice = await api.getOrderInvoice(orderId, format);
+      showInvoice(invoice, `invoice-${orderId}.pdf`, format);
+    } catch (error) {
+      console.error('Invoice error:', error);
+      setInvoiceError(error.message?.includes('status: 409')
+        ? 'Your invoice will be available once the payment is received.'
+        : 'Could not load the invoice. Please try again from My Orders.');
+    }
+  };
+
   // Mock order data
   const orderData = {
     id: orderId,
@@ -195,7 +212,22 @@ const OrderConfirmation = () => {
           >
             Continue Shopping
           </Link>
+          <button
+            onClick={() => openInvoice('pdf')}
+            className="px-6 py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors text-center"
+          >
+            Download Invoice
+          </button>
+          <button
+            onClick={() => openInvoice('html')}
+            className="px-6 py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors text-center"
+          >
+            View Invoice
+          </button>
         </div>
+        {invoiceError && (
+          <p className="mt-4 text-center text-red-800">{invoiceError}</p>
+        )}
 
         {/* Contact Support */}
         <div className="text-center mt-8 p-4 bg-gray-100 rounded-lg">
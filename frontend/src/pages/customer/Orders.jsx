@@ -1,67 +1,135 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import api from '../../services/api';
+import { redirectToPayHere } from '../../services/payhere';
+import { showInvoice } from '../../services/invoices';
 
 const Orders = () => {
   const [activeTab, setActiveTab] = useState('all');
-  
-  // Mock orders data
-  const orders = [
-    {
-      id: '123456',
-      date: '2024-03-15',
-      status: 'delivered',
-      total: 25.99,
-      items: [
-        { name: 'Fresh Apples', quantity: 2, price: 3.99 },
-        { name: 'Organic Carrots', quantity: 1, price: 2.49 },
-        { name: 'Fresh Bananas', quantity: 3, price: 1.99 }
-      ],
-      deliveredDate: '2024-03-17',
-      trackingNumber: 'GH123456789'
-    },
-    {
-      id: '123455',
-      date: '2024-03-10',
-      status: 'in_transit',
-      total: 18.47,
-      items: [
-        { name: 'Green Broccoli', quantity: 2, price: 2.99 },
-        { name: 'Fresh Oranges', quantity: 1, price: 4.49 }
-      ],
-      estimatedDelivery: '2024-03-16',
-      trackingNumber: 'GH123455678'
-    },
-    {
-      id: '123454',
-      date: '2024-03-05',
-      status: 'processing',
-      total: 32.15,
-      items: [
-        { name: 'Mixed Vegetables', quantity: 2, price: 5.99 },
-        { name: 'Fresh Apples', quantity: 3, price: 3.99 },
-        { name: 'Organic Carrots', quantity: 2, price: 2.49 }
-      ],
-      estimatedDelivery: '2024-03-18'
-    },
-    {
-      id: '123453',
-      date: '2024-02-28',
-      status: 'cancelled',
-      total: 15.98,
-      items: [
-        { name: 'Fresh Bananas', quantity: 4, price: 1.99 },
-        { name: 'Green Broccoli', quantity: 1, price: 2.99 }
-      ],
-      cancelledDate: '2024-03-01',
-      cancelReason: 'Customer requested cancellation'
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Status timelines keyed by order id, loaded when a timeline is opened
+  const [histories, setHistories] = useState({});
+  const [openTimeline, setOpenTimeline] = useState(null);
+
+  useEffect(() => {
+    fetchOrders();
+  }, []);
+
+  const fetchOrders = async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.getOrders();
+      setOrders((response.list || []).map(order => ({
+        id: order.orderId,
+        date: order.createdAt,
+        status: order.orderStatus,
+        paymentStatus: order.paymentStatus,
+        paymentMethod: order.paymentMethod,
+        total: order.totalAmount,
+        refunded: order.refundedAmount || 0,
+        currency: order.currency || 'LKR',
+        // Subscription boxes are paid for by the subscription itself
+        isSubscriptionBox: order.orderType === 'subscription',
+        deliveryDate: order.deliveryDate,
+        unavailableItems: order.subscription?.unavailableItems || [],
+        items: (order.items || []).map(item => ({
+          name: item.productName,
+          quantity: item.quantity,
+          price: item.price,
+          substitutedFor: item.substitutedFor
+        }))
+      })));
+    } catch (err) {
+      console.error('Failed to fetch orders:', err);
+      setError('Failed to load your orders. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleTimeline = async (orderId) => {
+    if (openTimeline === orderId) {
+      setOpenTimeline(null);
+      return;
+    }
+    setOpenTimeline(orderId);
+
+    try {
+      const response = await api.getOrderHistory(orderId);
+      setHistories(prev => ({ ...prev, [orderId]: response.history || [] }));
+    } catch (err) {
+      console.error('Failed to fetch order history:', err);
+      setHistories(prev => ({ ...prev, [orderId]: [] }));
+    }
+  };
+
+  const cancelOrder = async (orderId) => {
+    if (!window.confirm('Cancel this order?')) return;
+
+    try {
+      await api.cancelOrder(orderId, 'Cancelled by customer');
+      setHistories(prev => ({ ...prev, [orderId]: undefined }));
+      if (openTimeline === orderId) setOpenTimeline(null);
+      await fetchOrders();
+    } catch (err) {
+      console.error('Cancel order error:', err);
+      alert('Failed to cancel the order. Please try again.');
+    }
+  };
+
+  // Subscription boxes are skipped by pausing the subscription instead
+  const canCancel = (order) =>
+    !order.isSubscriptionBox && ['pending', 'confirmed', 'processing'].includes(order.status);
+
+  // Failed or abandoned PayHere payments can be paid again from here
+  const canPayAgain = (order) =>
+    order.paymentMethod === 'payhere' &&
+    ['pending', 'failed'].includes(order.status) &&
+    ['pending', 'failed'].includes(order.paymentStatus);
+
+  const payAgain = async (orderId) => {
+    try {
+      const response = await api.retryPayment(orderId);
+      redirectToPayHere(response.paymentData, response.checkoutUrl);
+    } catch (err) {
+      console.error('Pay again error:', err);
+      if (err.message?.includes('status: 409')) {
+        alert('Some products in this order have changed. They are back in your cart, please check out again.');
+        await fetchOrders();
+      } else {
+        alert(err.message?.includes('status: 400')
+          ? 'Some products in this order are no longer in stock.'
+          : 'Failed to start the payment. Please try again.');
+      }
     }
-  ];
+  };
+
+  // Paid orders (including refunded or disputed ones) have an invoice;
+  // a subscription box is on the subscription's invoice instead
+  const hasInvoice = (order) =>
+    !order.isSubscriptionBox &&
+    ['completed', 'partially_refunded', 'refunded', 'charged_back'].includes(order.paymentStatus);
+
+  const downloadInvoice = async (orderId) => {
+    try {
+      const invoice = await api.getOrderInvoice(orderId, 'pdf');
+      showInvoice(invoice, `invoice-${orderId}.pdf`);
+    } catch (err) {
+      console.error('Invoice download error:', err);
+      alert('Failed to download the invoice. Please try again.');
+    }
+  };
 
   const getStatusColor = (status) => {
     switch (status) {
       case 'delivered': return 'bg-green-100 text-green-800';
-      case 'in_transit': return 'bg-blue-100 text-blue-800';
+      case 'shipped': return 'bg-blue-100 text-blue-800';
+      case 'confirmed':
       case 'processing': return 'bg-yellow-100 text-yellow-800';
+      case 'refunded': return 'bg-purple-100 text-purple-800';
+      case 'failed':
       case 'cancelled': return 'bg-red-100 text-red-800';
       default: return 'bg-gray-100 text-gray-800';
     }
@@ -69,16 +137,23 @@ const Orders = () => {
 
   const getStatusText = (status) => {
     switch (status) {
-      case 'delivered': return 'Delivered';
-      case 'in_transit': return 'In Transit';
+      case 'pending': return 'Awaiting Payment';
+      case 'confirmed': return 'Confirmed';
       case 'processing': return 'Processing';
+      case 'shipped': return 'Shipped';
+      case 'delivered': return 'Delivered';
       case 'cancelled': return 'Cancelled';
+      case 'refunded': return 'Refunded';
+      case 'failed': return 'Payment Failed';
       default: return status;
     }
   };
 
+  const formatCurrency = (amount, currency = 'LKR') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
   const filteredOrders = orders.filter(order => {
     if (activeTab === 'all') return true;
+    if (activeTab === 'processing') return ['confirmed', 'processing'].includes(order.status);
     return order.status === activeTab;
   });
 
@@ -93,8 +168,9 @@ const Orders = () => {
             <nav className="flex">
               {[
                 { id: 'all', label: 'All Orders', count: orders.length },
-                { id: 'processing', label: 'Processing', count: orders.filter(o => o.status === 'processing').length },
-                { id: 'in_transit', label: 'In Transit', count: orders.filter(o => o.status === 'in_transit').length },
+                { id: 'pending', label: 'Awaiting Payment', count: orders.filter(o => o.status === 'pending').length },
+                { id: 'processing', label: 'Processing', count: orders.filter(o => ['confirmed', 'processing'].includes(o.status)).length },
+                { id: 'shipped', label: 'Shipped', count: orders.filter(o => o.status === 'shipped').length },
                 { id: 'delivered', label: 'Delivered', count: orders.filter(o => o.status === 'delivered').length },
                 { id: 'cancelled', label: 'Cancelled', count: orders.filter(o => o.status === 'cancelled').length }
               ].map(tab => (
@@ -120,7 +196,20 @@ const Orders = () => {
         </div>
 
         {/* Orders List */}
-        {filteredOrders.length === 0 ? (
+        {isLoading ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">Loading your orders...</div>
+        ) : error ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center">
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={fetchOrders}
+              className="px-6 py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+              style={{backgroundColor: '#51ac37'}}
+            >
+              Try Again
+            </button>
+          </div>
+        ) : filteredOrders.length === 0 ? (
           <div className="bg-white rounded-lg shadow-md p-8 text-center">
             <div className="mb-4">
               <svg className="mx-auto h-16 w-16 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -148,6 +237,11 @@ const Orders = () => {
                       <div>
                         <h3 className="text-sm font-medium text-gray-600">Order Number</h3>
                         <p className="text-lg font-semibold text-gray-800">#{order.id}</p>
+                        {order.isSubscriptionBox && (
+                          <p className="text-xs text-green-700">
+                            Subscription box{order.deliveryDate && ` · delivery by ${new Date(order.deliveryDate).toLocaleDateString()}`}
+                          </p>
+                        )}
                       </div>
                       <div>
                         <h3 className="text-sm font-medium text-gray-600">Order Date</h3>
@@ -155,7 +249,14 @@ const Orders = () => {
                       </div>
                       <div>
                         <h3 className="text-sm font-medium text-gray-600">Total</h3>
-                        <p className="text-lg font-semibold" style={{color: '#51ac37'}}>${order.total.toFixed(2)}</p>
+                        {order.isSubscriptionBox ? (
+                          <p className="text-lg font-semibold" style={{color: '#51ac37'}}>Included in subscription</p>
+                        ) : (
+                          <p className="text-lg font-semibold" style={{color: '#51ac37'}}>{formatCurrency(order.total, order.currency)}</p>
+                        )}
+                        {order.refunded > 0 && (
+                          <p className="text-xs text-purple-700">Refunded {formatCurrency(order.refunded, order.currency)}</p>
+                        )}
                       </div>
                     </div>
                     
@@ -172,13 +273,13 @@ const Orders = () => {
                           View Details
                         </Link>
                         
-                        {order.status === 'in_transit' && (
-                          <button className="px-4 py-2 text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity"
-                            style={{backgroundColor: '#51ac37'}}
-                          >
-                            Track Order
-                          </button>
-                        )}
+                        <button
+                          onClick={() => toggleTimeline(order.id)}
+                          className="px-4 py-2 text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity"
+                          style={{backgroundColor: '#51ac37'}}
+                        >
+                          {openTimeline === order.id ? 'Hide Timeline' : 'Track Order'}
+                        </button>
                         
                         {order.status === 'delivered' && (
                           <button className="px-4 py-2 text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity"
@@ -203,61 +304,78 @@ const Orders = () => {
                             <div>
                               <span className="font-medium text-gray-800">{item.name}</span>
                               <span className="text-gray-600 ml-2">x{item.quantity}</span>
+                              {item.substitutedFor && (
+                                <p className="text-xs text-gray-500">Instead of {item.substitutedFor}, which was out of stock</p>
+                              )}
                             </div>
-                            <span className="font-medium text-gray-800">
-                              ${(item.price * item.quantity).toFixed(2)}
-                            </span>
+                            {!order.isSubscriptionBox && (
+                              <span className="font-medium text-gray-800">
+                                {formatCurrency(item.price * item.quantity, order.currency)}
+                              </span>
+                            )}
                           </div>
                         ))}
+                        {order.unavailableItems.length > 0 && (
+                          <p className="text-sm text-gray-600">
+                            Not available this time: {order.unavailableItems.map(line => [line.quantity, line.unit, line.item].filter(Boolean).join(' ')).join(', ')}
+                          </p>
+                        )}
                       </div>
                     </div>
 
                     <div>
-                      <h4 className="text-lg font-semibold text-gray-800 mb-4">Order Status</h4>
-                      <div className="space-y-3">
-                        {order.status === 'delivered' && (
-                          <div>
-                            <p className="text-sm text-gray-600">Delivered on</p>
-                            <p className="font-medium text-gray-800">{new Date(order.deliveredDate).toLocaleDateString()}</p>
-                          </div>
-                        )}
-                        
-                        {(order.status === 'in_transit' || order.status === 'processing') && (
-                          <div>
-                            <p className="text-sm text-gray-600">Estimated Delivery</p>
-                            <p className="font-medium text-gray-800">{new Date(order.estimatedDelivery).toLocaleDateString()}</p>
-                          </div>
-                        )}
-                        
-                        {order.status === 'cancelled' && (
-                          <div>
-                            <p className="text-sm text-gray-600">Cancelled on</p>
-                            <p className="font-medium text-gray-800">{new Date(order.cancelledDate).toLocaleDateString()}</p>
-                            <p className="text-sm text-gray-600 mt-2">Reason: {order.cancelReason}</p>
-                          </div>
-                        )}
-                        
-                        {order.trackingNumber && (
-                          <div>
-                            <p className="text-sm text-gray-600">Tracking Number</p>
-                            <p className="font-medium text-gray-800">{order.trackingNumber}</p>
-                          </div>
-                        )}
-                      </div>
+                      <h4 className="text-lg font-semibold text-gray-800 mb-4">Order Timeline</h4>
+                      {openTimeline !== order.id ? (
+                        <p className="text-sm text-gray-600">Select "Track Order" to see every status change.</p>
+                      ) : !histories[order.id] ? (
+                        <p className="text-sm text-gray-600">Loading timeline...</p>
+                      ) : histories[order.id].length === 0 ? (
+                        <p className="text-sm text-gray-600">No status changes recorded yet.</p>
+                      ) : (
+                        <ol className="relative border-l border-gray-200 ml-2">
+                          {histories[order.id].map((change, index) => (
+                            <li key={index} className="mb-4 ml-4">
+                              <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full" style={{backgroundColor: '#51ac37'}} />
+                              <p className="font-medium text-gray-800">{getStatusText(change.to)}</p>
+                              <p className="text-sm text-gray-600">{new Date(change.changedAt).toLocaleString()}</p>
+                              {change.reason && <p className="text-sm text-gray-600">{change.reason}</p>}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
                     </div>
                   </div>
                 </div>
 
                 {/* Order Actions */}
-                {order.status === 'processing' && (
+                {(canCancel(order) || canPayAgain(order) || hasInvoice(order)) && (
                   <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
                     <div className="flex justify-end space-x-3">
-                      <button className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors">
-                        Modify Order
-                      </button>
-                      <button className="px-4 py-2 border border-red-300 text-red-700 text-sm font-medium rounded-lg hover:bg-red-50 transition-colors">
-                        Cancel Order
-                      </button>
+                      {hasInvoice(order) && (
+                        <button
+                          onClick={() => downloadInvoice(order.id)}
+                          className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-100 transition-colors"
+                        >
+                          Download Invoice
+                        </button>
+                      )}
+                      {canPayAgain(order) && (
+                        <button
+                          onClick={() => payAgain(order.id)}
+                          className="px-4 py-2 text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity"
+                          style={{backgroundColor: '#51ac37'}}
+                        >
+                          Pay Again
+                        </button>
+                      )}
+                      {canCancel(order) && (
+                        <button
+                          onClick={() => cancelOrder(order.id)}
+                          className="px-4 py-2 border border-red-300 text-red-700 text-sm font-medium rounded-lg hover:bg-red-50 transition-colors"
+                        >
+                          Cancel Order
+                        </button>
+                      )}
                     </div>
                   </div>
                 )}
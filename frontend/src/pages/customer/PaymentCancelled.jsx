@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../../services/api';
+
+const PaymentCancelled = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const orderId = searchParams.get('order_id');
+  // restoring | restored | paid | error
+  const [state, setState] = useState(orderId ? 'restoring' : 'restored');
+
+  useEffect(() => {
+    if (!orderId) return;
+
+    // Cancel the unpaid order so its stock is freed and its products go back in the cart
+    api.cancelPayment(orderId)
+      .then(() => setState('restored'))
+      .catch((error) => {
+        console.error('Failed to cancel payment:', error);
+        // 409: PayHere confirmed the payment after all
+        setState(error.message?.includes('status: 409') ? 'paid' : 'error');
+      });
+  }, [orderId]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          {state === 'restoring' && (
+            <p className="text-gray-600">Cancelling your payment...</p>
+          )}
+
+          {state === 'restored' && (
+            <>
+              <h1 className="text-2xl font-bold text-gray-800 mb-2">Payment Cancelled</h1>
+              <p className="text-gray-600 mb-6">
+                No money was taken. Your items are back in your cart whenever you are ready to check out.
+              </p>
+              <button
+                onClick={() => navigate('/cart')}
+                className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+                style={{backgroundColor: '#51ac37'}}
+              >
+                Back to Cart
+              </button>
+            </>
+          )}
+
+          {state === 'paid' && (
+            <>
+              <h1 className="text-2xl font-bold text-gray-800 mb-2">Payment Already Received</h1>
+              <p className="text-gray-600 mb-6">This order was paid, so it was not cancelled.</p>
+              <button
+                onClick={() => navigate(`/payment/status?order_id=${orderId}`)}
+                className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+                style={{backgroundColor: '#51ac37'}}
+              >
+                View Payment Status
+              </button>
+            </>
+          )}
+
+          {state === 'error' && (
+            <>
+              <h1 className="text-2xl font-bold text-gray-800 mb-2">Payment Cancelled</h1>
+              <p className="text-gray-600 mb-6">
+                We could not update your order right now. Unpaid orders are released automatically after a short while.
+              </p>
+              <button
+                onClick={() => navigate('/cart')}
+                className="w-full py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Back to Cart
+              </button>
+            </>
+          )}
+
+          {orderId && (
+            <p className="mt-4 text-sm text-gray-500">Order ID: {orderId}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentCancelled;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import api from '../../services/api';
+import { redirectToPayHere } from '../../services/payhere';
+
+// PayHere redirects here before its notification reaches the backend,
+// so keep asking until the order is settled (about two minutes at most)
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLLS = 40;
+
+const PaymentStatus = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const orderId = searchParams.get('order_id');
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [polls, setPolls] = useState(0);
+  const [retrying, setRetrying] = useState(false);
+  const [retryError, setRetryError] = useState('');
+
+  useEffect(() => {
+    if (!orderId) return;
+    if (status?.settled || polls >= MAX_POLLS) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.getPaymentStatus(orderId);
+        setStatus(response);
+        setError('');
+      } catch (error) {
+        console.error('Failed to load payment status:', error);
+        if (error.message?.includes('status: 404')) {
+          setError('We could not find this order.');
+          setPolls(MAX_POLLS);
+          return;
+        }
+        if (error.message?.includes('status: 401') || error.message?.includes('status: 403')) {
+          setError('Please log in with the account you ordered with to see this payment.');
+          setPolls(MAX_POLLS);
+          return;
+        }
+      }
+      setPolls((count) => count + 1);
+    }, polls === 0 ? 0 : POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [orderId, status, polls]);
+
+  const checkAgain = () => {
+    setError('');
+    setPolls(0);
+  };
+
+  // Same order, same prices: the backend re-checks stock and signs a new PayHere checkout
+  const payAgain = async () => {
+    setRetrying(true);
+    setRetryError('');
+    try {
+      const response = await api.retryPayment(orderId);
+      redirectToPayHere(response.paymentData, response.checkoutUrl);
+    } catch (error) {
+      console.error('Payment retry failed:', error);
+      if (error.message?.includes('status: 409')) {
+        setRetryError('Some products in this order have changed. They are back in your cart, please check out again.');
+      } else if (error.message?.includes('status: 400')) {
+        setRetryError('Some products in this order are no longer in stock. Please update your cart and check out again.');
+      } else {
+        setRetryError('Could not start the payment again. Please try again later.');
+      }
+      setRetrying(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (!orderId) {
+      return <p className="text-gray-600">No order was given. Check your orders for the latest status.</p>;
+    }
+
+    if (error) {
+      return <p className="text-red-800">{error}</p>;
+    }
+
+    if (!status || !status.settled) {
+      const gaveUp = polls >= MAX_POLLS;
+      return (
+        <>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">
+            {status?.outcome === 'review' ? 'Payment under review' : 'Confirming your payment...'}
+          </h1>
+          <p className="text-gray-600 mb-6">
+            {status?.outcome === 'review'
+              ? 'We need to check this payment before confirming your order. We will update your order shortly.'
+              : gaveUp
+                ? 'PayHere has not confirmed the payment yet. This can take a few minutes.'
+                : 'Please wait while PayHere confirms your payment. Do not pay again.'}
+          </p>
+          {gaveUp && (
+            <button
+              onClick={checkAgain}
+              className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+              style={{backgroundColor: '#51ac37'}}
+            >
+              Check Again
+            </button>
+          )}
+        </>
+      );
+    }
+
+    if (status.outcome === 'paid' || status.outcome === 'awaiting_payment') {
+      return (
+        <>
+          <div className="mx-auto mb-4 w-16 h-16 rounded-full flex items-center justify-center text-white text-2xl" style={{backgroundColor: '#51ac37'}}>
+            ✓
+          </div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Order Confirmed!</h1>
+          <p className="text-gray-600 mb-4">
+            {status.outcome === 'paid'
+              ? `We received your payment of ${status.currency} ${status.amount.toFixed(2)}.`
+              : 'Your order is placed and waiting for payment.'}
+          </p>
+          <div className="mb-6 text-left space-y-1">
+            {status.items.map((item, index) => (
+              <div key={index} className="flex justify-between text-sm text-gray-700">
+                <span>{item.productName} x {item.quantity}</span>
+                <span>Rs {(item.price * item.quantity).toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={() => navigate('/orders')}
+            className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+            style={{backgroundColor: '#51ac37'}}
+          >
+            View My Orders
+          </button>
+        </>
+      );
+    }
+
+    if (status.outcome === 'cancelled') {
+      return (
+        <>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Payment Cancelled</h1>
+          <p className="text-gray-600 mb-6">No money was taken. Your items are still in your cart.</p>
+          <button
+            onClick={() => navigate(`/payment/cancelled?order_id=${status.orderId}`)}
+            className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+            style={{backgroundColor: '#51ac37'}}
+          >
+            Back to Cart
+          </button>
+        </>
+      );
+    }
+
+    if (status.outcome === 'failed') {
+      return (
+        <>
+          <div className="mx-auto mb-4 w-16 h-16 rounded-full flex items-center justify-center text-white text-2xl bg-red-500">
+            !
+          </div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">Payment Failed</h1>
+          <p className="text-gray-600 mb-6">
+            PayHere could not take the payment and no money was charged. You can pay again for the same order.
+          </p>
+          {retryError && <p className="mb-4 text-red-800">{retryError}</p>}
+          <div className="space-y-3">
+            <button
+              onClick={payAgain}
+              disabled={retrying}
+              className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{backgroundColor: '#51ac37'}}
+            >
+              {retrying ? 'Processing...' : 'Pay Again'}
+            </button>
+            <button
+              onClick={() => navigate('/cart')}
+              className="w-full py-3 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Back to Cart
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    // Refunded or disputed before the customer got back here
+    return (
+      <>
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Order {status.orderStatus}</h1>
+        <p className="text-gray-600 mb-6">Payment status: {status.paymentStatus}</p>
+        <button
+          onClick={() => navigate('/orders')}
+          className="w-full py-3 text-white font-medium rounded-lg hover:opacity-90 transition-opacity"
+          style={{backgroundColor: '#51ac37'}}
+        >
+          View My Orders
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-md p-6 text-center">
+          {renderBody()}
+          {orderId && (
+            <p className="mt-4 text-sm text-gray-500">Order ID: {orderId}</p>
+          )}
+          <p className="mt-2 text-sm">
+            <Link to="/orders" className="text-gray-600 underline">My orders</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentStatus;
@@ -13,7 +13,8 @@ const AddProduct = () => {
     unit: 'kg',
     isOrganic: false,
     harvestDate: '',
-    expiryDate: ''
+    expiryDate: '',
+    weight: ''
   });
   const [selectedImage, setSelectedImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
@@ -126,6 +127,8 @@ const AddProduct = () => {
         expiryDate: formData.expiryDate,
         images: selectedImage ? [imagePreview] : [],  // Backend expects 'images' array
         category: formData.category,
+        // kg per unit, for weight-based shipping; a kg is a kg when left blank
+        weight: parseFloat(formData.weight) || (formData.unit === 'kg' ? 1 : 0),
         unit: formData.unit,
         isOrganic: formData.isOrganic,
         harvestDate: formData.harvestDate
@@ -265,6 +268,26 @@ const AddProduct = () => {
                 {errors.quantity && <p className="text-red-600 text-sm mt-1">{errors.quantity}</p>}
               </div>
 
+              {/* Weight */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Weight per Unit (kg)
+                </label>
+                <input
+                  type="number"
+                  name="weight"
+                  value={formData.weight}
+                  onChange={handleChange}
+                  step="0.01"
+                  min="0"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder={formData.unit === 'kg' ? '1' : '0.00'}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Used to work out delivery charges by weight.
+                </p>
+              </div>
+
               {/* Harvest Date */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -6,6 +6,9 @@ const FarmerDashboard = () => {
   const [status, setStatus] = useState({ subscriptionPaid: false, farmerStatus: '' });
   const [loadingPay, setLoadingPay] = useState(false);
   const [error, setError] = useState('');
+  const [earnings, setEarnings] = useState(null);
+  const [earningsError, setEarningsError] = useState('');
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     // Attempt to decode stored token payload (simple)
@@ -20,6 +23,45 @@ const FarmerDashboard = () => {
     }
   }, []);
 
+  useEffect(() => {
+    const fetchEarnings = async () => {
+      try {
+        setEarnings(await api.getFarmerEarnings(20));
+      } catch (e) {
+        console.error('Failed to fetch earnings:', e);
+        setEarningsError('Could not load your earnings.');
+      }
+    };
+    fetchEarnings();
+  }, []);
+
+  const handleExportEarnings = async () => {
+    try {
+      setExporting(true);
+      const blob = await api.exportFarmerEarnings();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `earnings-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error('Earnings export failed:', e);
+      setEarningsError('Could not export your earnings.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatLkr = (amount) => `LKR ${Number(amount || 0).toFixed(2)}`;
+
+  const ledgerTypeLabels = {
+    sale: 'Sale',
+    commission: 'Commission',
+    refund: 'Refund',
+    adjustment: 'Adjustment'
+  };
+
   const handlePay = async () => {
     try {
       setLoadingPay(true);
@@ -307,6 +349,84 @@ const FarmerDashboard = () => {
           </div>
         </div>
 
+        {/* Earnings */}
+        <div className="bg-white rounded-lg shadow-md overflow-hidden mb-8">
+          <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800">Earnings</h2>
+              {earnings && (
+                <p className="text-sm text-gray-600">Platform commission: {earnings.commissionRate}% of item sales</p>
+              )}
+            </div>
+            <button
+              onClick={handleExportEarnings}
+              disabled={exporting}
+              className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export CSV'}
+            </button>
+          </div>
+
+          {earningsError && <div className="px-6 pt-4 text-sm text-red-600">{earningsError}</div>}
+
+          {earnings && (
+            <div className="p-6">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <div>
+                  <p className="text-sm text-gray-500">Net Earnings</p>
+                  <p className="text-lg font-semibold" style={{color: '#51ac37'}}>{formatLkr(earnings.summary.netEarnings)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Commission Paid</p>
+                  <p className="text-lg font-semibold text-gray-800">{formatLkr(-earnings.summary.commission)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Unsettled Balance</p>
+                  <p className="text-lg font-semibold text-gray-800">{formatLkr(earnings.summary.unsettledBalance)}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Paid Out</p>
+                  <p className="text-lg font-semibold text-gray-800">{formatLkr(earnings.summary.paidOut)}</p>
+                  {earnings.summary.awaitingPayout > 0 && (
+                    <p className="text-xs text-gray-500">{formatLkr(earnings.summary.awaitingPayout)} awaiting payout</p>
+                  )}
+                </div>
+              </div>
+
+              {earnings.entries.length === 0 ? (
+                <p className="text-gray-600 text-sm">No earnings yet. Sales appear here once orders are paid.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-2 pr-4">Date</th>
+                        <th className="py-2 pr-4">Type</th>
+                        <th className="py-2 pr-4">Description</th>
+                        <th className="py-2 pr-4 text-right">Amount</th>
+                        <th className="py-2">Settlement</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {earnings.entries.map(entry => (
+                        <tr key={entry._id}>
+                          <td className="py-2 pr-4 text-gray-600">{new Date(entry.createdAt).toLocaleDateString()}</td>
+                          <td className="py-2 pr-4">{ledgerTypeLabels[entry.type] || entry.type}</td>
+                          <td className="py-2 pr-4 text-gray-600">{entry.description}</td>
+                          <td className={`py-2 pr-4 text-right font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                            {formatLkr(entry.amount)}
+                          </td>
+                          <td className="py-2 text-gray-600">{entry.settlementId || 'Unsettled'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Recent Orders */}
           <div className="bg-white rounded-lg shadow-md overflow-hidden">
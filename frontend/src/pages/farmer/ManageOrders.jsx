@@ -9,15 +9,24 @@ const ManageOrders = () => {
   const [selectedStatus, setSelectedStatus] = useState('All');
   const [searchTerm, setSearchTerm] = useState('');
 
-  const statusOptions = ['All', 'pending', 'confirmed', 'preparing', 'shipped', 'delivered', 'cancelled'];
+  const statusOptions = ['All', 'pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
   
   const statusColors = {
     pending: 'bg-yellow-100 text-yellow-800',
     confirmed: 'bg-blue-100 text-blue-800',
-    preparing: 'bg-purple-100 text-purple-800',
+    processing: 'bg-purple-100 text-purple-800',
     shipped: 'bg-green-100 text-green-800',
     delivered: 'bg-green-100 text-green-800',
-    cancelled: 'bg-red-100 text-red-800'
+    cancelled: 'bg-red-100 text-red-800',
+    refunded: 'bg-gray-100 text-gray-800',
+    failed: 'bg-red-100 text-red-800'
+  };
+
+  // Next fulfilment step for a single item
+  const nextItemStatus = {
+    pending: { status: 'processing', label: 'Start Preparing' },
+    processing: { status: 'shipped', label: 'Mark Shipped' },
+    shipped: { status: 'delivered', label: 'Mark Delivered' }
   };
 
   useEffect(() => {
@@ -42,13 +51,14 @@ const ManageOrders = () => {
     }
   };
 
-  const updateOrderStatus = async (orderId, newStatus) => {
+  // Moves this farmer's items in the order; without a productId all of them move together
+  const updateOrderStatus = async (orderId, newStatus, productId = null) => {
     try {
-      await api.put(`/orders/${orderId}`, { status: newStatus });
+      const response = await api.updateOrderItemStatus(orderId, productId, newStatus);
       
       setOrders(orders.map(order => 
         order.id === orderId 
-          ? { ...order, status: newStatus }
+          ? response.order
           : order
       ));
       
@@ -156,7 +166,7 @@ const ManageOrders = () => {
                   <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
                     <div>
                       <h3 className="text-lg font-semibold text-gray-800">
-                        Order #{order.id}
+                        Order #{order.subOrderId || order.id}
                       </h3>
                       <p className="text-gray-600">
                         Customer: {order.customer || order.customerName || 'Unknown Customer'}
@@ -164,6 +174,11 @@ const ManageOrders = () => {
                       <p className="text-sm text-gray-500">
                         Ordered: {formatDate(order.createdAt || order.date)}
                       </p>
+                      {order.orderType === 'subscription' && (
+                        <span className="inline-block mt-1 px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                          Subscription box{order.deliveryDate && ` · deliver by ${new Date(order.deliveryDate).toLocaleDateString()}`}
+                        </span>
+                      )}
                     </div>
                     <div className="mt-2 sm:mt-0 flex items-center space-x-3">
                       <span className={`px-3 py-1 text-sm font-medium rounded-full ${statusColors[order.status] || 'bg-gray-100 text-gray-800'}`}>
@@ -186,15 +201,38 @@ const ManageOrders = () => {
                             <span className="text-gray-500 ml-2">
                               (Qty: {item.quantity} {item.unit || 'units'})
                             </span>
+                            {item.substitutedFor && (
+                              <p className="text-xs text-gray-500">Substitute for {item.substitutedFor}</p>
+                            )}
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[item.status] || 'bg-gray-100 text-gray-800'}`}>
+                              {item.status}
+                            </span>
+                            {order.orderStatus !== 'pending' && nextItemStatus[item.status] && (
+                              <button
+                                onClick={() => updateOrderStatus(order.id, nextItemStatus[item.status].status, item.productId)}
+                                className="text-xs font-medium text-green-700 hover:underline"
+                              >
+                                {nextItemStatus[item.status].label}
+                              </button>
+                            )}
+                            <span className="font-medium text-gray-800">
+                              ${(item.price * item.quantity).toFixed(2)}
+                            </span>
                           </div>
-                          <span className="font-medium text-gray-800">
-                            ${(item.price * item.quantity).toFixed(2)}
-                          </span>
                         </div>
                       ))}
                     </div>
                   </div>
 
+                  {order.deliveryFee > 0 && (
+                    <div className="mb-4 flex justify-between text-sm text-gray-600">
+                      <span>Delivery fee</span>
+                      <span>${order.deliveryFee.toFixed(2)}</span>
+                    </div>
+                  )}
+
                   {/* Customer Details */}
                   {order.shippingAddress && (
                     <div className="mb-4">
@@ -211,32 +249,21 @@ const ManageOrders = () => {
                   {/* Action Buttons */}
                   <div className="flex flex-wrap gap-2 pt-4 border-t border-gray-200">
                     {order.status === 'pending' && (
-                      <>
-                        <button
-                          onClick={() => updateOrderStatus(order.id, 'confirmed')}
-                          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
-                        >
-                          Confirm Order
-                        </button>
-                        <button
-                          onClick={() => updateOrderStatus(order.id, 'cancelled')}
-                          className="px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 transition-colors"
-                        >
-                          Cancel Order
-                        </button>
-                      </>
+                      <span className="px-4 py-2 text-sm text-gray-600">
+                        Awaiting customer payment
+                      </span>
                     )}
                     
                     {order.status === 'confirmed' && (
                       <button
-                        onClick={() => updateOrderStatus(order.id, 'preparing')}
+                        onClick={() => updateOrderStatus(order.id, 'processing')}
                         className="px-4 py-2 bg-purple-600 text-white text-sm font-medium rounded-lg hover:bg-purple-700 transition-colors"
                       >
                         Start Preparing
                       </button>
                     )}
                     
-                    {order.status === 'preparing' && (
+                    {order.status === 'processing' && (
                       <button
                         onClick={() => updateOrderStatus(order.id, 'shipped')}
                         className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
@@ -284,7 +311,7 @@ const ManageOrders = () => {
               </div>
               <div className="text-center">
                 <div className="text-2xl font-bold text-blue-600">
-                  {filteredOrders.filter(order => ['confirmed', 'preparing'].includes(order.status)).length}
+                  {filteredOrders.filter(order => ['confirmed', 'processing'].includes(order.status)).length}
                 </div>
                 <div className="text-sm text-gray-600">In Progress</div>
               </div>
@@ -48,6 +48,17 @@ class ApiService {
     }
   }
 
+  // The server's own message from an error thrown by request(), else the error's message
+  errorMessage(error) {
+    const body = error.message?.split(' - ').slice(1).join(' - ');
+    try {
+      const parsed = JSON.parse(body);
+      return parsed.message || parsed.error || error.message;
+    } catch {
+      return error.message;
+    }
+  }
+
   // GET request
   async get(endpoint) {
     return this.request(endpoint, { method: 'GET' });
@@ -74,6 +85,20 @@ class ApiService {
     return this.request(endpoint, { method: 'DELETE' });
   }
 
+  // GET a file (PDF, HTML) with the auth header, as a Blob
+  async getBlob(endpoint) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
+    }
+    return response.blob();
+  }
+
   // User Authentication Methods
   async login(credentials) {
     return this.post('/users/login', credentials);
@@ -146,11 +171,132 @@ class ApiService {
     return this.post(`/users/admin/farmers/${id}/decline`, { reason });
   }
 
+  // Admin chargeback disputes
+  async getDisputeSummary() {
+    return this.get('/disputes/summary');
+  }
+
+  async listDisputes(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(`/disputes${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async addDisputeEvidence(disputeId, evidence) {
+    return this.post(`/disputes/${disputeId}/evidence`, evidence);
+  }
+
+  async resolveDispute(disputeId, outcome, note = '') {
+    return this.post(`/disputes/${disputeId}/resolve`, { outcome, note });
+  }
+
+  // Admin: tax and shipping rules
+  async getPricingRules() {
+    return this.get('/pricing/rules');
+  }
+
+  async savePricingRule(kind, rule) {
+    // kind is 'tax' or 'shipping'
+    return rule._id
+      ? this.put(`/pricing/${kind}-rules/${rule._id}`, rule)
+      : this.post(`/pricing/${kind}-rules`, rule);
+  }
+
+  async deletePricingRule(kind, ruleId) {
+    return this.delete(`/pricing/${kind}-rules/${ruleId}`);
+  }
+
+  // Promotions
+  async getPromotions() {
+    return this.get('/promotions');
+  }
+
+  // Admin: every promotion with its usage
+  async getAllPromotions() {
+    return this.get('/promotions/all');
+  }
+
+  async savePromotion(promotion) {
+    return promotion._id
+      ? this.put(`/promotions/${promotion._id}`, promotion)
+      : this.post('/promotions', promotion);
+  }
+
+  async deletePromotion(promotionId) {
+    return this.delete(`/promotions/${promotionId}`);
+  }
+
+  // Food subscription plans
+  async getSubscriptionPlans() {
+    return this.get('/subscription-plans');
+  }
+
+  // Admin: every plan with its active subscriptions
+  async getAllSubscriptionPlans() {
+    return this.get('/subscription-plans/all');
+  }
+
+  async saveSubscriptionPlan(plan) {
+    // Saved plans have an _id; planId is chosen when the plan is created
+    return plan._id
+      ? this.put(`/subscription-plans/${plan.planId}`, plan)
+      : this.post('/subscription-plans', plan);
+  }
+
+  async deleteSubscriptionPlan(planId) {
+    return this.delete(`/subscription-plans/${planId}`);
+  }
+
+  // The customer's own food subscriptions
+  async getMySubscriptions() {
+    return this.get('/subscriptions/mine');
+  }
+
+  async cancelSubscription(subscriptionId, { immediately = false, reason } = {}) {
+    return this.post(`/subscriptions/${subscriptionId}/cancel`, { immediately, reason });
+  }
+
+  async pauseSubscription(subscriptionId, cycles) {
+    return this.post(`/subscriptions/${subscriptionId}/pause`, { cycles });
+  }
+
+  // Resume and reactivate return a PayHere checkout that restarts the charges
+  async resumeSubscription(subscriptionId) {
+    return this.post(`/subscriptions/${subscriptionId}/resume`);
+  }
+
+  async reactivateSubscription(subscriptionId) {
+    return this.post(`/subscriptions/${subscriptionId}/reactivate`);
+  }
+
+  // timing is 'now' (prorated) or 'renewal'
+  async previewPlanChange(subscriptionId, planId, timing) {
+    return this.get(`/subscriptions/${subscriptionId}/plan-change?planId=${encodeURIComponent(planId)}&timing=${timing}`);
+  }
+
+  async changeSubscriptionPlan(subscriptionId, planId, timing) {
+    return this.post(`/subscriptions/${subscriptionId}/plan-change`, { planId, timing });
+  }
+
+  // Checkout for a plan change scheduled at renewal, once the current period has ended
+  async payPlanChange(subscriptionId) {
+    return this.post(`/subscriptions/${subscriptionId}/plan-change/checkout`);
+  }
+
   // Cart Methods
   async getCart() {
     return this.get('/cart');
   }
 
+  // Cart totals with tax and shipping to a city/district, after an optional promo code
+  async getCartQuote({ city, district, promoCode } = {}) {
+    const params = new URLSearchParams();
+    if (city) params.set('city', city);
+    if (district) params.set('district', district);
+    if (promoCode) params.set('promoCode', promoCode);
+    const query = params.toString();
+    return this.get(`/cart/quote${query ? `?${query}` : ''}`);
+  }
+
   async addToCart(productId, quantity = 1) {
     return this.post('/cart/add', { productId, quantity });
   }
@@ -185,6 +331,44 @@ class ApiService {
     return this.put(`/orders/${id}`, orderData);
   }
 
+  async cancelOrder(id, reason) {
+    return this.request(`/orders/${id}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async getOrderHistory(id) {
+    return this.get(`/orders/${id}/history`);
+  }
+
+  async getOrderRefunds(id) {
+    return this.get(`/orders/${id}/refunds`);
+  }
+
+  // Admin: items omitted refunds everything still paid, otherwise [{ productId, quantity }]
+  async refundOrder(id, { items, reason, restock = true }) {
+    return this.post(`/orders/${id}/refunds`, { items, reason, restock });
+  }
+
+  // Invoices: format is 'pdf' or 'html'
+  async getOrderInvoice(orderId, format = 'pdf') {
+    return this.getBlob(`/invoices/orders/${orderId}?format=${format}`);
+  }
+
+  async getInvoice(invoiceNumber, format = 'pdf') {
+    return this.getBlob(`/invoices/${invoiceNumber}?format=${format}`);
+  }
+
+  async getMySubscriptionInvoices() {
+    return this.get('/invoices/subscriptions');
+  }
+
+  // Admin: cash collected or a bank transfer received for the order
+  async confirmOrderPayment(id, { reference, note } = {}) {
+    return this.post(`/orders/${id}/confirm-payment`, { reference, note });
+  }
+
   // Farmer-specific order methods
   async getFarmerOrders() {
     return this.get('/orders/farmer');
@@ -202,12 +386,27 @@ class ApiService {
   async createCartPayment(paymentData) {
     return this.post('/create-cart-payment', paymentData);
   }
+
+  async getPaymentMethods() {
+    return this.get('/payment-methods');
+  }
    async createsubscriptionPayment(paymentData) {
     return this.post('/create-food-subscription-payment', paymentData);
   }
 
-  async getCartOrderStatus(orderId) {
-    return this.get(`/cart-order-status/${orderId}`);
+  // Poll until the PayHere notification has settled the order
+  async getPaymentStatus(orderId) {
+    return this.get(`/payments/${orderId}/status`);
+  }
+
+  // Re-issue signed paymentData for a failed or abandoned PayHere order
+  async retryPayment(orderId) {
+    return this.post(`/payments/${orderId}/retry`, {});
+  }
+
+  // Cancel an unpaid PayHere order and put its products back in the cart
+  async cancelPayment(orderId) {
+    return this.post(`/payments/${orderId}/cancel`, {});
   }
 
   async getUserOrders(email, page = 1, limit = 10) {
@@ -219,6 +418,41 @@ class ApiService {
     return this.get(`/admin/orders${queryParams ? `?${queryParams}` : ''}`);
   }
 
+  // Farmer Payout Methods
+  async getFarmerEarnings(limit = 50) {
+    return this.get(`/payouts/earnings?limit=${limit}`);
+  }
+
+  // Returns the ledger as a CSV Blob (not JSON, so it bypasses request())
+  async exportFarmerEarnings() {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/payouts/earnings/export`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status} - ${await response.text()}`);
+    }
+    return response.blob();
+  }
+
+  async getSettlements(filters = {}) {
+    const queryParams = new URLSearchParams(filters).toString();
+    return this.get(`/payouts/settlements${queryParams ? `?${queryParams}` : ''}`);
+  }
+
+  async createSettlements(periodEnd) {
+    return this.post('/payouts/settlements', { periodEnd });
+  }
+
+  async markSettlementPaid(settlementId, paymentReference) {
+    return this.put(`/payouts/settlements/${settlementId}/paid`, { paymentReference });
+  }
+
+  async createPayoutAdjustment(farmerId, amount, description) {
+    return this.post('/payouts/adjustments', { farmerId, amount, description });
+  }
+
   // Utility Methods
   async testConnection() {
     try {
@@ -0,0 +1,18 @@
+// Show an invoice Blob from the API: PDFs are downloaded, HTML opens in a new tab
+export const showInvoice = (blob, filename, format = 'pdf') => {
+  const url = URL.createObjectURL(blob);
+
+  if (format === 'html') {
+    window.open(url, '_blank');
+  } else {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
+  // Give the new tab or the download time to read it
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
@@ -0,0 +1,27 @@
+// Send the browser to PayHere's hosted checkout with the signed paymentData from the backend
+export const redirectToPayHere = (paymentData, checkoutUrl) => {
+  console.log('Redirecting to PayHere with data:', paymentData);
+
+  // Create form dynamically
+  const form = document.createElement('form');
+  form.method = 'POST';
+  // Backend supplies the checkout URL (points at the local simulator in mock mode)
+  form.action = checkoutUrl || (paymentData.sandbox 
+    ? 'https://sandbox.payhere.lk/pay/checkout' 
+    : 'https://www.payhere.lk/pay/checkout');
+
+  // Add all payment data as hidden fields
+  Object.keys(paymentData).forEach(key => {
+    if (paymentData[key] !== undefined && paymentData[key] !== null) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = key;
+      input.value = paymentData[key];
+      form.appendChild(input);
+    }
+  });
+
+  // Append form to body and submit
+  document.body.appendChild(form);
+  form.submit();
+};